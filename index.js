@@ -1,67 +1,64 @@
-// index.js (Supabase-only backend entrypoint)
+// index.js (backend entrypoint; data backend chosen by DATA_DRIVER, see src/data)
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
 
-const router = require('./src/router'); // your Supabase-based routes.js
+const { createApp } = require('./src/app');
+const { db } = require('./src/data');
+const { startOutboxWorker } = require('./src/mail');
+const { startAlertWorker } = require('./src/alerts');
+const { recordAudit } = require('./src/lib/audit');
 
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 5001;
 
-/* ----------------------------- Middleware -------------------------------- */
-app.use(cors({
-  origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-}));
-app.use(express.json());
-
-/* --------------------------- Supabase (server) ---------------------------- */
-const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY in environment.');
-}
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-
-/* ---------- Optional: one-time admin bootstrap (safe to keep) ------------ */
+/* ------------------- First-run owner bootstrap (optional) ----------------- */
 /**
- * If you set ADMIN_USER_ID=<uuid of a Supabase Auth user>,
- * this will ensure a row exists in admin_users with is_admin=true.
+ * If you set ADMIN_USER_ID=<uuid of a Supabase Auth user> and no owner exists yet,
+ * that user becomes the first owner. Everyone else is invited and managed through
+ * /admin/users (see src/lib/roles.js); once an owner exists this is a no-op.
  * It won’t touch Supabase Auth; it only manages your table.
  */
-async function ensureAdminFlag() {
+async function bootstrapOwner() {
   const ADMIN_USER_ID = process.env.ADMIN_USER_ID; // e.g. 9b1deb4d-... from Supabase Auth
   if (!ADMIN_USER_ID) {
-    console.log('ADMIN_USER_ID not provided; skipping admin bootstrap.');
+    console.log('ADMIN_USER_ID not provided; skipping owner bootstrap.');
     return;
   }
 
   try {
-    const { data, error } = await supabase
-      .from('admin_users')
-      .upsert({ auth_user_id: ADMIN_USER_ID, is_admin: true }, { onConflict: 'auth_user_id' })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Failed to upsert admin_users:', error);
-    } else {
-      console.log('Admin bootstrap ok:', data);
+    if ((await db.adminUsers.countActive('owner')) > 0) {
+      console.log('An owner already exists; skipping owner bootstrap.');
+      return;
     }
+
+    const before = await db.adminUsers.findByAuthUserId(ADMIN_USER_ID);
+    const data = await db.adminUsers.upsert({
+      auth_user_id: ADMIN_USER_ID,
+      is_admin: true,
+      role: 'owner',
+      revoked_at: null,
+      revoked_by: null,
+      updated_at: new Date().toISOString(),
+    });
+
+    console.log('Owner bootstrap ok:', data);
+    await recordAudit(null, {
+      action: 'admin_user.bootstrap',
+      entityType: 'admin_user',
+      entityId: ADMIN_USER_ID,
+      before: before || null,
+      after: data,
+    });
   } catch (e) {
-    console.error('Admin bootstrap exception:', e);
+    console.error('Owner bootstrap exception:', e);
   }
 }
 
-/* ------------------------------- Routes ---------------------------------- */
-app.use('/', router);
-app.get('/health', (_req, res) => res.send('OK'));
-
 /* ------------------------------- Start ----------------------------------- */
 (async () => {
-  await ensureAdminFlag();
+  await bootstrapOwner();
+  startOutboxWorker(); // retries queued emails (MAIL_OUTBOX_POLL_MS, 0 disables)
+  startAlertWorker(); // saved-search alerts and digests (SAVED_SEARCH_POLL_MS, 0 disables)
   app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+    console.log(`Server running on port ${PORT} (data: ${db.driver})`);
   });
 })();
@@ -0,0 +1,238 @@
+// src/alerts/index.js
+// New-listing alerts for saved searches (double opt-in, see POST /saved-searches).
+//
+//   matchNewListings()  runs public listings not matched yet (alerts_matched_at is
+//                       null) against active searches and records the matches
+//   sendDueAlerts()     mails due matches: right away for instant searches, as one
+//                       digest per day / week for the others
+//
+// triggerAlertMatching() runs both right after a listing is created or published;
+// startAlertWorker() also runs them on a timer, which covers scheduled publishing.
+//
+//   SAVED_SEARCH_POLL_MS       worker interval (default 5 min; 0 disables)
+//   SAVED_SEARCH_DIGEST_MAX    listings per email (default 10; the rest are counted)
+//   SAVED_SEARCH_CONFIRM_HOURS how long a confirmation link works (default 72)
+const { db } = require('../data');
+const { enqueueMail } = require('../mail');
+const { matchesCriteria, criteriaQuery } = require('../lib/savedSearches');
+const { localize } = require('../lib/translations');
+const { buildGallery } = require('../lib/gallery');
+const { isPubliclyVisible } = require('../lib/listingStatus');
+const { amenityLabels } = require('../amenities');
+const { apiUrl, siteUrl, propertyUrl } = require('../lib/urls');
+
+const MATCH_BATCH = 50;
+const DUE_BATCH = 200;
+const DIGEST_MAX_LISTINGS = Number(process.env.SAVED_SEARCH_DIGEST_MAX) || 10;
+const CONFIRM_TTL_MS = (Number(process.env.SAVED_SEARCH_CONFIRM_HOURS) || 72) * 60 * 60 * 1000;
+
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+const tokenUrl = (path, token) => apiUrl(`${path}?token=${encodeURIComponent(token)}`);
+const confirmUrl = (search) => tokenUrl('/saved-searches/confirm', search.confirm_token);
+const unsubscribeUrl = (search) => tokenUrl('/saved-searches/unsubscribe', search.unsubscribe_token);
+
+const searchUrl = (search) => {
+  const query = criteriaQuery(search.criteria);
+  return siteUrl(`/properties${query ? `?${query}` : ''}`);
+};
+
+const confirmationExpired = (search, now = new Date()) => now.getTime() - new Date(search.created_at).getTime() > CONFIRM_TTL_MS;
+
+// When a new match for `search` may be mailed
+function notifyAfter(search, now) {
+  const period = DIGEST_PERIOD_MS[search.frequency];
+  if (!period) return now;
+  const last = new Date(search.last_notified_at || search.confirmed_at || now).getTime();
+  return new Date(Math.max(now.getTime(), last + period));
+}
+
+// Listing fields an alert shows, in the subscriber's locale
+const listingForMail = (property, locale) => {
+  const row = locale ? localize(property, 'property', locale) : property;
+  return {
+    id: property.id,
+    name: row.name,
+    price: row.price,
+    location: row.location,
+    bhkType: row.bhkType,
+    url: propertyUrl(property),
+    image: buildGallery(property).cover?.card || null,
+  };
+};
+
+// Criteria as the email shows them: amenity keys become labels in the search's locale
+async function criteriaForMail(search) {
+  const keys = search.criteria?.amenities || [];
+  if (!keys.length) return search.criteria;
+  const labels = await amenityLabels(keys, search.locale);
+  return { ...search.criteria, amenities: keys.map((key) => labels[key] || key) };
+}
+
+// Queue the double opt-in email for a pending search
+async function sendConfirmation(search) {
+  return enqueueMail({
+    template: 'savedSearchConfirmation',
+    locale: search.locale,
+    to: search.email,
+    data: {
+      confirmUrl: confirmUrl(search),
+      unsubscribeUrl: unsubscribeUrl(search),
+      criteria: await criteriaForMail(search),
+      frequency: search.frequency,
+    },
+  });
+}
+
+// Queue the note sent instead of a confirmation when the address is at its search cap
+async function sendLimitNotice(search, max) {
+  return enqueueMail({
+    template: 'savedSearchLimit',
+    locale: search.locale,
+    to: search.email,
+    data: { criteria: await criteriaForMail(search), max },
+  });
+}
+
+/**
+ * Record matches for public listings the matcher has not seen yet.
+ * Each listing is claimed first, so it is matched once even with several instances.
+ * Returns the number of listings processed.
+ */
+async function matchNewListings({ now = new Date() } = {}) {
+  let processed = 0;
+  let searches = null;
+
+  for (;;) {
+    const listings = await db.properties.listUnmatchedForAlerts(now, MATCH_BATCH);
+    if (!listings.length) return processed;
+    if (!searches) searches = await db.savedSearches.listActive();
+
+    for (const listing of listings) {
+      const claimed = await db.properties.claimForAlerts(listing.id, now);
+      if (!claimed) continue;
+      processed += 1;
+      for (const search of searches) {
+        if (!matchesCriteria(claimed, search.criteria)) continue;
+        await db.savedSearchMatches.record(search.id, claimed.id, notifyAfter(search, now));
+      }
+    }
+
+    if (listings.length < MATCH_BATCH) return processed;
+  }
+}
+
+// Claim a search's due matches and queue one email with the listings still public
+async function sendSearchAlert(searchId, now) {
+  const [search] = await db.savedSearches.findByIds([searchId]);
+  if (!search || search.status !== 'active') {
+    await db.savedSearchMatches.removePending(searchId);
+    return false;
+  }
+
+  const matches = await db.savedSearchMatches.claimDue(searchId, now);
+  if (!matches.length) return false;
+
+  const order = new Map(matches.map((m) => [String(m.property_id), m.matched_at]));
+  const listings = (await db.properties.findByIds(matches.map((m) => m.property_id)))
+    .filter((p) => isPubliclyVisible(p, now))
+    .sort((a, b) => String(order.get(String(b.id))).localeCompare(String(order.get(String(a.id)))));
+  // Withdrawn since they matched: nothing to announce
+  if (!listings.length) return false;
+
+  try {
+    await enqueueMail({
+      template: 'savedSearchAlert',
+      locale: search.locale,
+      to: search.email,
+      data: {
+        listings: listings.slice(0, DIGEST_MAX_LISTINGS).map((p) => listingForMail(p, search.locale)),
+        more: Math.max(listings.length - DIGEST_MAX_LISTINGS, 0),
+        digest: search.frequency !== 'instant',
+        criteria: await criteriaForMail(search),
+        searchUrl: searchUrl(search),
+        unsubscribeUrl: unsubscribeUrl(search),
+      },
+    });
+  } catch (err) {
+    await db.savedSearchMatches.release(matches.map((m) => m.id));
+    throw err;
+  }
+
+  await db.savedSearches.update(search.id, { last_notified_at: now.toISOString() });
+  return true;
+}
+
+/** Queue alerts for every search with due matches. Returns the number of emails queued. */
+async function sendDueAlerts({ now = new Date() } = {}) {
+  let sent = 0;
+  for (const searchId of await db.savedSearchMatches.listDueSearchIds(now, DUE_BATCH)) {
+    try {
+      if (await sendSearchAlert(searchId, now)) sent += 1;
+    } catch (err) {
+      console.error(`Saved search ${searchId} alert error:`, err);
+    }
+  }
+  return sent;
+}
+
+async function runAlerts() {
+  await matchNewListings();
+  await sendDueAlerts();
+}
+
+// Serialized so overlapping triggers never match the same batch twice in one process
+let running = null;
+let rerun = false;
+
+/**
+ * Run the matcher and send instant alerts in the background (call after a
+ * listing is created or published). Never throws; returns the run's promise.
+ */
+function triggerAlertMatching() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+  running = (async () => {
+    try {
+      do {
+        rerun = false;
+        await runAlerts();
+      } while (rerun);
+    } catch (err) {
+      console.error('Saved search alerts error:', err);
+    } finally {
+      running = null;
+    }
+  })();
+  return running;
+}
+
+/**
+ * Match and send on a timer (SAVED_SEARCH_POLL_MS, default 5 min; 0 disables).
+ * Returns a stop() function.
+ */
+function startAlertWorker({ intervalMs = Number(process.env.SAVED_SEARCH_POLL_MS ?? 5 * 60 * 1000) } = {}) {
+  if (!intervalMs) return () => {};
+
+  const timer = setInterval(() => {
+    triggerAlertMatching();
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  confirmationExpired,
+  sendConfirmation,
+  sendLimitNotice,
+  matchNewListings,
+  sendDueAlerts,
+  triggerAlertMatching,
+  startAlertWorker,
+};
@@ -0,0 +1,49 @@
+// src/amenities/index.js
+// The amenity catalogue as the rest of the API uses it: cached reads, turning
+// request input into catalogue keys, and localized labels for listings.
+//
+//   AMENITY_CACHE_TTL_MS  how long the catalogue is served from memory (default 60000;
+//                         0 disables). Admin edits on this instance clear it at once.
+const { db } = require('../data');
+const { createTtlCache } = require('../lib/ttlCache');
+const { matchAmenities, unmatchedAmenityErrors, resolveAmenities } = require('../lib/amenities');
+
+const catalogueCache = createTtlCache({ ttlMs: Number(process.env.AMENITY_CACHE_TTL_MS ?? 60000), maxEntries: 1 });
+
+/** The whole catalogue (cached). */
+const amenityCatalogue = () => catalogueCache.wrap('catalogue', () => db.amenities.list());
+
+const invalidateAmenityCatalogue = () => catalogueCache.clear();
+
+/**
+ * Catalogue keys for validated `amenities` input (keys, labels or aliases).
+ * Returns { keys, errors }. An unknown value is checked again against a fresh
+ * catalogue before it is rejected, so a key added on another instance is accepted.
+ */
+async function readAmenityKeys(values) {
+  let { keys, unmatched } = matchAmenities(values, await amenityCatalogue());
+  if (unmatched.length) {
+    invalidateAmenityCatalogue();
+    ({ keys, unmatched } = matchAmenities(values, await amenityCatalogue()));
+  }
+  const errors = unmatchedAmenityErrors(unmatched);
+  return errors ? { errors } : { keys, errors: null };
+}
+
+/** [{ key, category, icon, label }] for a listing's amenities in `locale`. */
+async function amenitiesFor(property, locale) {
+  return resolveAmenities(property?.amenities, await amenityCatalogue(), locale);
+}
+
+/** { key: label } in `locale` for `keys` (unknown keys are left out). */
+async function amenityLabels(keys, locale) {
+  return Object.fromEntries(resolveAmenities(keys, await amenityCatalogue(), locale).map((a) => [a.key, a.label]));
+}
+
+module.exports = {
+  amenityCatalogue,
+  invalidateAmenityCatalogue,
+  readAmenityKeys,
+  amenitiesFor,
+  amenityLabels,
+};
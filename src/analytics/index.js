@@ -0,0 +1,240 @@
+// src/analytics/index.js
+// Listing analytics: views, gallery opens, inquiries and viewing bookings per
+// listing and day. Each is counted once per visitor session, listing and day,
+// and requests from bots, crawlers and link-preview fetchers are not counted.
+//
+//   ANALYTICS_TIMEZONE  zone whose calendar days the stats use (default Europe/Madrid)
+//   ANALYTICS_SALT      secret mixed into session hashes; set it so hashes survive
+//                       restarts and match across instances (default: random per process)
+//   ANALYTICS_ENABLED   "false" stops recording (reports still work)
+//
+// A visitor session is the X-Session-Id header (or `sessionId` in a tracking body) the
+// website generates per browser session; without one, the client IP and User-Agent.
+// Only a salted hash of it is stored. Stats live in listing_stats_daily on Supabase
+// (DATA_DRIVER=supabase) and in process with DATA_DRIVER=memory.
+const crypto = require('crypto');
+const { db } = require('../data');
+const { clientIp } = require('../rateLimit');
+const { isTimeZone, isDate, localDate, addDays, daysBetween, isoWeekday } = require('../lib/timezone');
+const { createMemoryAnalyticsStore } = require('./memoryStore');
+const { createSupabaseAnalyticsStore } = require('./supabaseStore');
+
+const EVENT_TYPES = ['view', 'gallery_open', 'inquiry', 'viewing'];
+// Events the website reports itself (POST /properties/:id/events); the rest are recorded server-side
+const CLIENT_EVENT_TYPES = ['gallery_open'];
+const INTERVALS = ['day', 'week'];
+
+const TIMEZONE = isTimeZone(process.env.ANALYTICS_TIMEZONE || '') ? process.env.ANALYTICS_TIMEZONE : 'Europe/Madrid';
+const SALT = process.env.ANALYTICS_SALT || crypto.randomBytes(32).toString('hex');
+const enabled = () => process.env.ANALYTICS_ENABLED !== 'false';
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_TOP = 5;
+const MAX_TOP = 50;
+// Listings need this many views in the range to rank by conversion rate
+const MIN_VIEWS_FOR_RATE = 20;
+const MAX_SESSION_ID_LENGTH = 128;
+
+function createAnalyticsStore(env = process.env) {
+  const driver = (env.DATA_DRIVER || 'supabase').toLowerCase();
+  return driver === 'memory' ? createMemoryAnalyticsStore() : createSupabaseAnalyticsStore(require('../supabase'));
+}
+
+const analyticsStore = createAnalyticsStore();
+
+// Crawlers, monitors, HTTP libraries and link unfurlers (chat apps, social networks)
+const BOT_PATTERN = new RegExp([
+  'bot', 'crawl', 'spider', 'slurp', 'archiver', 'headless', 'lighthouse', 'pingdom', 'uptime',
+  'monitor', 'preview', 'facebookexternalhit', 'embedly', 'whatsapp', 'curl', 'wget',
+  'python-requests', 'httpclient', 'okhttp', 'axios', 'node-fetch', 'go-http-client', 'java/',
+].join('|'), 'i');
+
+/** True for requests that should not count: bots, missing User-Agent, browser prefetches. */
+function isBot(req) {
+  const agent = req.get('user-agent');
+  if (!agent || BOT_PATTERN.test(agent)) return true;
+  const purpose = req.get('sec-purpose') || req.get('purpose') || req.get('x-moz') || '';
+  return /prefetch|prerender/i.test(purpose);
+}
+
+const sessionIdOf = (req) => {
+  const candidate = req.get('x-session-id') || req.body?.sessionId;
+  return typeof candidate === 'string' && candidate && candidate.length <= MAX_SESSION_ID_LENGTH ? candidate : null;
+};
+
+// Salted hash of the visitor session (never the raw IP or session id)
+const sessionHash = (req) => {
+  const session = sessionIdOf(req);
+  const source = session ? `s:${session}` : `ip:${clientIp(req)}|${req.get('user-agent') || ''}`;
+  return crypto.createHmac('sha256', SALT).update(source).digest('hex').slice(0, 32);
+};
+
+/**
+ * Count `type` (see EVENT_TYPES) for a listing on behalf of the requesting visitor.
+ * Never throws: analytics must not break the request it rides on.
+ * Resolves to true when the event was counted.
+ */
+async function trackEvent(req, propertyId, type) {
+  if (!enabled() || !propertyId || !EVENT_TYPES.includes(type) || isBot(req)) return false;
+  try {
+    return await analyticsStore.record({
+      propertyId,
+      type,
+      sessionHash: sessionHash(req),
+      day: localDate(new Date(), TIMEZONE),
+    });
+  } catch (err) {
+    console.error(`Error recording ${type} event:`, err);
+    return false;
+  }
+}
+
+/**
+ * Validate an analytics report query:
+ *   from, to (YYYY-MM-DD, default the last 30 days), interval (day | week),
+ *   propertyId, location, limit (top performers per ranking, default 5).
+ * Returns { spec, errors }.
+ */
+function parseAnalyticsQuery(query = {}, now = new Date()) {
+  const errors = {};
+  const today = localDate(now, TIMEZONE);
+
+  if (query.from !== undefined && !isDate(query.from)) errors.from = 'Must be YYYY-MM-DD';
+  if (query.to !== undefined && !isDate(query.to)) errors.to = 'Must be YYYY-MM-DD';
+  const interval = query.interval ?? 'day';
+  if (!INTERVALS.includes(interval)) errors.interval = `Must be one of: ${INTERVALS.join(', ')}`;
+  const limit = query.limit === undefined ? DEFAULT_TOP : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP) errors.limit = `Must be an integer between 1 and ${MAX_TOP}`;
+  if (query.propertyId !== undefined && (typeof query.propertyId !== 'string' || !query.propertyId)) errors.propertyId = 'Must be a property id';
+  if (query.location !== undefined && typeof query.location !== 'string') errors.location = 'Must be a string';
+  if (Object.keys(errors).length) return { errors };
+
+  const to = query.to || today;
+  const from = query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+  if (to < from) return { errors: { to: 'Must not be before from' } };
+  if (daysBetween(from, to) >= MAX_RANGE_DAYS) return { errors: { from: `At most ${MAX_RANGE_DAYS} days per report` } };
+
+  return {
+    spec: {
+      from,
+      to,
+      interval,
+      limit,
+      propertyId: query.propertyId || null,
+      location: query.location?.trim() || null,
+    },
+    errors: null,
+  };
+}
+
+const emptyCounts = () => ({ views: 0, galleryOpens: 0, inquiries: 0, viewings: 0 });
+
+const countsOf = (row) => ({
+  views: row.views || 0,
+  galleryOpens: row.gallery_opens || 0,
+  inquiries: row.inquiries || 0,
+  viewings: row.viewings || 0,
+});
+
+const addCounts = (target, counts) => {
+  for (const key of Object.keys(counts)) target[key] += counts[key];
+  return target;
+};
+
+// Inquiries and viewing bookings per view
+const withRate = (counts) => ({
+  ...counts,
+  conversionRate: counts.views ? Math.round(((counts.inquiries + counts.viewings) / counts.views) * 10000) / 10000 : null,
+});
+
+// First day of the period `date` falls in (weeks start on Monday)
+const periodOf = (date, interval) => (interval === 'week' ? addDays(date, 1 - isoWeekday(date)) : date);
+
+function periodsBetween(from, to, interval) {
+  const periods = [];
+  const step = interval === 'week' ? 7 : 1;
+  for (let period = periodOf(from, interval); period <= to; period = addDays(period, step)) periods.push(period);
+  return periods;
+}
+
+const byDesc = (key) => (a, b) => (b[key] ?? -1) - (a[key] ?? -1) || b.views - a.views;
+
+/**
+ * Totals, a day or week time series, per-listing and per-location breakdowns and
+ * top performers (by views, inquiries and conversion rate) for a parseAnalyticsQuery() spec.
+ * Listings moved to the trash keep their numbers but have no name or location.
+ */
+async function listingReport(spec) {
+  const rows = await analyticsStore.daily({ from: spec.from, to: spec.to, propertyId: spec.propertyId });
+  const properties = await db.properties.findByIds(rows.map((row) => row.property_id));
+  const propertyById = new Map(properties.map((p) => [String(p.id), p]));
+
+  const wanted = spec.location ? spec.location.toLowerCase() : null;
+  const included = rows.filter((row) => !wanted
+    || propertyById.get(String(row.property_id))?.location?.toLowerCase() === wanted);
+
+  const totals = emptyCounts();
+  const series = new Map(periodsBetween(spec.from, spec.to, spec.interval).map((period) => [period, emptyCounts()]));
+  const perProperty = new Map();
+  for (const row of included) {
+    const counts = countsOf(row);
+    addCounts(totals, counts);
+    addCounts(series.get(periodOf(String(row.day).slice(0, 10), spec.interval)), counts);
+
+    const key = String(row.property_id);
+    if (!perProperty.has(key)) perProperty.set(key, emptyCounts());
+    addCounts(perProperty.get(key), counts);
+  }
+
+  const propertyStats = [...perProperty].map(([id, counts]) => {
+    const property = propertyById.get(id);
+    return {
+      propertyId: property?.id ?? id,
+      name: property?.name ?? null,
+      location: property?.location ?? null,
+      status: property?.status ?? null,
+      ...withRate(counts),
+    };
+  }).sort(byDesc('views'));
+
+  const perLocation = new Map();
+  for (const stat of propertyStats) {
+    const key = stat.location || null;
+    if (!perLocation.has(key)) perLocation.set(key, { location: key, listings: 0, ...emptyCounts() });
+    const entry = perLocation.get(key);
+    entry.listings += 1;
+    addCounts(entry, { views: stat.views, galleryOpens: stat.galleryOpens, inquiries: stat.inquiries, viewings: stat.viewings });
+  }
+
+  return {
+    from: spec.from,
+    to: spec.to,
+    interval: spec.interval,
+    timeZone: TIMEZONE,
+    totals: withRate(totals),
+    series: [...series].map(([period, counts]) => ({ period, ...counts })),
+    properties: propertyStats,
+    locations: [...perLocation.values()].map(withRate).sort(byDesc('views')),
+    top: {
+      views: propertyStats.filter((s) => s.views).slice(0, spec.limit),
+      inquiries: propertyStats.filter((s) => s.inquiries).sort(byDesc('inquiries')).slice(0, spec.limit),
+      conversionRate: propertyStats
+        .filter((s) => s.views >= MIN_VIEWS_FOR_RATE)
+        .sort(byDesc('conversionRate'))
+        .slice(0, spec.limit),
+    },
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  CLIENT_EVENT_TYPES,
+  TIMEZONE,
+  analyticsStore,
+  createAnalyticsStore,
+  isBot,
+  trackEvent,
+  parseAnalyticsQuery,
+  listingReport,
+};
@@ -0,0 +1,41 @@
+// src/analytics/memoryStore.js
+// Listing stats in this process (DATA_DRIVER=memory): lost on restart.
+
+// Counter column per event type
+const COUNTERS = {
+  view: 'views',
+  gallery_open: 'gallery_opens',
+  inquiry: 'inquiries',
+  viewing: 'viewings',
+};
+
+function createMemoryAnalyticsStore() {
+  const seen = new Set(); // property|type|session|day already counted
+  const stats = new Map(); // property|day -> daily row
+
+  return {
+    driver: 'memory',
+
+    async record({ propertyId, type, sessionHash, day }) {
+      const key = [propertyId, type, sessionHash, day].join('|');
+      if (seen.has(key)) return false;
+      seen.add(key);
+
+      const rowKey = `${propertyId}|${day}`;
+      const row = stats.get(rowKey)
+        || { property_id: propertyId, day, views: 0, gallery_opens: 0, inquiries: 0, viewings: 0 };
+      row[COUNTERS[type]] += 1;
+      stats.set(rowKey, row);
+      return true;
+    },
+
+    async daily({ from, to, propertyId }) {
+      return [...stats.values()]
+        .filter((row) => row.day >= from && row.day <= to
+          && (!propertyId || String(row.property_id) === String(propertyId)))
+        .map((row) => ({ ...row }));
+    },
+  };
+}
+
+module.exports = { createMemoryAnalyticsStore };
@@ -0,0 +1,46 @@
+// src/analytics/supabaseStore.js
+// Listing stats in Postgres. Events are counted by record_listing_event(), which
+// dedupes and increments in one statement so concurrent requests cannot race
+// (see supabase/migrations/20261019001600_listing_analytics.sql).
+
+const PAGE_SIZE = 1000;
+const COLUMNS = 'property_id, day, views, gallery_opens, inquiries, viewings';
+
+function createSupabaseAnalyticsStore(client) {
+  return {
+    driver: 'supabase',
+
+    async record({ propertyId, type, sessionHash, day }) {
+      const { data, error } = await client.rpc('record_listing_event', {
+        p_property_id: propertyId,
+        p_event_type: type,
+        p_session_hash: sessionHash,
+        p_day: day,
+      });
+      if (error) throw error;
+      return Boolean(data);
+    },
+
+    async daily({ from, to, propertyId }) {
+      const rows = [];
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        let query = client
+          .from('listing_stats_daily')
+          .select(COLUMNS)
+          .gte('day', from)
+          .lte('day', to)
+          .order('day', { ascending: true })
+          .order('property_id', { ascending: true })
+          .range(offset, offset + PAGE_SIZE - 1);
+        if (propertyId) query = query.eq('property_id', propertyId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+      }
+    },
+  };
+}
+
+module.exports = { createSupabaseAnalyticsStore };
@@ -0,0 +1,42 @@
+// src/app.js
+// Builds the Express app without listening, so tests can drive it directly
+// (e.g. DATA_DRIVER=memory + supertest). index.js is the server entrypoint.
+const express = require('express');
+const cors = require('cors');
+
+const router = require('./router');
+const { storage } = require('./storage');
+const { cookiesEnabled } = require('./lib/authCookies');
+
+// TRUST_PROXY: Express "trust proxy" setting — true, a hop count, or addresses/subnets.
+// Needed behind a load balancer so req.ip (used by the rate limits) is the client's.
+function trustProxySetting(value) {
+  if (!value) return false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function createApp() {
+  const app = express();
+  app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+  /* ----------------------------- Middleware -------------------------------- */
+  app.use(cors({
+    origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id'], // X-Session-Id: listing analytics (src/analytics)
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Total-Count', 'Link', 'X-Results-Truncated'],
+    credentials: cookiesEnabled(), // admin tokens in httpOnly cookies (ADMIN_AUTH_COOKIES)
+  }));
+  app.use(express.json());
+
+  /* ------------------------------- Routes ---------------------------------- */
+  // Backends that serve their own files (STORAGE_DRIVER=local) mount here
+  if (storage.router) app.use(storage.mountPath, storage.router());
+  app.use('/', router);
+  app.get('/health', (_req, res) => res.send('OK'));
+
+  return app;
+}
+
+module.exports = { createApp };
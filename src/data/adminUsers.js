@@ -0,0 +1,42 @@
+// src/data/adminUsers.js
+// `admin_users`: which Supabase Auth users may use the admin API, and with which role.
+// Revoked rows are kept (is_admin = false, revoked_at set) for the audit trail.
+const TABLE = 'admin_users';
+const ACTIVE = [['is_admin', 'eq', true], ['revoked_at', 'is', null]];
+
+function createAdminUserRepository(gateway) {
+  return {
+    findByAuthUserId(authUserId) {
+      return gateway.findOne(TABLE, [['auth_user_id', 'eq', authUserId]]);
+    },
+
+    // Active admins (plus revoked ones with { includeRevoked: true }), by email
+    async list({ includeRevoked = false } = {}) {
+      const { rows } = await gateway.select(TABLE, {
+        where: includeRevoked ? [] : ACTIVE,
+        orderBy: [{ column: 'email', ascending: true }, { column: 'auth_user_id', ascending: true }],
+      });
+      return rows;
+    },
+
+    async countActive(role) {
+      const { total } = await gateway.select(TABLE, {
+        columns: 'auth_user_id',
+        where: [...ACTIVE, ['role', 'eq', role]],
+        count: true,
+      });
+      return total;
+    },
+
+    upsert(row) {
+      return gateway.upsert(TABLE, row, { onConflict: 'auth_user_id' });
+    },
+
+    async update(authUserId, changes) {
+      const [row] = await gateway.update(TABLE, [['auth_user_id', 'eq', authUserId]], changes);
+      return row || null;
+    },
+  };
+}
+
+module.exports = { createAdminUserRepository };
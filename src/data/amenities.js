@@ -0,0 +1,67 @@
+// src/data/amenities.js
+// `amenities`: the managed amenity catalogue listings reference by key
+// (see src/lib/amenities.js), and the free-text values the catalogue migration
+// could not map (`amenity_migration_unmatched`).
+const { pageWindow } = require('../lib/listQuery');
+
+const TABLE = 'amenities';
+const UNMATCHED = 'amenity_migration_unmatched';
+
+function createAmenityRepository(gateway) {
+  return {
+    // Whole catalogue, by category, then position, then key
+    async list() {
+      const { rows } = await gateway.select(TABLE, {
+        orderBy: [
+          { column: 'category', ascending: true },
+          { column: 'position', ascending: true },
+          { column: 'key', ascending: true },
+        ],
+      });
+      return rows;
+    },
+
+    findByKey(key) {
+      return gateway.findOne(TABLE, [['key', 'eq', key]]);
+    },
+
+    create(row) {
+      return gateway.insert(TABLE, row);
+    },
+
+    async update(key, changes) {
+      const [row] = await gateway.update(TABLE, [['key', 'eq', key]], { ...changes, updated_at: new Date().toISOString() });
+      return row || null;
+    },
+
+    async remove(key) {
+      const [row] = await gateway.remove(TABLE, [['key', 'eq', key]]);
+      return row || null;
+    },
+
+    /**
+     * Values left over by the catalogue migration, oldest first. Filters:
+     * { source: 'property' | 'saved_search' }; paging: { page, pageSize }. Returns { rows, total }.
+     */
+    listUnmatched({ source }, paging) {
+      return gateway.select(UNMATCHED, {
+        where: source ? [['source', 'eq', source]] : [],
+        orderBy: [{ column: 'id', ascending: true }],
+        ...pageWindow(paging),
+        count: true,
+      });
+    },
+
+    findUnmatched(id) {
+      return gateway.findOne(UNMATCHED, [['id', 'eq', id]]);
+    },
+
+    // The unmatched value is now mapped (or given up on)
+    async resolveUnmatched(id) {
+      const [row] = await gateway.remove(UNMATCHED, [['id', 'eq', id]]);
+      return row || null;
+    },
+  };
+}
+
+module.exports = { createAmenityRepository };
@@ -0,0 +1,39 @@
+// src/data/auditLog.js
+// Append-only `audit_log` (there is deliberately no update/delete here).
+const { toLikeTerm, pageWindow } = require('../lib/listQuery');
+
+const TABLE = 'audit_log';
+
+function createAuditLogRepository(gateway) {
+  return {
+    append(entry) {
+      return gateway.insert(TABLE, entry);
+    },
+
+    /**
+     * Newest first. Filters: { entityType, entityId, actor, action, from, to };
+     * an `action` ending in "." matches that family ("property." -> property.*).
+     * Returns { rows, total }.
+     */
+    search(filters, paging) {
+      const { entityType, entityId, actor, action, from, to } = filters;
+      const where = [];
+      if (entityType) where.push(['entity_type', 'eq', entityType]);
+      if (entityId) where.push(['entity_id', 'eq', String(entityId)]);
+      if (actor) where.push(['actor_id', 'eq', actor]);
+      if (action && action.endsWith('.')) where.push(['action', 'like', `${toLikeTerm(action)}%`]);
+      else if (action) where.push(['action', 'eq', action]);
+      if (from) where.push(['created_at', 'gte', new Date(from).toISOString()]);
+      if (to) where.push(['created_at', 'lte', new Date(to).toISOString()]);
+
+      return gateway.select(TABLE, {
+        where,
+        orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+        ...pageWindow(paging),
+        count: true,
+      });
+    },
+  };
+}
+
+module.exports = { createAuditLogRepository };
@@ -0,0 +1,208 @@
+// src/data/auth.js
+// Auth backends. Both implement:
+//   getUser(accessToken) -> user | null
+//   signInWithPassword({ email, password }) -> { user, session } | null (bad credentials)
+//   refreshSession(refreshToken) -> { user, session } | null (unknown/used token)
+//   signOut(accessToken) -> revokes the session's refresh tokens; never throws
+//   inviteUserByEmail(email, { redirectTo }) -> { user, invited } (invited = false when the
+//     account already existed; no email is sent then)
+// `user` has the Supabase shape ({ id, email, ... }); `session` carries
+// access_token, refresh_token and expires_in (seconds).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+// User object rebuilt from verified Supabase JWT claims (same fields routes read from getUser)
+const userFromClaims = (claims) => ({
+  id: claims.sub,
+  aud: claims.aud,
+  role: claims.role,
+  email: claims.email,
+  phone: claims.phone,
+  app_metadata: claims.app_metadata || {},
+  user_metadata: claims.user_metadata || {},
+  session_id: claims.session_id,
+});
+
+/**
+ * `client` is the shared service-role client (admin API only).
+ * `sessionClient()` returns a fresh client for calls that create a session
+ * (sign-in / refresh): supabase-js keeps that session on the client and would
+ * otherwise send the user's token instead of the service role key afterwards.
+ * With `jwtSecret` (the project's JWT secret) access tokens are verified locally
+ * instead of with a round trip to Supabase Auth.
+ */
+function createSupabaseAuth(client, { sessionClient, jwtSecret } = {}) {
+  // session_id -> exp (seconds) for sessions signed out in this process; local
+  // verification cannot see revocations made elsewhere until the token expires
+  const signedOut = new Map();
+
+  // Claims of a token signed with jwtSecret and not expired, or null
+  const verifiedClaims = (token) => {
+    try {
+      return jwt.verify(token, jwtSecret, { algorithms: ['HS256'], audience: 'authenticated' });
+    } catch {
+      return null;
+    }
+  };
+
+  const verifyLocally = (token) => {
+    const claims = verifiedClaims(token);
+    if (!claims?.sub || (claims.session_id && signedOut.has(claims.session_id))) return null;
+    return userFromClaims(claims);
+  };
+
+  const forgetExpired = () => {
+    const now = Date.now() / 1000;
+    for (const [id, exp] of signedOut) if (exp <= now) signedOut.delete(id);
+  };
+
+  return {
+    async getUser(token) {
+      if (jwtSecret) return verifyLocally(token);
+      const { data, error } = await client.auth.getUser(token);
+      if (error || !data?.user) return null;
+      return data.user;
+    },
+
+    async signInWithPassword({ email, password }) {
+      const { data, error } = await sessionClient().auth.signInWithPassword({ email, password });
+      if (error || !data?.user) return null;
+      return { user: data.user, session: data.session };
+    },
+
+    async refreshSession(refreshToken) {
+      const { data, error } = await sessionClient().auth.refreshSession({ refresh_token: refreshToken });
+      if (error || !data?.user) return null;
+      return { user: data.user, session: data.session };
+    },
+
+    async signOut(accessToken) {
+      try {
+        if (jwtSecret) {
+          // Only genuine tokens are remembered, and only until they would expire anyway
+          const claims = verifiedClaims(accessToken);
+          if (!claims) return;
+          if (claims.session_id && claims.exp) {
+            forgetExpired();
+            signedOut.set(claims.session_id, claims.exp);
+          }
+        }
+        const { error } = await client.auth.admin.signOut(accessToken, 'local');
+        if (error) console.error('Supabase error (sign out):', error);
+      } catch (err) {
+        console.error('signOut error:', err);
+      }
+    },
+
+    async inviteUserByEmail(email, { redirectTo } = {}) {
+      const { data, error } = await client.auth.admin.inviteUserByEmail(email, { redirectTo });
+      if (!error) return { user: data.user, invited: true };
+
+      // Already registered: look the account up instead (the admin API has no lookup by email)
+      const wanted = email.toLowerCase();
+      for (let page = 1; ; page += 1) {
+        const { data: list, error: listErr } = await client.auth.admin.listUsers({ page, perPage: 1000 });
+        if (listErr) throw listErr;
+        const user = list.users.find((u) => u.email?.toLowerCase() === wanted);
+        if (user) return { user, invited: false };
+        if (list.users.length < 1000) break;
+      }
+      throw error;
+    },
+  };
+}
+
+// Strip the password before a user leaves the store
+const publicUser = ({ password: _password, ...user }) => ({ ...user });
+
+const SESSION_TTL_SECONDS = 3600;
+const randomToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Users live in memory; access and refresh tokens are random opaque strings.
+ * Refresh tokens are single-use, as in Supabase Auth.
+ * `users`: [{ id?, email, password, user_metadata? }]
+ */
+function createMemoryAuth(users = []) {
+  const byId = new Map();
+  const sessions = new Map(); // access_token -> { userId, sessionId, expiresAt }
+  const refreshTokens = new Map(); // refresh_token -> { userId, sessionId }
+
+  const issue = (user, sessionId = uuidv4()) => {
+    const accessToken = randomToken();
+    const refreshToken = randomToken();
+    sessions.set(accessToken, { userId: user.id, sessionId, expiresAt: Date.now() + SESSION_TTL_SECONDS * 1000 });
+    refreshTokens.set(refreshToken, { userId: user.id, sessionId });
+    return {
+      user: publicUser(user),
+      session: {
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        token_type: 'bearer',
+        expires_in: SESSION_TTL_SECONDS,
+      },
+    };
+  };
+
+  const endSession = (sessionId) => {
+    for (const [token, s] of sessions) if (s.sessionId === sessionId) sessions.delete(token);
+    for (const [token, s] of refreshTokens) if (s.sessionId === sessionId) refreshTokens.delete(token);
+  };
+
+  const auth = {
+    addUser({ id = uuidv4(), email, password, user_metadata = {} }) {
+      const user = {
+        id,
+        aud: 'authenticated',
+        email: String(email).toLowerCase(),
+        password,
+        app_metadata: { provider: 'email' },
+        user_metadata,
+        created_at: new Date().toISOString(),
+      };
+      byId.set(id, user);
+      return publicUser(user);
+    },
+
+    async getUser(token) {
+      const session = sessions.get(token);
+      if (!session || session.expiresAt <= Date.now()) return null;
+      const user = byId.get(session.userId);
+      return user ? publicUser(user) : null;
+    },
+
+    async signInWithPassword({ email, password }) {
+      const wanted = String(email || '').toLowerCase();
+      const user = [...byId.values()].find((u) => u.email === wanted);
+      if (!user || !user.password || user.password !== password) return null;
+      return issue(user);
+    },
+
+    async refreshSession(refreshToken) {
+      const entry = refreshTokens.get(refreshToken);
+      const user = entry && byId.get(entry.userId);
+      if (!user) return null;
+      refreshTokens.delete(refreshToken);
+      return issue(user, entry.sessionId);
+    },
+
+    async signOut(accessToken) {
+      const session = sessions.get(accessToken);
+      if (session) endSession(session.sessionId);
+    },
+
+    // Invited accounts have no password until they accept (not modelled here)
+    async inviteUserByEmail(email) {
+      const wanted = String(email).toLowerCase();
+      const existing = [...byId.values()].find((u) => u.email === wanted);
+      if (existing) return { user: publicUser(existing), invited: false };
+      return { user: auth.addUser({ email: wanted, password: null }), invited: true };
+    },
+  };
+
+  users.forEach((u) => auth.addUser(u));
+  return auth;
+}
+
+module.exports = { createSupabaseAuth, createMemoryAuth };
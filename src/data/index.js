@@ -0,0 +1,90 @@
+// src/data/index.js
+// Data-access layer used by the routes, mail outbox and audit log.
+//
+// Repositories (properties, reviews, adminUsers, leads, mailOutbox, auditLog,
+// savedSearches, savedSearchMatches, viewingAvailability, viewings, amenities) are written
+// once against a small table gateway, which has two drivers:
+//   supabaseGateway.js  PostgREST via the shared service-role client
+//   memoryGateway.js    plain arrays in this process (dev / tests)
+//
+// Gateway contract:
+//   select(table, { where, columns, orderBy, offset, limit, count }) -> { rows, total }
+//   findOne(table, where)                 -> row | null
+//   insert(table, row) / insertMany(table, rows)
+//   update(table, where, changes)         -> updated rows
+//   upsert(table, row, { onConflict })    -> row
+//   remove(table, where)                  -> removed rows
+// `where` is a list of [column, op, value] (ANDed) where op is eq, neq, gt, gte,
+// lt, lte, in, is (null), isNot (null), like, ilike, ilikeAll, contains or
+// overlaps; ['or', [conditions]] matches when any condition does.
+// `orderBy` is [{ column, ascending, nullsFirst }].
+//
+// DATA_DRIVER=supabase (default) | memory
+//   supabase: SUPABASE_JWT_SECRET — verify access tokens locally instead of calling Supabase Auth
+//   memory: MEMORY_SEED_FILE — optional JSON file:
+//           { "users": [{ "id", "email", "password" }], "<table>": [rows] }
+const fs = require('fs');
+const { createClient } = require('@supabase/supabase-js');
+const { createSupabaseGateway } = require('./supabaseGateway');
+const { createMemoryGateway } = require('./memoryGateway');
+const { createSupabaseAuth, createMemoryAuth } = require('./auth');
+const { createPropertyRepository } = require('./properties');
+const { createReviewRepository } = require('./reviews');
+const { createAdminUserRepository } = require('./adminUsers');
+const { createLeadRepository } = require('./leads');
+const { createMailOutboxRepository } = require('./mailOutbox');
+const { createAuditLogRepository } = require('./auditLog');
+const { createSavedSearchRepository, createSavedSearchMatchRepository } = require('./savedSearches');
+const { createViewingAvailabilityRepository, createViewingRepository } = require('./viewings');
+const { createAmenityRepository } = require('./amenities');
+
+function createRepositories(gateway) {
+  return {
+    properties: createPropertyRepository(gateway),
+    reviews: createReviewRepository(gateway),
+    adminUsers: createAdminUserRepository(gateway),
+    leads: createLeadRepository(gateway),
+    mailOutbox: createMailOutboxRepository(gateway),
+    auditLog: createAuditLogRepository(gateway),
+    savedSearches: createSavedSearchRepository(gateway),
+    savedSearchMatches: createSavedSearchMatchRepository(gateway),
+    viewingAvailability: createViewingAvailabilityRepository(gateway),
+    viewings: createViewingRepository(gateway),
+    amenities: createAmenityRepository(gateway),
+  };
+}
+
+// In-memory data layer; `seed` has the MEMORY_SEED_FILE shape
+function createMemoryDataLayer(seed = {}) {
+  const { users = [], ...tables } = seed;
+  const gateway = createMemoryGateway(tables);
+  return { driver: 'memory', gateway, auth: createMemoryAuth(users), ...createRepositories(gateway) };
+}
+
+function createDataLayer(env = process.env) {
+  const driver = (env.DATA_DRIVER || 'supabase').toLowerCase();
+  switch (driver) {
+    case 'supabase': {
+      const client = require('../supabase');
+      const gateway = createSupabaseGateway(client);
+      const auth = createSupabaseAuth(client, {
+        // Session-bearing calls get a throwaway client so `client` stays service-role only
+        sessionClient: () => createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
+          auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
+        }),
+        jwtSecret: env.SUPABASE_JWT_SECRET,
+      });
+      return { driver, gateway, auth, ...createRepositories(gateway) };
+    }
+    case 'memory': {
+      const seed = env.MEMORY_SEED_FILE ? JSON.parse(fs.readFileSync(env.MEMORY_SEED_FILE, 'utf8')) : {};
+      return createMemoryDataLayer(seed);
+    }
+    default:
+      throw new Error(`Unknown DATA_DRIVER "${driver}" (expected supabase or memory)`);
+  }
+}
+
+const db = createDataLayer();
+
+module.exports = { db, createDataLayer, createMemoryDataLayer };
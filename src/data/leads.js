@@ -0,0 +1,51 @@
+// src/data/leads.js
+// Contact form submissions and their pipeline state.
+const { isBlank, toLikeTerm, pageWindow } = require('../lib/listQuery');
+
+const TABLE = 'leads';
+
+function createLeadRepository(gateway) {
+  return {
+    findById(id) {
+      return gateway.findOne(TABLE, [['id', 'eq', id]]);
+    },
+
+    /**
+     * Newest first. Filters: { status, assignedTo (null = unassigned), propertyId,
+     * source, q, from, to }; paging: { page, pageSize }. Returns { rows, total }.
+     */
+    search(filters, paging) {
+      const { status, assignedTo, propertyId, source, q, from, to } = filters;
+      const where = [];
+      if (status) where.push(['status', 'eq', status]);
+      if (assignedTo === null) where.push(['assigned_to', 'is', null]);
+      else if (assignedTo) where.push(['assigned_to', 'eq', assignedTo]);
+      if (propertyId) where.push(['property_id', 'eq', propertyId]);
+      if (source) where.push(['source', 'eq', source]);
+      if (from) where.push(['created_at', 'gte', new Date(from).toISOString()]);
+      if (to) where.push(['created_at', 'lte', new Date(to).toISOString()]);
+      if (!isBlank(q)) {
+        const term = `%${toLikeTerm(String(q))}%`;
+        where.push(['or', ['name', 'email', 'phone', 'subject'].map((col) => [col, 'ilike', term])]);
+      }
+
+      return gateway.select(TABLE, {
+        where,
+        orderBy: [{ column: 'created_at', ascending: false }],
+        ...pageWindow(paging),
+        count: true,
+      });
+    },
+
+    create(row) {
+      return gateway.insert(TABLE, row);
+    },
+
+    async update(id, changes) {
+      const [row] = await gateway.update(TABLE, [['id', 'eq', id]], changes);
+      return row || null;
+    },
+  };
+}
+
+module.exports = { createLeadRepository };
@@ -0,0 +1,49 @@
+// src/data/mailOutbox.js
+// Rows of the transactional email outbox (see src/mail/outbox.js).
+const TABLE = 'mail_outbox';
+
+function createMailOutboxRepository(gateway) {
+  return {
+    create(row) {
+      return gateway.insert(TABLE, row);
+    },
+
+    // Atomically move a pending row to 'sending'; null if another worker got it first
+    async claim(id, lockedAt = new Date()) {
+      const [row] = await gateway.update(
+        TABLE,
+        [['id', 'eq', id], ['status', 'eq', 'pending']],
+        { status: 'sending', locked_at: lockedAt.toISOString() },
+      );
+      return row || null;
+    },
+
+    async update(id, changes) {
+      const [row] = await gateway.update(TABLE, [['id', 'eq', id]], changes);
+      return row || null;
+    },
+
+    // Return 'sending' rows locked before `cutoff` to the queue (their worker died)
+    releaseStale(cutoff) {
+      return gateway.update(
+        TABLE,
+        [['status', 'eq', 'sending'], ['locked_at', 'lt', cutoff.toISOString()]],
+        { status: 'pending', locked_at: null },
+      );
+    },
+
+    // Ids of pending rows due at `now`, oldest first
+    async listDue(now, limit) {
+      const { rows } = await gateway.select(TABLE, {
+        columns: 'id',
+        where: [['status', 'eq', 'pending'], ['next_attempt_at', 'lte', now.toISOString()]],
+        orderBy: [{ column: 'next_attempt_at', ascending: true }],
+        offset: 0,
+        limit,
+      });
+      return rows.map((r) => r.id);
+    },
+  };
+}
+
+module.exports = { createMailOutboxRepository };
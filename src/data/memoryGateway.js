@@ -0,0 +1,345 @@
+// src/data/memoryGateway.js
+// In-process table gateway with the same contract as supabaseGateway.js.
+// Used for local development without a Supabase project and for tests.
+// Column defaults mirror supabase/migrations so rows look the same on both drivers.
+const { v4: uuidv4 } = require('uuid');
+const { LOCALES } = require('../lib/locales');
+
+const nowIso = () => new Date().toISOString();
+
+// Per-table primary key strategy and column defaults (functions are evaluated per insert)
+const TABLES = {
+  properties: {
+    id: 'serial',
+    defaults: {
+      images: () => [],
+      image_variants: () => ({}),
+      image_meta: () => ({}),
+      cover_image: null,
+      ratings: 0,
+      reviews: 0,
+      status: 'draft',
+      status_changed_at: null,
+      publish_at: null,
+      unpublish_at: null,
+      deleted_at: null,
+      deleted_by: null,
+      external_ref: null,
+      latitude: null,
+      longitude: null,
+      geocode_source: null,
+      geocoded_at: null,
+      amenities: () => [],
+      content_locale: LOCALES[0],
+      translations: () => ({}),
+      alerts_matched_at: null,
+      agent_id: null,
+      slug: null,
+      created_at: nowIso,
+      updated_at: null,
+    },
+  },
+  property_slug_redirects: {
+    id: 'serial',
+    defaults: { created_at: nowIso },
+  },
+  reviews: {
+    id: 'serial',
+    defaults: {
+      status: 'pending',
+      property_id: null,
+      image: null,
+      image_variants: null,
+      content_locale: LOCALES[0],
+      translations: () => ({}),
+      deleted_at: null,
+      deleted_by: null,
+      created_at: nowIso,
+    },
+  },
+  admin_users: {
+    id: 'serial',
+    defaults: {
+      is_admin: false,
+      role: 'viewer',
+      email: null,
+      invited_by: null,
+      invited_at: null,
+      revoked_at: null,
+      revoked_by: null,
+      created_at: nowIso,
+    },
+  },
+  leads: {
+    id: 'uuid',
+    defaults: {
+      source: 'contact_form',
+      status: 'new',
+      assigned_to: null,
+      notes: () => [],
+      status_changed_at: null,
+      created_at: nowIso,
+      updated_at: nowIso,
+    },
+  },
+  mail_outbox: {
+    id: 'uuid',
+    defaults: {
+      data: () => ({}),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: nowIso,
+      locked_at: null,
+      last_error: null,
+      sent_at: null,
+      created_at: nowIso,
+    },
+  },
+  saved_searches: {
+    id: 'uuid',
+    defaults: {
+      criteria: () => ({}),
+      frequency: 'daily',
+      status: 'pending',
+      confirm_token: null,
+      confirmed_at: null,
+      unsubscribed_at: null,
+      last_notified_at: null,
+      created_at: nowIso,
+    },
+  },
+  saved_search_matches: {
+    id: 'uuid',
+    defaults: { matched_at: nowIso, notify_after: nowIso, notified_at: null },
+  },
+  viewing_availability: {
+    id: 'uuid',
+    defaults: {
+      property_id: null,
+      agent_id: null,
+      slot_minutes: 30,
+      valid_from: null,
+      valid_until: null,
+      created_at: nowIso,
+    },
+  },
+  viewings: {
+    id: 'uuid',
+    defaults: {
+      agent_id: null,
+      status: 'booked',
+      notes: null,
+      locale: null,
+      lead_id: null,
+      sequence: 0,
+      cancelled_at: null,
+      cancelled_by: null,
+      created_at: nowIso,
+      updated_at: nowIso,
+    },
+  },
+  amenities: {
+    id: 'serial',
+    defaults: {
+      category: 'general',
+      icon: null,
+      labels: () => ({}),
+      aliases: () => [],
+      position: 0,
+      created_at: nowIso,
+      updated_at: nowIso,
+    },
+  },
+  amenity_migration_unmatched: {
+    id: 'serial',
+    defaults: { created_at: nowIso },
+  },
+  audit_log: {
+    id: 'serial',
+    defaults: { diff: () => ({}), created_at: nowIso },
+  },
+};
+
+const clone = (v) => (v === undefined ? v : structuredClone(v));
+
+// Row values as PostgREST receives them: JSON drops undefined keys
+const defined = (row) => Object.fromEntries(Object.entries(clone(row) || {}).filter(([, v]) => v !== undefined));
+
+// SQL LIKE pattern -> anchored RegExp (\ escapes the next character)
+function likeToRegExp(pattern, flags) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) {
+      i += 1;
+      source += pattern[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (ch === '%') source += '[\\s\\S]*';
+    else if (ch === '_') source += '[\\s\\S]';
+    else source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, flags);
+}
+
+// Postgres-ish comparison: numbers numerically, everything else as strings (ISO dates sort correctly)
+function compare(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && Number.isFinite(na) && Number.isFinite(nb)
+    && (typeof a === 'number' || typeof b === 'number')) return na - nb;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+const isNull = (v) => v === null || v === undefined;
+const same = (a, b) => (typeof a === typeof b ? a === b : String(a) === String(b));
+
+function matches(row, condition) {
+  if (condition[0] === 'or') return condition[1].some((c) => matches(row, c));
+  const [column, op, value] = condition;
+  const v = row[column];
+  switch (op) {
+    case 'is': return isNull(v);
+    case 'isNot': return !isNull(v);
+    case 'eq': return !isNull(v) && same(v, value);
+    case 'neq': return !isNull(v) && !same(v, value);
+    case 'in': return !isNull(v) && value.some((x) => same(v, x));
+    case 'gt': return !isNull(v) && compare(v, value) > 0;
+    case 'gte': return !isNull(v) && compare(v, value) >= 0;
+    case 'lt': return !isNull(v) && compare(v, value) < 0;
+    case 'lte': return !isNull(v) && compare(v, value) <= 0;
+    case 'like': return !isNull(v) && likeToRegExp(value, '').test(String(v));
+    case 'ilike': return !isNull(v) && likeToRegExp(value, 'i').test(String(v));
+    case 'ilikeAll': return !isNull(v) && value.every((p) => likeToRegExp(p, 'i').test(String(v)));
+    case 'contains':
+      if (Array.isArray(value)) return Array.isArray(v) && value.every((x) => v.some((y) => same(x, y)));
+      return !isNull(v) && Object.entries(value).every(([k, x]) => JSON.stringify(v[k]) === JSON.stringify(x));
+    case 'overlaps': return Array.isArray(v) && value.some((x) => v.some((y) => same(x, y)));
+    default: throw new Error(`Unknown operator "${op}"`);
+  }
+}
+
+function sortRows(rows, orderBy) {
+  if (!orderBy.length) return rows;
+  return rows.sort((a, b) => {
+    for (const { column, ascending = true, nullsFirst = false } of orderBy) {
+      const x = a[column];
+      const y = b[column];
+      if (isNull(x) && isNull(y)) continue;
+      if (isNull(x)) return nullsFirst ? -1 : 1;
+      if (isNull(y)) return nullsFirst ? 1 : -1;
+      const c = compare(x, y);
+      if (c !== 0) return ascending ? c : -c;
+    }
+    return 0;
+  });
+}
+
+const project = (row, columns) => {
+  if (!columns || columns === '*') return clone(row);
+  const out = {};
+  for (const col of columns.split(',').map((c) => c.trim())) out[col] = clone(row[col]);
+  return out;
+};
+
+/**
+ * Create an empty in-memory database. `seed` is { [table]: rows[] } and is
+ * inserted through the normal path, so defaults and ids are filled in.
+ */
+function createMemoryGateway(seed = {}) {
+  const tables = new Map();
+  const sequences = new Map();
+
+  const rowsOf = (table) => {
+    if (!tables.has(table)) tables.set(table, []);
+    return tables.get(table);
+  };
+
+  function materialize(table, input) {
+    const config = TABLES[table] || { id: 'serial', defaults: {} };
+    const row = {};
+    for (const [key, def] of Object.entries(config.defaults)) {
+      row[key] = typeof def === 'function' ? def() : def;
+    }
+    Object.assign(row, defined(input));
+    if (isNull(row.id)) {
+      if (config.id === 'uuid') row.id = uuidv4();
+      else {
+        const next = (sequences.get(table) || 0) + 1;
+        sequences.set(table, next);
+        row.id = next;
+      }
+    } else if (typeof row.id === 'number' && row.id > (sequences.get(table) || 0)) {
+      sequences.set(table, row.id);
+    }
+    return row;
+  }
+
+  const gateway = {
+    async select(table, { where = [], columns = '*', orderBy = [], offset, limit, count = false } = {}) {
+      let rows = rowsOf(table).filter((row) => where.every((c) => matches(row, c)));
+      const total = rows.length;
+      rows = sortRows(rows, orderBy);
+      if (limit !== undefined) rows = rows.slice(offset || 0, (offset || 0) + limit);
+      return { rows: rows.map((r) => project(r, columns)), total: count ? total : undefined };
+    },
+
+    async findOne(table, where, { columns = '*' } = {}) {
+      const row = rowsOf(table).find((r) => where.every((c) => matches(r, c)));
+      return row ? project(row, columns) : null;
+    },
+
+    async insert(table, input) {
+      const row = materialize(table, input);
+      rowsOf(table).push(row);
+      return clone(row);
+    },
+
+    async insertMany(table, inputs) {
+      const out = [];
+      for (const input of inputs) out.push(await gateway.insert(table, input));
+      return out;
+    },
+
+    async update(table, where, changes) {
+      const updated = [];
+      for (const row of rowsOf(table)) {
+        if (!where.every((c) => matches(row, c))) continue;
+        Object.assign(row, defined(changes));
+        updated.push(clone(row));
+      }
+      return updated;
+    },
+
+    async upsert(table, input, { onConflict = 'id' } = {}) {
+      const keys = onConflict.split(',').map((k) => k.trim());
+      const existing = rowsOf(table).find((row) => keys.every((k) => same(row[k], input[k])));
+      if (!existing) return gateway.insert(table, input);
+      Object.assign(existing, defined(input));
+      return clone(existing);
+    },
+
+    async remove(table, where) {
+      const rows = rowsOf(table);
+      const removed = rows.filter((row) => where.every((c) => matches(row, c)));
+      tables.set(table, rows.filter((row) => !removed.includes(row)));
+      return removed.map(clone);
+    },
+
+    // Test helpers (not part of the gateway contract)
+    reset() {
+      tables.clear();
+      sequences.clear();
+    },
+    dump(table) {
+      return clone(rowsOf(table));
+    },
+  };
+
+  for (const [table, rows] of Object.entries(seed)) {
+    for (const row of rows) rowsOf(table).push(materialize(table, row));
+  }
+
+  return gateway;
+}
+
+module.exports = { createMemoryGateway, likeToRegExp };
@@ -0,0 +1,247 @@
+// src/data/properties.js
+// Property listings. Soft-deleted rows (deleted_at set) are hidden unless asked for.
+// Every listing gets a unique slug from its name and location (src/lib/slugs.js) on create;
+// renames move it to a new slug and keep the old one in property_slug_redirects.
+const { pageWindow, toLikeTerm } = require('../lib/listQuery');
+const {
+  GEO_SEARCH_MAX_ROWS,
+  propertyFilters,
+  propertyOrder,
+  isGeoSearch,
+  geoPrefilter,
+  applyGeoSearch,
+} = require('../lib/propertyQuery');
+const { publicVisibilityFilters } = require('../lib/listingStatus');
+const { slugBase, hasSlugBase } = require('../lib/slugs');
+
+const TABLE = 'properties';
+const REDIRECTS = 'property_slug_redirects';
+const ACTIVE = ['deleted_at', 'is', null];
+const DELETED = ['deleted_at', 'isNot', null];
+const REF_CHUNK = 100;
+// All a geo search needs to match and rank a listing (see search()), read in batches
+// no larger than PostgREST's default max-rows (1000)
+const GEO_COLUMNS = 'id, latitude, longitude';
+const GEO_BATCH = 1000;
+const SLUG_TRIES = 20;
+
+// Postgres unique_violation (properties_slug_key when two listings race for a slug)
+const isUniqueViolation = (err) => err?.code === '23505';
+
+function createPropertyRepository(gateway) {
+  // First free slug among base, base-2, base-3, ... Slugs kept as redirects stay reserved,
+  // except for the listing they point to (renaming back reclaims them).
+  const freeSlug = async (base, propertyId = null) => {
+    const candidates = [base, ...Array.from({ length: SLUG_TRIES - 1 }, (_, i) => `${base}-${i + 2}`)];
+    const [{ rows: used }, { rows: reserved }] = await Promise.all([
+      gateway.select(TABLE, { where: [['slug', 'in', candidates]], columns: 'id, slug' }),
+      gateway.select(REDIRECTS, { where: [['slug', 'in', candidates]], columns: 'slug, property_id' }),
+    ]);
+    const taken = new Set([
+      ...used.filter((row) => String(row.id) !== String(propertyId)).map((row) => row.slug),
+      ...reserved.filter((row) => String(row.property_id) !== String(propertyId)).map((row) => row.slug),
+    ]);
+    return candidates.find((slug) => !taken.has(slug)) || `${base}-${Date.now().toString(36)}`;
+  };
+
+  // Retry once when another write took the slug between the lookup and the write
+  const withFreeSlug = async (base, propertyId, write) => {
+    try {
+      return await write(await freeSlug(base, propertyId));
+    } catch (err) {
+      if (!isUniqueViolation(err)) throw err;
+      return write(await freeSlug(base, propertyId));
+    }
+  };
+
+  // Active listings by id (missing ids are skipped)
+  const findByIds = async (ids) => {
+    const out = [];
+    const unique = [...new Set(ids)];
+    for (let i = 0; i < unique.length; i += REF_CHUNK) {
+      const { rows } = await gateway.select(TABLE, { where: [ACTIVE, ['id', 'in', unique.slice(i, i + REF_CHUNK)]] });
+      out.push(...rows);
+    }
+    return out;
+  };
+
+  return {
+    // Active listing by id, or a trashed one with { deleted: true }; null when missing
+    findById(id, { deleted = false } = {}) {
+      return gateway.findOne(TABLE, [['id', 'eq', id], deleted ? DELETED : ACTIVE]);
+    },
+
+    /**
+     * Page of active listings for a parsePropertyQuery() spec.
+     * { publicOnly } restricts to listings the public may see at `now`.
+     * Geo searches (bbox / radius) match on `point(row)` — the coordinates the
+     * caller is shown — widened in the database by `marginKm`; see applyGeoSearch.
+     * They rank up to GEO_SEARCH_MAX_ROWS candidates (id and coordinates only) and
+     * then load the page's rows; `truncated` is true when there were more candidates,
+     * so `total` and a distance order may miss listings.
+     * Returns { rows, total, truncated? }.
+     */
+    async search(spec, { publicOnly = false, now = new Date(), point, marginKm = 0 } = {}) {
+      const where = [ACTIVE, ...(publicOnly ? publicVisibilityFilters(now) : []), ...propertyFilters(spec, { publicOnly })];
+      if (!isGeoSearch(spec)) {
+        return gateway.select(TABLE, { where, orderBy: propertyOrder(spec), ...pageWindow(spec), count: true });
+      }
+
+      // One more than the cap tells whether any were left out
+      const candidates = [];
+      for (let offset = 0; offset <= GEO_SEARCH_MAX_ROWS; offset += GEO_BATCH) {
+        const limit = Math.min(GEO_BATCH, GEO_SEARCH_MAX_ROWS + 1 - offset);
+        const { rows: batch } = await gateway.select(TABLE, {
+          where: [...where, ...geoPrefilter(spec, marginKm)],
+          columns: GEO_COLUMNS,
+          orderBy: propertyOrder(spec),
+          offset,
+          limit,
+        });
+        candidates.push(...batch);
+        if (batch.length < limit) break;
+      }
+      const { rows: page, total } = applyGeoSearch(
+        candidates.slice(0, GEO_SEARCH_MAX_ROWS),
+        spec,
+        point || ((row) => ({ lat: Number(row.latitude), lng: Number(row.longitude) })),
+      );
+
+      const byId = new Map((await findByIds(page.map((row) => row.id))).map((row) => [String(row.id), row]));
+      const rows = page
+        .filter((row) => byId.has(String(row.id)))
+        .map((row) => ({ ...byId.get(String(row.id)), ...(row.distance_km !== undefined ? { distance_km: row.distance_km } : {}) }));
+      return { rows, total, truncated: candidates.length > GEO_SEARCH_MAX_ROWS };
+    },
+
+    /**
+     * Listings (trashed ones included) whose external_ref is in `refs`,
+     * as a Map of external_ref -> row. Looked up in chunks to keep URLs short.
+     */
+    async findByExternalRefs(refs) {
+      const found = new Map();
+      const unique = [...new Set(refs)];
+      for (let i = 0; i < unique.length; i += REF_CHUNK) {
+        const { rows } = await gateway.select(TABLE, { where: [['external_ref', 'in', unique.slice(i, i + REF_CHUNK)]] });
+        rows.forEach((row) => found.set(row.external_ref, row));
+      }
+      return found;
+    },
+
+    findByIds,
+
+    /**
+     * Public listings worth ranking against `property` (src/lib/similarity.js): up to
+     * `limit` newest in a matching location, plus up to `limit` newest priced within
+     * `priceBand` (a fraction) of it. `property` itself is left out.
+     */
+    async listSimilarCandidates(property, { now = new Date(), priceBand, limit }) {
+      const where = [ACTIVE, ...publicVisibilityFilters(now), ['id', 'neq', property.id]];
+      const newest = { orderBy: [{ column: 'created_at', ascending: false }], offset: 0, limit };
+      const price = Number(property.price) || 0;
+      const location = toLikeTerm(String(property.location || ''));
+
+      const [byLocation, byPrice] = await Promise.all([
+        location
+          ? gateway.select(TABLE, { where: [...where, ['location', 'ilike', `%${location}%`]], ...newest })
+          : { rows: [] },
+        gateway.select(TABLE, {
+          where: [...where, ['price', 'gte', price * (1 - priceBand)], ['price', 'lte', price * (1 + priceBand)]],
+          ...newest,
+        }),
+      ]);
+
+      const byId = new Map();
+      [...byLocation.rows, ...byPrice.rows].forEach((row) => byId.set(String(row.id), row));
+      return [...byId.values()];
+    },
+
+    // Listings (trashed ones included) that carry amenity `key`
+    async countWithAmenity(key) {
+      const { total } = await gateway.select(TABLE, { columns: 'id', where: [['amenities', 'contains', [key]]], count: true, limit: 1 });
+      return total;
+    },
+
+    // Active listing whose current slug is `slug`, or null
+    findBySlug(slug) {
+      return gateway.findOne(TABLE, [['slug', 'eq', slug], ACTIVE]);
+    },
+
+    // Active listing that used to live at `slug` (renamed since), or null
+    async findBySlugRedirect(slug) {
+      const redirect = await gateway.findOne(REDIRECTS, [['slug', 'eq', slug]]);
+      return redirect ? gateway.findOne(TABLE, [['id', 'eq', redirect.property_id], ACTIVE]) : null;
+    },
+
+    /**
+     * Page of public listings (sitemap, feeds). Options: { offset, limit, columns,
+     * statuses (narrower than the public ones), orderBy (default id ascending) }.
+     */
+    async listPublic(now, { offset, limit, columns, statuses, orderBy = [{ column: 'id', ascending: true }] }) {
+      const where = [ACTIVE, ...publicVisibilityFilters(now)];
+      if (statuses) where.push(['status', 'in', statuses]);
+      const { rows } = await gateway.select(TABLE, { where, columns, orderBy, offset, limit });
+      return rows;
+    },
+
+    // Public listings not yet run through saved-search alerts, oldest first
+    async listUnmatchedForAlerts(now, limit) {
+      const { rows } = await gateway.select(TABLE, {
+        where: [ACTIVE, ...publicVisibilityFilters(now), ['alerts_matched_at', 'is', null]],
+        orderBy: [{ column: 'created_at', ascending: true }],
+        offset: 0,
+        limit,
+      });
+      return rows;
+    },
+
+    // Mark a listing as matched; null if another worker got it first
+    async claimForAlerts(id, at = new Date()) {
+      const [row] = await gateway.update(
+        TABLE,
+        [['id', 'eq', id], ['alerts_matched_at', 'is', null]],
+        { alerts_matched_at: at.toISOString() },
+      );
+      return row || null;
+    },
+
+    async listDeleted() {
+      const { rows } = await gateway.select(TABLE, {
+        where: [DELETED],
+        orderBy: [{ column: 'deleted_at', ascending: false }],
+      });
+      return rows;
+    },
+
+    create(row) {
+      const now = new Date().toISOString();
+      return withFreeSlug(slugBase(row), null, (slug) => gateway.insert(TABLE, { ...row, slug, updated_at: now }));
+    },
+
+    /**
+     * Returns the updated row, or null when no row has that id. Changing `name` or
+     * `location` moves the listing to a new slug; the old one keeps redirecting.
+     */
+    async update(id, changes) {
+      const write = async (extra = {}) => {
+        const [row] = await gateway.update(TABLE, [['id', 'eq', id]], { ...changes, ...extra, updated_at: new Date().toISOString() });
+        return row || null;
+      };
+      if (!('name' in changes) && !('location' in changes)) return write();
+
+      const before = await gateway.findOne(TABLE, [['id', 'eq', id]]);
+      if (!before) return null;
+      const base = slugBase({ ...before, ...changes });
+      if (before.slug && hasSlugBase(before.slug, base)) return write();
+
+      const row = await withFreeSlug(base, id, (slug) => write({ slug }));
+      if (row && before.slug && before.slug !== row.slug) {
+        await gateway.upsert(REDIRECTS, { slug: before.slug, property_id: before.id }, { onConflict: 'slug' });
+      }
+      if (row) await gateway.remove(REDIRECTS, [['slug', 'eq', row.slug]]);
+      return row;
+    },
+  };
+}
+
+module.exports = { createPropertyRepository };
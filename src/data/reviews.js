@@ -0,0 +1,42 @@
+// src/data/reviews.js
+// Customer reviews (moderated). Soft-deleted rows are hidden unless asked for.
+const TABLE = 'reviews';
+const ACTIVE = ['deleted_at', 'is', null];
+const DELETED = ['deleted_at', 'isNot', null];
+const NEWEST_FIRST = [{ column: 'created_at', ascending: false }];
+
+function createReviewRepository(gateway) {
+  return {
+    findById(id, { deleted = false } = {}) {
+      return gateway.findOne(TABLE, [['id', 'eq', id], deleted ? DELETED : ACTIVE]);
+    },
+
+    // Active reviews, newest first. Filters: { status?, propertyId? }
+    async list({ status, propertyId } = {}) {
+      const where = [ACTIVE];
+      if (status) where.push(['status', 'eq', status]);
+      if (propertyId !== undefined) where.push(['property_id', 'eq', propertyId]);
+      const { rows } = await gateway.select(TABLE, { where, orderBy: NEWEST_FIRST });
+      return rows;
+    },
+
+    async listDeleted() {
+      const { rows } = await gateway.select(TABLE, {
+        where: [DELETED],
+        orderBy: [{ column: 'deleted_at', ascending: false }],
+      });
+      return rows;
+    },
+
+    create(row) {
+      return gateway.insert(TABLE, row);
+    },
+
+    async update(id, changes) {
+      const [row] = await gateway.update(TABLE, [['id', 'eq', id]], changes);
+      return row || null;
+    },
+  };
+}
+
+module.exports = { createReviewRepository };
@@ -0,0 +1,111 @@
+// src/data/savedSearches.js
+// Visitors' saved searches (new-listing alerts) and the listings matched to them.
+// See src/alerts for the matcher and digests.
+const TABLE = 'saved_searches';
+const MATCHES = 'saved_search_matches';
+const PAGE = 1000;
+const ID_CHUNK = 100;
+
+// Every row of a select, read in pages (PostgREST caps a single response)
+async function selectAll(gateway, table, options) {
+  const out = [];
+  for (let offset = 0; ; offset += PAGE) {
+    const { rows } = await gateway.select(table, { ...options, offset, limit: PAGE });
+    out.push(...rows);
+    if (rows.length < PAGE) return out;
+  }
+}
+
+function createSavedSearchRepository(gateway) {
+  return {
+    create(row) {
+      return gateway.insert(TABLE, row);
+    },
+
+    async update(id, changes) {
+      const [row] = await gateway.update(TABLE, [['id', 'eq', id]], changes);
+      return row || null;
+    },
+
+    findByConfirmToken(token) {
+      return gateway.findOne(TABLE, [['confirm_token', 'eq', token]]);
+    },
+
+    findByUnsubscribeToken(token) {
+      return gateway.findOne(TABLE, [['unsubscribe_token', 'eq', token]]);
+    },
+
+    // Pending and active searches of one address
+    async listLiveForEmail(email) {
+      const { rows } = await gateway.select(TABLE, {
+        where: [['email', 'eq', email], ['status', 'in', ['pending', 'active']]],
+        orderBy: [{ column: 'created_at', ascending: true }],
+      });
+      return rows;
+    },
+
+    listActive() {
+      return selectAll(gateway, TABLE, {
+        where: [['status', 'eq', 'active']],
+        orderBy: [{ column: 'created_at', ascending: true }],
+      });
+    },
+
+    async findByIds(ids) {
+      const out = [];
+      for (let i = 0; i < ids.length; i += ID_CHUNK) {
+        const { rows } = await gateway.select(TABLE, { where: [['id', 'in', ids.slice(i, i + ID_CHUNK)]] });
+        out.push(...rows);
+      }
+      return out;
+    },
+  };
+}
+
+function createSavedSearchMatchRepository(gateway) {
+  return {
+    // Idempotent: a listing is matched to a search at most once
+    record(savedSearchId, propertyId, notifyAfter) {
+      return gateway.upsert(
+        MATCHES,
+        { saved_search_id: savedSearchId, property_id: propertyId, notify_after: notifyAfter.toISOString() },
+        { onConflict: 'saved_search_id,property_id' },
+      );
+    },
+
+    // Searches with unsent matches due at `now`
+    async listDueSearchIds(now, limit) {
+      const { rows } = await gateway.select(MATCHES, {
+        columns: 'saved_search_id',
+        where: [['notified_at', 'is', null], ['notify_after', 'lte', now.toISOString()]],
+        orderBy: [{ column: 'notify_after', ascending: true }],
+        offset: 0,
+        limit,
+      });
+      return [...new Set(rows.map((r) => r.saved_search_id))];
+    },
+
+    // Atomically mark a search's due matches as sent; returns the rows this caller got
+    claimDue(savedSearchId, now) {
+      return gateway.update(
+        MATCHES,
+        [['saved_search_id', 'eq', savedSearchId], ['notified_at', 'is', null], ['notify_after', 'lte', now.toISOString()]],
+        { notified_at: now.toISOString() },
+      );
+    },
+
+    // Put claimed matches back (the email could not be queued)
+    async release(ids) {
+      for (let i = 0; i < ids.length; i += ID_CHUNK) {
+        await gateway.update(MATCHES, [['id', 'in', ids.slice(i, i + ID_CHUNK)]], { notified_at: null });
+      }
+    },
+
+    // Drop unsent matches of a search (e.g. after unsubscribe)
+    removePending(savedSearchId) {
+      return gateway.remove(MATCHES, [['saved_search_id', 'eq', savedSearchId], ['notified_at', 'is', null]]);
+    },
+  };
+}
+
+module.exports = { createSavedSearchRepository, createSavedSearchMatchRepository };
@@ -0,0 +1,117 @@
+// src/data/supabaseGateway.js
+// Table gateway over PostgREST (supabase-js). The gateway contract is documented in ./index.js.
+
+// Render a value inside a PostgREST `or=(...)` expression
+const orValue = (v) => (v === null ? 'null' : String(v));
+
+function orExpression(conditions) {
+  return conditions.map(([column, op, value]) => {
+    switch (op) {
+      case 'is': return `${column}.is.null`;
+      case 'isNot': return `${column}.not.is.null`;
+      case 'in': return `${column}.in.(${value.map(orValue).join(',')})`;
+      case 'eq': case 'neq': case 'gt': case 'gte': case 'lt': case 'lte': case 'like': case 'ilike':
+        return `${column}.${op}.${orValue(value)}`;
+      default:
+        throw new Error(`Operator "${op}" is not supported inside an OR group`);
+    }
+  }).join(',');
+}
+
+function applyWhere(query, where = []) {
+  let q = query;
+  for (const condition of where) {
+    if (condition[0] === 'or') {
+      q = q.or(orExpression(condition[1]));
+      continue;
+    }
+    const [column, op, value] = condition;
+    switch (op) {
+      case 'eq': q = q.eq(column, value); break;
+      case 'neq': q = q.neq(column, value); break;
+      case 'gt': q = q.gt(column, value); break;
+      case 'gte': q = q.gte(column, value); break;
+      case 'lt': q = q.lt(column, value); break;
+      case 'lte': q = q.lte(column, value); break;
+      case 'in': q = q.in(column, value); break;
+      case 'is': q = q.is(column, null); break;
+      case 'isNot': q = q.not(column, 'is', null); break;
+      case 'like': q = q.like(column, value); break;
+      case 'ilike': q = q.ilike(column, value); break;
+      case 'ilikeAll': q = q.ilikeAllOf(column, value); break;
+      case 'contains': q = q.contains(column, value); break;
+      case 'overlaps': q = q.overlaps(column, value); break;
+      default: throw new Error(`Unknown operator "${op}"`);
+    }
+  }
+  return q;
+}
+
+// supabase-js returns errors instead of throwing; surface them as exceptions
+function check({ data, error, count }) {
+  if (error) {
+    throw Object.assign(new Error(error.message), { code: error.code, details: error.details });
+  }
+  return { data, count };
+}
+
+// PostgREST answers 416 (PGRST103) for an offset past the last row
+const isRangeNotSatisfiable = (error) => error?.code === 'PGRST103';
+
+async function countRows(client, table, where) {
+  const { count } = check(await applyWhere(client.from(table).select('*', { count: 'exact', head: true }), where));
+  return count || 0;
+}
+
+function createSupabaseGateway(client) {
+  return {
+    async select(table, { where, columns = '*', orderBy = [], offset, limit, count = false } = {}) {
+      let q = client.from(table).select(columns, count ? { count: 'exact' } : undefined);
+      q = applyWhere(q, where);
+      for (const { column, ascending = true, nullsFirst = false } of orderBy) {
+        q = q.order(column, { ascending, nullsFirst });
+      }
+      if (limit !== undefined) q = q.range(offset || 0, (offset || 0) + limit - 1);
+      const result = await q;
+      // A page past the end is empty, as on the memory driver; the count comes from a second query
+      if (isRangeNotSatisfiable(result.error)) {
+        return { rows: [], total: count ? await countRows(client, table, where) : undefined };
+      }
+      const { data, count: total } = check(result);
+      return { rows: data || [], total: count ? total || 0 : undefined };
+    },
+
+    async findOne(table, where, { columns = '*' } = {}) {
+      const { data } = check(await applyWhere(client.from(table).select(columns), where).limit(1).maybeSingle());
+      return data || null;
+    },
+
+    async insert(table, row) {
+      const { data } = check(await client.from(table).insert(row).select().single());
+      return data;
+    },
+
+    async insertMany(table, rows) {
+      if (!rows.length) return [];
+      const { data } = check(await client.from(table).insert(rows).select());
+      return data || [];
+    },
+
+    async update(table, where, changes) {
+      const { data } = check(await applyWhere(client.from(table).update(changes), where).select());
+      return data || [];
+    },
+
+    async upsert(table, row, { onConflict } = {}) {
+      const { data } = check(await client.from(table).upsert(row, { onConflict }).select().single());
+      return data;
+    },
+
+    async remove(table, where) {
+      const { data } = check(await applyWhere(client.from(table).delete(), where).select());
+      return data || [];
+    },
+  };
+}
+
+module.exports = { createSupabaseGateway };
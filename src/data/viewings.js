@@ -0,0 +1,108 @@
+// src/data/viewings.js
+// Viewing availability rules and booked viewings (see src/viewings).
+const { pageWindow } = require('../lib/listQuery');
+
+const RULES = 'viewing_availability';
+const TABLE = 'viewings';
+
+const ruleOrder = [
+  { column: 'weekday', ascending: true },
+  { column: 'start_time', ascending: true },
+];
+
+function createViewingAvailabilityRepository(gateway) {
+  return {
+    findById(id) {
+      return gateway.findOne(RULES, [['id', 'eq', id]]);
+    },
+
+    // Filters: { propertyId, agentId }
+    async list({ propertyId, agentId } = {}) {
+      const where = [];
+      if (propertyId) where.push(['property_id', 'eq', propertyId]);
+      if (agentId) where.push(['agent_id', 'eq', agentId]);
+      const { rows } = await gateway.select(RULES, { where, orderBy: ruleOrder });
+      return rows;
+    },
+
+    // Rules that offer viewings of a listing: its own, plus its agent's agent-wide ones
+    async forProperty(propertyId, agentId) {
+      const { rows } = await gateway.select(RULES, { where: [['property_id', 'eq', propertyId]], orderBy: ruleOrder });
+      if (!agentId) return rows;
+      const { rows: agentRows } = await gateway.select(RULES, {
+        where: [['property_id', 'is', null], ['agent_id', 'eq', agentId]],
+        orderBy: ruleOrder,
+      });
+      return [...rows, ...agentRows];
+    },
+
+    create(row) {
+      return gateway.insert(RULES, row);
+    },
+
+    async remove(id) {
+      const [row] = await gateway.remove(RULES, [['id', 'eq', id]]);
+      return row || null;
+    },
+  };
+}
+
+function createViewingRepository(gateway) {
+  return {
+    findById(id) {
+      return gateway.findOne(TABLE, [['id', 'eq', id]]);
+    },
+
+    findByToken(token) {
+      return gateway.findOne(TABLE, [['manage_token', 'eq', token]]);
+    },
+
+    /**
+     * Booked viewings overlapping [from, to) of a listing or of any of `agentIds`
+     * (an agent cannot be at two viewings at once).
+     */
+    async listBooked({ propertyId, agentIds = [], from, to }) {
+      const owners = [['property_id', 'eq', propertyId], ...agentIds.map((id) => ['agent_id', 'eq', id])];
+      const { rows } = await gateway.select(TABLE, {
+        where: [
+          ['status', 'eq', 'booked'],
+          ['starts_at', 'lt', to.toISOString()],
+          ['ends_at', 'gt', from.toISOString()],
+          ['or', owners],
+        ],
+        orderBy: [{ column: 'starts_at', ascending: true }],
+      });
+      return rows;
+    },
+
+    /**
+     * Soonest first. Filters: { propertyId, agentId, status, from, to };
+     * paging: { page, pageSize }. Returns { rows, total }.
+     */
+    search({ propertyId, agentId, status, from, to }, paging) {
+      const where = [];
+      if (propertyId) where.push(['property_id', 'eq', propertyId]);
+      if (agentId) where.push(['agent_id', 'eq', agentId]);
+      if (status) where.push(['status', 'eq', status]);
+      if (from) where.push(['starts_at', 'gte', new Date(from).toISOString()]);
+      if (to) where.push(['starts_at', 'lte', new Date(to).toISOString()]);
+      return gateway.select(TABLE, {
+        where,
+        orderBy: [{ column: 'starts_at', ascending: true }],
+        ...pageWindow(paging),
+        count: true,
+      });
+    },
+
+    create(row) {
+      return gateway.insert(TABLE, row);
+    },
+
+    async update(id, changes) {
+      const [row] = await gateway.update(TABLE, [['id', 'eq', id]], changes);
+      return row || null;
+    },
+  };
+}
+
+module.exports = { createViewingAvailabilityRepository, createViewingRepository };
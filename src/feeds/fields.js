@@ -0,0 +1,55 @@
+// src/feeds/fields.js
+// Field mapping: which listing value fills each feed field.
+//   "location"                       the listing's `location` column
+//   ["external_ref", "slug", "id"]   the first of these that is set
+//   { "value": "apartment" }         a fixed value for every listing
+// A feed's defaults can be overridden per field with FEED_<NAME>_FIELDS (JSON), e.g.
+//   FEED_KYERO_FIELDS='{"province":{"value":"Madrid"},"type":{"value":"villa"}}'
+
+const isSet = (v) => v !== undefined && v !== null && v !== '';
+
+const isSource = (source) => typeof source === 'string'
+  || (Array.isArray(source) && source.length && source.every((s) => typeof s === 'string'))
+  || (source && typeof source === 'object' && !Array.isArray(source) && 'value' in source);
+
+/**
+ * Feed defaults merged with the JSON overrides in `env[FEED_<NAME>_FIELDS]`.
+ * Throws on invalid JSON, unknown feed fields or malformed sources, so a bad
+ * setting fails at startup rather than producing a broken feed.
+ */
+function fieldMapping(name, defaults, env = process.env) {
+  const variable = `FEED_${name.toUpperCase()}_FIELDS`;
+  const raw = env[variable];
+  if (!raw) return { ...defaults };
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${variable} is not valid JSON: ${err.message}`);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`${variable} must be a JSON object of feed field -> source`);
+  }
+  for (const [field, source] of Object.entries(overrides)) {
+    if (!(field in defaults)) throw new Error(`${variable}: unknown field "${field}" (known: ${Object.keys(defaults).join(', ')})`);
+    if (source !== null && !isSource(source)) throw new Error(`${variable}: invalid source for "${field}"`);
+  }
+  return { ...defaults, ...overrides };
+}
+
+// Value of one mapped field for a listing (undefined when unmapped or empty)
+function resolveField(property, source) {
+  if (source === null || source === undefined) return undefined;
+  if (typeof source === 'object' && !Array.isArray(source)) return isSet(source.value) ? source.value : undefined;
+  const columns = Array.isArray(source) ? source : [source];
+  const column = columns.find((c) => isSet(property[c]));
+  return column ? property[column] : undefined;
+}
+
+/** { [feed field]: value } for a listing under `mapping`. */
+const resolveFields = (property, mapping) => Object.fromEntries(
+  Object.entries(mapping).map(([field, source]) => [field, resolveField(property, source)]),
+);
+
+module.exports = { isSet, fieldMapping, resolveFields };
@@ -0,0 +1,126 @@
+// src/feeds/index.js
+// Syndication feeds of public listings for portals and feed readers:
+//   kyero  Kyero XML v3, every valid public listing      GET /feeds/kyero.xml
+//   rss    RSS 2.0, the newest published listings        GET /feeds/rss.xml
+//
+//   FEED_<NAME>_FIELDS  JSON field mapping overrides (see ./fields.js)
+//   FEED_<NAME>_TOKEN   when set, the feed requires ?token=<value>
+//   FEED_CACHE_TTL_MS   how long a built feed is served from memory (default 10 min; 0 disables)
+//
+// Listings a feed cannot carry (a required field is empty, no usable image...) are
+// left out; GET /admin/feeds/:name/report lists them with the reasons.
+const crypto = require('crypto');
+const { db } = require('../data');
+const { LOCALES, FALLBACK_LOCALE } = require('../lib/locales');
+const { localize } = require('../lib/translations');
+const { buildGallery } = require('../lib/gallery');
+const { withLocation } = require('../lib/propertyLocation');
+const { resolveAmenities } = require('../lib/amenities');
+const { propertyUrl, apiUrl } = require('../lib/urls');
+const { createTtlCache } = require('../lib/ttlCache');
+const { amenityCatalogue } = require('../amenities');
+const { isSet, fieldMapping, resolveFields } = require('./fields');
+const kyero = require('./kyero');
+const rss = require('./rss');
+
+const BATCH_SIZE = 500;
+
+const FEEDS = Object.fromEntries([kyero, rss].map((feed) => [feed.name, { ...feed, mapping: fieldMapping(feed.name, feed.defaults) }]));
+
+const feedCache = createTtlCache({ ttlMs: Number(process.env.FEED_CACHE_TTL_MS ?? 600000), maxEntries: 20 });
+
+const tokenOf = (name) => process.env[`FEED_${name.toUpperCase()}_TOKEN`] || '';
+
+/** True when `token` opens the feed (always, for a feed without FEED_<NAME>_TOKEN). */
+function feedTokenValid(name, token) {
+  const expected = tokenOf(name);
+  if (!expected) return true;
+  const given = String(token || '');
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+// Feed-ready view of a listing plus the reasons it cannot go in the feed (none = valid).
+// `amenities` holds the catalogue labels of the listing's amenities per locale.
+function prepare(feed, row, locale, catalogue) {
+  const publicRow = withLocation(row, { exact: false });
+  const localized = Object.fromEntries(LOCALES.map((l) => [l, localize(publicRow, 'property', l)]));
+  const property = localized[locale];
+  const { gallery } = buildGallery(row);
+  const images = gallery.length ? gallery.map((img) => img.full) : [row.image].filter(Boolean);
+  const values = resolveFields(property, feed.mapping);
+
+  const amenities = Object.fromEntries(LOCALES.map((l) => [l, resolveAmenities(row.amenities, catalogue, l).map((a) => a.label)]));
+
+  const entry = { property, localized, values, images, amenities, url: propertyUrl(row) };
+  const reasons = [
+    ...feed.required.filter((field) => !isSet(values[field])).map((field) => `missing ${field}`),
+    ...feed.check(entry),
+  ];
+  return { entry, reasons };
+}
+
+/**
+ * Candidates for a feed, split into valid entries and exclusions
+ * ([{ propertyId, name, reasons }]). `total` counts every listing checked.
+ */
+async function collect(feed, locale) {
+  const now = new Date();
+  const catalogue = await amenityCatalogue();
+  const entries = [];
+  const excluded = [];
+  let total = 0;
+  for (let offset = 0; entries.length < feed.limit; offset += BATCH_SIZE) {
+    const batch = await db.properties.listPublic(now, { offset, limit: BATCH_SIZE, statuses: feed.statuses, orderBy: feed.orderBy });
+    for (const row of batch) {
+      if (entries.length >= feed.limit) break;
+      total += 1;
+      const { entry, reasons } = prepare(feed, row, locale, catalogue);
+      if (reasons.length) excluded.push({ propertyId: row.id, name: row.name, reasons });
+      else entries.push(entry);
+    }
+    if (batch.length < BATCH_SIZE) break;
+  }
+  return { entries: feed.sort ? feed.sort(entries) : entries, excluded, total };
+}
+
+const feedLocale = (feed, locale) => (feed.localized && LOCALES.includes(locale) ? locale : FALLBACK_LOCALE);
+
+/** [{ name, title, url, contentType, localized, protected, mapping }] for the admin overview. */
+const listFeeds = () => Object.values(FEEDS).map((feed) => ({
+  name: feed.name,
+  title: feed.title,
+  url: apiUrl(`/feeds/${feed.name}.xml`),
+  contentType: feed.contentType,
+  localized: Boolean(feed.localized),
+  protected: Boolean(tokenOf(feed.name)),
+  mapping: feed.mapping,
+}));
+
+const getFeed = (name) => (Object.hasOwn(FEEDS, name) ? FEEDS[name] : null);
+
+/** The feed document (cached per feed and locale). */
+function renderFeed(name, locale) {
+  const feed = FEEDS[name];
+  const served = feedLocale(feed, locale);
+  return feedCache.wrap(`${name}|${served}`, async () => {
+    const { entries } = await collect(feed, served);
+    return feed.render(entries, { locale: served });
+  });
+}
+
+/** { feed, locale, generatedAt, total, included, excluded: [{ propertyId, name, reasons }] }, never cached. */
+async function feedReport(name, locale) {
+  const feed = FEEDS[name];
+  const served = feedLocale(feed, locale);
+  const { entries, excluded, total } = await collect(feed, served);
+  return {
+    feed: feed.name,
+    locale: served,
+    generatedAt: new Date().toISOString(),
+    total,
+    included: entries.length,
+    excluded,
+  };
+}
+
+module.exports = { feedTokenValid, listFeeds, getFeed, renderFeed, feedReport };
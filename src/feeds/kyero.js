@@ -0,0 +1,92 @@
+// src/feeds/kyero.js
+// Kyero XML v3 (https://www.kyero.com), the exchange format most Spanish-market
+// portals import. Every public listing that passes the checks goes in.
+const { LOCALES, FALLBACK_LOCALE } = require('../lib/locales');
+const { element, XML_DECLARATION } = require('../lib/xml');
+const { isSet } = require('./fields');
+
+const MAX_IMAGES = 50;
+
+// bhkType to a bedroom count: "studio" is 0, "5+" is 5
+const bedsOf = (value) => {
+  if (value === 'studio') return 0;
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n >= 0 ? n : undefined;
+};
+
+const isHttpUrl = (url) => /^https?:\/\//i.test(String(url || ''));
+
+// "2026-10-19 09:30:00" (UTC), the date format Kyero expects
+const kyeroDate = (value) => new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+
+// Text actually written in that locale (localize() falls back to another one)
+const textIn = (localized, locale, field) => (localized[locale].fallback_fields?.includes(field) ? undefined : localized[locale][field]);
+
+const flag = (value) => (value === true || value === 1 || value === '1' || value === 'true' ? 1 : 0);
+
+module.exports = {
+  name: 'kyero',
+  title: 'Kyero XML v3',
+  contentType: 'application/xml',
+  limit: 10000,
+
+  defaults: {
+    id: 'id',
+    ref: ['external_ref', 'slug', 'id'],
+    date: ['updated_at', 'created_at'],
+    price: 'price',
+    currency: { value: process.env.LISTING_CURRENCY || 'EUR' },
+    price_freq: { value: 'sale' },
+    new_build: { value: 0 },
+    type: { value: 'apartment' },
+    town: 'location',
+    province: ['province', 'location'],
+    beds: 'bhkType',
+    baths: 'baths',
+    pool: 'pool',
+    built: 'area',
+    plot: 'plot_area',
+  },
+
+  required: ['id', 'ref', 'date', 'price', 'currency', 'price_freq', 'type', 'town', 'province'],
+
+  /** Reasons a mapped listing cannot be sent (besides missing required fields). */
+  check({ values, images, localized }) {
+    const reasons = [];
+    if (isSet(values.price) && !(Number(values.price) > 0)) reasons.push('price must be a positive number');
+    if (isSet(values.beds) && bedsOf(String(values.beds)) === undefined) reasons.push(`beds "${values.beds}" is not a number`);
+    if (!images.filter(isHttpUrl).length) reasons.push('no image with an absolute http(s) URL');
+    if (!LOCALES.some((locale) => isSet(textIn(localized, locale, 'description')))) reasons.push('no description in any locale');
+    return reasons;
+  },
+
+  render(entries) {
+    const properties = entries.map(({ property, values, images, localized, amenities, url }) => element('property', [
+      element('id', values.id),
+      element('date', kyeroDate(values.date)),
+      element('ref', values.ref),
+      element('price', Math.round(Number(values.price))),
+      element('currency', values.currency),
+      element('price_freq', values.price_freq),
+      element('new_build', flag(values.new_build)),
+      element('type', values.type),
+      element('town', values.town),
+      element('province', values.province),
+      isSet(property.latitude) && isSet(property.longitude)
+        ? element('location', [element('latitude', property.latitude), element('longitude', property.longitude)])
+        : '',
+      element('beds', isSet(values.beds) ? bedsOf(String(values.beds)) : undefined),
+      element('baths', values.baths),
+      element('pool', flag(values.pool)),
+      element('surface_area', [element('built', values.built), element('plot', values.plot)]),
+      element('url', LOCALES.map((locale) => element(locale, url))),
+      element('desc', LOCALES.map((locale) => element(locale, textIn(localized, locale, 'description')))),
+      // Kyero reads features in English
+      element('features', (amenities.en || amenities[FALLBACK_LOCALE]).map((name) => element('feature', name))),
+      element('images', images.filter(isHttpUrl).slice(0, MAX_IMAGES)
+        .map((src, i) => element('image', [element('url', src)], { id: i + 1 }))),
+    ]));
+
+    return `${XML_DECLARATION}<root>\n${element('kyero', [element('feed_version', 3)])}\n${properties.join('\n')}\n</root>\n`;
+  },
+};
@@ -0,0 +1,82 @@
+// src/feeds/rss.js
+// RSS 2.0 feed of the newest published listings (FEED_RSS_LIMIT, default 50),
+// in the locale the request negotiates.
+const mime = require('mime-types');
+const { siteUrl, apiUrl } = require('../lib/urls');
+const { SITE_NAME } = require('../lib/seo');
+const { element, emptyElement, XML_DECLARATION } = require('../lib/xml');
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+
+const CHANNEL = {
+  es: { title: `${SITE_NAME} – Nuevos inmuebles`, description: 'Los últimos inmuebles publicados' },
+  en: { title: `${SITE_NAME} – New listings`, description: 'The latest published listings' },
+};
+
+// Listed from the later of the go-live date and the last status change
+const publishedAt = (property) => {
+  const times = [property.publish_at, property.status_changed_at, property.created_at]
+    .filter(Boolean)
+    .map((v) => new Date(v).getTime());
+  return times.length ? new Date(Math.max(...times)) : null;
+};
+
+// Image type from the URL's extension. Byte sizes are not stored, so `length` is left out.
+const enclosureType = (url) => {
+  let pathname = url;
+  try { ({ pathname } = new URL(url)); } catch { /* relative URL: use as is */ }
+  return mime.lookup(pathname) || 'application/octet-stream';
+};
+
+module.exports = {
+  name: 'rss',
+  title: 'RSS 2.0 – newest listings',
+  contentType: 'application/rss+xml',
+  localized: true,
+  limit: Math.max(1, Number(process.env.FEED_RSS_LIMIT) || 50),
+  statuses: ['published'],
+  orderBy: [{ column: 'status_changed_at', ascending: false }, { column: 'created_at', ascending: false }],
+
+  defaults: {
+    guid: 'id',
+    title: 'name',
+    description: 'description',
+    category: 'location',
+  },
+
+  required: ['guid', 'title'],
+
+  check({ property }) {
+    return publishedAt(property) ? [] : ['no publication date'];
+  },
+
+  /** Newest first by publication date (the query order only approximates it). */
+  sort(entries) {
+    return [...entries].sort((a, b) => publishedAt(b.property) - publishedAt(a.property));
+  },
+
+  render(entries, { locale }) {
+    const channel = CHANNEL[locale] || CHANNEL.en;
+    const items = entries.map(({ property, values, images, amenities, url }) => element('item', [
+      element('title', values.title),
+      element('link', url),
+      element('guid', `property-${values.guid}`, { isPermaLink: 'false' }),
+      element('pubDate', publishedAt(property).toUTCString()),
+      element('description', values.description),
+      element('category', values.category),
+      ...amenities[locale].map((name) => element('category', name, { domain: 'amenity' })),
+      images[0] ? emptyElement('enclosure', { url: images[0], type: enclosureType(images[0]) }) : '',
+    ]));
+    const lastBuild = entries.length ? publishedAt(entries[0].property) : new Date();
+
+    return `${XML_DECLARATION}<rss version="2.0" xmlns:atom="${ATOM_NS}">\n${element('channel', [
+      element('title', channel.title),
+      element('link', siteUrl('/')),
+      element('description', channel.description),
+      element('language', locale),
+      element('lastBuildDate', lastBuild.toUTCString()),
+      emptyElement('atom:link', { href: apiUrl(`/feeds/rss.xml?lang=${locale}`), rel: 'self', type: 'application/rss+xml' }),
+      ...items,
+    ])}\n</rss>\n`;
+  },
+};
@@ -0,0 +1,142 @@
+// src/geocoding/index.js
+// Fills properties.latitude/longitude from the listing address.
+//
+// GEOCODER=none (default) | nominatim | google | static
+//   nominatim  GEOCODER_USER_AGENT (required), GEOCODER_URL (self-hosted instance),
+//              GEOCODER_COUNTRY_CODES ("es,pt"); one request per second
+//   google     GOOGLE_MAPS_API_KEY, GEOCODER_REGION ("es")
+//   static     no network: GEOCODER_STATIC_FILE (JSON { "<address>": [lat, lng] }) and/or
+//              GEOCODER_STATIC_CENTER ("lat,lng") for stable fake points near it (tests, demos)
+// GEOCODER_MIN_INTERVAL_MS overrides the pause between provider calls.
+//
+// Geocoding runs in the background after a write (scheduleGeocode) through a
+// single queue, so bulk imports respect the provider's rate limit.
+const { db } = require('../data');
+const {
+  createNominatimGeocoder,
+  createGoogleGeocoder,
+  createStaticGeocoder,
+  parseCenter,
+  loadTable,
+} = require('./providers');
+
+function createGeocoder(env = process.env) {
+  const provider = (env.GEOCODER || 'none').toLowerCase();
+  const interval = (fallback) => (env.GEOCODER_MIN_INTERVAL_MS ? Number(env.GEOCODER_MIN_INTERVAL_MS) : fallback);
+  switch (provider) {
+    case 'none':
+      return null;
+    case 'nominatim':
+      return {
+        provider,
+        minIntervalMs: interval(1000),
+        geocode: createNominatimGeocoder({
+          baseUrl: env.GEOCODER_URL || undefined,
+          userAgent: env.GEOCODER_USER_AGENT,
+          countryCodes: env.GEOCODER_COUNTRY_CODES,
+        }),
+      };
+    case 'google':
+      return {
+        provider,
+        minIntervalMs: interval(0),
+        geocode: createGoogleGeocoder({ apiKey: env.GOOGLE_MAPS_API_KEY, region: env.GEOCODER_REGION }),
+      };
+    case 'static':
+      return {
+        provider,
+        minIntervalMs: interval(0),
+        geocode: createStaticGeocoder({
+          table: loadTable(env.GEOCODER_STATIC_FILE),
+          center: parseCenter(env.GEOCODER_STATIC_CENTER),
+        }),
+      };
+    default:
+      throw new Error(`Unknown GEOCODER "${provider}" (expected none, nominatim, google or static)`);
+  }
+}
+
+const geocoder = createGeocoder();
+
+// Address sent to the provider: the street address, with the area for context
+const addressOf = (property) => [property.exactAddress, property.location]
+  .map((part) => (part ? String(part).trim() : ''))
+  .filter(Boolean)
+  .join(', ');
+
+/**
+ * Extra changes for a property write (`before` is {} for a create). Coordinates
+ * given by an admin are kept as a manual pin; otherwise, when the address moves,
+ * the old ones are cleared until geocoding catches up.
+ * Returns { changes, geocode } — geocode tells the caller to scheduleGeocode().
+ */
+function withAddressChange(before, changes) {
+  if ('latitude' in changes || 'longitude' in changes) {
+    const pinned = changes.latitude !== null && changes.longitude !== null;
+    return {
+      changes: { ...changes, geocode_source: pinned ? 'manual' : null, geocoded_at: pinned ? new Date().toISOString() : null },
+      geocode: false,
+    };
+  }
+  const moved = ['exactAddress', 'location'].some((key) => key in changes && changes[key] !== before[key]);
+  if (!moved) return { changes, geocode: false };
+  return {
+    changes: { ...changes, latitude: null, longitude: null, geocode_source: null, geocoded_at: null },
+    geocode: Boolean(geocoder),
+  };
+}
+
+/**
+ * Geocode one property now and store the result.
+ * Returns { property, result } (result null when the provider found nothing),
+ * or null when the property is gone. Throws when no geocoder is configured or it fails.
+ */
+async function geocodeProperty(id) {
+  if (!geocoder) throw new Error('No geocoder configured (set GEOCODER)');
+  const property = await db.properties.findById(id);
+  if (!property) return null;
+  const address = addressOf(property);
+  if (!address) return { property, result: null };
+
+  const result = await geocoder.geocode(address);
+
+  // The address may have changed while the provider was answering
+  const current = await db.properties.findById(id);
+  if (!current || addressOf(current) !== address) return { property: current, result: null };
+  if (!result) return { property: current, result: null };
+
+  const updated = await db.properties.update(id, {
+    latitude: result.lat,
+    longitude: result.lng,
+    geocode_source: geocoder.provider,
+    geocoded_at: new Date().toISOString(),
+  });
+  return { property: updated, result };
+}
+
+let queue = Promise.resolve();
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Queue a background geocode; failures are logged, never surfaced to the caller
+function scheduleGeocode(id) {
+  if (!geocoder) return;
+  queue = queue
+    .then(() => geocodeProperty(id))
+    .then((outcome) => {
+      if (outcome && !outcome.result) console.error(`Geocoding found no match for property ${id}`);
+    })
+    .catch((err) => console.error(`Geocoding failed for property ${id}:`, err))
+    .then(() => pause(geocoder.minIntervalMs));
+}
+
+const geocodingEnabled = () => Boolean(geocoder);
+
+module.exports = {
+  geocoder,
+  createGeocoder,
+  geocodingEnabled,
+  geocodeProperty,
+  scheduleGeocode,
+  withAddressChange,
+  addressOf,
+};
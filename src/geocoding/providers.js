@@ -0,0 +1,82 @@
+// src/geocoding/providers.js
+// Geocoding providers. Each returns geocode(address) -> { lat, lng, precision } | null
+// (null = no match) and throws when the provider itself fails.
+const fs = require('fs');
+const { isLatitude, isLongitude, fuzzPoint } = require('../lib/geo');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const normalizeAddress = (address) => String(address).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const toPoint = (lat, lng, precision) => {
+  const point = { lat: Number(lat), lng: Number(lng), precision };
+  return isLatitude(point.lat) && isLongitude(point.lng) ? point : null;
+};
+
+async function getJson(url, headers = {}) {
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`Geocoder answered ${res.status}`);
+  return res.json();
+}
+
+/**
+ * OpenStreetMap Nominatim (or a self-hosted instance). The public server asks
+ * for an identifying User-Agent and at most one request per second.
+ */
+function createNominatimGeocoder({ baseUrl = 'https://nominatim.openstreetmap.org', userAgent, countryCodes } = {}) {
+  if (!userAgent) throw new Error('GEOCODER_USER_AGENT is required for GEOCODER=nominatim');
+  return async (address) => {
+    const url = new URL('/search', baseUrl);
+    url.search = new URLSearchParams({ q: address, format: 'jsonv2', limit: '1', ...(countryCodes ? { countrycodes: countryCodes } : {}) });
+    const [hit] = await getJson(url, { 'User-Agent': userAgent });
+    return hit ? toPoint(hit.lat, hit.lon, hit.addresstype || hit.type || null) : null;
+  };
+}
+
+function createGoogleGeocoder({ apiKey, region } = {}) {
+  if (!apiKey) throw new Error('GOOGLE_MAPS_API_KEY is required for GEOCODER=google');
+  return async (address) => {
+    const url = new URL('https://maps.googleapis.com/maps/api/geocode/json');
+    url.search = new URLSearchParams({ address, key: apiKey, ...(region ? { region } : {}) });
+    const data = await getJson(url);
+    if (data.status === 'ZERO_RESULTS') return null;
+    if (data.status !== 'OK') throw new Error(`Google geocoder status ${data.status}${data.error_message ? `: ${data.error_message}` : ''}`);
+    const [hit] = data.results;
+    return toPoint(hit.geometry.location.lat, hit.geometry.location.lng, hit.geometry.location_type.toLowerCase());
+  };
+}
+
+/**
+ * No network: addresses are looked up in `table` ({ "<address>": [lat, lng] },
+ * matched case- and whitespace-insensitively). With `center` set, unknown
+ * addresses get stable fake coordinates within `spreadMeters` of it (tests, demos).
+ */
+function createStaticGeocoder({ table = {}, center = null, spreadMeters = 5000 } = {}) {
+  const known = new Map(Object.entries(table).map(([address, [lat, lng]]) => [normalizeAddress(address), toPoint(lat, lng, 'static')]));
+  return async (address) => {
+    const key = normalizeAddress(address);
+    if (known.has(key)) return known.get(key);
+    if (!center) return null;
+    const { lat, lng } = fuzzPoint(center, { seed: key, secret: 'static-geocoder', meters: spreadMeters });
+    return { lat, lng, precision: 'fake' };
+  };
+}
+
+const parseCenter = (value) => {
+  if (!value) return null;
+  const [lat, lng] = String(value).split(',').map(Number);
+  const point = toPoint(lat, lng);
+  if (!point) throw new Error(`Invalid GEOCODER_STATIC_CENTER "${value}" (expected "lat,lng")`);
+  return { lat: point.lat, lng: point.lng };
+};
+
+const loadTable = (file) => (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+
+module.exports = {
+  createNominatimGeocoder,
+  createGoogleGeocoder,
+  createStaticGeocoder,
+  parseCenter,
+  loadTable,
+  normalizeAddress,
+};
@@ -0,0 +1,130 @@
+// src/lib/amenities.js
+// Amenity catalogue helpers. Listings store amenity keys ("pool", "air_conditioning");
+// the catalogue (amenities table) gives each key a category, an icon name and a
+// label per locale. Free text ("Piscina, aire acondicionado") is matched onto keys by
+// key, label or alias, ignoring case, accents and punctuation.
+const { LOCALES, FALLBACK_LOCALE } = require('./locales');
+
+// snake_case, as in "air_conditioning"
+const AMENITY_KEY_PATTERN = /^[a-z0-9]+(?:_[a-z0-9]+)*$/;
+
+/** Amenity names in free text: one per comma, semicolon or line, trimmed, case-insensitive duplicates dropped. */
+function amenityList(text) {
+  const seen = new Set();
+  return String(text || '')
+    .split(/[,;\n]/)
+    .map((s) => s.trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Raw `amenities` input as a list: arrays pass through; a string is a JSON array
+ * (as CSV exports write it) or free text such as "pool, garden".
+ */
+function amenityInput(raw) {
+  if (typeof raw !== 'string') return raw;
+  const text = raw.trim();
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) return list;
+    } catch {
+      // not JSON after all: read it as free text
+    }
+  }
+  return amenityList(text);
+}
+
+// "Aire-acondicionado " -> "aire acondicionado" (same rule as amenity_norm() in the migration)
+const normalizeAmenity = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/** Every spelling that names a catalogue entry: its key, labels and aliases. */
+const spellingsOf = (entry) => [
+  entry.key,
+  ...Object.values(entry.labels || {}),
+  ...(entry.aliases || []),
+].map(normalizeAmenity).filter(Boolean);
+
+/**
+ * (text) -> key | null over `catalogue`. A key always wins over another entry's
+ * label or alias; otherwise the first entry (catalogue order) claiming a spelling wins.
+ */
+function createAmenityMatcher(catalogue) {
+  const byKey = new Map(catalogue.map((entry) => [normalizeAmenity(entry.key), entry.key]));
+  const bySpelling = new Map();
+  for (const entry of catalogue) {
+    for (const spelling of spellingsOf(entry)) if (!bySpelling.has(spelling)) bySpelling.set(spelling, entry.key);
+  }
+  return (text) => {
+    const norm = normalizeAmenity(text);
+    return byKey.get(norm) || bySpelling.get(norm) || null;
+  };
+}
+
+/**
+ * Amenity keys for `input` (a list, or free text split with amenityList).
+ * Returns { keys, unmatched }: keys in input order without duplicates, and the
+ * values no catalogue entry answers to.
+ */
+function matchAmenities(input, catalogue) {
+  const values = Array.isArray(input) ? input : amenityList(input);
+  const match = createAmenityMatcher(catalogue);
+  const keys = [];
+  const unmatched = [];
+  for (const value of values) {
+    const key = match(value);
+    if (!key) unmatched.push(String(value));
+    else if (!keys.includes(key)) keys.push(key);
+  }
+  return { keys, unmatched };
+}
+
+// Validation errors for values matchAmenities() could not map (null when there are none)
+const unmatchedAmenityErrors = (unmatched) => (unmatched.length
+  ? { amenities: `Not in the amenity catalogue: ${unmatched.join(', ')}` }
+  : null);
+
+// Label in `locale`, then FALLBACK_LOCALE, then any label, then the key itself
+const labelOf = (entry, locale) => entry.labels?.[locale]
+  || entry.labels?.[FALLBACK_LOCALE]
+  || LOCALES.map((l) => entry.labels?.[l]).find(Boolean)
+  || entry.key;
+
+/** Public view of a catalogue entry: { key, category, icon, label }. */
+const localizeAmenity = (entry, locale) => ({
+  key: entry.key,
+  category: entry.category,
+  icon: entry.icon ?? null,
+  label: labelOf(entry, locale),
+});
+
+/**
+ * Catalogue entries for a listing's amenity keys, localized, in catalogue order.
+ * Keys no longer in the catalogue are skipped.
+ */
+function resolveAmenities(keys, catalogue, locale) {
+  const wanted = new Set(keys || []);
+  return catalogue.filter((entry) => wanted.has(entry.key)).map((entry) => localizeAmenity(entry, locale));
+}
+
+module.exports = {
+  AMENITY_KEY_PATTERN,
+  amenityList,
+  amenityInput,
+  normalizeAmenity,
+  createAmenityMatcher,
+  matchAmenities,
+  unmatchedAmenityErrors,
+  localizeAmenity,
+  resolveAmenities,
+};
@@ -0,0 +1,49 @@
+// src/lib/audit.js
+// Append-only audit trail (`audit_log` table) for admin writes.
+const { db } = require('../data');
+
+const stable = (v) => JSON.stringify(v === undefined ? null : v);
+
+/**
+ * Field-level diff between two row snapshots: { field: { from, to } }.
+ * Either side may be null (create / hard delete).
+ */
+function diffRows(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (stable(from) !== stable(to)) diff[key] = { from: from ?? null, to: to ?? null };
+  }
+  return diff;
+}
+
+/**
+ * Record one admin write. Never throws: the write itself already happened,
+ * so a failing audit insert is logged rather than turned into a 500.
+ *
+ * entry: { action, entityType, entityId, before?, after?, meta? }
+ * `req` supplies the actor (req.user) and request origin; pass null for system jobs.
+ */
+async function recordAudit(req, { action, entityType, entityId, before = null, after = null, meta = null }) {
+  try {
+    await db.auditLog.append({
+      actor_id: req?.user?.id || null,
+      actor_email: req?.user?.email || null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId === undefined || entityId === null ? null : String(entityId),
+      before,
+      after,
+      diff: diffRows(before, after),
+      meta,
+      ip: req?.ip || null,
+      user_agent: req?.get?.('user-agent') || null,
+    });
+  } catch (err) {
+    console.error('recordAudit error:', err);
+  }
+}
+
+module.exports = { diffRows, recordAudit };
@@ -0,0 +1,84 @@
+// src/lib/authCookies.js
+// Where admin tokens travel: the Authorization header (default) and, with
+// ADMIN_AUTH_COOKIES=true, httpOnly cookies set by /admin/login and /admin/refresh.
+//
+//   ADMIN_AUTH_COOKIES      true to issue cookies (tokens are then left out of JSON bodies)
+//   ADMIN_COOKIE_SECURE     Secure flag (default: true when NODE_ENV=production)
+//   ADMIN_COOKIE_SAMESITE   strict (default) | lax | none
+//   ADMIN_COOKIE_DOMAIN     optional Domain attribute
+//   ADMIN_REFRESH_TTL_DAYS  refresh cookie lifetime (default 30)
+
+const ACCESS_COOKIE = 'admin_access_token';
+const REFRESH_COOKIE = 'admin_refresh_token';
+
+const cookiesEnabled = () => process.env.ADMIN_AUTH_COOKIES === 'true';
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.ADMIN_COOKIE_SECURE
+      ? process.env.ADMIN_COOKIE_SECURE === 'true'
+      : process.env.NODE_ENV === 'production',
+    sameSite: (process.env.ADMIN_COOKIE_SAMESITE || 'strict').toLowerCase(),
+    domain: process.env.ADMIN_COOKIE_DOMAIN || undefined,
+    path: '/',
+  };
+}
+
+// Minimal Cookie header parser (no dependency needed for two cookies)
+function parseCookies(header = '') {
+  const out = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const name = part.slice(0, i).trim();
+    if (!name || name in out) continue;
+    try {
+      out[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      out[name] = part.slice(i + 1).trim();
+    }
+  }
+  return out;
+}
+
+const readCookie = (req, name) => parseCookies(req.header('Cookie'))[name];
+
+// Bearer token first, then the access cookie (when cookies are enabled)
+function readAccessToken(req) {
+  const bearer = req.header('Authorization')?.split(' ')[1]; // 'Bearer <token>'
+  if (bearer) return bearer;
+  return cookiesEnabled() ? readCookie(req, ACCESS_COOKIE) : undefined;
+}
+
+function readRefreshToken(req) {
+  const fromBody = req.body?.refresh_token;
+  if (typeof fromBody === 'string' && fromBody) return fromBody;
+  return cookiesEnabled() ? readCookie(req, REFRESH_COOKIE) : undefined;
+}
+
+function setAuthCookies(res, session) {
+  const options = cookieOptions();
+  res.cookie(ACCESS_COOKIE, session.access_token, { ...options, maxAge: (session.expires_in || 3600) * 1000 });
+  res.cookie(REFRESH_COOKIE, session.refresh_token, {
+    ...options,
+    maxAge: (Number(process.env.ADMIN_REFRESH_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  });
+}
+
+function clearAuthCookies(res) {
+  const options = cookieOptions();
+  res.clearCookie(ACCESS_COOKIE, options);
+  res.clearCookie(REFRESH_COOKIE, options);
+}
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  cookiesEnabled,
+  parseCookies,
+  readAccessToken,
+  readRefreshToken,
+  setAuthCookies,
+  clearAuthCookies,
+};
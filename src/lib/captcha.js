@@ -0,0 +1,70 @@
+// src/lib/captcha.js
+// CAPTCHA token verification for public forms. The client sends the widget
+// token as `captchaToken` (or the provider's own field name).
+//
+//   CAPTCHA_PROVIDER   none (default: no check) | turnstile | hcaptcha | recaptcha
+//   CAPTCHA_SECRET     provider secret key
+//   CAPTCHA_MIN_SCORE  reCAPTCHA v3 / hCaptcha Enterprise score floor (optional, 0-1)
+//
+// Other providers plug in with setCaptchaVerifier(fn), where
+// fn(token, { remoteIp }) -> { success, score?, errors? }.
+
+const VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+};
+
+const TOKEN_FIELDS = ['captchaToken', 'cf-turnstile-response', 'h-captcha-response', 'g-recaptcha-response'];
+const VERIFY_TIMEOUT_MS = 5000;
+
+// Standard siteverify call shared by all three providers
+const siteVerifier = (url, secret) => async (token, { remoteIp } = {}) => {
+  const body = new URLSearchParams({ secret, response: token });
+  if (remoteIp) body.set('remoteip', remoteIp);
+  const res = await fetch(url, { method: 'POST', body, signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`CAPTCHA verify endpoint answered ${res.status}`);
+  const data = await res.json();
+  return { success: data.success === true, score: data.score, errors: data['error-codes'] || [] };
+};
+
+function createCaptchaVerifier(env = process.env) {
+  const provider = (env.CAPTCHA_PROVIDER || 'none').toLowerCase();
+  if (provider === 'none') return null;
+  if (!VERIFY_URLS[provider]) {
+    throw new Error(`Unknown CAPTCHA_PROVIDER "${provider}" (expected none, turnstile, hcaptcha or recaptcha)`);
+  }
+  if (!env.CAPTCHA_SECRET) throw new Error('CAPTCHA_SECRET is required when CAPTCHA_PROVIDER is set');
+  return siteVerifier(VERIFY_URLS[provider], env.CAPTCHA_SECRET);
+}
+
+let verifier = createCaptchaVerifier();
+
+const captchaEnabled = () => Boolean(verifier);
+
+function setCaptchaVerifier(fn) {
+  verifier = fn || null;
+}
+
+const readCaptchaToken = (body = {}) => {
+  for (const field of TOKEN_FIELDS) {
+    if (typeof body[field] === 'string' && body[field]) return body[field];
+  }
+  return null;
+};
+
+/**
+ * Verify a token with the configured provider.
+ * Returns true/false; throws when the provider cannot be reached.
+ */
+async function verifyCaptcha(token, { remoteIp } = {}) {
+  if (!verifier) return true;
+  if (!token) return false;
+  const result = await verifier(token, { remoteIp });
+  if (!result?.success) return false;
+  const minScore = Number(process.env.CAPTCHA_MIN_SCORE);
+  if (minScore && typeof result.score === 'number' && result.score < minScore) return false;
+  return true;
+}
+
+module.exports = { createCaptchaVerifier, setCaptchaVerifier, captchaEnabled, readCaptchaToken, verifyCaptcha };
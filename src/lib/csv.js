@@ -0,0 +1,86 @@
+// src/lib/csv.js
+// Minimal RFC 4180 CSV reader/writer (quoted fields, "" escapes, CRLF or LF).
+
+/**
+ * Parse CSV text into records keyed by the header row.
+ * Returns { rows: [{ line, values: { header: cell } }], headers }, where `line`
+ * is the 1-based line a record starts on. Throws on unbalanced quotes.
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, ''); // Excel writes a BOM
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push({ line: recordLine, cells: record });
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line += 1;
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      endField();
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i += 1;
+      line += 1;
+      endRecord();
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  if (field !== '' || record.length) endRecord();
+
+  const [head, ...body] = records;
+  if (!head) return { headers: [], rows: [] };
+  const headers = head.cells.map((h) => h.trim());
+  const rows = body.map(({ line: at, cells }) => ({
+    line: at,
+    values: Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? ''])),
+  }));
+  return { headers, rows };
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV cell. Strings that would be read as a formula get a leading
+ * apostrophe (undone by unescapeCell on import); objects are written as JSON.
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (typeof value === 'object') text = JSON.stringify(value);
+  else if (typeof value === 'string' && FORMULA_PREFIX.test(value)) text = `'${value}`;
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const unescapeCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+const formatCsvRow = (values) => `${values.map(formatCell).join(',')}\r\n`;
+
+module.exports = { parseCsv, formatCsvRow, formatCell, unescapeCell };
@@ -0,0 +1,125 @@
+// src/lib/gallery.js
+// Structured image list for properties, built on top of the legacy columns:
+//   images          ordered list of URLs (unchanged for existing clients)
+//   image_variants  { [url]: { thumb, card, full, width, height } }   (upload pipeline)
+//   image_meta      { [url]: { alt: { es, en }, caption: { es, en } } }
+//   cover_image     one of `images`, or null (first image is the implicit cover)
+const { LOCALES } = require('./locales');
+
+const TEXT_FIELDS = ['alt', 'caption'];
+const MAX_TEXT_LENGTH = 300;
+
+/**
+ * Validate an admin gallery update against the property's current images.
+ * Body: { images?: [url, ...], cover?: url|null, meta?: { [url]: { alt?, caption? } } }
+ * Returns { changes, errors } — `changes` holds only the columns to write.
+ */
+function parseGalleryUpdate(body, property) {
+  const errors = {};
+  const changes = {};
+  const current = Array.isArray(property.images) ? property.images : [];
+  const known = new Set(current);
+  const { images, cover, meta } = body || {};
+
+  if (images === undefined && cover === undefined && meta === undefined) {
+    return { changes, errors: { body: 'Provide at least one of: images, cover, meta' } };
+  }
+
+  if (images !== undefined) {
+    const isPermutation = Array.isArray(images)
+      && images.length === current.length
+      && new Set(images).size === images.length
+      && images.every((u) => known.has(u));
+    if (!isPermutation) errors.images = 'Must contain exactly the property\'s current image URLs, in the new order';
+    else changes.images = images;
+  }
+
+  if (cover !== undefined) {
+    if (cover !== null && !known.has(cover)) errors.cover = 'Must be one of the property\'s image URLs, or null';
+    else changes.cover_image = cover;
+  }
+
+  if (meta !== undefined) {
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+      errors.meta = 'Must be an object keyed by image URL';
+    } else {
+      const next = { ...(property.image_meta || {}) };
+      for (const [url, entry] of Object.entries(meta)) {
+        if (!known.has(url)) {
+          errors[`meta.${url}`] = 'Unknown image URL';
+          continue;
+        }
+        if (entry === null) {
+          delete next[url];
+          continue;
+        }
+        if (typeof entry !== 'object' || Array.isArray(entry)) {
+          errors[`meta.${url}`] = 'Must be an object with alt and/or caption, or null';
+          continue;
+        }
+        const merged = { ...(next[url] || {}) };
+        for (const field of TEXT_FIELDS) {
+          if (entry[field] === undefined) continue;
+          const texts = entry[field];
+          const bad = !texts || typeof texts !== 'object' || Array.isArray(texts)
+            || Object.entries(texts).some(([loc, text]) => !LOCALES.includes(loc)
+              || (text !== null && (typeof text !== 'string' || text.length > MAX_TEXT_LENGTH)));
+          if (bad) {
+            errors[`meta.${url}.${field}`] = `Must be { ${LOCALES.join(', ')} } strings of at most ${MAX_TEXT_LENGTH} characters`;
+            continue;
+          }
+          merged[field] = { ...(merged[field] || {}), ...texts };
+        }
+        next[url] = merged;
+      }
+      changes.image_meta = next;
+    }
+  }
+
+  return { changes, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * Public view of a property's images:
+ *   gallery: [{ url, position, isCover, thumb, card, full, width, height, alt, caption }]
+ *   cover:   the cover entry (or null)
+ * Legacy uploads without variants fall back to the original URL for every size.
+ */
+function buildGallery(property) {
+  const images = Array.isArray(property.images) ? property.images : [];
+  const variants = property.image_variants || {};
+  const meta = property.image_meta || {};
+  const coverUrl = images.includes(property.cover_image) ? property.cover_image : images[0];
+
+  const gallery = images.map((url, position) => {
+    const v = variants[url] || {};
+    return {
+      url,
+      position,
+      isCover: url === coverUrl,
+      thumb: v.thumb || url,
+      card: v.card || url,
+      full: v.full || url,
+      width: v.width ?? null,
+      height: v.height ?? null,
+      alt: meta[url]?.alt || {},
+      caption: meta[url]?.caption || {},
+    };
+  });
+
+  return { gallery, cover: gallery.find((img) => img.isCover) || null };
+}
+
+// Property payload with `gallery` and `cover` added; existing fields are untouched
+const withGallery = (property) => (property ? { ...property, ...buildGallery(property) } : property);
+
+// Drop per-image metadata for a URL that is no longer on the property
+function removeImageFromGallery(property, url) {
+  const { [url]: _meta, ...imageMeta } = property.image_meta || {};
+  return {
+    image_meta: imageMeta,
+    cover_image: property.cover_image === url ? null : property.cover_image ?? null,
+  };
+}
+
+module.exports = { parseGalleryUpdate, buildGallery, withGallery, removeImageFromGallery };
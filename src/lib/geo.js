@@ -0,0 +1,61 @@
+// src/lib/geo.js
+// Coordinate helpers for map search: distances, bounding boxes and the
+// deterministic fuzzing applied to coordinates shown to the public.
+const crypto = require('crypto');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in km
+function haversineKm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// { minLat, minLng, maxLat, maxLng } enclosing a circle of radiusKm around center
+function boxAround({ lat, lng }, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const dLng = radiusKm / (KM_PER_DEGREE_LAT * Math.max(0.01, Math.cos(toRad(lat))));
+  return {
+    minLat: Math.max(-90, lat - dLat),
+    maxLat: Math.min(90, lat + dLat),
+    minLng: Math.max(-180, lng - dLng),
+    maxLng: Math.min(180, lng + dLng),
+  };
+}
+
+// Grow a box by `km` on every side (used to prefilter before exact, fuzzed matching)
+const expandBox = (box, km) => {
+  if (!km) return box;
+  const south = boxAround({ lat: box.minLat, lng: box.minLng }, km);
+  const north = boxAround({ lat: box.maxLat, lng: box.maxLng }, km);
+  return { minLat: south.minLat, minLng: south.minLng, maxLat: north.maxLat, maxLng: north.maxLng };
+};
+
+const inBox = (point, box) => point.lat >= box.minLat && point.lat <= box.maxLat
+  && point.lng >= box.minLng && point.lng <= box.maxLng;
+
+/**
+ * Shift a point by up to `meters`, in a direction and distance derived from
+ * `seed` + `secret`: the same listing always lands on the same fuzzed spot,
+ * so averaging repeated responses does not reveal the real one.
+ */
+function fuzzPoint(point, { seed, secret, meters }) {
+  if (!meters) return point;
+  const hash = crypto.createHmac('sha256', secret).update(String(seed)).digest();
+  const angle = (hash.readUInt32BE(0) / 0xffffffff) * 2 * Math.PI;
+  // sqrt keeps the offsets uniform over the disc instead of bunching near the centre
+  const distanceKm = (Math.sqrt(hash.readUInt32BE(4) / 0xffffffff) * meters) / 1000;
+  const lat = point.lat + (distanceKm * Math.cos(angle)) / KM_PER_DEGREE_LAT;
+  const lng = point.lng + (distanceKm * Math.sin(angle)) / (KM_PER_DEGREE_LAT * Math.max(0.01, Math.cos(toRad(point.lat))));
+  return { lat: Number(lat.toFixed(5)), lng: Number(lng.toFixed(5)) };
+}
+
+const isLatitude = (n) => Number.isFinite(n) && n >= -90 && n <= 90;
+const isLongitude = (n) => Number.isFinite(n) && n >= -180 && n <= 180;
+
+module.exports = { haversineKm, boxAround, expandBox, inBox, fuzzPoint, isLatitude, isLongitude };
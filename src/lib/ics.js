@@ -0,0 +1,72 @@
+// src/lib/ics.js
+// Minimal iCalendar (RFC 5545) writer for single events: enough for calendar
+// invites, updates (same UID, higher SEQUENCE) and cancellations.
+
+// TEXT values escape backslash, comma, semicolon and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// 20261019T093000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, 'utf8');
+    if (size + len > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+// Quoted CN parameter (quotes and line breaks cannot appear inside it) + mailto: address
+const mailto = (person) => `${person.name ? `;CN="${String(person.name).replace(/["\r\n]/g, ' ')}"` : ''}:mailto:${person.email}`;
+
+/**
+ * One VEVENT as a VCALENDAR string.
+ * event: { uid, sequence, method ('REQUEST' | 'CANCEL'), start, end, summary,
+ *          description?, location?, url?, organizer?: { name, email },
+ *          attendees?: [{ name, email }], stamp? }
+ */
+function buildIcs(event) {
+  const method = event.method || 'REQUEST';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Clave de Oro//Viewings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatUtc(event.stamp || new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer?.email) lines.push(`ORGANIZER${mailto(event.organizer)}`);
+  for (const attendee of event.attendees || []) {
+    if (attendee.email) lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED${mailto(attendee)}`);
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildIcs, escapeText, formatUtc };
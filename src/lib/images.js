@@ -0,0 +1,68 @@
+// src/lib/images.js
+// Validates uploads by content (not the declared mimetype), strips EXIF/GPS
+// metadata and renders resized WebP variants with sharp.
+const sharp = require('sharp');
+
+// Formats we accept as input, as reported by libvips after decoding the header
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'heif', 'tiff'];
+
+// Longest-edge targets; images are never upscaled
+const VARIANTS = {
+  thumb: { width: 320, height: 320, quality: 70 },
+  card: { width: 800, height: 800, quality: 78 },
+  full: { width: 1920, height: 1920, quality: 82 },
+};
+
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000; // ~50MP, guards against decompression bombs
+
+const invalidImage = (message) => Object.assign(new Error(message), { code: 'INVALID_IMAGE' });
+
+/**
+ * Decode `buffer`, reject anything that isn't a real image and return one
+ * WebP buffer per entry in VARIANTS:
+ *   [{ name, buffer, width, height, size, contentType }]
+ * Throws an error with code 'INVALID_IMAGE' for unusable input.
+ */
+async function processImage(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw invalidImage('File is not a valid image');
+  }
+
+  if (!ACCEPTED_FORMATS.includes(meta.format)) {
+    throw invalidImage(`Unsupported image format: ${meta.format || 'unknown'}`);
+  }
+  if (!meta.width || !meta.height) {
+    throw invalidImage('Image has no dimensions');
+  }
+
+  const variants = [];
+  for (const [name, opts] of Object.entries(VARIANTS)) {
+    try {
+      // rotate() applies the EXIF orientation before metadata is dropped;
+      // sharp never copies EXIF/GPS/XMP into the output unless asked to.
+      const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width: opts.width, height: opts.height, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: opts.quality })
+        .toBuffer({ resolveWithObject: true });
+
+      variants.push({
+        name,
+        buffer: data,
+        width: info.width,
+        height: info.height,
+        size: info.size,
+        contentType: 'image/webp',
+      });
+    } catch (err) {
+      throw invalidImage(`Could not process image: ${err.message}`);
+    }
+  }
+
+  return variants;
+}
+
+module.exports = { ACCEPTED_FORMATS, VARIANTS, processImage };
@@ -0,0 +1,92 @@
+// src/lib/listQuery.js
+// Shared query-string helpers for list endpoints (pagination, lists, LIKE terms).
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+// Accepts "a,b" or repeated params (?a=1&a=2) and returns a trimmed, non-empty list
+const toList = (v) => {
+  const raw = Array.isArray(v) ? v : String(v).split(',');
+  return raw.map((s) => String(s).trim()).filter(Boolean);
+};
+
+// Escape LIKE wildcards and strip characters that break PostgREST `or=(...)` / `{...}` syntax
+const toLikeTerm = (s) => s
+  .replace(/[,(){}"]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/[%_\\]/g, (c) => `\\${c}`);
+
+function parseInteger(query, key, errors, { min, max, fallback }) {
+  const raw = query[key];
+  if (isBlank(raw)) return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < min || (max !== undefined && n > max)) {
+    errors[key] = max !== undefined
+      ? `Must be an integer between ${min} and ${max}`
+      : `Must be an integer >= ${min}`;
+    return fallback;
+  }
+  return n;
+}
+
+/**
+ * Read `page` (1-based) and `pageSize` from a query object.
+ * Invalid values are reported into `errors` (keyed by param) and fall back to defaults.
+ */
+function parsePagination(query, errors, { defaultPageSize = DEFAULT_PAGE_SIZE, maxPageSize = MAX_PAGE_SIZE } = {}) {
+  return {
+    page: parseInteger(query, 'page', errors, { min: 1, fallback: 1 }),
+    pageSize: parseInteger(query, 'pageSize', errors, { min: 1, max: maxPageSize, fallback: defaultPageSize }),
+  };
+}
+
+// { offset, limit } for a data-layer select()
+function pageWindow({ page, pageSize }) {
+  return { offset: (page - 1) * pageSize, limit: pageSize };
+}
+
+// Pagination block returned alongside list results
+function buildPagination({ page, pageSize }, total) {
+  const count = total || 0;
+  return {
+    page,
+    pageSize,
+    total: count,
+    totalPages: Math.ceil(count / pageSize),
+  };
+}
+
+/**
+ * RFC 8288 `Link` header value for a paginated list: first, prev, next and last pages of
+ * `url` (absolute, query string kept, `page` replaced).
+ */
+function paginationLinks(url, { page, totalPages }) {
+  const last = Math.max(totalPages, 1);
+  const link = (rel, n) => {
+    const target = new URL(url);
+    target.searchParams.set('page', String(n));
+    return `<${target}>; rel="${rel}"`;
+  };
+  return [
+    link('first', 1),
+    page > 1 ? link('prev', Math.min(page - 1, last)) : null,
+    page < last ? link('next', page + 1) : null,
+    link('last', last),
+  ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  isBlank,
+  toList,
+  toLikeTerm,
+  parseInteger,
+  parsePagination,
+  pageWindow,
+  buildPagination,
+  paginationLinks,
+};
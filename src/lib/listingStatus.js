@@ -0,0 +1,87 @@
+// src/lib/listingStatus.js
+// Listing lifecycle: states, allowed transitions and public visibility rules.
+//
+// A listing is public when its status is in PUBLIC_STATUSES and "now" falls
+// inside its optional [publish_at, unpublish_at) window. Scheduling a listing
+// therefore means publishing it with a future publish_at.
+
+const STATUSES = ['draft', 'published', 'reserved', 'sold', 'rented', 'archived'];
+const PUBLIC_STATUSES = ['published', 'reserved'];
+
+// from -> allowed targets
+const TRANSITIONS = {
+  draft: ['published', 'archived'],
+  published: ['draft', 'reserved', 'sold', 'rented', 'archived'],
+  reserved: ['published', 'sold', 'rented', 'archived'],
+  sold: ['published', 'archived'],
+  rented: ['published', 'archived'],
+  archived: ['draft'],
+};
+
+// Statuses an admin may pick when creating a listing
+const INITIAL_STATUSES = ['draft', 'published'];
+
+const canTransition = (from, to) => Boolean(TRANSITIONS[from || 'draft']?.includes(to));
+
+const toTime = (v) => (v ? new Date(v).getTime() : null);
+
+function isPubliclyVisible(property, now = new Date()) {
+  if (!property || !PUBLIC_STATUSES.includes(property.status)) return false;
+  const t = now.getTime();
+  const publishAt = toTime(property.publish_at);
+  const unpublishAt = toTime(property.unpublish_at);
+  if (publishAt !== null && publishAt > t) return false;
+  if (unpublishAt !== null && unpublishAt <= t) return false;
+  return true;
+}
+
+// Same rule as isPubliclyVisible, expressed as data-layer filters
+function publicVisibilityFilters(now = new Date()) {
+  const ts = now.toISOString();
+  return [
+    ['status', 'in', PUBLIC_STATUSES],
+    ['or', [['publish_at', 'is', null], ['publish_at', 'lte', ts]]],
+    ['or', [['unpublish_at', 'is', null], ['unpublish_at', 'gt', ts]]],
+  ];
+}
+
+/**
+ * Validate { publish_at?, unpublish_at? } (ISO dates or null to clear).
+ * `current` supplies the stored values for keys not present in `body`.
+ * Returns { changes, errors }.
+ */
+function parseSchedule(body, current = {}) {
+  const errors = {};
+  const changes = {};
+
+  for (const key of ['publish_at', 'unpublish_at']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      changes[key] = null;
+    } else if (Number.isNaN(Date.parse(body[key]))) {
+      errors[key] = 'Must be an ISO date or null';
+    } else {
+      changes[key] = new Date(body[key]).toISOString();
+    }
+  }
+
+  const merged = { ...current, ...changes };
+  const publishAt = toTime(merged.publish_at);
+  const unpublishAt = toTime(merged.unpublish_at);
+  if (publishAt !== null && unpublishAt !== null && unpublishAt <= publishAt) {
+    errors.unpublish_at = 'Must be after publish_at';
+  }
+
+  return { changes, errors: Object.keys(errors).length ? errors : null };
+}
+
+module.exports = {
+  STATUSES,
+  PUBLIC_STATUSES,
+  TRANSITIONS,
+  INITIAL_STATUSES,
+  canTransition,
+  isPubliclyVisible,
+  publicVisibilityFilters,
+  parseSchedule,
+};
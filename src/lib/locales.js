@@ -0,0 +1,46 @@
+// src/lib/locales.js
+// Locales the site is published in. The first entry is the fallback.
+//
+// CONTENT_FALLBACK_LOCALE overrides which locale listing and review text falls
+// back to when the requested translation is missing (default: LOCALES[0]).
+const LOCALES = ['es', 'en'];
+
+const FALLBACK_LOCALE = LOCALES.includes(process.env.CONTENT_FALLBACK_LOCALE)
+  ? process.env.CONTENT_FALLBACK_LOCALE
+  : LOCALES[0];
+
+// "en-GB" -> "en"; null when not a published locale
+const toLocale = (tag) => {
+  const short = String(tag || '').trim().slice(0, 2).toLowerCase();
+  return LOCALES.includes(short) ? short : null;
+};
+
+// Accept-Language tags ordered by preference (q=0 entries dropped)
+function parseAcceptLanguage(header = '') {
+  return String(header)
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && Number.isFinite(q) && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Locale for a public request: ?lang= first, then Accept-Language, then
+ * FALLBACK_LOCALE. An unsupported ?lang= falls through to the header.
+ */
+function negotiateLocale(req) {
+  const fromQuery = toLocale(req.query?.lang);
+  if (fromQuery) return fromQuery;
+  for (const tag of parseAcceptLanguage(req.get?.('Accept-Language'))) {
+    const locale = toLocale(tag);
+    if (locale) return locale;
+  }
+  return FALLBACK_LOCALE;
+}
+
+module.exports = { LOCALES, FALLBACK_LOCALE, toLocale, parseAcceptLanguage, negotiateLocale };
@@ -0,0 +1,177 @@
+// src/lib/propertyImport.js
+// Bulk property import/export: reading CSV/JSON uploads into rows, planning
+// the create/update for each row, and the column layout of exports.
+// Writing the plan is left to the route (see POST /admin/properties/import).
+const path = require('path');
+const { parseCsv, unescapeCell } = require('./csv');
+const { validate } = require('./schema');
+const { INITIAL_STATUSES, canTransition, parseSchedule } = require('./listingStatus');
+const { amenityInput, matchAmenities, unmatchedAmenityErrors } = require('./amenities');
+const { propertyImportSchema, propertyUpdateSchema, coordinateErrors } = require('../schemas/property');
+
+const IMPORT_MAX_ROWS = Number(process.env.PROPERTY_IMPORT_MAX_ROWS) || 1000;
+const IMPORT_MAX_BYTES = (Number(process.env.PROPERTY_IMPORT_MAX_MB) || 5) * 1024 * 1024;
+
+// Columns written by exports; the import-able ones round-trip through POST /admin/properties/import
+const EXPORT_COLUMNS = [
+  'id',
+  'external_ref',
+  ...Object.keys(propertyUpdateSchema),
+  'status',
+  'publish_at',
+  'unpublish_at',
+  'ratings',
+  'reviews',
+  'status_changed_at',
+  'created_at',
+];
+
+// Empty CSV cells mean "leave as is", not "clear": spreadsheets cannot tell the two apart
+const fromCsv = (values) => {
+  const out = {};
+  for (const [key, cell] of Object.entries(values)) {
+    if (key && cell.trim() !== '') out[key] = unescapeCell(cell);
+  }
+  return out;
+};
+
+const isCsv = (file) => /csv/.test(file.mimetype) || path.extname(file.originalname || '').toLowerCase() === '.csv';
+
+/**
+ * Rows to import from the request: a multipart `file` (.csv or .json), a
+ * text/csv body, or a JSON body (an array, or { rows: [...] }).
+ * Returns { rows: [{ row, line?, values }] } or { error }.
+ */
+function readImportRows(req) {
+  let records;
+  try {
+    if (req.file) {
+      const text = req.file.buffer.toString('utf8');
+      records = isCsv(req.file) ? csvRecords(text) : jsonRecords(JSON.parse(text));
+    } else if (typeof req.body === 'string') {
+      records = csvRecords(req.body);
+    } else {
+      records = jsonRecords(req.body);
+    }
+  } catch (err) {
+    return { error: `Could not read import: ${err.message}` };
+  }
+
+  if (!records) return { error: 'Send a CSV or JSON file as "file", a text/csv body, or a JSON array of rows' };
+  if (!records.length) return { error: 'The import has no rows' };
+  if (records.length > IMPORT_MAX_ROWS) {
+    return { error: `The import has ${records.length} rows; at most ${IMPORT_MAX_ROWS} are accepted per request` };
+  }
+  return { rows: records };
+}
+
+function csvRecords(text) {
+  return parseCsv(text).rows.map(({ line, values }, i) => ({ row: i + 1, line, values: fromCsv(values) }));
+}
+
+function jsonRecords(body) {
+  const list = Array.isArray(body) ? body : body?.rows;
+  if (!Array.isArray(list)) return null;
+  return list.map((values, i) => ({ row: i + 1, values }));
+}
+
+const DATE_FIELDS = ['publish_at', 'unpublish_at'];
+const NUMERIC_FIELDS = ['price', 'area', 'latitude', 'longitude'];
+const toTime = (v) => (v ? new Date(v).getTime() : null);
+
+// Stored timestamps and numerics come back in another form than the one the validator writes
+const same = (key, a, b) => {
+  if (DATE_FIELDS.includes(key)) return toTime(a) === toTime(b);
+  if (NUMERIC_FIELDS.includes(key) && a !== null && b !== null && a !== undefined && b !== undefined) return Number(a) === Number(b);
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+};
+
+// external_ref of a raw row (before validation), used to find the stored listing
+const importRef = (values) => {
+  const raw = values?.external_ref ?? values?.externalRef;
+  if (typeof raw !== 'string' && typeof raw !== 'number') return null;
+  return String(raw).trim() || null;
+};
+
+/**
+ * Plan one row against the stored listing with the same external_ref (or null).
+ * Amenities may be catalogue keys, labels or aliases; they are stored as keys.
+ * Returns { action: 'create' | 'update' | 'unchanged', payload } or { action: 'error', errors }.
+ */
+function planRow(values, existing, catalogue) {
+  const input = values && 'amenities' in values ? { ...values, amenities: amenityInput(values.amenities) } : values;
+  const { value, errors } = validate(propertyImportSchema, input, { partial: Boolean(existing) });
+  if (errors) return { action: 'error', errors };
+  const pairErrors = coordinateErrors(value);
+  if (pairErrors) return { action: 'error', errors: pairErrors };
+  if (value.amenities) {
+    const { keys, unmatched } = matchAmenities(value.amenities, catalogue);
+    const amenityErrors = unmatchedAmenityErrors(unmatched);
+    if (amenityErrors) return { action: 'error', errors: amenityErrors };
+    value.amenities = keys;
+  }
+
+  const { external_ref, status, publish_at, unpublish_at, ...fields } = value;
+  const schedule = parseSchedule({ publish_at, unpublish_at }, existing || {});
+  if (schedule.errors) return { action: 'error', errors: schedule.errors };
+
+  if (!existing) {
+    if (status && !INITIAL_STATUSES.includes(status)) {
+      return { action: 'error', errors: { status: `New listings must be one of: ${INITIAL_STATUSES.join(', ')}` } };
+    }
+    return { action: 'create', payload: { external_ref, ...fields, status: status || 'draft', ...schedule.changes } };
+  }
+
+  if (existing.deleted_at) {
+    return { action: 'error', errors: { external_ref: 'Matches a listing in the trash; restore it first' } };
+  }
+
+  const changes = { ...fields, ...schedule.changes };
+  if (status && status !== (existing.status || 'draft')) {
+    if (!canTransition(existing.status, status)) {
+      return { action: 'error', errors: { status: `Cannot move a listing from ${existing.status || 'draft'} to ${status}` } };
+    }
+    changes.status = status;
+  }
+
+  const payload = Object.fromEntries(Object.entries(changes).filter(([key, v]) => !same(key, v, existing[key])));
+  if (!Object.keys(payload).length) return { action: 'unchanged' };
+  if (payload.status) payload.status_changed_at = new Date().toISOString();
+  return { action: 'update', payload };
+}
+
+/**
+ * Plan every row. `existingByRef` maps external_ref -> stored row (trashed rows included);
+ * `catalogue` is the amenity catalogue. Returns [{ row, line?, external_ref, action, id?, payload?, errors? }].
+ */
+function planPropertyImport(rows, existingByRef, catalogue) {
+  const seen = new Map(); // external_ref -> first row number
+  return rows.map(({ row, line, values }) => {
+    const ref = importRef(values);
+    const base = { row, ...(line ? { line } : {}), external_ref: ref };
+
+    if (ref && seen.has(ref)) {
+      return { ...base, action: 'error', errors: { external_ref: `Duplicate of row ${seen.get(ref)}` } };
+    }
+    if (ref) seen.set(ref, row);
+
+    const existing = (ref && existingByRef.get(ref)) || null;
+    return { ...base, ...(existing ? { id: existing.id } : {}), ...planRow(values, existing, catalogue) };
+  });
+}
+
+function summarizeImport(plan) {
+  const summary = { total: plan.length, create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const item of plan) summary[item.action] += 1;
+  return summary;
+}
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  IMPORT_MAX_BYTES,
+  EXPORT_COLUMNS,
+  readImportRows,
+  importRef,
+  planPropertyImport,
+  summarizeImport,
+};
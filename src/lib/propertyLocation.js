@@ -0,0 +1,67 @@
+// src/lib/propertyLocation.js
+// Coordinates as callers see them. Admins get the stored point and address; everyone
+// else gets no exactAddress and the point moved by up to GEO_FUZZ_METERS (default 250,
+// 0 = exact) in a fixed direction per listing, so the pin shows the neighbourhood, not the door.
+//
+//   GEO_FUZZ_METERS  fuzz radius in metres
+//   GEO_FUZZ_SECRET  keys the per-listing offset; required while fuzzing is on, with the
+//                    same value on every instance. Offsets that changed between restarts
+//                    could be collected and averaged back to the real point.
+const { fuzzPoint } = require('./geo');
+
+const FUZZ_METERS = process.env.GEO_FUZZ_METERS === undefined ? 250 : Number(process.env.GEO_FUZZ_METERS) || 0;
+const FUZZ_SECRET = process.env.GEO_FUZZ_SECRET || '';
+
+if (FUZZ_METERS && !FUZZ_SECRET) {
+  throw new Error('GEO_FUZZ_SECRET is required while coordinate fuzzing is on (or set GEO_FUZZ_METERS=0)');
+}
+
+// Stored point of a listing, or null when it has none
+const exactPoint = (row) => (row.latitude === null || row.latitude === undefined || row.longitude === null || row.longitude === undefined
+  ? null
+  : { lat: Number(row.latitude), lng: Number(row.longitude) });
+
+const publicPoint = (row) => {
+  const point = exactPoint(row);
+  return point && fuzzPoint(point, { seed: row.id, secret: FUZZ_SECRET, meters: FUZZ_METERS });
+};
+
+// Point getter for a caller: exact for admins, fuzzed for the public
+const pointFor = ({ exact }) => (exact ? exactPoint : publicPoint);
+
+// Margin (km) to widen database prefilters by, so fuzzed points near the edge are not lost
+const fuzzMarginKm = ({ exact }) => (exact ? 0 : FUZZ_METERS / 1000);
+
+/**
+ * Row as the caller may see it. The public gets latitude/longitude moved (plus
+ * location_fuzz_meters) and never the street address or geocoding details.
+ */
+function withLocation(row, { exact }) {
+  if (!row || exact) return row;
+  const { exactAddress: _address, geocode_source: _source, geocoded_at: _at, ...rest } = row;
+  const point = FUZZ_METERS ? publicPoint(row) : null;
+  if (!point) return rest;
+  return { ...rest, latitude: point.lat, longitude: point.lng, location_fuzz_meters: FUZZ_METERS };
+}
+
+// Listing fields carried in each GeoJSON feature (enough for a map pin and popup)
+const FEATURE_FIELDS = ['name', 'price', 'location', 'bhkType', 'area', 'status', 'cover_image', 'image', 'distance_km'];
+
+/** GeoJSON FeatureCollection of the rows that have coordinates ([lng, lat] order). */
+function toFeatureCollection(rows, { exact }) {
+  const point = pointFor({ exact });
+  const features = [];
+  for (const row of rows) {
+    const p = point(row);
+    if (!p) continue;
+    features.push({
+      type: 'Feature',
+      id: row.id,
+      geometry: { type: 'Point', coordinates: [p.lng, p.lat] },
+      properties: Object.fromEntries(FEATURE_FIELDS.filter((f) => row[f] !== undefined).map((f) => [f, row[f]])),
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = { FUZZ_METERS, exactPoint, pointFor, fuzzMarginKm, withLocation, toFeatureCollection };
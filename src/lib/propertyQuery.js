@@ -0,0 +1,259 @@
+// src/lib/propertyQuery.js
+// Parses GET /properties query params into a plain spec and turns it into data-layer filters.
+const {
+  MAX_PAGE_SIZE,
+  isBlank,
+  toList,
+  toLikeTerm,
+  parsePagination,
+  buildPagination,
+  paginationLinks,
+} = require('./listQuery');
+const { STATUSES } = require('./listingStatus');
+const { haversineKm, boxAround, expandBox, inBox, isLatitude, isLongitude } = require('./geo');
+
+const SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  oldest: { column: 'created_at', ascending: true },
+  price_asc: { column: 'price', ascending: true },
+  price_desc: { column: 'price', ascending: false },
+  area_asc: { column: 'area', ascending: true },
+  area_desc: { column: 'area', ascending: false },
+  ratings_desc: { column: 'ratings', ascending: false },
+  ratings_asc: { column: 'ratings', ascending: true },
+};
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_RADIUS_KM = 500;
+const FORMATS = ['json', 'geojson'];
+
+// Geo searches match, sort and page in process over at most this many prefiltered
+// candidates (id and coordinates only)
+const GEO_SEARCH_MAX_ROWS = Number(process.env.GEO_SEARCH_MAX_ROWS) || 20000;
+
+// bbox=minLng,minLat,maxLng,maxLat (GeoJSON order)
+function parseBbox(raw, errors) {
+  const parts = String(raw).split(',').map((p) => Number(p.trim()));
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (parts.length !== 4 || !isLongitude(minLng) || !isLongitude(maxLng) || !isLatitude(minLat) || !isLatitude(maxLat)
+    || minLng > maxLng || minLat > maxLat) {
+    errors.bbox = 'Must be minLng,minLat,maxLng,maxLat';
+    return undefined;
+  }
+  return { minLat, minLng, maxLat, maxLng };
+}
+
+// lat + lng + radiusKm: listings within radiusKm of the point
+function parseNear(query, errors) {
+  const given = ['lat', 'lng', 'radiusKm'].filter((key) => !isBlank(query[key]));
+  if (!given.length) return undefined;
+  if (given.length < 3) {
+    errors.radiusKm = 'lat, lng and radiusKm go together';
+    return undefined;
+  }
+  const lat = Number(query.lat);
+  const lng = Number(query.lng);
+  const radiusKm = Number(query.radiusKm);
+  if (!isLatitude(lat)) errors.lat = 'Must be a latitude between -90 and 90';
+  if (!isLongitude(lng)) errors.lng = 'Must be a longitude between -180 and 180';
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    errors.radiusKm = `Must be a number between 0 and ${MAX_RADIUS_KM}`;
+  }
+  return errors.lat || errors.lng || errors.radiusKm ? undefined : { center: { lat, lng }, radiusKm };
+}
+
+function parseNumber(query, key, errors) {
+  const raw = query[key];
+  if (isBlank(raw)) return undefined;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) {
+    errors[key] = 'Must be a non-negative number';
+    return undefined;
+  }
+  return n;
+}
+
+/**
+ * Validate and normalize the listing query string.
+ * Returns { spec, errors } — `errors` is null when the query is valid.
+ *
+ * Supported params:
+ *  minPrice, maxPrice, minArea, maxArea   numeric ranges (inclusive)
+ *  bhkType                                one or more values ("2,3")
+ *  location                               partial, case-insensitive match
+ *  amenities                              amenity keys; all must be present
+ *  q                                      free text over name/description (and exactAddress
+ *                                         for admins)
+ *  status                                 lifecycle statuses (only meaningful for admins;
+ *                                         anonymous callers are limited to public listings)
+ *  bbox                                   minLng,minLat,maxLng,maxLat
+ *  lat, lng, radiusKm                     within radiusKm (<= MAX_RADIUS_KM) of a point
+ *  sort                                   one of Object.keys(SORTS), default "newest";
+ *                                         "distance" (nearest first) needs lat/lng
+ *  format                                 json (default) | geojson (listings with coordinates)
+ *  page, pageSize                         1-based page, pageSize <= MAX_PAGE_SIZE
+ */
+function parsePropertyQuery(query = {}) {
+  const errors = {};
+
+  const spec = {
+    minPrice: parseNumber(query, 'minPrice', errors),
+    maxPrice: parseNumber(query, 'maxPrice', errors),
+    minArea: parseNumber(query, 'minArea', errors),
+    maxArea: parseNumber(query, 'maxArea', errors),
+    bhkTypes: isBlank(query.bhkType) ? [] : toList(query.bhkType),
+    location: isBlank(query.location) ? undefined : String(query.location).trim(),
+    amenities: isBlank(query.amenities) ? [] : toList(query.amenities),
+    statuses: isBlank(query.status) ? [] : toList(query.status),
+    q: undefined,
+    bbox: isBlank(query.bbox) ? undefined : parseBbox(query.bbox, errors),
+    near: parseNear(query, errors),
+    sort: 'newest',
+    format: 'json',
+    ...parsePagination(query, errors),
+  };
+
+  if (spec.minPrice !== undefined && spec.maxPrice !== undefined && spec.minPrice > spec.maxPrice) {
+    errors.minPrice = 'minPrice cannot be greater than maxPrice';
+  }
+  if (spec.minArea !== undefined && spec.maxArea !== undefined && spec.minArea > spec.maxArea) {
+    errors.minArea = 'minArea cannot be greater than maxArea';
+  }
+
+  if (spec.statuses.some((st) => !STATUSES.includes(st))) {
+    errors.status = `Must be one or more of: ${STATUSES.join(', ')}`;
+  }
+
+  if (!isBlank(query.q)) {
+    const q = String(query.q).trim();
+    if (q.length > MAX_SEARCH_LENGTH) errors.q = `Must be at most ${MAX_SEARCH_LENGTH} characters`;
+    else spec.q = q;
+  }
+
+  if (!isBlank(query.sort)) {
+    const sort = String(query.sort).trim();
+    if (sort === 'distance') {
+      if (!spec.near) errors.sort = 'sort=distance needs lat, lng and radiusKm';
+      else spec.sort = sort;
+    } else if (!SORTS[sort]) {
+      errors.sort = `Must be one of: ${[...Object.keys(SORTS), 'distance'].join(', ')}`;
+    } else {
+      spec.sort = sort;
+    }
+  }
+
+  if (!isBlank(query.format)) {
+    const format = String(query.format).trim().toLowerCase();
+    if (!FORMATS.includes(format)) errors.format = `Must be one of: ${FORMATS.join(', ')}`;
+    else spec.format = format;
+  }
+
+  return { spec, errors: Object.keys(errors).length ? errors : null };
+}
+
+// Columns `q` searches; the street address only for admins, or it could be probed publicly
+const SEARCH_COLUMNS = ['name', 'description'];
+const ADMIN_SEARCH_COLUMNS = [...SEARCH_COLUMNS, 'exactAddress'];
+
+// Filters for the data layer's `where` list (see src/data/index.js)
+function propertyFilters(spec, { publicOnly = false } = {}) {
+  const where = [];
+
+  if (spec.minPrice !== undefined) where.push(['price', 'gte', spec.minPrice]);
+  if (spec.maxPrice !== undefined) where.push(['price', 'lte', spec.maxPrice]);
+  if (spec.minArea !== undefined) where.push(['area', 'gte', spec.minArea]);
+  if (spec.maxArea !== undefined) where.push(['area', 'lte', spec.maxArea]);
+  if (spec.bhkTypes.length) where.push(['bhkType', 'in', spec.bhkTypes]);
+  if (spec.statuses.length) where.push(['status', 'in', spec.statuses]);
+  if (spec.location) where.push(['location', 'ilike', `%${toLikeTerm(spec.location)}%`]);
+  if (spec.amenities.length) where.push(['amenities', 'contains', spec.amenities]);
+  if (spec.q) {
+    const term = `%${toLikeTerm(spec.q)}%`;
+    where.push(['or', (publicOnly ? SEARCH_COLUMNS : ADMIN_SEARCH_COLUMNS).map((col) => [col, 'ilike', term])]);
+  }
+
+  if (spec.format === 'geojson' || isGeoSearch(spec)) {
+    where.push(['latitude', 'isNot', null], ['longitude', 'isNot', null]);
+  }
+
+  return where;
+}
+
+const isGeoSearch = (spec) => Boolean(spec.bbox || spec.near);
+
+// Box enclosing every geo condition of the spec (bbox and/or radius)
+function searchBox(spec) {
+  const boxes = [spec.bbox, spec.near && boxAround(spec.near.center, spec.near.radiusKm)].filter(Boolean);
+  return boxes.reduce((a, b) => ({
+    minLat: Math.max(a.minLat, b.minLat),
+    minLng: Math.max(a.minLng, b.minLng),
+    maxLat: Math.min(a.maxLat, b.maxLat),
+    maxLng: Math.min(a.maxLng, b.maxLng),
+  }));
+}
+
+/**
+ * Coarse database filter for a geo search: the search box widened by marginKm
+ * (points shown to the public are fuzzed, so they can sit outside the stored one).
+ */
+function geoPrefilter(spec, marginKm = 0) {
+  const box = expandBox(searchBox(spec), marginKm);
+  return [
+    ['latitude', 'gte', box.minLat],
+    ['latitude', 'lte', box.maxLat],
+    ['longitude', 'gte', box.minLng],
+    ['longitude', 'lte', box.maxLng],
+  ];
+}
+
+/**
+ * Exact geo matching over prefiltered rows, using `point(row)` — the coordinates
+ * the caller sees — so results agree with the pins on their map. Adds distance_km
+ * for radius searches, sorts by distance when asked and returns the spec's page.
+ * Returns { rows, total }.
+ */
+function applyGeoSearch(rows, spec, point) {
+  const box = spec.bbox;
+  const near = spec.near;
+  const matched = [];
+  for (const row of rows) {
+    const p = point(row);
+    if (!p || (box && !inBox(p, box))) continue;
+    if (near) {
+      const distance = haversineKm(near.center, p);
+      if (distance > near.radiusKm) continue;
+      matched.push({ ...row, distance_km: Math.round(distance * 10) / 10 });
+    } else {
+      matched.push(row);
+    }
+  }
+  if (spec.sort === 'distance') matched.sort((a, b) => a.distance_km - b.distance_km);
+
+  const offset = (spec.page - 1) * spec.pageSize;
+  return { rows: matched.slice(offset, offset + spec.pageSize), total: matched.length };
+}
+
+// Sort order for the spec, with id as a stable tiebreaker
+// (sort=distance is applied by applyGeoSearch; the database order is then only a tiebreaker)
+function propertyOrder(spec) {
+  const { column, ascending } = SORTS[spec.sort] || SORTS.newest;
+  return [
+    { column, ascending, nullsFirst: false },
+    { column: 'id', ascending: true },
+  ];
+}
+
+module.exports = {
+  SORTS,
+  MAX_PAGE_SIZE,
+  MAX_RADIUS_KM,
+  GEO_SEARCH_MAX_ROWS,
+  parsePropertyQuery,
+  propertyFilters,
+  propertyOrder,
+  isGeoSearch,
+  geoPrefilter,
+  applyGeoSearch,
+  buildPagination,
+  paginationLinks,
+};
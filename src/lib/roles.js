@@ -0,0 +1,56 @@
+// src/lib/roles.js
+// Admin roles and the permissions each one grants.
+//
+//   owner   everything, including managing other owners
+//   admin   everything except owner accounts
+//   editor  listings, reviews, leads and viewings; no user management, amenity catalogue or audit log
+//   viewer  read-only access to the admin side (listings, reviews, leads, viewings, analytics)
+
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+// Higher rank may manage lower-or-equal ranks (owners only by owners, see canManageRole)
+const RANK = { owner: 4, admin: 3, editor: 2, viewer: 1 };
+
+// permission -> roles that hold it
+const PERMISSIONS = {
+  'listings:read': ['owner', 'admin', 'editor', 'viewer'],
+  'listings:write': ['owner', 'admin', 'editor'],
+  'reviews:read': ['owner', 'admin', 'editor', 'viewer'],
+  'reviews:write': ['owner', 'admin', 'editor'],
+  'leads:read': ['owner', 'admin', 'editor', 'viewer'],
+  'leads:write': ['owner', 'admin', 'editor'],
+  'viewings:read': ['owner', 'admin', 'editor', 'viewer'],
+  'viewings:write': ['owner', 'admin', 'editor'],
+  'analytics:read': ['owner', 'admin', 'editor', 'viewer'],
+  'amenities:write': ['owner', 'admin'],
+  'trash:read': ['owner', 'admin', 'editor'],
+  'audit:read': ['owner', 'admin'],
+  'users:read': ['owner', 'admin'],
+  'users:manage': ['owner', 'admin'],
+};
+
+const can = (role, permission) => Boolean(PERMISSIONS[permission]?.includes(role));
+
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter((p) => can(role, p));
+
+// An admin_users row grants access while it is active and carries a known role
+const isActiveAdmin = (row) => Boolean(row && row.is_admin && !row.revoked_at && ROLES.includes(row.role));
+
+/**
+ * May `actorRole` grant, change or revoke `targetRole`?
+ * Owners are managed by owners only; everyone else by an equal or higher rank.
+ */
+function canManageRole(actorRole, targetRole) {
+  if (!can(actorRole, 'users:manage')) return false;
+  if (targetRole === 'owner') return actorRole === 'owner';
+  return (RANK[actorRole] || 0) >= (RANK[targetRole] || 0);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  permissionsFor,
+  isActiveAdmin,
+  canManageRole,
+};
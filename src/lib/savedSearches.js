@@ -0,0 +1,71 @@
+// src/lib/savedSearches.js
+// Saved-search criteria: parsing the public form, matching a listing, and the
+// equivalent GET /properties query. Criteria are stored as
+//   { location, minPrice, maxPrice, bhkTypes, amenities }
+// and match with the same rules as those /properties filters.
+const crypto = require('crypto');
+const { validate } = require('./schema');
+const { toList, isBlank } = require('./listQuery');
+const { savedSearchSchema } = require('../schemas/savedSearch');
+
+// Token for confirm / unsubscribe links
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+// "2,3" is accepted for list fields too, as in the /properties query string
+const listField = (v) => (typeof v === 'string' ? toList(v) : v);
+
+/**
+ * Validate a POST /saved-searches body.
+ * Returns { value: { email, frequency, locale, criteria }, errors }.
+ */
+function readSavedSearch(body = {}) {
+  const input = { ...body, bhkType: listField(body.bhkType), amenities: listField(body.amenities) };
+  const { value, errors } = validate(savedSearchSchema, input);
+  if (errors) return { errors };
+
+  if (value.minPrice != null && value.maxPrice != null && value.minPrice > value.maxPrice) {
+    return { errors: { minPrice: 'minPrice cannot be greater than maxPrice' } };
+  }
+
+  return {
+    value: {
+      email: value.email.toLowerCase(),
+      frequency: value.frequency || 'daily',
+      locale: value.locale,
+      criteria: {
+        location: isBlank(value.location) ? null : value.location,
+        minPrice: value.minPrice ?? null,
+        maxPrice: value.maxPrice ?? null,
+        bhkTypes: [...new Set(value.bhkType || [])],
+        amenities: [...new Set(value.amenities || [])],
+      },
+    },
+    errors: null,
+  };
+}
+
+const includesText = (text, term) => String(text ?? '').toLowerCase().includes(String(term).toLowerCase());
+
+/** Does `property` satisfy the saved criteria? */
+function matchesCriteria(property, criteria = {}) {
+  const price = Number(property.price);
+  if (criteria.minPrice != null && !(price >= criteria.minPrice)) return false;
+  if (criteria.maxPrice != null && !(price <= criteria.maxPrice)) return false;
+  if (criteria.bhkTypes?.length && !criteria.bhkTypes.includes(String(property.bhkType))) return false;
+  if (criteria.location && !includesText(property.location, criteria.location)) return false;
+  if (criteria.amenities?.length && !criteria.amenities.every((key) => (property.amenities || []).includes(key))) return false;
+  return true;
+}
+
+// Query string that shows the same listings on GET /properties (and the website)
+function criteriaQuery(criteria = {}) {
+  const params = new URLSearchParams();
+  if (criteria.location) params.set('location', criteria.location);
+  if (criteria.minPrice != null) params.set('minPrice', String(criteria.minPrice));
+  if (criteria.maxPrice != null) params.set('maxPrice', String(criteria.maxPrice));
+  if (criteria.bhkTypes?.length) params.set('bhkType', criteria.bhkTypes.join(','));
+  if (criteria.amenities?.length) params.set('amenities', criteria.amenities.join(','));
+  return params.toString();
+}
+
+module.exports = { newToken, readSavedSearch, matchesCriteria, criteriaQuery };
@@ -0,0 +1,124 @@
+// src/lib/schema.js
+// Tiny declarative validator for request bodies.
+//
+// A schema maps field names to rules:
+//   type        'string' | 'number' | 'integer' | 'boolean' | 'date' | 'id' | 'array' | 'object'
+//   required    must be present (ignored in partial mode)
+//   nullable    null is accepted (and stored as null); so is a blank string, as sent by forms
+//   min / max   numeric bounds (inclusive)
+//   minLength / maxLength   string length, or array length for arrays
+//   enum        allowed values (strings are compared after trimming)
+//   pattern     RegExp a string must match (patternMessage customises the error)
+//   items       rule applied to each array element
+//   aliases     other body keys accepted for this field (e.g. legacy names)
+//
+// Unknown keys are dropped. Errors are keyed by field name.
+
+const isMissing = (v) => v === undefined;
+
+function checkValue(rule, raw, field) {
+  if (raw === null || (rule.nullable && typeof raw === 'string' && raw.trim() === '')) {
+    return rule.nullable ? { value: null } : { error: 'Must not be null' };
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'Must be a string' };
+      const value = String(raw).trim();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { error: rule.minLength === 1 ? 'Must not be empty' : `Must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { error: `Must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.enum && !rule.enum.includes(value)) return { error: `Must be one of: ${rule.enum.join(', ')}` };
+      if (rule.pattern && !rule.pattern.test(value)) return { error: rule.patternMessage || 'Invalid format' };
+      return { value };
+    }
+    case 'number':
+    case 'integer': {
+      // Numeric strings are accepted so multipart/form bodies validate the same as JSON
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'Must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { error: 'Must be an integer' };
+      if (rule.min !== undefined && value < rule.min) return { error: `Must be >= ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `Must be <= ${rule.max}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'Must be a boolean' };
+    }
+    case 'date': {
+      if (typeof raw !== 'string' || Number.isNaN(Date.parse(raw))) return { error: 'Must be an ISO date' };
+      return { value: new Date(raw).toISOString() };
+    }
+    case 'id': {
+      if (typeof raw === 'number' && Number.isInteger(raw) && raw > 0) return { value: raw };
+      if (typeof raw === 'string' && raw.trim() && raw.trim().length <= 64) return { value: raw.trim() };
+      return { error: 'Must be a valid id' };
+    }
+    case 'array': {
+      if (!Array.isArray(raw)) return { error: 'Must be an array' };
+      if (rule.minLength !== undefined && raw.length < rule.minLength) return { error: `Must have at least ${rule.minLength} items` };
+      if (rule.maxLength !== undefined && raw.length > rule.maxLength) return { error: `Must have at most ${rule.maxLength} items` };
+      if (!rule.items) return { value: raw };
+      const value = [];
+      for (let i = 0; i < raw.length; i += 1) {
+        const item = checkValue(rule.items, raw[i], `${field}[${i}]`);
+        if (item.error) return { error: `Item ${i}: ${item.error}` };
+        value.push(item.value);
+      }
+      return { value };
+    }
+    case 'object': {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Must be an object' };
+      return { value: raw };
+    }
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+}
+
+/**
+ * Validate `body` against `schema`.
+ * Options: { partial } — skip `required` checks (updates).
+ * Returns { value, errors }: `value` holds only declared fields that were
+ * present; `errors` is null when everything passed.
+ */
+function validate(schema, body, { partial = false } = {}) {
+  const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const keys = [field, ...(rule.aliases || [])].filter((k) => !isMissing(input[k]));
+
+    if (keys.length > 1 && new Set(keys.map((k) => JSON.stringify(input[k]))).size > 1) {
+      errors[field] = `Conflicting values for ${keys.join(' / ')}`;
+      continue;
+    }
+    if (!keys.length) {
+      if (rule.required && !partial) errors[field] = 'Required';
+      continue;
+    }
+
+    const result = checkValue(rule, input[keys[0]], field);
+    if (result.error) errors[field] = result.error;
+    else value[field] = result.value;
+  }
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+// Shared `pattern` for email fields
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shared `pattern` for uuid columns (e.g. Supabase Auth user ids)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Standard 400 body for schema failures
+const validationError = (errors) => ({ message: 'Validation failed', errors });
+
+module.exports = { EMAIL_PATTERN, UUID_PATTERN, validate, validationError };
@@ -0,0 +1,147 @@
+// src/lib/seo.js
+// Search-engine and link-preview data for listings: Open Graph / Twitter card tags,
+// schema.org RealEstateListing JSON-LD and the sitemap.
+//
+//   SITE_NAME         brand shown in titles and og:site_name (default "Clave de Oro")
+//   LISTING_CURRENCY  ISO 4217 code of listing prices (default EUR)
+const { LOCALES } = require('./locales');
+const { buildGallery } = require('./gallery');
+const { propertyUrl } = require('./urls');
+const { escapeXml, element, XML_DECLARATION } = require('./xml');
+
+const SITE_NAME = process.env.SITE_NAME || 'Clave de Oro';
+const CURRENCY = process.env.LISTING_CURRENCY || 'EUR';
+// Search engines read at most this many URLs from one sitemap file
+const SITEMAP_MAX_URLS = 50000;
+
+const TITLE_MAX = 70;
+const DESCRIPTION_MAX = 160;
+
+const LANGUAGE_TAGS = { es: 'es-ES', en: 'en-GB' };
+const ogLocale = (locale) => (LANGUAGE_TAGS[locale] || locale).replace('-', '_');
+
+const LABELS = {
+  es: { bhk: (t) => (t === 'studio' ? 'Estudio' : `${t} hab.`) },
+  en: { bhk: (t) => (t === 'studio' ? 'Studio' : `${t} bed`) },
+};
+
+// Collapse whitespace and cut at a word boundary with an ellipsis
+function clip(text, max) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= max) return flat;
+  const cut = flat.slice(0, max - 1);
+  const boundary = cut.lastIndexOf(' ');
+  return `${(boundary > max / 2 ? cut.slice(0, boundary) : cut).replace(/[\s,.;:]+$/, '')}…`;
+}
+
+const formatPrice = (price, locale) => {
+  const n = Number(price);
+  if (!Number.isFinite(n)) return null;
+  return new Intl.NumberFormat(LANGUAGE_TAGS[locale] || locale, { style: 'currency', currency: CURRENCY, maximumFractionDigits: 0 }).format(n);
+};
+
+// "2 bed · 80 m² · Madrid · €300,000" when a listing has no description
+const summaryOf = (property, locale) => [
+  property.bhkType ? (LABELS[locale] || LABELS.en).bhk(property.bhkType) : null,
+  property.area ? `${property.area} m²` : null,
+  property.location,
+  formatPrice(property.price, locale),
+].filter(Boolean).join(' · ');
+
+const hasPoint = (p) => p.latitude !== null && p.latitude !== undefined && p.longitude !== null && p.longitude !== undefined;
+
+/**
+ * schema.org RealEstateListing for a listing as the public sees it (localized,
+ * coordinates already fuzzed). Only the locality is given, never the exact address.
+ */
+function listingJsonLd(property, { locale, description, images }) {
+  const url = propertyUrl(property);
+  const rooms = Number(property.bhkType);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'RealEstateListing',
+    name: property.name,
+    description,
+    url,
+    inLanguage: LANGUAGE_TAGS[locale] || locale,
+    ...(images.length ? { image: images } : {}),
+    ...(property.created_at ? { datePosted: property.created_at } : {}),
+    ...(property.updated_at ? { dateModified: property.updated_at } : {}),
+    offers: {
+      '@type': 'Offer',
+      price: Number(property.price),
+      priceCurrency: CURRENCY,
+      availability: property.status === 'reserved' ? 'https://schema.org/LimitedAvailability' : 'https://schema.org/InStock',
+      url,
+    },
+    about: {
+      '@type': 'Accommodation',
+      ...(property.area ? { floorSize: { '@type': 'QuantitativeValue', value: Number(property.area), unitCode: 'MTK' } } : {}),
+      ...(Number.isInteger(rooms) ? { numberOfRooms: rooms } : {}),
+      ...(property.location ? { address: { '@type': 'PostalAddress', addressLocality: property.location } } : {}),
+      ...(hasPoint(property)
+        ? { geo: { '@type': 'GeoCoordinates', latitude: Number(property.latitude), longitude: Number(property.longitude) } }
+        : {}),
+    },
+  };
+}
+
+/**
+ * Page metadata for a public listing: { title, description, image, url, locale,
+ * openGraph: { <og:* property>: content }, twitter: { <twitter:* name>: content }, jsonLd }.
+ * `property` is the localized, public view of the listing.
+ */
+function listingMeta(property, locale) {
+  const { gallery, cover } = buildGallery(property);
+  const images = gallery.length ? gallery.map((img) => img.full) : [property.image].filter(Boolean);
+  const image = cover?.full || images[0] || null;
+  const title = clip(`${property.name}${property.location ? ` – ${property.location}` : ''} | ${SITE_NAME}`, TITLE_MAX);
+  const description = clip(property.description || summaryOf(property, locale), DESCRIPTION_MAX);
+  const url = propertyUrl(property);
+
+  const openGraph = {
+    'og:type': 'website',
+    'og:site_name': SITE_NAME,
+    'og:title': title,
+    'og:description': description,
+    'og:url': url,
+    'og:locale': ogLocale(locale),
+    'og:locale:alternate': LOCALES.filter((l) => l !== locale).map(ogLocale),
+    ...(image ? { 'og:image': image } : {}),
+    ...(image && cover?.width ? { 'og:image:width': cover.width, 'og:image:height': cover.height } : {}),
+    ...(image && cover?.alt?.[locale] ? { 'og:image:alt': cover.alt[locale] } : {}),
+  };
+  const twitter = {
+    'twitter:card': image ? 'summary_large_image' : 'summary',
+    'twitter:title': title,
+    'twitter:description': description,
+    ...(image ? { 'twitter:image': image } : {}),
+  };
+
+  return {
+    title,
+    description,
+    image,
+    url,
+    locale,
+    openGraph,
+    twitter,
+    jsonLd: listingJsonLd(property, { locale, description, images }),
+  };
+}
+
+const lastmodOf = (row) => {
+  const value = row.updated_at || row.created_at;
+  return value ? new Date(value).toISOString() : null;
+};
+
+/** sitemap.xml (sitemaps.org protocol) for [{ id, slug, updated_at, created_at }]. */
+function buildSitemap(rows) {
+  const urls = rows.slice(0, SITEMAP_MAX_URLS).map((row) => element('url', [
+    element('loc', propertyUrl(row)),
+    element('lastmod', lastmodOf(row)),
+  ]));
+  return `${XML_DECLARATION}<urlset xmlns="${escapeXml('http://www.sitemaps.org/schemas/sitemap/0.9')}">\n${urls.join('\n')}\n</urlset>\n`;
+}
+
+module.exports = { SITE_NAME, SITEMAP_MAX_URLS, listingMeta, buildSitemap };
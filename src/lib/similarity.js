@@ -0,0 +1,98 @@
+// src/lib/similarity.js
+// "You may also like": ranks listings by how close they are to a given one, using
+// only listing fields. Each criterion scores 0..1 and the result is their weighted mean:
+//   price, area  1 - relative difference (100 vs 150 scores 0.67)
+//   bhkType      1 - steps apart in BHK_TYPES order / the widest possible gap
+//   location     1 for the same location (case-insensitive), else 0
+//   amenities    shared amenity keys / all amenity keys of the two listings
+//
+// SIMILAR_WEIGHTS overrides the weights, e.g. "price:3,area:2,bhkType:2,location:3,amenities:1";
+// criteria left out keep their default and 0 turns one off.
+const { BHK_TYPES } = require('../schemas/property');
+
+const DEFAULT_WEIGHTS = { price: 3, area: 2, bhkType: 2, location: 3, amenities: 1 };
+
+/** Parse a SIMILAR_WEIGHTS value into a full weights object (throws on unknown keys or bad numbers). */
+function parseWeights(value) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  if (!value) return weights;
+  for (const part of value.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [key, raw] = part.split(':').map((s) => s.trim());
+    const weight = Number(raw);
+    if (!(key in DEFAULT_WEIGHTS) || raw === undefined || raw === '' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid SIMILAR_WEIGHTS entry "${part}" (expected <${Object.keys(DEFAULT_WEIGHTS).join('|')}>:<weight>)`);
+    }
+    weights[key] = weight;
+  }
+  if (!Object.values(weights).some((w) => w > 0)) throw new Error('SIMILAR_WEIGHTS turns every criterion off');
+  return weights;
+}
+
+const SIMILAR_WEIGHTS = parseWeights(process.env.SIMILAR_WEIGHTS);
+
+const normalize = (s) => String(s ?? '').trim().toLowerCase();
+
+const amenitySet = (property) => new Set(Array.isArray(property.amenities) ? property.amenities : []);
+
+function closeness(a, b) {
+  const x = Number(a);
+  const y = Number(b);
+  if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || y < 0) return 0;
+  const larger = Math.max(x, y);
+  return larger === 0 ? 1 : 1 - Math.abs(x - y) / larger;
+}
+
+function bhkCloseness(a, b) {
+  if (a === undefined || a === null || b === undefined || b === null) return 0;
+  if (String(a) === String(b)) return 1;
+  const i = BHK_TYPES.indexOf(String(a));
+  const j = BHK_TYPES.indexOf(String(b));
+  if (i < 0 || j < 0 || BHK_TYPES.length < 2) return 0;
+  return 1 - Math.abs(i - j) / (BHK_TYPES.length - 1);
+}
+
+function amenityOverlap(a, b) {
+  const union = new Set([...a, ...b]);
+  if (!union.size) return 0;
+  let shared = 0;
+  for (const amenity of a) if (b.has(amenity)) shared += 1;
+  return shared / union.size;
+}
+
+/** Per-criterion closeness of two listings, each 0..1. */
+function similarityParts(base, other) {
+  return {
+    price: closeness(base.price, other.price),
+    area: closeness(base.area, other.area),
+    bhkType: bhkCloseness(base.bhkType, other.bhkType),
+    location: normalize(base.location) && normalize(base.location) === normalize(other.location) ? 1 : 0,
+    amenities: amenityOverlap(amenitySet(base), amenitySet(other)),
+  };
+}
+
+/** Weighted mean of similarityParts(), rounded to 4 decimals. */
+function similarityScore(base, other, weights = SIMILAR_WEIGHTS) {
+  const parts = similarityParts(base, other);
+  let total = 0;
+  let weightSum = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    total += weight * parts[key];
+    weightSum += weight;
+  }
+  return weightSum ? Math.round((total / weightSum) * 10000) / 10000 : 0;
+}
+
+/**
+ * `candidates` most similar to `base` first, as [{ property, score }]; `base`
+ * itself is skipped. Ties go to the newer listing.
+ */
+function rankSimilar(base, candidates, { weights = SIMILAR_WEIGHTS, limit } = {}) {
+  const ranked = candidates
+    .filter((property) => String(property.id) !== String(base.id))
+    .map((property) => ({ property, score: similarityScore(base, property, weights) }))
+    .sort((a, b) => b.score - a.score
+      || String(b.property.created_at || '').localeCompare(String(a.property.created_at || '')));
+  return limit ? ranked.slice(0, limit) : ranked;
+}
+
+module.exports = { DEFAULT_WEIGHTS, SIMILAR_WEIGHTS, parseWeights, similarityParts, similarityScore, rankSimilar };
@@ -0,0 +1,31 @@
+// src/lib/slugs.js
+// Human-readable listing slugs, e.g. "atico-con-terraza-madrid-centro".
+// Built from the listing's `name` and `location`; uniqueness and the redirects
+// kept after a rename are handled by the properties repository (src/data/properties.js).
+
+const MAX_SLUG_LENGTH = 80;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const FALLBACK_SLUG = 'property';
+
+/** Lowercase ASCII words joined by "-" (accents dropped), cut at a word boundary. */
+function slugify(text) {
+  const slug = String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (slug.length <= MAX_SLUG_LENGTH) return slug;
+  const boundary = slug.lastIndexOf('-', MAX_SLUG_LENGTH);
+  return boundary > 0 ? slug.slice(0, boundary) : slug.slice(0, MAX_SLUG_LENGTH);
+}
+
+// Slug a listing should have before any "-2" suffix
+const slugBase = (property) => slugify(`${property.name || ''} ${property.location || ''}`) || FALLBACK_SLUG;
+
+// `slug` is `base` or `base` plus a numeric suffix ("base-2")
+const hasSlugBase = (slug, base) => slug === base || new RegExp(`^${base}-\\d+$`).test(String(slug || ''));
+
+const isSlug = (value) => typeof value === 'string' && value.length <= MAX_SLUG_LENGTH + 8 && SLUG_PATTERN.test(value);
+
+module.exports = { MAX_SLUG_LENGTH, slugify, slugBase, hasSlugBase, isSlug };
@@ -0,0 +1,110 @@
+// src/lib/timezone.js
+// Wall-clock times in an IANA time zone <-> UTC instants, using Intl only.
+// Dates are 'YYYY-MM-DD' strings; times are minutes after local midnight.
+
+const formatters = new Map();
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Local calendar fields of an instant in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(partsFormatter(timeZone).formatToParts(date).map((p) => [p.type, p.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
+
+// Offset of `timeZone` from UTC at an instant, in ms (e.g. +2h in Madrid summer time)
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local date of an instant in `timeZone`
+function localDate(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isDate = (value) => {
+  const m = DATE_PATTERN.exec(String(value));
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+};
+
+const dateToUtcMidnight = (date) => {
+  const [, y, m, d] = DATE_PATTERN.exec(date);
+  return Date.UTC(Number(y), Number(m) - 1, Number(d));
+};
+
+// 'YYYY-MM-DD' + n days
+const addDays = (date, days) => new Date(dateToUtcMidnight(date) + days * 86400000).toISOString().slice(0, 10);
+
+// Whole days from a to b
+const daysBetween = (a, b) => Math.round((dateToUtcMidnight(b) - dateToUtcMidnight(a)) / 86400000);
+
+// ISO weekday of a date: 1 = Monday ... 7 = Sunday
+const isoWeekday = (date) => new Date(dateToUtcMidnight(date)).getUTCDay() || 7;
+
+/**
+ * Instant at local `date` + `minutes` in `timeZone`. Local times that a DST
+ * change skips or repeats still resolve to a single valid instant.
+ */
+function zonedTimeToUtc(date, minutes, timeZone) {
+  const guess = dateToUtcMidnight(date) + minutes * 60000;
+  const first = guess - offsetMs(new Date(guess), timeZone);
+  const second = guess - offsetMs(new Date(first), timeZone);
+  return new Date(Math.min(first, second));
+}
+
+// 'HH:MM' <-> minutes after midnight
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const timeToMinutes = (time) => {
+  const m = TIME_PATTERN.exec(String(time));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+module.exports = {
+  TIME_PATTERN,
+  isTimeZone,
+  isDate,
+  localDate,
+  addDays,
+  daysBetween,
+  isoWeekday,
+  zonedTimeToUtc,
+  timeToMinutes,
+};
@@ -0,0 +1,88 @@
+// src/lib/translations.js
+// Per-locale copies of listing and review text.
+//   content_locale  locale the row's own columns are written in
+//   translations    { [locale]: { [field]: text } } for the other locales
+// Public reads pick each field from the requested locale, then FALLBACK_LOCALE,
+// then the row's own column, and report what they served (localize()).
+const { LOCALES, FALLBACK_LOCALE } = require('./locales');
+const { validate } = require('./schema');
+const { propertyUpdateSchema } = require('../schemas/property');
+const { reviewUpdateSchema } = require('../schemas/review');
+
+// Per-locale rules: the column's own rule, optional, and null clears the field
+const translatable = (schema, fields) => Object.fromEntries(fields.map((field) => {
+  const { required: _required, aliases: _aliases, ...rule } = schema[field];
+  return [field, { ...rule, nullable: true }];
+}));
+
+const TRANSLATABLE = {
+  property: translatable(propertyUpdateSchema, ['name', 'description']),
+  review: translatable(reviewUpdateSchema, ['review']),
+};
+
+const sourceLocale = (row) => row.content_locale || LOCALES[0];
+
+const hasText = (v) => typeof v === 'string' && v !== '';
+
+// Text of `field` in `locale`: the row's own column for its content_locale, else the translation
+const textIn = (row, field, locale) => (locale === sourceLocale(row)
+  ? row[field]
+  : row.translations?.[locale]?.[field]);
+
+/**
+ * Row as served in `locale`. Translatable fields are replaced; `locale` says
+ * what was asked for and `fallback_fields` lists fields served in another
+ * locale. The raw translations map is left out of public payloads.
+ */
+function localize(row, kind, locale) {
+  if (!row) return row;
+  const { translations: _translations, ...rest } = row;
+  const out = { ...rest, locale };
+  const fallbacks = [];
+  for (const field of Object.keys(TRANSLATABLE[kind])) {
+    const wanted = textIn(row, field, locale);
+    if (hasText(wanted)) {
+      out[field] = wanted;
+      continue;
+    }
+    const fallback = textIn(row, field, FALLBACK_LOCALE);
+    out[field] = hasText(fallback) ? fallback : row[field];
+    if (hasText(row[field]) || hasText(fallback)) fallbacks.push(field);
+  }
+  if (fallbacks.length) out.fallback_fields = fallbacks;
+  return out;
+}
+
+/**
+ * Validate an admin edit of one locale's texts.
+ * Returns { translations, errors }: the row's next translations map, with the
+ * locale dropped once it has no texts left.
+ */
+function applyTranslationUpdate(row, kind, locale, body) {
+  const { value, errors } = validate(TRANSLATABLE[kind], body, { partial: true });
+  if (errors) return { errors };
+  if (!Object.keys(value).length) {
+    return { errors: { body: `Provide at least one of: ${Object.keys(TRANSLATABLE[kind]).join(', ')}` } };
+  }
+
+  const current = { ...(row.translations?.[locale] || {}), ...value };
+  const texts = Object.fromEntries(Object.entries(current).filter(([, v]) => hasText(v)));
+  const { [locale]: _old, ...others } = row.translations || {};
+  return { translations: Object.keys(texts).length ? { ...others, [locale]: texts } : others };
+}
+
+// Admin view: the source texts and every translation, per locale
+function translationView(row, kind) {
+  const fields = Object.keys(TRANSLATABLE[kind]);
+  const source = sourceLocale(row);
+  return {
+    content_locale: source,
+    fallback_locale: FALLBACK_LOCALE,
+    locales: Object.fromEntries(LOCALES.map((locale) => [
+      locale,
+      Object.fromEntries(fields.map((field) => [field, textIn(row, field, locale) ?? null])),
+    ])),
+  };
+}
+
+module.exports = { TRANSLATABLE, sourceLocale, localize, applyTranslationUpdate, translationView };
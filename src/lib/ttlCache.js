@@ -0,0 +1,48 @@
+// src/lib/ttlCache.js
+// Small in-process cache with per-entry expiry and a size cap (oldest entries go first).
+// Per instance only: use it for data where a few seconds of staleness is acceptable.
+
+function createTtlCache({ ttlMs, maxEntries = 1000 }) {
+  const entries = new Map(); // key -> { value, expiresAt }, in insertion order
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      if (!ttlMs) return;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    /**
+     * Cached value for `key`, loading (and caching) it with `load()` on a miss.
+     * `undefined` results are not cached; use null for "known missing".
+     */
+    async wrap(key, load) {
+      const hit = this.get(key);
+      if (hit !== undefined) return hit;
+      const value = await load();
+      if (value !== undefined) this.set(key, value);
+      return value;
+    },
+  };
+}
+
+module.exports = { createTtlCache };
@@ -0,0 +1,16 @@
+// src/lib/urls.js
+// Absolute URLs for links that leave the API (emails, feeds).
+//
+//   SITE_URL        public website (default: CORS_ORIGIN, then http://localhost:3000)
+//   PUBLIC_API_URL  this API as seen from outside (default http://localhost:$PORT)
+
+const trimSlash = (url) => String(url).replace(/\/+$/, '');
+
+const siteUrl = (path = '') => `${trimSlash(process.env.SITE_URL || process.env.CORS_ORIGIN || 'http://localhost:3000')}${path}`;
+
+const apiUrl = (path = '') => `${trimSlash(process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5001}`)}${path}`;
+
+// Public page of a listing on the website: /properties/<slug> (the id for a listing without one)
+const propertyUrl = (property) => siteUrl(`/properties/${encodeURIComponent(property.slug || property.id)}`);
+
+module.exports = { siteUrl, apiUrl, propertyUrl };
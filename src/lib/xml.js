@@ -0,0 +1,36 @@
+// src/lib/xml.js
+// Minimal XML writing for the sitemap and feeds: escaping and element helpers.
+
+const escapeXml = (value) => String(value ?? '')
+  // Characters XML 1.0 does not allow at all
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const attrs = (attributes = {}) => Object.entries(attributes)
+  .filter(([, v]) => v !== undefined && v !== null)
+  .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+  .join('');
+
+/**
+ * <name attrs>content</name>. `content` is escaped text, or an array of already
+ * built child elements. Empty values (undefined, null, '') produce nothing.
+ */
+function element(name, content, attributes) {
+  if (Array.isArray(content)) {
+    const children = content.filter(Boolean);
+    return children.length ? `<${name}${attrs(attributes)}>${children.join('')}</${name}>` : '';
+  }
+  if (content === undefined || content === null || content === '') return '';
+  return `<${name}${attrs(attributes)}>${escapeXml(content)}</${name}>`;
+}
+
+// <name attrs/>
+const emptyElement = (name, attributes) => `<${name}${attrs(attributes)}/>`;
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+module.exports = { escapeXml, element, emptyElement, XML_DECLARATION };
@@ -0,0 +1,17 @@
+// src/mail/index.js
+// Transactional email: transports (transport.js), templates (templates/),
+// direct delivery (mailer.js) and the persisted retry outbox (outbox.js).
+const { deliver, teamAddress, fromAddress } = require('./mailer');
+const { enqueueMail, processDueMail, startOutboxWorker } = require('./outbox');
+const { renderTemplate, normalizeLocale } = require('./templates');
+
+module.exports = {
+  deliver,
+  enqueueMail,
+  processDueMail,
+  startOutboxWorker,
+  renderTemplate,
+  normalizeLocale,
+  teamAddress,
+  fromAddress,
+};
@@ -0,0 +1,33 @@
+// src/mail/mailer.js
+// Renders a template and hands it to the configured transport.
+const { createTransport } = require('./transport');
+const { renderTemplate } = require('./templates');
+
+const transporter = createTransport();
+
+const fromAddress = () => process.env.MAIL_FROM || process.env.MAIL_USER || '';
+
+// Where internal notifications go (MAIL_TEAM_TO, falling back to the sender mailbox)
+const teamAddress = () => process.env.MAIL_TEAM_TO || fromAddress();
+
+/**
+ * Send one templated message right away. Throws on transport errors.
+ * message: { template, locale?, to, data?, replyTo? }
+ */
+async function deliver({ template, locale, to, data, replyTo }) {
+  const { subject, text, html, headers, attachments } = renderTemplate(template, locale, data);
+  const info = await transporter.sendMail({
+    from: fromAddress(),
+    to,
+    replyTo: replyTo || undefined,
+    subject,
+    text,
+    html,
+    headers,
+    attachments,
+  });
+  console.log(`Email sent (${template}):`, info.response || info.messageId);
+  return info;
+}
+
+module.exports = { transporter, fromAddress, teamAddress, deliver };
@@ -0,0 +1,133 @@
+// src/mail/outbox.js
+// Persisted outbox (`mail_outbox` table) with retry + exponential backoff.
+// Callers enqueue; delivery happens right away in the background and, on
+// failure, is retried by the poller started with startOutboxWorker().
+const { db } = require('../data');
+const { deliver } = require('./mailer');
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 6;
+const BACKOFF_BASE_MS = 60 * 1000; // 1m, 2m, 4m, ...
+const BACKOFF_MAX_MS = 60 * 60 * 1000; // capped at 1h
+const STALE_LOCK_MS = 10 * 60 * 1000; // a 'sending' row older than this was orphaned by a crash
+const BATCH_SIZE = 20;
+
+const backoffMs = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+
+async function attempt(id) {
+  // null when another worker claimed it first
+  const row = await db.mailOutbox.claim(id);
+  if (!row) return;
+
+  const attempts = (row.attempts || 0) + 1;
+  try {
+    await deliver({
+      template: row.template,
+      locale: row.locale,
+      to: row.recipient,
+      replyTo: row.reply_to,
+      data: row.data || {},
+    });
+    await db.mailOutbox.update(id, {
+      status: 'sent',
+      attempts,
+      sent_at: new Date().toISOString(),
+      last_error: null,
+      locked_at: null,
+    });
+  } catch (err) {
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    console.error(`Mail ${id} attempt ${attempts} failed${giveUp ? ' (giving up)' : ''}:`, err.message);
+    try {
+      await db.mailOutbox.update(id, {
+        status: giveUp ? 'failed' : 'pending',
+        attempts,
+        last_error: String(err.message || err).slice(0, 1000),
+        next_attempt_at: new Date(Date.now() + backoffMs(attempts)).toISOString(),
+        locked_at: null,
+      });
+    } catch (updErr) {
+      console.error('Outbox reschedule error:', updErr);
+    }
+  }
+}
+
+/**
+ * Queue a templated email. Resolves once the message is persisted; delivery
+ * continues in the background so SMTP hiccups never fail the caller.
+ * If the outbox itself is unavailable we fall back to a direct send, and only
+ * then does a transport error reach the caller.
+ *
+ * message: { template, locale?, to, data?, replyTo? }
+ */
+async function enqueueMail(message) {
+  let row;
+  try {
+    row = await db.mailOutbox.create({
+      template: message.template,
+      locale: message.locale || null,
+      recipient: message.to,
+      reply_to: message.replyTo || null,
+      data: message.data || {},
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('Outbox unavailable (enqueue mail), sending directly:', err);
+    await deliver(message);
+    return null;
+  }
+
+  attempt(row.id).catch((err) => console.error('Outbox attempt error:', err));
+  return row;
+}
+
+// Deliver everything that is due. Safe to run from several instances.
+async function processDueMail(limit = BATCH_SIZE) {
+  const now = Date.now();
+
+  try {
+    await db.mailOutbox.releaseStale(new Date(now - STALE_LOCK_MS));
+  } catch (err) {
+    console.error('Outbox stale lock error:', err);
+  }
+
+  let ids;
+  try {
+    ids = await db.mailOutbox.listDue(new Date(now), limit);
+  } catch (err) {
+    console.error('Outbox poll error:', err);
+    return 0;
+  }
+
+  for (const id of ids) {
+    await attempt(id);
+  }
+  return ids.length;
+}
+
+/**
+ * Poll the outbox every `intervalMs` (MAIL_OUTBOX_POLL_MS, default 30s; 0 disables).
+ * Returns a stop() function.
+ */
+function startOutboxWorker({ intervalMs = Number(process.env.MAIL_OUTBOX_POLL_MS ?? 30000) } = {}) {
+  if (!intervalMs) return () => {};
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueMail();
+    } catch (err) {
+      console.error('Outbox worker error:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { MAX_ATTEMPTS, backoffMs, enqueueMail, processDueMail, startOutboxWorker };
@@ -0,0 +1,36 @@
+// src/mail/templates/contactAcknowledgement.js
+// Sent to the visitor who submitted the contact form.
+const { escapeHtml, layout } = require('./util');
+
+module.exports = {
+  es: {
+    subject: () => 'Hemos recibido tu consulta — Clave de Oro',
+    text: (d) => `
+Hola ${d.name},
+
+Gracias por contactar con Clave de Oro. Hemos recibido tu consulta${d.subject ? ` sobre "${d.subject}"` : ''} y un agente se pondrá en contacto contigo en breve.
+
+Un saludo,
+El equipo de Clave de Oro
+`.trim(),
+    html: (d) => layout('Hemos recibido tu consulta', `
+      <p>Hola ${escapeHtml(d.name)},</p>
+      <p>Gracias por contactar con Clave de Oro. Hemos recibido tu consulta${d.subject ? ` sobre <em>${escapeHtml(d.subject)}</em>` : ''} y un agente se pondrá en contacto contigo en breve.</p>
+      <p>Un saludo,<br>El equipo de Clave de Oro</p>`),
+  },
+  en: {
+    subject: () => 'We received your enquiry — Clave de Oro',
+    text: (d) => `
+Hi ${d.name},
+
+Thank you for contacting Clave de Oro. We have received your enquiry${d.subject ? ` about "${d.subject}"` : ''} and an agent will get back to you shortly.
+
+Kind regards,
+The Clave de Oro team
+`.trim(),
+    html: (d) => layout('We received your enquiry', `
+      <p>Hi ${escapeHtml(d.name)},</p>
+      <p>Thank you for contacting Clave de Oro. We have received your enquiry${d.subject ? ` about <em>${escapeHtml(d.subject)}</em>` : ''} and an agent will get back to you shortly.</p>
+      <p>Kind regards,<br>The Clave de Oro team</p>`),
+  },
+};
@@ -0,0 +1,28 @@
+// src/mail/templates/contactNotification.js
+// Internal notification to the team for a new contact form submission.
+const { textRows, htmlRows, layout } = require('./util');
+
+const rows = (d, labels) => [
+  [labels.name, d.name],
+  [labels.phone, [d.countryCode, d.phone].filter(Boolean).join(' ')],
+  [labels.email, d.email],
+  [labels.subject, d.subject],
+  [labels.property, d.propertyId],
+  [labels.lead, d.leadId],
+];
+
+const ES = { name: 'Nombre', phone: 'Teléfono', email: 'Email', subject: 'Asunto', property: 'Propiedad', lead: 'Lead' };
+const EN = { name: 'Name', phone: 'Phone number', email: 'Email', subject: 'Subject', property: 'Property', lead: 'Lead' };
+
+module.exports = {
+  es: {
+    subject: (d) => `Nuevo formulario de contacto: ${d.name}`,
+    text: (d) => textRows(rows(d, ES)),
+    html: (d) => layout('Nuevo formulario de contacto', `<table>${htmlRows(rows(d, ES))}</table>`),
+  },
+  en: {
+    subject: (d) => `New contact form: ${d.name}`,
+    text: (d) => textRows(rows(d, EN)),
+    html: (d) => layout('New contact form', `<table>${htmlRows(rows(d, EN))}</table>`),
+  },
+};
@@ -0,0 +1,38 @@
+// src/mail/templates/index.js
+// Template registry:
+//   { [name]: { [locale]: { subject(data), text(data), html(data), headers?(data), attachments?(data) } } }
+// Attachments are rendered from `data` too, so outbox retries rebuild them.
+const { LOCALES } = require('../../lib/locales');
+
+const DEFAULT_LOCALE = LOCALES.includes(process.env.MAIL_DEFAULT_LOCALE) ? process.env.MAIL_DEFAULT_LOCALE : 'es';
+
+const templates = {
+  contactAcknowledgement: require('./contactAcknowledgement'),
+  contactNotification: require('./contactNotification'),
+  reviewSubmitted: require('./reviewSubmitted'),
+  savedSearchConfirmation: require('./savedSearchConfirmation'),
+  savedSearchAlert: require('./savedSearchAlert'),
+  savedSearchLimit: require('./savedSearchLimit'),
+  viewingNotice: require('./viewingNotice'),
+};
+
+// "en-GB" -> "en"; anything unsupported -> DEFAULT_LOCALE
+const normalizeLocale = (locale) => {
+  const short = String(locale || '').slice(0, 2).toLowerCase();
+  return LOCALES.includes(short) ? short : DEFAULT_LOCALE;
+};
+
+function renderTemplate(name, locale, data = {}) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown mail template "${name}"`);
+  const t = template[normalizeLocale(locale)];
+  return {
+    subject: t.subject(data),
+    text: t.text(data),
+    html: t.html(data),
+    headers: t.headers?.(data),
+    attachments: t.attachments?.(data),
+  };
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, templates, normalizeLocale, renderTemplate };
@@ -0,0 +1,28 @@
+// src/mail/templates/reviewSubmitted.js
+// Internal notification: a public review is waiting for moderation.
+const { textRows, htmlRows, layout } = require('./util');
+
+const rows = (d, labels) => [
+  [labels.id, d.id],
+  [labels.name, d.customerName],
+  [labels.ratings, d.ratings],
+  [labels.property, d.property_id],
+  [labels.review, d.review],
+  [labels.image, d.image],
+];
+
+const ES = { id: 'ID de reseña', name: 'Nombre', ratings: 'Valoración', property: 'Propiedad', review: 'Reseña', image: 'Imagen' };
+const EN = { id: 'Review ID', name: 'Name', ratings: 'Ratings', property: 'Property', review: 'Review', image: 'Image' };
+
+module.exports = {
+  es: {
+    subject: () => 'Nueva reseña pendiente de moderación',
+    text: (d) => textRows(rows(d, ES)),
+    html: (d) => layout('Nueva reseña pendiente de moderación', `<table>${htmlRows(rows(d, ES))}</table>`),
+  },
+  en: {
+    subject: () => 'New review pending moderation',
+    text: (d) => textRows(rows(d, EN)),
+    html: (d) => layout('New review pending moderation', `<table>${htmlRows(rows(d, EN))}</table>`),
+  },
+};
@@ -0,0 +1,73 @@
+// src/mail/templates/savedSearchAlert.js
+// New listings for a saved search: one at a time (instant) or as a digest.
+// data: { listings: [{ name, price, location, bhkType, url, image }], more, digest,
+//         criteria, searchUrl, unsubscribeUrl }
+const { escapeHtml, layout, unsubscribeHeaders, footerLink } = require('./util');
+
+const price = (value, locale) => (value === null || value === undefined || value === ''
+  ? ''
+  : Number(value).toLocaleString(locale === 'es' ? 'es-ES' : 'en-GB'));
+
+const details = (l, locale, bhkLabel) => [l.location, l.bhkType && `${l.bhkType} ${bhkLabel}`, price(l.price, locale)]
+  .filter(Boolean)
+  .join(' · ');
+
+const textListings = (d, locale, bhkLabel) => (d.listings || [])
+  .map((l) => `- ${l.name}\n  ${details(l, locale, bhkLabel)}\n  ${l.url}`)
+  .join('\n\n');
+
+const htmlListings = (d, locale, bhkLabel) => (d.listings || []).map((l) => `
+      <div style="margin:16px 0;padding-bottom:16px;border-bottom:1px solid #eee">
+        ${l.image ? `<a href="${escapeHtml(l.url)}"><img src="${escapeHtml(l.image)}" alt="" style="width:100%;max-width:512px;border-radius:4px"></a>` : ''}
+        <p style="margin:8px 0 4px"><a href="${escapeHtml(l.url)}" style="color:#222;font-weight:bold">${escapeHtml(l.name)}</a></p>
+        <p style="margin:0;color:#666">${escapeHtml(details(l, locale, bhkLabel))}</p>
+      </div>`).join('');
+
+const count = (d) => (d.listings?.length || 0) + (d.more || 0);
+
+module.exports = {
+  es: {
+    subject: (d) => (count(d) === 1
+      ? `Nueva propiedad para tu búsqueda: ${d.listings[0].name}`
+      : `${count(d)} nuevas propiedades para tu búsqueda`),
+    text: (d) => `
+Hola,
+
+${d.digest ? 'Estas son las novedades para tu búsqueda guardada:' : 'Acaba de publicarse una propiedad que encaja con tu búsqueda guardada:'}
+
+${textListings(d, 'es', 'dorm.')}
+${d.more ? `\n…y ${d.more} más: ${d.searchUrl}\n` : ''}
+Ver todos los resultados: ${d.searchUrl}
+
+Darse de baja de esta alerta: ${d.unsubscribeUrl}
+`.trim(),
+    html: (d) => layout(d.digest ? 'Novedades para tu búsqueda' : 'Nueva propiedad para tu búsqueda', `
+      ${htmlListings(d, 'es', 'dorm.')}
+      ${d.more ? `<p>…y ${escapeHtml(d.more)} más.</p>` : ''}
+      <p><a href="${escapeHtml(d.searchUrl)}">Ver todos los resultados</a></p>
+      ${footerLink('Darse de baja de esta alerta', d.unsubscribeUrl)}`),
+    headers: unsubscribeHeaders,
+  },
+  en: {
+    subject: (d) => (count(d) === 1
+      ? `New listing for your search: ${d.listings[0].name}`
+      : `${count(d)} new listings for your search`),
+    text: (d) => `
+Hi,
+
+${d.digest ? "Here is what's new for your saved search:" : 'A listing matching your saved search was just published:'}
+
+${textListings(d, 'en', 'bed')}
+${d.more ? `\n…and ${d.more} more: ${d.searchUrl}\n` : ''}
+See all results: ${d.searchUrl}
+
+Unsubscribe from this alert: ${d.unsubscribeUrl}
+`.trim(),
+    html: (d) => layout(d.digest ? "What's new for your search" : 'New listing for your search', `
+      ${htmlListings(d, 'en', 'bed')}
+      ${d.more ? `<p>…and ${escapeHtml(d.more)} more.</p>` : ''}
+      <p><a href="${escapeHtml(d.searchUrl)}">See all results</a></p>
+      ${footerLink('Unsubscribe from this alert', d.unsubscribeUrl)}`),
+    headers: unsubscribeHeaders,
+  },
+};
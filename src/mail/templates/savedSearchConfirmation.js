@@ -0,0 +1,62 @@
+// src/mail/templates/savedSearchConfirmation.js
+// Double opt-in: sent when a visitor saves a search; alerts start once they confirm.
+const { escapeHtml, textRows, htmlRows, layout, criteriaRows, unsubscribeHeaders, footerLink } = require('./util');
+
+const ES = { location: 'Ubicación', price: 'Precio', bhkType: 'Dormitorios', amenities: 'Servicios' };
+const EN = { location: 'Location', price: 'Price', bhkType: 'Bedrooms', amenities: 'Amenities' };
+
+const button = (url, label) => `<p style="margin:24px 0"><a href="${escapeHtml(url)}" style="background:#b8860b;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none">${escapeHtml(label)}</a></p>`;
+
+const FREQUENCY = {
+  es: { instant: 'en cuanto se publiquen', daily: 'en un resumen diario', weekly: 'en un resumen semanal' },
+  en: { instant: 'as soon as they are published', daily: 'in a daily digest', weekly: 'in a weekly digest' },
+};
+
+module.exports = {
+  es: {
+    subject: () => 'Confirma tu alerta de propiedades — Clave de Oro',
+    text: (d) => `
+Hola,
+
+Confirma tu alerta y te enviaremos las nuevas propiedades que encajen con tu búsqueda ${FREQUENCY.es[d.frequency] || ''}:
+
+${textRows(criteriaRows(d.criteria, ES)) || 'Todas las propiedades'}
+
+Confirmar: ${d.confirmUrl}
+
+Si no has sido tú, ignora este correo: sin confirmación no te enviaremos nada.
+Cancelar: ${d.unsubscribeUrl}
+`.trim(),
+    html: (d) => layout('Confirma tu alerta de propiedades', `
+      <p>Hola,</p>
+      <p>Confirma tu alerta y te enviaremos las nuevas propiedades que encajen con tu búsqueda ${escapeHtml(FREQUENCY.es[d.frequency] || '')}:</p>
+      <table>${htmlRows(criteriaRows(d.criteria, ES)) || '<tr><td>Todas las propiedades</td></tr>'}</table>
+      ${button(d.confirmUrl, 'Confirmar alerta')}
+      <p>Si no has sido tú, ignora este correo: sin confirmación no te enviaremos nada.</p>
+      ${footerLink('Cancelar esta alerta', d.unsubscribeUrl)}`),
+    headers: unsubscribeHeaders,
+  },
+  en: {
+    subject: () => 'Confirm your property alert — Clave de Oro',
+    text: (d) => `
+Hi,
+
+Confirm your alert and we will send you new listings matching your search ${FREQUENCY.en[d.frequency] || ''}:
+
+${textRows(criteriaRows(d.criteria, EN)) || 'All listings'}
+
+Confirm: ${d.confirmUrl}
+
+If this wasn't you, ignore this email: nothing is sent without confirmation.
+Cancel: ${d.unsubscribeUrl}
+`.trim(),
+    html: (d) => layout('Confirm your property alert', `
+      <p>Hi,</p>
+      <p>Confirm your alert and we will send you new listings matching your search ${escapeHtml(FREQUENCY.en[d.frequency] || '')}:</p>
+      <table>${htmlRows(criteriaRows(d.criteria, EN)) || '<tr><td>All listings</td></tr>'}</table>
+      ${button(d.confirmUrl, 'Confirm alert')}
+      <p>If this wasn't you, ignore this email: nothing is sent without confirmation.</p>
+      ${footerLink('Cancel this alert', d.unsubscribeUrl)}`),
+    headers: unsubscribeHeaders,
+  },
+};
@@ -0,0 +1,48 @@
+// src/mail/templates/savedSearchLimit.js
+// Sent instead of a confirmation when the address already holds SAVED_SEARCH_MAX_PER_EMAIL
+// searches. The API answers 202 either way, so only the inbox learns about the cap.
+const { escapeHtml, textRows, htmlRows, layout, criteriaRows } = require('./util');
+
+const ES = { location: 'Ubicación', price: 'Precio', bhkType: 'Dormitorios', amenities: 'Servicios' };
+const EN = { location: 'Location', price: 'Price', bhkType: 'Bedrooms', amenities: 'Amenities' };
+
+module.exports = {
+  es: {
+    subject: () => 'No hemos podido crear tu alerta — Clave de Oro',
+    text: (d) => `
+Hola,
+
+Ya tienes ${d.max} alertas de propiedades, el máximo por dirección, así que no hemos guardado esta búsqueda:
+
+${textRows(criteriaRows(d.criteria, ES)) || 'Todas las propiedades'}
+
+Cancela alguna con el enlace de sus correos y vuelve a crearla.
+Si no has sido tú, ignora este correo.
+`.trim(),
+    html: (d) => layout('No hemos podido crear tu alerta', `
+      <p>Hola,</p>
+      <p>Ya tienes ${escapeHtml(d.max)} alertas de propiedades, el máximo por dirección, así que no hemos guardado esta búsqueda:</p>
+      <table>${htmlRows(criteriaRows(d.criteria, ES)) || '<tr><td>Todas las propiedades</td></tr>'}</table>
+      <p>Cancela alguna con el enlace de sus correos y vuelve a crearla.</p>
+      <p>Si no has sido tú, ignora este correo.</p>`),
+  },
+  en: {
+    subject: () => 'We could not create your alert — Clave de Oro',
+    text: (d) => `
+Hi,
+
+You already have ${d.max} property alerts, the most one address can hold, so this search was not saved:
+
+${textRows(criteriaRows(d.criteria, EN)) || 'All listings'}
+
+Cancel one with the link in its emails, then save this search again.
+If this wasn't you, ignore this email.
+`.trim(),
+    html: (d) => layout('We could not create your alert', `
+      <p>Hi,</p>
+      <p>You already have ${escapeHtml(d.max)} property alerts, the most one address can hold, so this search was not saved:</p>
+      <table>${htmlRows(criteriaRows(d.criteria, EN)) || '<tr><td>All listings</td></tr>'}</table>
+      <p>Cancel one with the link in its emails, then save this search again.</p>
+      <p>If this wasn't you, ignore this email.</p>`),
+  },
+};
@@ -0,0 +1,49 @@
+// src/mail/templates/util.js
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// "Label: value" lines for text bodies, skipping empty values
+const textRows = (rows) => rows
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([label, value]) => `${label}: ${value}`)
+  .join('\n');
+
+// Two-column table for HTML bodies, skipping empty values
+const htmlRows = (rows) => rows
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#666">${escapeHtml(label)}</td><td style="padding:4px 0">${escapeHtml(value)}</td></tr>`)
+  .join('');
+
+// Shared HTML shell so every email looks the same
+const layout = (title, body) => `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f6f6f6;font-family:Arial,Helvetica,sans-serif;color:#222">
+    <div style="max-width:560px;margin:0 auto;background:#fff;padding:24px;border-radius:6px">
+      <h2 style="margin-top:0;color:#b8860b">${escapeHtml(title)}</h2>
+      ${body}
+      <p style="margin-top:32px;font-size:12px;color:#999">Clave de Oro</p>
+    </div>
+  </body>
+</html>`;
+
+// Saved-search criteria as label/value rows (labels: { location, price, bhkType, amenities })
+const criteriaRows = (c = {}, labels) => [
+  [labels.location, c.location],
+  [labels.price, c.minPrice != null || c.maxPrice != null ? `${c.minPrice ?? '…'} – ${c.maxPrice ?? '…'}` : null],
+  [labels.bhkType, c.bhkTypes?.join(', ')],
+  [labels.amenities, c.amenities?.join(', ')],
+];
+
+// RFC 8058 one-click unsubscribe, so mail clients can offer their own button
+const unsubscribeHeaders = (d) => (d.unsubscribeUrl
+  ? { 'List-Unsubscribe': `<${d.unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+  : undefined);
+
+// Small grey footer line with a link (e.g. unsubscribe)
+const footerLink = (text, url) => `<p style="margin-top:24px;font-size:12px;color:#999"><a href="${escapeHtml(url)}" style="color:#999">${escapeHtml(text)}</a></p>`;
+
+module.exports = { escapeHtml, textRows, htmlRows, layout, criteriaRows, unsubscribeHeaders, footerLink };
@@ -0,0 +1,118 @@
+// src/mail/templates/viewingNotice.js
+// Viewing booked / rescheduled / cancelled, for the visitor or the agent, with
+// an .ics invite attached (see src/viewings). data: { kind, audience, propertyName,
+// address, propertyUrl, startsAt, endsAt, timeZone, visitor, ics, manageUrl?,
+// rescheduleUrl?, cancelUrl? }
+const { escapeHtml, textRows, htmlRows, layout } = require('./util');
+const { buildIcs } = require('../../lib/ics');
+
+const when = (d, tag) => {
+  const start = new Date(d.startsAt);
+  const date = start.toLocaleString(tag, { timeZone: d.timeZone, dateStyle: 'full', timeStyle: 'short' });
+  const end = new Date(d.endsAt).toLocaleTimeString(tag, { timeZone: d.timeZone, timeStyle: 'short' });
+  return `${date} – ${end}`;
+};
+
+const rows = (d, labels, tag) => [
+  [labels.property, d.propertyName],
+  [labels.when, when(d, tag)],
+  [labels.address, d.address],
+  ...(d.audience === 'agent'
+    ? [[labels.name, d.visitor?.name], [labels.email, d.visitor?.email], [labels.phone, d.visitor?.phone], [labels.notes, d.visitor?.notes]]
+    : []),
+];
+
+const links = (d, labels) => (d.audience === 'visitor' && d.kind !== 'cancelled'
+  ? [[labels.reschedule, d.rescheduleUrl], [labels.cancel, d.cancelUrl]].filter(([, url]) => url)
+  : []);
+
+const textLinks = (d, labels) => links(d, labels).map(([label, url]) => `${label}: ${url}`).join('\n');
+const htmlLinks = (d, labels) => links(d, labels)
+  .map(([label, url]) => `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`)
+  .join(' · ');
+
+const attachments = (summary) => (d) => [{
+  filename: 'viewing.ics',
+  contentType: `text/calendar; charset=utf-8; method=${d.ics.method}`,
+  content: buildIcs({ ...d.ics, summary: summary(d), url: d.audience === 'visitor' ? d.manageUrl || undefined : undefined }),
+}];
+
+const locale = (labels, tag) => {
+  const title = (d) => labels.titles[d.audience][d.kind];
+  return {
+    subject: (d) => `${title(d)}: ${d.propertyName}`,
+    text: (d) => [
+      labels.intro[d.audience][d.kind],
+      textRows(rows(d, labels, tag)),
+      textLinks(d, labels),
+    ].filter(Boolean).join('\n\n'),
+    html: (d) => layout(title(d), `
+      <p>${escapeHtml(labels.intro[d.audience][d.kind])}</p>
+      <table>${htmlRows(rows(d, labels, tag))}</table>
+      ${links(d, labels).length ? `<p style="margin-top:24px">${htmlLinks(d, labels)}</p>` : ''}`),
+    attachments: attachments((d) => `${labels.summary}: ${d.propertyName}`),
+  };
+};
+
+const ES = {
+  property: 'Propiedad',
+  when: 'Fecha',
+  address: 'Dirección',
+  name: 'Nombre',
+  email: 'Email',
+  phone: 'Teléfono',
+  notes: 'Notas',
+  reschedule: 'Cambiar fecha',
+  cancel: 'Cancelar visita',
+  summary: 'Visita',
+  titles: {
+    visitor: { booked: 'Visita confirmada', rescheduled: 'Visita cambiada', cancelled: 'Visita cancelada' },
+    agent: { booked: 'Nueva visita', rescheduled: 'Visita cambiada', cancelled: 'Visita cancelada' },
+  },
+  intro: {
+    visitor: {
+      booked: 'Tu visita está confirmada. Añádela a tu calendario con la invitación adjunta.',
+      rescheduled: 'La fecha de tu visita ha cambiado. La invitación adjunta actualiza tu calendario.',
+      cancelled: 'Tu visita ha sido cancelada.',
+    },
+    agent: {
+      booked: 'Se ha reservado una visita.',
+      rescheduled: 'Se ha cambiado la fecha de una visita.',
+      cancelled: 'Se ha cancelado una visita.',
+    },
+  },
+};
+
+const EN = {
+  property: 'Property',
+  when: 'When',
+  address: 'Address',
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone number',
+  notes: 'Notes',
+  reschedule: 'Reschedule',
+  cancel: 'Cancel viewing',
+  summary: 'Viewing',
+  titles: {
+    visitor: { booked: 'Viewing confirmed', rescheduled: 'Viewing rescheduled', cancelled: 'Viewing cancelled' },
+    agent: { booked: 'New viewing', rescheduled: 'Viewing rescheduled', cancelled: 'Viewing cancelled' },
+  },
+  intro: {
+    visitor: {
+      booked: 'Your viewing is confirmed. Add it to your calendar with the attached invite.',
+      rescheduled: 'Your viewing has moved. The attached invite updates your calendar.',
+      cancelled: 'Your viewing has been cancelled.',
+    },
+    agent: {
+      booked: 'A viewing has been booked.',
+      rescheduled: 'A viewing has been rescheduled.',
+      cancelled: 'A viewing has been cancelled.',
+    },
+  },
+};
+
+module.exports = {
+  es: locale(ES, 'es-ES'),
+  en: locale(EN, 'en-GB'),
+};
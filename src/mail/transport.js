@@ -0,0 +1,71 @@
+// src/mail/transport.js
+// Builds the nodemailer transport selected by MAIL_TRANSPORT.
+//
+//   gmail  MAIL_USER / MAIL_PASS (app password)
+//   smtp   MAIL_HOST, MAIL_PORT (587), MAIL_SECURE ("true" for 465), MAIL_USER / MAIL_PASS
+//   json   nothing is sent; the rendered message is returned (tests)
+//   file   messages are written as .eml files to MAIL_FILE_DIR (local runs)
+//
+// When MAIL_TRANSPORT is unset we keep the historical behaviour: gmail if
+// MAIL_USER is configured, json otherwise.
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+
+const TRANSPORTS = ['gmail', 'smtp', 'json', 'file'];
+
+// Minimal nodemailer custom transport that stores the raw message on disk
+const fileTransport = (dir) => ({
+  name: 'file',
+  version: '1.0.0',
+  send(mail, callback) {
+    mail.message.build(async (buildErr, raw) => {
+      if (buildErr) return callback(buildErr);
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${uuidv4()}.eml`);
+        await fs.writeFile(file, raw);
+        return callback(null, {
+          envelope: mail.message.getEnvelope(),
+          messageId: mail.message.messageId(),
+          response: `Written to ${file}`,
+        });
+      } catch (err) {
+        return callback(err);
+      }
+    });
+  },
+});
+
+function resolveTransportName(env = process.env) {
+  const name = (env.MAIL_TRANSPORT || '').trim().toLowerCase();
+  if (!name) return env.MAIL_USER ? 'gmail' : 'json';
+  if (!TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${TRANSPORTS.join(', ')})`);
+  }
+  return name;
+}
+
+function createTransport(env = process.env) {
+  const auth = env.MAIL_USER ? { user: env.MAIL_USER, pass: env.MAIL_PASS || '' } : undefined;
+
+  switch (resolveTransportName(env)) {
+    case 'gmail':
+      return nodemailer.createTransport({ service: 'gmail', auth });
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: env.MAIL_HOST,
+        port: Number(env.MAIL_PORT) || 587,
+        secure: env.MAIL_SECURE === 'true',
+        auth,
+      });
+    case 'file':
+      return nodemailer.createTransport(fileTransport(env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail')));
+    case 'json':
+    default:
+      return nodemailer.createTransport({ jsonTransport: true });
+  }
+}
+
+module.exports = { TRANSPORTS, resolveTransportName, createTransport };
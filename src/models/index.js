@@ -1,10 +0,0 @@
-// src/models/index.js
-const AdminUser = require('./AdminUser');
-const Property = require('./Property');
-const Review = require('./Review');
-
-module.exports = {
-    AdminUser,
-    Property,
-    Review
-};
@@ -0,0 +1,86 @@
+// src/rateLimit/index.js
+// Request throttling and login lockout. Counters live in a pluggable store;
+// every store implements:
+//   hit(key, windowMs) -> { count, resetAt (ms) }  count one hit in the key's current window
+//   get(key)           -> { count, resetAt } | null (no live window)
+//   reset(key)
+//
+// RATE_LIMIT_STORE=memory (default) | supabase
+//   memory:   per process — fine for a single instance
+//   supabase: rate_limits table shared by every instance (multi-instance deploys)
+//
+// Limits are "<max>/<seconds>"; "off" disables one. Defaults in DEFAULT_LIMITS:
+//   RATE_LIMIT_LOGIN_IP, RATE_LIMIT_LOGIN_EMAIL, RATE_LIMIT_REFRESH_IP,
+//   RATE_LIMIT_CONTACT_IP, RATE_LIMIT_CONTACT_EMAIL, RATE_LIMIT_REVIEW_IP,
+//   RATE_LIMIT_SAVED_SEARCH_IP, RATE_LIMIT_SAVED_SEARCH_EMAIL, RATE_LIMIT_VIEWING_IP,
+//   RATE_LIMIT_VIEWING_EMAIL, RATE_LIMIT_ANALYTICS_IP
+// Login lockout: LOGIN_LOCKOUT_THRESHOLD (default 5 failures),
+//   LOGIN_LOCKOUT_BASE_SECONDS (60, doubled per further failure),
+//   LOGIN_LOCKOUT_MAX_SECONDS (3600)
+// Behind a proxy set TRUST_PROXY (see src/app.js) so the client IP is the real one.
+const { createMemoryRateLimitStore } = require('./memoryStore');
+const { createSupabaseRateLimitStore } = require('./supabaseStore');
+const { rateLimit, parseLimit, tooManyRequests } = require('./limiter');
+const { createLockout } = require('./lockout');
+
+const DEFAULT_LIMITS = {
+  LOGIN_IP: '20/900',
+  LOGIN_EMAIL: '10/900',
+  REFRESH_IP: '60/900',
+  LOGOUT_IP: '60/900',
+  CONTACT_IP: '5/600',
+  CONTACT_EMAIL: '3/3600',
+  REVIEW_IP: '5/3600',
+  SAVED_SEARCH_IP: '10/3600',
+  SAVED_SEARCH_EMAIL: '3/3600',
+  VIEWING_IP: '10/3600',
+  VIEWING_EMAIL: '5/86400',
+  ANALYTICS_IP: '120/60',
+};
+
+function createRateLimitStore(env = process.env) {
+  const driver = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  switch (driver) {
+    case 'memory':
+      return createMemoryRateLimitStore();
+    case 'supabase':
+      return createSupabaseRateLimitStore(require('../supabase'));
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${driver}" (expected memory or supabase)`);
+  }
+}
+
+// { max, windowMs } for a DEFAULT_LIMITS name, or null when turned off
+function limitFor(name, env = process.env) {
+  return parseLimit(env[`RATE_LIMIT_${name}`] ?? DEFAULT_LIMITS[name]);
+}
+
+const seconds = (value, fallback) => (value ? Number(value) : fallback) * 1000;
+
+const rateLimitStore = createRateLimitStore();
+
+const loginLockout = createLockout(rateLimitStore, {
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseMs: seconds(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 60),
+  maxMs: seconds(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 3600),
+});
+
+/** Middleware limiting `name` (a DEFAULT_LIMITS key) per key(req), using the shared store. */
+const limitBy = (name, key, message) => rateLimit(rateLimitStore, { name: name.toLowerCase(), limit: limitFor(name), key, message });
+
+// Client IP as Express resolved it (honours TRUST_PROXY)
+const clientIp = (req) => req.ip || req.socket?.remoteAddress;
+
+module.exports = {
+  rateLimitStore,
+  createRateLimitStore,
+  loginLockout,
+  createLockout,
+  rateLimit,
+  limitBy,
+  limitFor,
+  parseLimit,
+  tooManyRequests,
+  clientIp,
+  DEFAULT_LIMITS,
+};
@@ -0,0 +1,69 @@
+// src/rateLimit/limiter.js
+// Express middleware counting requests per key (client IP, email, ...) in a
+// fixed window. Over the limit the request gets 429 with Retry-After; every
+// counted response carries RateLimit-Limit / -Remaining / -Reset headers.
+const crypto = require('crypto');
+
+// Identities (emails) are hashed so shared stores never hold them in clear text
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+/**
+ * Parse a "max/seconds" limit such as "5/600". "off", "0" or "" disable it.
+ * Returns { max, windowMs } or null.
+ */
+function parseLimit(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text || text === 'off' || text === '0') return null;
+  const match = /^(\d+)\s*\/\s*(\d+)$/.exec(text);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid rate limit "${value}" (expected "<max>/<seconds>", e.g. "5/600")`);
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+function tooManyRequests(res, retryAfterSeconds, message = 'Too many requests, please try again later') {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ message, retryAfter: retryAfterSeconds });
+}
+
+/**
+ * rateLimit(store, { name, limit, key, message })
+ *   name   counter namespace, e.g. 'contact:ip'
+ *   limit  { max, windowMs } (see parseLimit); null disables the limiter
+ *   key    (req) -> identity to count, or null/undefined to skip the request
+ * Store errors are logged and the request let through: an unreachable counter
+ * store should not take the public endpoints down with it.
+ */
+function rateLimit(store, { name, limit, key, message }) {
+  if (!limit) return (_req, _res, next) => next();
+
+  return async (req, res, next) => {
+    const identity = key(req);
+    if (identity === null || identity === undefined || identity === '') return next();
+
+    let result;
+    try {
+      result = await store.hit(`${name}:${digest(identity)}`, limit.windowMs);
+    } catch (err) {
+      console.error(`Rate limit store error (${name}):`, err);
+      return next();
+    }
+
+    const resetSeconds = secondsUntil(result.resetAt);
+    const remaining = Math.max(0, limit.max - result.count);
+    // Several limiters can apply to one route: report the most restrictive
+    const reported = res.get('RateLimit-Remaining');
+    if (reported === undefined || remaining < Number(reported)) {
+      res.set('RateLimit-Limit', String(limit.max));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+    }
+
+    if (result.count > limit.max) return tooManyRequests(res, resetSeconds, message);
+    return next();
+  };
+}
+
+module.exports = { rateLimit, parseLimit, tooManyRequests, digest, secondsUntil };
@@ -0,0 +1,42 @@
+// src/rateLimit/lockout.js
+// Progressive lockout after repeated failed logins for one identity (the
+// account email). The first `threshold` failures are free; each further one
+// locks the identity for baseMs, then twice as long, and so on up to maxMs.
+// Failures are forgotten after `windowMs` without a new one, or on success.
+const { digest, secondsUntil } = require('./limiter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createLockout(store, { threshold = 5, baseMs = 60 * 1000, maxMs = 60 * 60 * 1000, windowMs = DAY_MS } = {}) {
+  const failureKey = (identity) => `lockout:failures:${digest(identity)}`;
+  const lockKey = (identity) => `lockout:lock:${digest(identity)}`;
+
+  return {
+    /** { locked: true, retryAfter (seconds) } while a lock is active, else { locked: false }. */
+    async status(identity) {
+      const lock = await store.get(lockKey(identity));
+      return lock ? { locked: true, retryAfter: secondsUntil(lock.resetAt) } : { locked: false };
+    },
+
+    /**
+     * Count a failed attempt. Returns { locked, retryAfter? } — locked when this
+     * failure started a lock.
+     */
+    async recordFailure(identity) {
+      const { count } = await store.hit(failureKey(identity), windowMs);
+      if (count < threshold) return { locked: false, failures: count };
+
+      const lockMs = Math.min(maxMs, baseMs * 2 ** (count - threshold));
+      await store.reset(lockKey(identity));
+      const lock = await store.hit(lockKey(identity), lockMs);
+      return { locked: true, failures: count, retryAfter: secondsUntil(lock.resetAt) };
+    },
+
+    async clear(identity) {
+      await store.reset(failureKey(identity));
+      await store.reset(lockKey(identity));
+    },
+  };
+}
+
+module.exports = { createLockout };
@@ -0,0 +1,46 @@
+// src/rateLimit/memoryStore.js
+// Fixed-window counters in this process. Counts are per instance: run a shared
+// store (RATE_LIMIT_STORE=supabase) when several instances serve traffic.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryRateLimitStore() {
+  const counters = new Map(); // key -> { count, resetAt (ms) }
+  let lastSweep = Date.now();
+
+  // Drop expired windows now and then so idle keys do not pile up
+  const sweep = (now) => {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    for (const [key, entry] of counters) if (entry.resetAt <= now) counters.delete(key);
+  };
+
+  const live = (key, now) => {
+    const entry = counters.get(key);
+    return entry && entry.resetAt > now ? entry : null;
+  };
+
+  return {
+    driver: 'memory',
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = live(key, Date.now());
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryRateLimitStore };
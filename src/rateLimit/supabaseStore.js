@@ -0,0 +1,40 @@
+// src/rateLimit/supabaseStore.js
+// Counters shared by every instance, kept in the rate_limits table. Increments
+// go through the rate_limit_hit() function so concurrent hits cannot race
+// (see supabase/migrations/20261019001000_rate_limits.sql).
+
+function createSupabaseRateLimitStore(client) {
+  const toResult = (row) => ({ count: row.count, resetAt: new Date(row.reset_at).getTime() });
+
+  return {
+    driver: 'supabase',
+
+    async hit(key, windowMs) {
+      const { data, error } = await client.rpc('rate_limit_hit', {
+        p_key: key,
+        p_window_seconds: windowMs / 1000,
+      });
+      if (error) throw error;
+      const row = Array.isArray(data) ? data[0] : data;
+      return toResult(row);
+    },
+
+    async get(key) {
+      const { data, error } = await client
+        .from('rate_limits')
+        .select('count, reset_at')
+        .eq('key', key)
+        .gt('reset_at', new Date().toISOString())
+        .maybeSingle();
+      if (error) throw error;
+      return data ? toResult(data) : null;
+    },
+
+    async reset(key) {
+      const { error } = await client.from('rate_limits').delete().eq('key', key);
+      if (error) throw error;
+    },
+  };
+}
+
+module.exports = { createSupabaseRateLimitStore };
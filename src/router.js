@@ -1,111 +1,253 @@
-// routes.js (Supabase-first auth + database)
+// routes.js (auth + database through the data layer in src/data)
 const express = require('express');
-const nodemailer = require('nodemailer');
-const { createClient } = require('@supabase/supabase-js');
+const { db } = require('./data');
+const { storage } = require('./storage');
+const { enqueueMail, teamAddress } = require('./mail');
 
 const router = express.Router();
 
-/* ----------------------------- Supabase Setup ----------------------------- */
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY; // server-side secret
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY environment variable.');
-}
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-
 
 // ⬇️ add near the top of routes.js with other imports
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const mime = require('mime-types');
 const path = require('path');
-
-// In-memory file store (we stream buffers to Supabase)
+const { parsePropertyQuery, buildPagination, paginationLinks } = require('./lib/propertyQuery');
+const { parsePagination } = require('./lib/listQuery');
+const { processImage } = require('./lib/images');
+const { parseGalleryUpdate, withGallery, removeImageFromGallery } = require('./lib/gallery');
+const { recordAudit } = require('./lib/audit');
+const { validate, validationError } = require('./lib/schema');
+const { propertyCreateSchema, propertyUpdateSchema, coordinateErrors } = require('./schemas/property');
+const {
+  IMPORT_MAX_BYTES,
+  EXPORT_COLUMNS,
+  readImportRows,
+  importRef,
+  planPropertyImport,
+  summarizeImport,
+} = require('./lib/propertyImport');
+const { formatCsvRow } = require('./lib/csv');
+const { pointFor, fuzzMarginKm, withLocation, toFeatureCollection } = require('./lib/propertyLocation');
+const { geocodingEnabled, geocodeProperty, scheduleGeocode, withAddressChange } = require('./geocoding');
+const { LOCALES, negotiateLocale } = require('./lib/locales');
+const { sourceLocale, localize, applyTranslationUpdate, translationView } = require('./lib/translations');
+const { reviewCreateSchema, reviewUpdateSchema, reviewSubmissionSchema } = require('./schemas/review');
+const { adminInviteSchema, adminRoleSchema } = require('./schemas/adminUser');
+const {
+  STATUSES,
+  canTransition,
+  isPubliclyVisible,
+  parseSchedule,
+} = require('./lib/listingStatus');
+const { can, permissionsFor, isActiveAdmin, canManageRole } = require('./lib/roles');
+const { createTtlCache } = require('./lib/ttlCache');
+const {
+  cookiesEnabled,
+  readAccessToken,
+  readRefreshToken,
+  setAuthCookies,
+  clearAuthCookies,
+} = require('./lib/authCookies');
+const { limitBy, loginLockout, tooManyRequests, clientIp } = require('./rateLimit');
+const { readCaptchaToken, verifyCaptcha } = require('./lib/captcha');
+const { newToken, readSavedSearch, criteriaQuery } = require('./lib/savedSearches');
+const { confirmationExpired, sendConfirmation, sendLimitNotice, triggerAlertMatching } = require('./alerts');
+const { availabilityRuleSchema, viewingBookingSchema, viewingRescheduleSchema } = require('./schemas/viewing');
+const {
+  TIMEZONE: VIEWING_TIMEZONE,
+  parseSlotRange,
+  availableSlots,
+  bookViewing,
+  rescheduleViewing,
+  cancelViewing,
+  notifyViewing,
+  viewingView,
+} = require('./viewings');
+const { timeToMinutes } = require('./lib/timezone');
+const { rankSimilar } = require('./lib/similarity');
+const { isSlug } = require('./lib/slugs');
+const { SITEMAP_MAX_URLS, listingMeta, buildSitemap } = require('./lib/seo');
+const { CLIENT_EVENT_TYPES, trackEvent, parseAnalyticsQuery, listingReport } = require('./analytics');
+const { feedTokenValid, listFeeds, getFeed, renderFeed, feedReport } = require('./feeds');
+const { amenityInput, localizeAmenity } = require('./lib/amenities');
+const { amenityCatalogue, invalidateAmenityCatalogue, readAmenityKeys, amenitiesFor } = require('./amenities');
+const { amenityCreateSchema, amenityUpdateSchema, readLabels } = require('./schemas/amenity');
+const { apiUrl } = require('./lib/urls');
+
+// In-memory file store (we stream buffers to the storage adapter)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB/file
 });
 
+// Bulk imports: one CSV/JSON file, or a raw text/csv body
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+});
+const csvBody = express.text({ type: ['text/csv', 'application/csv'], limit: IMPORT_MAX_BYTES });
+
 // Helpers to build keys & URLs
 const REVIEW_BUCKET = 'review-images';
 const PROPERTY_BUCKET = 'property-images';
 
-// Upload buffer to Supabase Storage and return its public URL
-async function uploadToBucket(bucket, fileBuffer, originalName, mimetype, subfolder = '') {
-  const ext = mime.extension(mimetype) || path.extname(originalName).replace('.', '') || 'bin';
-  const key = [subfolder, `${uuidv4()}.${ext}`].filter(Boolean).join('/');
+// Review moderation
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Lead pipeline
+const LEAD_STATUSES = ['new', 'contacted', 'viewing_scheduled', 'closed_won', 'closed_lost'];
+const MAX_LEAD_NOTE_LENGTH = 2000;
 
-  const { error: upErr } = await supabase
-    .storage
-    .from(bucket)
-    .upload(key, fileBuffer, { contentType: mimetype, upsert: false });
+// admin_users lookups per auth user id (ADMIN_CACHE_TTL_MS, default 30s; 0 disables).
+// Writes through /admin/users evict their entry; other instances catch up within the TTL.
+const adminCache = createTtlCache({ ttlMs: Number(process.env.ADMIN_CACHE_TTL_MS ?? 30000) });
+const findAdminRow = (authUserId) => adminCache.wrap(authUserId, () => db.adminUsers.findByAuthUserId(authUserId));
 
-  if (upErr) throw upErr;
+// Soft-deleted rows are listed by GET /admin/trash (type = repository name in src/data)
+const TRASH_TABLES = ['properties', 'reviews'];
 
-  const { data: pub } = supabase.storage.from(bucket).getPublicUrl(key);
-  return { key, publicUrl: pub.publicUrl };
+// Upload buffer to the configured storage backend and return its public URL
+// (fileName defaults to a random uuid with an extension derived from the mimetype)
+async function uploadToBucket(bucket, fileBuffer, originalName, mimetype, subfolder = '', fileName = null) {
+  const ext = mime.extension(mimetype) || path.extname(originalName).replace('.', '') || 'bin';
+  const key = [subfolder, fileName || `${uuidv4()}.${ext}`].filter(Boolean).join('/');
+
+  return storage.put(bucket, key, fileBuffer, { contentType: mimetype });
 }
 
-/* ---------------------------- Nodemailer Setup ---------------------------- */
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.MAIL_USER || '',
-    pass: process.env.MAIL_PASS || '',
-  },
-});
+/**
+ * Upload the output of processImage() under <subfolder>/<uuid>/<variant>.webp.
+ * Returns { thumb, card, full, width, height } — URLs plus the full-size dimensions.
+ * If any variant fails, the ones already stored are removed.
+ */
+async function uploadImageVariants(bucket, variants, subfolder = '') {
+  const folder = [subfolder, uuidv4()].filter(Boolean).join('/');
+  const result = {};
+  const keys = [];
+
+  try {
+    for (const v of variants) {
+      const { key, publicUrl } = await uploadToBucket(bucket, v.buffer, `${v.name}.webp`, v.contentType, folder, `${v.name}.webp`);
+      keys.push(key);
+      result[v.name] = publicUrl;
+      if (v.name === 'full') {
+        result.width = v.width;
+        result.height = v.height;
+      }
+    }
+  } catch (err) {
+    if (keys.length) await storage.remove(bucket, keys);
+    throw err;
+  }
+
+  return result;
+}
 
 /* --------------------------------- Helpers -------------------------------- */
-const sendContactForm = async (formData) => {
-  const mailOptions = {
-    from: process.env.MAIL_FROM || process.env.MAIL_USER || '',
-    to: formData.email,
-    subject: 'New Contact Form',
-    text: `
-Name: ${formData.name}
-Phone Number: ${formData.phone}
-Email: ${formData.email}
-Subject: ${formData.subject}
-Country Code: ${formData.countryCode}
-`.trim(),
+// Visitor acknowledgement + internal notification, both via the mail outbox.
+// Resolves once queued; only throws if neither the outbox nor a direct send worked.
+const sendContactForm = async (formData, lead = null) => {
+  const data = {
+    name: formData.name,
+    phone: formData.phone,
+    email: formData.email,
+    subject: formData.subject,
+    countryCode: formData.countryCode,
+    propertyId: formData.propertyId,
+    leadId: lead?.id,
   };
 
-  const info = await transporter.sendMail(mailOptions);
-  console.log('Email sent:', info.response);
-
-  const mailOptions2 = {
-    from: process.env.MAIL_FROM || process.env.MAIL_USER || '',
-    to: process.env.MAIL_FROM || process.env.MAIL_USER || '',
-    subject: 'New Contact Form',
-    text: `
-Name: ${formData.name}
-Phone Number: ${formData.phone}
-Email: ${formData.email}
-Subject: ${formData.subject}
-Country Code: ${formData.countryCode}
-`.trim(),
-  };
+  await enqueueMail({
+    template: 'contactAcknowledgement',
+    locale: formData.locale,
+    to: formData.email,
+    data,
+  });
+
+  await enqueueMail({
+    template: 'contactNotification',
+    to: teamAddress(),
+    replyTo: formData.email,
+    data,
+  });
+};
+
+// Notify the team that a public review is waiting for moderation.
+// Opt-in via REVIEW_NOTIFY_EMAIL; failures are logged, never surfaced to the submitter.
+const sendReviewSubmittedNotice = async (review) => {
+  const to = process.env.REVIEW_NOTIFY_EMAIL;
+  if (!to) return;
+
+  try {
+    await enqueueMail({ template: 'reviewSubmitted', to, data: review });
+  } catch (err) {
+    console.error('Error sending review notification:', err);
+  }
+};
+
+/**
+ * Recompute a property's `ratings` (average) and `reviews` (count) from its
+ * approved reviews. Call after any review write that touches the property.
+ * Errors are logged: the review write itself has already succeeded.
+ */
+const refreshPropertyRating = async (propertyId) => {
+  if (!propertyId) return;
+  try {
+    const rows = await db.reviews.list({ propertyId, status: 'approved' });
+    const total = rows.reduce((sum, r) => sum + Number(r.ratings || 0), 0);
+    const average = rows.length ? Math.round((total / rows.length) * 10) / 10 : 0;
+
+    await db.properties.update(propertyId, { ratings: average, reviews: rows.length });
+  } catch (err) {
+    console.error('refreshPropertyRating error:', err);
+  }
+};
+
+// Returns true when the property exists (and is not in the trash)
+const propertyExists = async (propertyId) => Boolean(await db.properties.findById(propertyId));
+
+// Returns true when the property exists and is visible to the public
+const propertyIsPublic = async (propertyId) => isPubliclyVisible(await db.properties.findById(propertyId));
 
-  const info2 = await transporter.sendMail(mailOptions2);
-  console.log('Email sent:', info2.response);
+// Locale for a public read (?lang=, Accept-Language, fallback), announced in Content-Language
+const servedLocale = (req, res) => {
+  const locale = negotiateLocale(req);
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+  return locale;
+};
+
+// Body with `amenities` read as a list (forms and CSV send text), ready for validate()
+const withAmenityList = (body) => (body && typeof body === 'object' && 'amenities' in body
+  ? { ...body, amenities: amenityInput(body.amenities) }
+  : body);
+
+// Replace validated `amenities` (keys, labels or aliases) with catalogue keys; returns errors or null
+const applyAmenityKeys = async (value) => {
+  if (!value.amenities) return null;
+  const { keys, errors } = await readAmenityKeys(value.amenities);
+  if (errors) return errors;
+  value.amenities = keys;
+  return null;
 };
 
 /* ------------------------- Auth & Admin Middlewares ------------------------ */
 /**
- * Expects Authorization: Bearer <supabase_access_token>
- * Validates token with Supabase and attaches req.user (Supabase user object).
+ * Expects Authorization: Bearer <supabase_access_token> (or the access cookie, see src/lib/authCookies.js)
+ * Validates the token with the auth backend and attaches req.user (Supabase user object).
  */
 const verifySupabaseUser = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.split(' ')[1]; // 'Bearer <token>'
+    const token = readAccessToken(req);
     if (!token) return res.status(403).json({ message: 'Access denied: missing token' });
 
-    const { data, error } = await supabase.auth.getUser(token);
-    if (error || !data?.user) {
+    const user = await db.auth.getUser(token);
+    if (!user) {
       return res.status(401).json({ message: 'Invalid or expired Supabase token' });
     }
 
-    req.user = data.user; // Supabase user
+    req.user = user; // Supabase user
     return next();
   } catch (err) {
     console.error('verifySupabaseUser error:', err);
@@ -114,9 +256,34 @@ const verifySupabaseUser = async (req, res, next) => {
 };
 
 /**
- * Requires the signed-in user to be marked as admin.
+ * Like verifySupabaseUser, but never rejects: attaches req.user when a valid
+ * Bearer token is present and continues anonymously otherwise.
+ */
+const optionalSupabaseUser = async (req, _res, next) => {
+  try {
+    const token = readAccessToken(req);
+    if (token) {
+      const user = await db.auth.getUser(token);
+      if (user) req.user = user;
+    }
+  } catch (err) {
+    console.error('optionalSupabaseUser error:', err);
+  }
+  return next();
+};
+
+// What routes see as req.admin
+const adminContext = (row) => ({
+  auth_user_id: row.auth_user_id,
+  is_admin: row.is_admin,
+  role: row.role,
+  permissions: permissionsFor(row.role),
+});
+
+/**
+ * Requires the signed-in user to be an active admin (any role).
  * Expects an `admin_users` table with:
- *  - auth_user_id uuid (PK or unique), is_admin boolean
+ *  - auth_user_id uuid (PK or unique), is_admin boolean, role (see src/lib/roles.js)
  */
 const requireAdmin = async (req, res, next) => {
   try {
@@ -125,22 +292,12 @@ const requireAdmin = async (req, res, next) => {
       return res.status(401).json({ message: 'Unauthorized' });
     }
 
-    const { data: adminRow, error } = await supabase
-      .from('admin_users')
-      .select('auth_user_id, is_admin')
-      .eq('auth_user_id', authUserId)
-      .single();
-
-    if (error && error.code !== 'PGRST116') {
-      console.error('Supabase error (admin check):', error);
-      return res.status(500).json({ message: 'Server error' });
-    }
-
-    if (!adminRow || !adminRow.is_admin) {
+    const adminRow = await findAdminRow(authUserId);
+    if (!isActiveAdmin(adminRow)) {
       return res.status(403).json({ message: 'Admin privileges required' });
     }
 
-    req.admin = { auth_user_id: adminRow.auth_user_id, is_admin: adminRow.is_admin };
+    req.admin = adminContext(adminRow);
     return next();
   } catch (err) {
     console.error('requireAdmin error:', err);
@@ -148,27 +305,90 @@ const requireAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * requireAdmin plus a permission check (see PERMISSIONS in src/lib/roles.js).
+ * Use after verifySupabaseUser: router.get(path, verifySupabaseUser, requirePermission('leads:read'), ...)
+ */
+const requirePermission = (permission) => (req, res, next) => requireAdmin(req, res, () => {
+  if (!can(req.admin.role, permission)) {
+    return res.status(403).json({ message: `Your role (${req.admin.role}) does not allow ${permission}` });
+  }
+  return next();
+});
+
+/**
+ * For public routes that show more to admins: attaches req.user / req.admin
+ * when the caller is a signed-in admin, otherwise continues anonymously.
+ */
+const optionalAdmin = (req, res, next) => optionalSupabaseUser(req, res, async () => {
+  try {
+    if (req.user) {
+      const adminRow = await findAdminRow(req.user.id);
+      if (isActiveAdmin(adminRow)) req.admin = adminContext(adminRow);
+    }
+  } catch (err) {
+    console.error('optionalAdmin error:', err);
+  }
+  return next();
+});
+
 /* ---------------------------------- Routes --------------------------------- */
 
+// Fresh (uncached) admin check for sign-in and refresh; primes the cache for the next calls
+const loadAdminForSession = async (authUserId) => {
+  const adminRow = await db.adminUsers.findByAuthUserId(authUserId);
+  adminCache.set(authUserId, adminRow);
+  return isActiveAdmin(adminRow) ? adminRow : null;
+};
+
+// Login/refresh response: tokens in the body, or in httpOnly cookies with ADMIN_AUTH_COOKIES=true
+const sendSession = (res, { user, session }, adminRow) => {
+  const body = { user, role: adminRow.role, expires_in: session?.expires_in };
+  if (cookiesEnabled()) {
+    setAuthCookies(res, session);
+    return res.json(body);
+  }
+  return res.json({ access_token: session?.access_token, refresh_token: session?.refresh_token, ...body });
+};
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+const bodyEmail = (req) => (typeof req.body?.email === 'string' ? normalizeEmail(req.body.email) : null);
+
+const LOCKED_MESSAGE = 'Too many failed sign-in attempts, please try again later';
+
+// Per client IP and per account; repeated failures also lock the account (loginLockout)
+const loginLimits = [
+  limitBy('LOGIN_IP', clientIp),
+  limitBy('LOGIN_EMAIL', bodyEmail, LOCKED_MESSAGE),
+];
+
 /**
  * Admin Login (Supabase Auth)
  * NOTE: Prefer the client to call Supabase Auth directly.
  * This server proxy is provided if you need a backend endpoint.
  * Body: { email, password }
- * Returns: { access_token, refresh_token, user }
+ * Returns: { access_token, refresh_token, user, role, expires_in }
+ *          (tokens as httpOnly cookies instead when ADMIN_AUTH_COOKIES=true)
  */
-router.post('/admin/login', async (req, res) => {
+router.post('/admin/login', loginLimits, async (req, res) => {
   const { email, password } = req.body;
   if (!email || typeof email !== 'string' || !password) {
     return res.status(400).json({ message: 'Email and password are required' });
   }
 
+  const identity = normalizeEmail(email);
   try {
-    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
-    if (error) {
+    const lock = await loginLockout.status(identity);
+    if (lock.locked) return tooManyRequests(res, lock.retryAfter, LOCKED_MESSAGE);
+
+    const data = await db.auth.signInWithPassword({ email, password });
+    if (!data) {
+      const failure = await loginLockout.recordFailure(identity);
+      if (failure.locked) return tooManyRequests(res, failure.retryAfter, LOCKED_MESSAGE);
       // Avoid leaking specifics; map to generic error
       return res.status(401).json({ message: 'Invalid credentials' });
     }
+    await loginLockout.clear(identity);
 
     // Optional: ensure the user is an admin before issuing tokens to client
     const authUserId = data.user?.id;
@@ -176,77 +396,99 @@ router.post('/admin/login', async (req, res) => {
       return res.status(500).json({ message: 'Unexpected auth response' });
     }
 
-    const { data: adminRow, error: adminErr } = await supabase
-      .from('admin_users')
-      .select('auth_user_id, is_admin')
-      .eq('auth_user_id', authUserId)
-      .single();
+    const adminRow = await loadAdminForSession(authUserId);
+    if (!adminRow) {
+      await db.auth.signOut(data.session?.access_token);
+      return res.status(403).json({ message: 'Admin privileges required' });
+    }
+
+    return sendSession(res, data, adminRow);
+  } catch (err) {
+    console.error('Error during admin login:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Exchange a refresh token for a new session. Refresh tokens are single-use.
+ * Body: { refresh_token } (or the refresh cookie)
+ * Returns the same shape as /admin/login.
+ */
+router.post('/admin/refresh', limitBy('REFRESH_IP', clientIp), async (req, res) => {
+  const refreshToken = readRefreshToken(req);
+  if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required' });
 
-    if (adminErr && adminErr.code !== 'PGRST116') {
-      console.error('Supabase error (admin lookup on login):', adminErr);
-      return res.status(500).json({ message: 'Server error' });
+  try {
+    const data = await db.auth.refreshSession(refreshToken);
+    if (!data) {
+      if (cookiesEnabled()) clearAuthCookies(res);
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
     }
 
-    if (!adminRow || !adminRow.is_admin) {
+    // Access may have been revoked since the last sign-in
+    const adminRow = await loadAdminForSession(data.user.id);
+    if (!adminRow) {
+      await db.auth.signOut(data.session?.access_token);
+      if (cookiesEnabled()) clearAuthCookies(res);
       return res.status(403).json({ message: 'Admin privileges required' });
     }
 
-    return res.json({
-      access_token: data.session?.access_token,
-      refresh_token: data.session?.refresh_token,
-      user: data.user,
-    });
+    return sendSession(res, data, adminRow);
   } catch (err) {
-    console.error('Error during admin login:', err);
+    console.error('Error refreshing admin session:', err);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
+/**
+ * End the current session (its refresh tokens stop working). Always succeeds,
+ * so clients can call it with an already-expired token.
+ */
+router.post('/admin/logout', limitBy('LOGOUT_IP', clientIp), async (req, res) => {
+  try {
+    const token = readAccessToken(req);
+    if (token) await db.auth.signOut(token);
+  } catch (err) {
+    console.error('Error during admin logout:', err);
+  }
+  if (cookiesEnabled()) clearAuthCookies(res);
+  return res.status(200).json({ message: 'Logged out' });
+});
+
 /* ----------------------------- Admin: Properties ---------------------------- */
 // Create Property
-router.post('/admin/properties', verifySupabaseUser, requireAdmin, async (req, res) => {
-  try {
-    const {
-      name,
-      description,
-      price,
-      location,
-      owner,
-      area,
-      exactAddress,
-      bhkType,
-      amenities,
-      ratings,
-      reviews,
-      image,
-    } = req.body;
-
-    if (!name || !owner || !price || !area || !exactAddress || !bhkType || !location) {
-      return res.status(400).json({ message: 'Missing required fields' });
-    }
-
+router.post('/admin/properties', verifySupabaseUser, requirePermission('listings:write'), async (req, res) => {
+  try {
+    const { value, errors } = validate(propertyCreateSchema, withAmenityList(req.body));
+    if (errors) return res.status(400).json(validationError(errors));
+    const pairErrors = coordinateErrors(value);
+    if (pairErrors) return res.status(400).json(validationError(pairErrors));
+    const amenityErrors = await applyAmenityKeys(value);
+    if (amenityErrors) return res.status(400).json(validationError(amenityErrors));
+
+    const { status = 'draft', publish_at, unpublish_at, ...fields } = value;
+    const { changes: schedule, errors: scheduleErrors } = parseSchedule({ publish_at, unpublish_at });
+    if (scheduleErrors) return res.status(400).json(validationError(scheduleErrors));
+
+    const located = withAddressChange({}, fields);
     const payload = {
-      name,
-      description,
-      price,
-      location,
-      owner,
-      area,
-      exactAddress,
-      bhkType,
-      amenities,
-      ratings,
-      reviews,
-      image,
+      ...located.changes,
+      // ratings/reviews are maintained from approved reviews (refreshPropertyRating)
+      ratings: 0,
+      reviews: 0,
+      // New listings start as drafts unless explicitly published
+      status,
+      status_changed_at: new Date().toISOString(),
+      ...schedule,
       // Optionally track creator:
       created_by: req.user.id,
     };
 
-    const { data, error } = await supabase.from('properties').insert(payload).select().single();
-    if (error) {
-      console.error('Supabase error (create property):', error);
-      return res.status(500).json({ message: 'Error creating property', error: error.message });
-    }
+    const data = await db.properties.create(payload);
+    if (located.geocode) scheduleGeocode(data.id);
+    triggerAlertMatching();
+
+    await recordAudit(req, { action: 'property.create', entityType: 'property', entityId: data.id, after: data });
 
     return res.status(201).json(data);
   } catch (err) {
@@ -255,12 +497,153 @@ router.post('/admin/properties', verifySupabaseUser, requireAdmin, async (req, r
   }
 });
 
+/* ------------------------- Admin: Bulk import & export ---------------------- */
+// Rows as reported back to the caller (the planned write goes out as `changes`)
+const importReport = ({ payload, ...item }) => (payload ? { ...item, changes: payload } : item);
+
+// POST /admin/properties/import?dryRun=true
+// Body: multipart `file` (.csv / .json), a text/csv body, or JSON [rows] / { rows }.
+// Rows are matched on external_ref: new refs create listings, known ones are updated.
+// Any invalid row rejects the whole import (400) with per-row errors; dryRun only reports.
+router.post(
+  '/admin/properties/import',
+  verifySupabaseUser,
+  requirePermission('listings:write'),
+  importUpload.single('file'),
+  csvBody,
+  async (req, res) => {
+    const { rows, error } = readImportRows(req);
+    if (error) return res.status(400).json({ message: error });
+    const dryRun = req.query.dryRun === 'true';
+
+    try {
+      const existing = await db.properties.findByExternalRefs(rows.map((r) => importRef(r.values)).filter(Boolean));
+      const plan = planPropertyImport(rows, existing, await amenityCatalogue());
+      const planned = summarizeImport(plan);
+
+      if (dryRun || planned.error) {
+        return res.status(dryRun ? 200 : 400).json({
+          message: planned.error ? 'Import has invalid rows; nothing was written' : 'Dry run: nothing was written',
+          dryRun,
+          summary: planned,
+          rows: plan.map(importReport),
+        });
+      }
+
+      for (const item of plan) {
+        try {
+          if (item.action === 'create') {
+            const located = withAddressChange({}, item.payload);
+            const data = await db.properties.create({
+              ...located.changes,
+              ratings: 0,
+              reviews: 0,
+              status_changed_at: new Date().toISOString(),
+              created_by: req.user.id,
+            });
+            item.id = data.id;
+            if (located.geocode) scheduleGeocode(data.id);
+            await recordAudit(req, {
+              action: 'property.create', entityType: 'property', entityId: data.id, after: data, meta: { import: true },
+            });
+          } else if (item.action === 'update') {
+            const before = existing.get(item.external_ref);
+            const located = withAddressChange(before, item.payload);
+            const data = await db.properties.update(item.id, located.changes);
+            if (located.geocode) scheduleGeocode(item.id);
+            await recordAudit(req, {
+              action: 'property.update', entityType: 'property', entityId: item.id, before, after: data, meta: { import: true },
+            });
+          }
+        } catch (err) {
+          // e.g. the same external_ref created concurrently; the other rows still go through
+          console.error(`Error importing property row ${item.row}:`, err);
+          Object.assign(item, { action: 'error', errors: { row: err.message } });
+        }
+      }
+
+      triggerAlertMatching();
+      const summary = summarizeImport(plan);
+      return res.status(200).json({
+        message: summary.error ? 'Import finished with errors' : 'Import finished',
+        dryRun,
+        summary,
+        rows: plan.map(({ payload: _payload, ...item }) => item),
+      });
+    } catch (err) {
+      console.error('Error importing properties:', err);
+      return res.status(500).json({ message: 'Error importing properties', error: err.message });
+    }
+  }
+);
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Resolves once `res` can take more data (or the client went away)
+const writeChunk = (res, chunk) => (res.write(chunk)
+  ? Promise.resolve()
+  : new Promise((resolve) => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  }));
+
+// GET /admin/properties/export?format=csv|json&<filters and sort of GET /properties>
+// Streams every matching listing (any status; not trashed ones). CSV has EXPORT_COLUMNS
+// and can be edited and sent back to /admin/properties/import; JSON has full rows.
+router.get('/admin/properties/export', verifySupabaseUser, requirePermission('listings:read'), async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ message: 'format must be csv or json' });
+  }
+  const { page: _page, pageSize: _pageSize, format: _format, ...filters } = req.query;
+  const { spec, errors } = parsePropertyQuery(filters);
+  if (errors) return res.status(400).json({ message: 'Invalid query parameters', errors });
+
+  const fetchBatch = (page) => db.properties.search({ ...spec, page, pageSize: EXPORT_BATCH_SIZE });
+
+  let batch;
+  try {
+    // First batch before any output, so a failing query can still get a proper 500
+    batch = (await fetchBatch(1)).rows;
+  } catch (err) {
+    console.error('Error exporting properties:', err);
+    return res.status(500).json({ message: 'Error exporting properties', error: err.message });
+  }
+
+  res.status(200);
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.attachment(`properties-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+  try {
+    let count = 0;
+    await writeChunk(res, format === 'csv' ? formatCsvRow(EXPORT_COLUMNS) : '[');
+    for (let page = 1; ; page += 1) {
+      if (page > 1) batch = (await fetchBatch(page)).rows;
+      for (const row of batch) {
+        if (res.destroyed) return undefined;
+        const chunk = format === 'csv'
+          ? formatCsvRow(EXPORT_COLUMNS.map((column) => row[column]))
+          : `${count ? ',' : ''}\n${JSON.stringify(row)}`;
+        count += 1;
+        await writeChunk(res, chunk);
+      }
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+    }
+    if (format === 'json') await writeChunk(res, '\n]\n');
+    return res.end();
+  } catch (err) {
+    // Headers are out: cut the connection so the client sees a failed, not a short, download
+    console.error('Error exporting properties:', err);
+    return res.destroy(err);
+  }
+});
+
 // POST /admin/properties/:id/upload-images  (field: files[])
 // merges new image URLs into properties.images (jsonb array)
 router.post(
   '/admin/properties/:id/upload-images',
   verifySupabaseUser,
-  requireAdmin,
+  requirePermission('listings:write'),
   upload.array('files', 10),
   async (req, res) => {
     try {
@@ -269,43 +652,52 @@ router.post(
       if (!files.length) return res.status(400).json({ message: 'No files uploaded' });
 
       // ensure property exists & get current images array
-      const { data: prop, error: getErr } = await supabase
-        .from('properties')
-        .select('id, images')
-        .eq('id', id)
-        .single();
-
-      if (getErr && getErr.code === 'PGRST116') {
+      const prop = await db.properties.findById(id);
+      if (!prop) {
         return res.status(404).json({ message: 'Property not found' });
       }
-      if (getErr) {
-        console.error('Get property error:', getErr);
-        return res.status(500).json({ message: 'Error reading property', error: getErr.message });
-      }
 
-      const uploaded = [];
+      // Validate & resize everything before storing anything
+      const processed = [];
       for (const file of files) {
-        const { buffer, mimetype, originalname } = file;
-        const { publicUrl } = await uploadToBucket(PROPERTY_BUCKET, buffer, originalname, mimetype, `properties/${id}`);
-        uploaded.push(publicUrl);
+        try {
+          processed.push(await processImage(file.buffer));
+        } catch (err) {
+          if (err.code === 'INVALID_IMAGE') {
+            return res.status(400).json({ message: `${file.originalname}: ${err.message}` });
+          }
+          throw err;
+        }
       }
 
-      const current = Array.isArray(prop.images) ? prop.images : [];
-      const updatedImages = [...current, ...uploaded];
-
-      const { data: updated, error: updErr } = await supabase
-        .from('properties')
-        .update({ images: updatedImages })
-        .eq('id', id)
-        .select()
-        .single();
-
-      if (updErr) {
-        console.error('Update property images error:', updErr);
-        return res.status(500).json({ message: 'Failed to save image URLs', error: updErr.message });
+      const uploaded = [];
+      for (const variants of processed) {
+        uploaded.push(await uploadImageVariants(PROPERTY_BUCKET, variants, `properties/${id}`));
       }
 
-      return res.status(200).json({ message: 'Uploaded', images: updated.images });
+      // `images` keeps its flat list of URLs (full variant); sizes live in image_variants keyed by that URL
+      const current = Array.isArray(prop.images) ? prop.images : [];
+      const updatedImages = [...current, ...uploaded.map((img) => img.full)];
+      const updatedVariants = { ...(prop.image_variants || {}) };
+      for (const img of uploaded) updatedVariants[img.full] = img;
+
+      const updated = await db.properties.update(id, { images: updatedImages, image_variants: updatedVariants });
+
+      await recordAudit(req, {
+        action: 'property.images.upload',
+        entityType: 'property',
+        entityId: id,
+        before: prop,
+        after: updated,
+        meta: { uploaded: uploaded.map((img) => img.full) },
+      });
+
+      return res.status(200).json({
+        message: 'Uploaded',
+        images: updated.images,
+        uploaded,
+        image_variants: updated.image_variants,
+      });
     } catch (err) {
       console.error('Property images upload failed:', err);
       return res.status(500).json({ message: 'Upload failed', error: err.message });
@@ -318,7 +710,7 @@ router.post(
 router.delete(
   '/admin/properties/:id/images',
   verifySupabaseUser,
-  requireAdmin,
+  requirePermission('listings:write'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -326,40 +718,44 @@ router.delete(
       if (!url) return res.status(400).json({ message: 'Missing url' });
 
       // get property
-      const { data: prop, error: getErr } = await supabase
-        .from('properties')
-        .select('id, images')
-        .eq('id', id)
-        .single();
-
-      if (getErr && getErr.code === 'PGRST116') return res.status(404).json({ message: 'Property not found' });
-      if (getErr) return res.status(500).json({ message: 'Error reading property', error: getErr.message });
+      const prop = await db.properties.findById(id);
+      if (!prop) {
+        return res.status(404).json({ message: 'Property not found' });
+      }
 
       const images = Array.isArray(prop.images) ? prop.images : [];
       if (!images.includes(url)) return res.status(400).json({ message: 'URL not found on property' });
 
-      // derive object path from public URL
-      // public URL looks like: https://<proj>.supabase.co/storage/v1/object/public/<bucket>/<path>
-      const base = `/storage/v1/object/public/${PROPERTY_BUCKET}/`;
-      const idx = url.indexOf(base);
-      if (idx === -1) return res.status(400).json({ message: 'Unrecognized storage URL' });
-
-      const objectPath = url.slice(idx + base.length); // e.g. properties/<id>/<filename>
+      // every stored variant of this image (legacy uploads only have the original)
+      const variants = prop.image_variants?.[url];
+      const urls = variants ? [variants.thumb, variants.card, variants.full].filter(Boolean) : [url];
+      const objectPaths = urls.map((u) => storage.keyFromUrl(PROPERTY_BUCKET, u));
+      if (objectPaths.some((p) => !p)) return res.status(400).json({ message: 'Unrecognized storage URL' });
 
       // delete from storage
-      const { error: delErr } = await supabase.storage.from(PROPERTY_BUCKET).remove([objectPath]);
-      if (delErr) return res.status(500).json({ message: 'Failed to delete file', error: delErr.message });
+      try {
+        await storage.remove(PROPERTY_BUCKET, objectPaths);
+      } catch (delErr) {
+        return res.status(500).json({ message: 'Failed to delete file', error: delErr.message });
+      }
 
       // remove from DB
       const newImages = images.filter((u) => u !== url);
-      const { data: updated, error: updErr } = await supabase
-        .from('properties')
-        .update({ images: newImages })
-        .eq('id', id)
-        .select()
-        .single();
-
-      if (updErr) return res.status(500).json({ message: 'Failed to update DB', error: updErr.message });
+      const { [url]: _removed, ...newVariants } = prop.image_variants || {};
+      const updated = await db.properties.update(id, {
+        images: newImages,
+        image_variants: newVariants,
+        ...removeImageFromGallery(prop, url),
+      });
+
+      await recordAudit(req, {
+        action: 'property.images.delete',
+        entityType: 'property',
+        entityId: id,
+        before: prop,
+        after: updated,
+        meta: { url },
+      });
 
       return res.status(200).json({ message: 'Removed', images: updated.images });
     } catch (err) {
@@ -369,211 +765,1358 @@ router.delete(
   }
 );
 
+// PUT /admin/properties/:id/images
+// body: { images?: [urls in display order], cover?: url|null,
+//         meta?: { [url]: { alt?: { es, en }, caption?: { es, en } } | null } }
+router.put(
+  '/admin/properties/:id/images',
+  verifySupabaseUser,
+  requirePermission('listings:write'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const prop = await db.properties.findById(id);
+      if (!prop) {
+        return res.status(404).json({ message: 'Property not found' });
+      }
 
-// Protected Admin Route (sanity check)
-router.get('/admin/protected', verifySupabaseUser, requireAdmin, (req, res) => {
-  res.json({
-    message: 'Access granted to protected route',
-    user: req.user,
-    admin: req.admin,
-  });
-});
+      const { changes, errors } = parseGalleryUpdate(req.body, prop);
+      if (errors) return res.status(400).json({ message: 'Invalid gallery update', errors });
 
-/* ------------------------------- Public: Read ------------------------------- */
-// Fetch All Properties (add filters as needed)
-router.get('/properties', async (_req, res) => {
-  try {
-    const query = supabase.from('properties').select('*');
-    const { data, error } = await query;
-    if (error) {
-      console.error('Supabase error (list properties):', error);
-      return res.status(500).json({ message: 'Error fetching properties', error: error.message });
-    }
+      const updated = await db.properties.update(id, changes);
 
-    return res.status(200).json(data || []);
-  } catch (err) {
-    return res.status(500).json({ message: 'Error fetching properties', error: err.message });
+      await recordAudit(req, { action: 'property.gallery.update', entityType: 'property', entityId: id, before: prop, after: updated });
+
+      const { gallery, cover } = withGallery(updated);
+      return res.status(200).json({ message: 'Gallery updated', images: updated.images, gallery, cover });
+    } catch (err) {
+      console.error('Update property gallery failed:', err);
+      return res.status(500).json({ message: 'Update failed', error: err.message });
+    }
   }
-});
+);
 
-// Fetch Single Property
-router.get('/properties/:id', async (req, res) => {
+
+/* --------------------------- Admin: Listing lifecycle ------------------------ */
+// POST /admin/properties/:id/status   body: { status }
+// Allowed moves are defined in src/lib/listingStatus.js (TRANSITIONS).
+router.post('/admin/properties/:id/status', verifySupabaseUser, requirePermission('listings:write'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { status } = req.body;
 
-    const { data, error } = await supabase.from('properties').select('*').eq('id', id).single();
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${STATUSES.join(', ')}` });
+    }
 
-    if (error && error.code === 'PGRST116') {
+    const prop = await db.properties.findById(id);
+    if (!prop) {
       return res.status(404).json({ message: 'Property not found' });
     }
-    if (error) {
-      console.error('Supabase error (get property):', error);
-      return res.status(500).json({ message: 'Error fetching property', error: error.message });
+
+    if (!canTransition(prop.status, status)) {
+      return res.status(409).json({ message: `Cannot move a listing from ${prop.status || 'draft'} to ${status}` });
     }
 
-    return res.status(200).json(data);
+    const data = await db.properties.update(id, { status, status_changed_at: new Date().toISOString() });
+
+    await recordAudit(req, { action: 'property.status', entityType: 'property', entityId: id, before: prop, after: data });
+    triggerAlertMatching();
+
+    return res.status(200).json({ message: `Property ${status}`, property: data });
   } catch (err) {
-    console.error('Error fetching property:', err);
-    return res.status(500).json({ message: 'Error fetching property', error: err.message });
+    console.error('Error changing property status:', err);
+    return res.status(500).json({ message: 'Error changing status', error: err.message });
   }
 });
 
-/* ----------------------------- Admin: Update/Delete ----------------------------- */
-// Update Property
-router.put('/admin/properties/:id', verifySupabaseUser, requireAdmin, async (req, res) => {
+// PUT /admin/properties/:id/schedule   body: { publish_at?, unpublish_at? } (ISO date, or null to clear)
+router.put('/admin/properties/:id/schedule', verifySupabaseUser, requirePermission('listings:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Ensure property exists
-    const { error: getErr } = await supabase
-      .from('properties')
-      .select('id')
-      .eq('id', id)
-      .single();
-
-    if (getErr && getErr.code === 'PGRST116') {
+    const prop = await db.properties.findById(id);
+    if (!prop) {
       return res.status(404).json({ message: 'Property not found' });
     }
-    if (getErr) {
-      console.error('Supabase error (check property exists):', getErr);
-      return res.status(500).json({ message: 'Error updating property', error: getErr.message });
+
+    const { changes, errors } = parseSchedule(req.body || {}, prop);
+    if (errors) return res.status(400).json({ message: 'Invalid schedule', errors });
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ message: 'Provide publish_at and/or unpublish_at' });
     }
 
-    const { data, error } = await supabase
-      .from('properties')
-      .update(req.body)
-      .eq('id', id)
-      .select()
-      .single();
+    const data = await db.properties.update(id, changes);
 
-    if (error) {
-      console.error('Supabase error (update property):', error);
-      return res.status(500).json({ message: 'Error updating property', error: error.message });
-    }
+    await recordAudit(req, { action: 'property.schedule', entityType: 'property', entityId: id, before: prop, after: data });
+    triggerAlertMatching();
 
-    return res.status(200).json({ message: 'Property updated successfully', property: data });
+    return res.status(200).json({ message: 'Schedule updated', property: data });
   } catch (err) {
-    return res.status(500).json({ message: 'Error updating property', error: err.message });
+    console.error('Error updating property schedule:', err);
+    return res.status(500).json({ message: 'Error updating schedule', error: err.message });
   }
 });
 
-// Delete Property
-router.delete('/admin/properties/:id', verifySupabaseUser, requireAdmin, async (req, res) => {
+// POST /admin/properties/:id/geocode — geocode the current address now (e.g. after a miss)
+router.post('/admin/properties/:id/geocode', verifySupabaseUser, requirePermission('listings:write'), async (req, res) => {
+  if (!geocodingEnabled()) return res.status(503).json({ message: 'Geocoding is not configured' });
+
   try {
     const { id } = req.params;
+    const before = await db.properties.findById(id);
+    if (!before) return res.status(404).json({ message: 'Property not found' });
 
-    // Ensure exists
-    const { error: getErr } = await supabase
-      .from('properties')
-      .select('id')
-      .eq('id', id)
-      .single();
-
-    if (getErr && getErr.code === 'PGRST116') {
-      return res.status(404).json({ message: 'Property not found' });
-    }
-    if (getErr) {
-      console.error('Supabase error (check property exists):', getErr);
-      return res.status(500).json({ message: 'Error deleting property', error: getErr.message });
-    }
+    const outcome = await geocodeProperty(id);
+    if (!outcome) return res.status(404).json({ message: 'Property not found' });
+    const { property, result } = outcome;
+    if (!result) return res.status(422).json({ message: 'No location found for this address', property });
 
-    const { error } = await supabase.from('properties').delete().eq('id', id);
-    if (error) {
-      console.error('Supabase error (delete property):', error);
-      return res.status(500).json({ message: 'Error deleting property', error: error.message });
-    }
+    await recordAudit(req, { action: 'property.geocode', entityType: 'property', entityId: id, before, after: property });
 
-    return res.status(200).json({ message: 'Property deleted successfully' });
+    return res.status(200).json({ message: 'Property geocoded', property, precision: result.precision || null });
   } catch (err) {
-    return res.status(500).json({ message: 'Error deleting property', error: err.message });
+    console.error('Error geocoding property:', err);
+    return res.status(502).json({ message: 'Geocoding failed', error: err.message });
   }
 });
 
-/* --------------------------------- Health --------------------------------- */
-router.get('/', (_req, res) => {
-  res.send('API is running...');
+// Protected Admin Route (sanity check)
+router.get('/admin/protected', verifySupabaseUser, requireAdmin, (req, res) => {
+  res.json({
+    message: 'Access granted to protected route',
+    user: req.user,
+    admin: req.admin,
+  });
 });
 
-/* ------------------------------- Contact Form ------------------------------ */
-router.post('/contactform', async (req, res) => {
-  const formData = req.body;
-  if (!formData.name || !formData.phone || !formData.email) {
-    return res.status(400).json({ message: 'Missing required fields' });
+/* ------------------------------- Public: Read ------------------------------- */
+// Fetch Properties (filters, map search, sorting & pagination — see src/lib/propertyQuery.js)
+// Returns the page as an array; totals go in X-Total-Count and Link (first/prev/next/last),
+// plus X-Results-Truncated: true when a map search had too many candidates to rank them all
+//   format=geojson: a FeatureCollection of the page (listings with coordinates) + pagination
+// Anonymous callers only see publicly visible listings, with fuzzed coordinates
+// (src/lib/propertyLocation.js); admins see every status and the exact points.
+router.get('/properties', optionalAdmin, async (req, res) => {
+  const { spec, errors } = parsePropertyQuery(req.query);
+  if (errors) {
+    return res.status(400).json({ message: 'Invalid query parameters', errors });
   }
 
   try {
-    await sendContactForm(formData);
-    return res.status(200).json({ message: 'Form submitted successfully, email sent.' });
-  } catch (error) {
-    console.error('Error sending email:', error);
-    return res.status(500).json({ message: 'Error sending email', error: error.message });
+    const view = { exact: Boolean(req.admin) };
+    const { rows, total, truncated } = await db.properties.search(spec, {
+      publicOnly: !req.admin,
+      point: pointFor(view),
+      marginKm: fuzzMarginKm(view),
+    });
+    const pagination = { ...buildPagination(spec, total), ...(truncated ? { truncated } : {}) };
+    const locale = servedLocale(req, res);
+    const localized = rows.map((row) => localize(row, 'property', locale));
+
+    res.set('X-Total-Count', String(pagination.total));
+    res.set('Link', paginationLinks(apiUrl(req.originalUrl), pagination));
+    // Map search over more candidates than GEO_SEARCH_MAX_ROWS: ask the user to zoom in
+    if (truncated) res.set('X-Results-Truncated', 'true');
+
+    if (spec.format === 'geojson') {
+      return res.status(200).type('application/geo+json').json({ ...toFeatureCollection(localized, view), locale, pagination });
+    }
+    return res.status(200).json(localized.map((row) => withGallery(withLocation(row, view))));
+  } catch (err) {
+    return res.status(500).json({ message: 'Error fetching properties', error: err.message });
   }
 });
 
-/* ------------------------------- Reviews CRUD ------------------------------ */
-// Create Review
-router.post('/admin/reviews', verifySupabaseUser, requireAdmin, async (req, res) => {
-  try {
-    const { customerName, ratings, review, image } = req.body;
+// Hidden listings are indistinguishable from missing ones for the public
+const visibleTo = (req, property) => Boolean(property) && (Boolean(req.admin) || isPubliclyVisible(property));
 
-    if (!customerName || ratings === undefined || ratings === null) {
-      return res.status(400).json({ message: 'Customer name and ratings are required' });
-    }
+// Detail payload of one listing (by id or by slug)
+const sendProperty = (req, res, data) => {
+  // Admin previews are not audience; recording never delays or fails the response
+  if (!req.admin) trackEvent(req, data.id, 'view');
 
-    const payload = { customerName, ratings, review, image, created_by: req.user.id };
-    const { data, error } = await supabase.from('reviews').insert(payload).select().single();
+  const locale = servedLocale(req, res);
+  return res.status(200).json(withGallery(withLocation(localize(data, 'property', locale), { exact: Boolean(req.admin) })));
+};
 
-    if (error) {
-      console.error('Supabase error (add review):', error);
-      return res.status(500).json({ message: 'Server error', error: error.message });
-    }
+// Open Graph / Twitter / JSON-LD for a listing page; always the public view (fuzzed coordinates)
+const sendPropertyMeta = (req, res, data) => {
+  const locale = servedLocale(req, res);
+  return res.status(200).json(listingMeta(withLocation(localize(data, 'property', locale), { exact: false }), locale));
+};
 
-    return res.status(201).json(data);
-  } catch (error) {
-    console.error('Error adding review:', error);
-    return res.status(500).json({ message: 'Server error' });
+/**
+ * Listing for a /properties/by-slug/:slug route, or null once a response is sent:
+ * 404 for unknown slugs, 301 to the same route under the current slug for a
+ * renamed listing's old one (query string kept).
+ */
+const loadBySlug = async (req, res, suffix = '') => {
+  const { slug } = req.params;
+  const current = isSlug(slug) ? await db.properties.findBySlug(slug) : null;
+  if (visibleTo(req, current)) return current;
+
+  const renamed = !current && isSlug(slug) ? await db.properties.findBySlugRedirect(slug) : null;
+  if (visibleTo(req, renamed)) {
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    res.redirect(301, `${req.baseUrl}/properties/by-slug/${encodeURIComponent(renamed.slug)}${suffix}${query}`);
+    return null;
   }
-});
 
-// Update Review
-router.put('/admin/reviews/:id', verifySupabaseUser, requireAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { customerName, ratings, image, comments } = req.body;
+  res.status(404).json({ message: 'Property not found' });
+  return null;
+};
 
-    // Ensure exists
-    const { error: getErr } = await supabase
-      .from('reviews')
-      .select('id')
-      .eq('id', id)
-      .single();
+// Fetch Single Property
+router.get('/properties/:id', optionalAdmin, async (req, res) => {
+  try {
+    const data = await db.properties.findById(req.params.id);
+    if (!visibleTo(req, data)) return res.status(404).json({ message: 'Property not found' });
 
-    if (getErr && getErr.code === 'PGRST116') {
-      return res.status(404).json({ message: 'Review not found' });
-    }
-    if (getErr) {
-      console.error('Supabase error (check review exists):', getErr);
-      return res.status(500).json({ message: 'Error updating review', error: getErr.message });
-    }
+    return sendProperty(req, res, data);
+  } catch (err) {
+    console.error('Error fetching property:', err);
+    return res.status(500).json({ message: 'Error fetching property', error: err.message });
+  }
+});
 
-    const updatePayload = {
+// Same payload by slug; a renamed listing's old slugs answer 301 to the current one
+router.get('/properties/by-slug/:slug', optionalAdmin, async (req, res) => {
+  try {
+    const data = await loadBySlug(req, res);
+    return data ? sendProperty(req, res, data) : undefined;
+  } catch (err) {
+    console.error('Error fetching property by slug:', err);
+    return res.status(500).json({ message: 'Error fetching property', error: err.message });
+  }
+});
+
+// Page metadata (src/lib/seo.js): { title, description, image, url, locale, openGraph, twitter, jsonLd }
+router.get('/properties/:id/meta', optionalAdmin, async (req, res) => {
+  try {
+    const data = await db.properties.findById(req.params.id);
+    if (!visibleTo(req, data)) return res.status(404).json({ message: 'Property not found' });
+
+    return sendPropertyMeta(req, res, data);
+  } catch (err) {
+    console.error('Error fetching property metadata:', err);
+    return res.status(500).json({ message: 'Error fetching property metadata', error: err.message });
+  }
+});
+
+router.get('/properties/by-slug/:slug/meta', optionalAdmin, async (req, res) => {
+  try {
+    const data = await loadBySlug(req, res, '/meta');
+    return data ? sendPropertyMeta(req, res, data) : undefined;
+  } catch (err) {
+    console.error('Error fetching property metadata by slug:', err);
+    return res.status(500).json({ message: 'Error fetching property metadata', error: err.message });
+  }
+});
+
+// sitemap.xml of every public listing page with its lastmod. Cached for
+// SITEMAP_CACHE_TTL_MS (default 10 min; 0 disables).
+const SITEMAP_BATCH_SIZE = 1000;
+const sitemapCache = createTtlCache({ ttlMs: Number(process.env.SITEMAP_CACHE_TTL_MS ?? 600000), maxEntries: 1 });
+
+router.get('/sitemap.xml', async (_req, res) => {
+  try {
+    const xml = await sitemapCache.wrap('sitemap', async () => {
+      const rows = [];
+      const now = new Date();
+      while (rows.length < SITEMAP_MAX_URLS) {
+        const batch = await db.properties.listPublic(now, {
+          offset: rows.length,
+          limit: SITEMAP_BATCH_SIZE,
+          columns: 'id, slug, updated_at, created_at',
+        });
+        rows.push(...batch);
+        if (batch.length < SITEMAP_BATCH_SIZE) break;
+      }
+      return buildSitemap(rows);
+    });
+    return res.status(200).type('application/xml').send(xml);
+  } catch (err) {
+    console.error('Error building sitemap:', err);
+    return res.status(500).json({ message: 'Error building sitemap', error: err.message });
+  }
+});
+
+// Syndication feeds (see src/feeds). A feed with FEED_<NAME>_TOKEN set needs ?token=.
+router.get('/feeds/:name.xml', async (req, res) => {
+  const feed = getFeed(req.params.name);
+  if (!feed) return res.status(404).json({ message: 'Feed not found' });
+  if (!feedTokenValid(feed.name, req.query.token)) return res.status(401).json({ message: 'Invalid or missing feed token' });
+
+  try {
+    const locale = feed.localized ? servedLocale(req, res) : undefined;
+    const xml = await renderFeed(feed.name, locale);
+    return res.status(200).type(feed.contentType).send(xml);
+  } catch (err) {
+    console.error(`Error building ${feed.name} feed:`, err);
+    return res.status(500).json({ message: 'Error building feed', error: err.message });
+  }
+});
+
+// Approved reviews for a property
+router.get('/properties/:id/reviews', optionalAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await (req.admin ? propertyExists(id) : propertyIsPublic(id)))) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    const data = await db.reviews.list({ propertyId: id, status: 'approved' });
+    const locale = servedLocale(req, res);
+
+    return res.status(200).json(data.map((review) => localize(review, 'review', locale)));
+  } catch (err) {
+    console.error('Error fetching property reviews:', err);
+    return res.status(500).json({ message: 'Error fetching reviews', error: err.message });
+  }
+});
+
+// "You may also like" (src/lib/similarity.js). Rankings (ids and scores) are cached per listing
+// for SIMILAR_CACHE_TTL_MS (default 5 min; 0 disables); the listings themselves are re-read and
+// re-checked for visibility on every request, so sold or hidden ones drop out at once.
+const SIMILAR_DEFAULT_LIMIT = 6;
+const SIMILAR_MAX_LIMIT = 24;
+// Candidates per query: same location, and priced within SIMILAR_PRICE_BAND (default ±50%)
+const SIMILAR_CANDIDATES = 200;
+const SIMILAR_PRICE_BAND = Number(process.env.SIMILAR_PRICE_BAND) || 0.5;
+const similarCache = createTtlCache({ ttlMs: Number(process.env.SIMILAR_CACHE_TTL_MS ?? 300000), maxEntries: 500 });
+
+const rankedSimilar = (property) => similarCache.wrap(String(property.id), async () => {
+  const candidates = await db.properties.listSimilarCandidates(property, {
+    priceBand: SIMILAR_PRICE_BAND,
+    limit: SIMILAR_CANDIDATES,
+  });
+  return rankSimilar(property, candidates, { limit: SIMILAR_MAX_LIMIT })
+    .map(({ property: other, score }) => ({ id: other.id, score }));
+});
+
+// GET /properties/:id/similar?limit= — public listings most like this one, best first,
+// each with its `similarity` score (0..1). Returns: { data: [...], locale }
+router.get('/properties/:id/similar', optionalAdmin, async (req, res) => {
+  const limit = req.query.limit === undefined ? SIMILAR_DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SIMILAR_MAX_LIMIT) {
+    return res.status(400).json({
+      message: 'Invalid query parameters',
+      errors: { limit: `Must be an integer between 1 and ${SIMILAR_MAX_LIMIT}` },
+    });
+  }
+
+  try {
+    const property = await db.properties.findById(req.params.id);
+    if (!property || (!req.admin && !isPubliclyVisible(property))) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    const ranked = await rankedSimilar(property);
+    const current = new Map((await db.properties.findByIds(ranked.map((r) => r.id))).map((row) => [String(row.id), row]));
+    const locale = servedLocale(req, res);
+    const view = { exact: Boolean(req.admin) };
+    const data = ranked
+      .map(({ id, score }) => ({ other: current.get(String(id)), score }))
+      .filter(({ other }) => isPubliclyVisible(other))
+      .slice(0, limit)
+      .map(({ other, score }) => ({ ...withGallery(withLocation(localize(other, 'property', locale), view)), similarity: score }));
+
+    return res.status(200).json({ data, locale });
+  } catch (err) {
+    console.error('Error fetching similar properties:', err);
+    return res.status(500).json({ message: 'Error fetching similar properties', error: err.message });
+  }
+});
+
+// Amenity catalogue in the served locale: { data: [{ key, category, icon, label }], locale }
+router.get('/amenities', async (req, res) => {
+  try {
+    const locale = servedLocale(req, res);
+    const data = (await amenityCatalogue()).map((entry) => localizeAmenity(entry, locale));
+    return res.status(200).json({ data, locale });
+  } catch (err) {
+    console.error('Error fetching amenities:', err);
+    return res.status(500).json({ message: 'Error fetching amenities', error: err.message });
+  }
+});
+
+// A listing's amenities resolved against the catalogue, in catalogue order
+router.get('/properties/:id/amenities', optionalAdmin, async (req, res) => {
+  try {
+    const property = await db.properties.findById(req.params.id);
+    if (!visibleTo(req, property)) return res.status(404).json({ message: 'Property not found' });
+
+    const locale = servedLocale(req, res);
+    return res.status(200).json({ data: await amenitiesFor(property, locale), locale });
+  } catch (err) {
+    console.error('Error fetching property amenities:', err);
+    return res.status(500).json({ message: 'Error fetching property amenities', error: err.message });
+  }
+});
+
+// Events the website reports for a listing (see src/analytics). Body: { type: "gallery_open", sessionId? };
+// the session may also come in X-Session-Id. Always 204: duplicates and bots are dropped silently.
+router.post('/properties/:id/events', limitBy('ANALYTICS_IP', clientIp), async (req, res) => {
+  const type = req.body?.type;
+  if (!CLIENT_EVENT_TYPES.includes(type)) {
+    return res.status(400).json({ message: 'Invalid event', errors: { type: `Must be one of: ${CLIENT_EVENT_TYPES.join(', ')}` } });
+  }
+
+  try {
+    const property = await db.properties.findById(req.params.id);
+    if (!isPubliclyVisible(property)) return res.status(404).json({ message: 'Property not found' });
+
+    await trackEvent(req, property.id, type);
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Error recording listing event:', err);
+    return res.status(500).json({ message: 'Error recording event', error: err.message });
+  }
+});
+
+/* ----------------------------- Admin: Update/Delete ----------------------------- */
+// Update Property
+router.put('/admin/properties/:id', verifySupabaseUser, requirePermission('listings:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Ensure property exists
+    const before = await db.properties.findById(id);
+    if (!before) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    // Only declared fields are written: ratings/reviews are derived from approved reviews,
+    // lifecycle and images have their own endpoints, ids/authorship are server-owned.
+    const { value: changes, errors } = validate(propertyUpdateSchema, withAmenityList(req.body), { partial: true });
+    if (errors) return res.status(400).json(validationError(errors));
+    if (!Object.keys(changes).length) {
+      return res.status(400).json(validationError({ body: 'No updatable fields provided' }));
+    }
+    const pairErrors = coordinateErrors(changes);
+    if (pairErrors) return res.status(400).json(validationError(pairErrors));
+    const amenityErrors = await applyAmenityKeys(changes);
+    if (amenityErrors) return res.status(400).json(validationError(amenityErrors));
+
+    const located = withAddressChange(before, changes);
+    const data = await db.properties.update(id, located.changes);
+    if (located.geocode) scheduleGeocode(id);
+
+    await recordAudit(req, { action: 'property.update', entityType: 'property', entityId: id, before, after: data });
+
+    return res.status(200).json({ message: 'Property updated successfully', property: data });
+  } catch (err) {
+    return res.status(500).json({ message: 'Error updating property', error: err.message });
+  }
+});
+
+// Delete Property
+router.delete('/admin/properties/:id', verifySupabaseUser, requirePermission('listings:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Ensure exists
+    const before = await db.properties.findById(id);
+    if (!before) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    // Soft delete: the row (and its images) stay in place until restored
+    const data = await db.properties.update(id, { deleted_at: new Date().toISOString(), deleted_by: req.user.id });
+
+    await recordAudit(req, { action: 'property.delete', entityType: 'property', entityId: id, before, after: data });
+
+    return res.status(200).json({ message: 'Property deleted successfully' });
+  } catch (err) {
+    return res.status(500).json({ message: 'Error deleting property', error: err.message });
+  }
+});
+
+// Restore a soft-deleted property
+router.post('/admin/properties/:id/restore', verifySupabaseUser, requirePermission('listings:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await db.properties.findById(id, { deleted: true });
+    if (!before) {
+      return res.status(404).json({ message: 'Deleted property not found' });
+    }
+
+    const data = await db.properties.update(id, { deleted_at: null, deleted_by: null });
+
+    await recordAudit(req, { action: 'property.restore', entityType: 'property', entityId: id, before, after: data });
+    triggerAlertMatching();
+
+    return res.status(200).json({ message: 'Property restored successfully', property: data });
+  } catch (err) {
+    console.error('Error restoring property:', err);
+    return res.status(500).json({ message: 'Error restoring property', error: err.message });
+  }
+});
+
+/* --------------------------------- Health --------------------------------- */
+router.get('/', (_req, res) => {
+  res.send('API is running...');
+});
+
+/* ------------------------------- Contact Form ------------------------------ */
+const HONEYPOT_FIELD = process.env.CONTACT_HONEYPOT_FIELD || 'website';
+
+// Hidden field humans leave empty. Bots that fill it get a normal-looking success
+// (`fakeStatus` + `fakeBody`) and nothing is stored or sent, so they have no signal to adapt to.
+const honeypot = (fakeStatus, fakeBody) => (req, res, next) => {
+  const value = req.body?.[HONEYPOT_FIELD];
+  if (value === undefined || value === null || value === '') return next();
+  return res.status(fakeStatus).json(fakeBody);
+};
+
+// No-op unless CAPTCHA_PROVIDER is configured (see src/lib/captcha.js)
+const requireCaptcha = async (req, res, next) => {
+  try {
+    const ok = await verifyCaptcha(readCaptchaToken(req.body), { remoteIp: clientIp(req) });
+    if (!ok) return res.status(400).json({ message: 'CAPTCHA verification failed' });
+    return next();
+  } catch (err) {
+    console.error('CAPTCHA verification error:', err);
+    return res.status(503).json({ message: 'CAPTCHA verification unavailable', error: err.message });
+  }
+};
+
+// Body: { name, phone, email, subject?, countryCode?, propertyId?, source?, captchaToken? }
+// plus the empty honeypot field (CONTACT_HONEYPOT_FIELD, default "website").
+// The submission is stored as a lead first; emails are a best-effort side effect.
+router.post(
+  '/contactform',
+  honeypot(200, { message: 'Form submitted successfully', leadId: null }),
+  limitBy('CONTACT_IP', clientIp),
+  limitBy('CONTACT_EMAIL', bodyEmail),
+  requireCaptcha,
+  async (req, res) => {
+    const formData = req.body;
+    if (!formData.name || !formData.phone || !formData.email) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    let lead = null;
+    try {
+      const property = formData.propertyId ? await db.properties.findById(formData.propertyId) : null;
+      if (formData.propertyId && !isPubliclyVisible(property)) {
+        return res.status(400).json({ message: 'Property not found' });
+      }
+      if (property) trackEvent(req, property.id, 'inquiry');
+
+      const payload = {
+        name: formData.name,
+        email: formData.email,
+        phone: formData.phone,
+        country_code: formData.countryCode || null,
+        subject: formData.subject || null,
+        property_id: formData.propertyId || null,
+        source: formData.source || 'contact_form',
+        status: 'new',
+      };
+
+      lead = await db.leads.create(payload);
+    } catch (err) {
+      console.error('Error creating lead:', err);
+    }
+
+    try {
+      await sendContactForm(formData, lead);
+    } catch (error) {
+      console.error('Error sending email:', error);
+      // Without a stored lead the email was the only record: surface the failure
+      if (!lead) return res.status(500).json({ message: 'Error submitting form', error: error.message });
+    }
+
+    return res.status(200).json({ message: 'Form submitted successfully', leadId: lead?.id ?? null });
+  }
+);
+
+/* ------------------------------ Saved searches ------------------------------ */
+const SAVED_SEARCH_MAX_PER_EMAIL = Number(process.env.SAVED_SEARCH_MAX_PER_EMAIL) || 10;
+const SAVED_SEARCH_ACCEPTED = { message: 'Check your inbox to confirm the alert' };
+
+// Link outcome: redirect browsers to SAVED_SEARCH_REDIRECT_URL?savedSearch=<outcome> when set,
+// otherwise (and for one-click POSTs from mail clients) answer with JSON
+const savedSearchOutcome = (req, res, status, outcome, message) => {
+  const target = process.env.SAVED_SEARCH_REDIRECT_URL;
+  if (target && req.method === 'GET') {
+    const url = new URL(target);
+    url.searchParams.set('savedSearch', outcome);
+    return res.redirect(303, url.toString());
+  }
+  return res.status(status).json({ message, outcome });
+};
+
+const queryToken = (req) => (typeof req.query.token === 'string' && req.query.token ? req.query.token : null);
+
+// Body: { email, frequency? (instant | daily | weekly, default daily), locale?, location?,
+//         minPrice?, maxPrice?, bhkType?, amenities?, captchaToken? } plus the honeypot field.
+// Nothing is sent until the address confirms (double opt-in). The answer is the same
+// whether or not the address already has this search, so it reveals nothing.
+router.post(
+  '/saved-searches',
+  honeypot(202, SAVED_SEARCH_ACCEPTED),
+  limitBy('SAVED_SEARCH_IP', clientIp),
+  limitBy('SAVED_SEARCH_EMAIL', bodyEmail),
+  requireCaptcha,
+  async (req, res) => {
+    const { value, errors } = readSavedSearch(req.body);
+    if (errors) return res.status(400).json(validationError(errors));
+
+    try {
+      const amenityErrors = await applyAmenityKeys(value.criteria);
+      if (amenityErrors) return res.status(400).json(validationError(amenityErrors));
+      const live = await db.savedSearches.listLiveForEmail(value.email);
+      const same = live.find((s) => s.frequency === value.frequency && criteriaQuery(s.criteria) === criteriaQuery(value.criteria));
+
+      if (same?.status === 'active') return res.status(202).json(SAVED_SEARCH_ACCEPTED);
+      if (same) {
+        // Still unconfirmed: send the link again (a fresh one if it expired)
+        const search = confirmationExpired(same)
+          ? await db.savedSearches.update(same.id, { confirm_token: newToken(), created_at: new Date().toISOString() })
+          : same;
+        await sendConfirmation(search);
+        return res.status(202).json(SAVED_SEARCH_ACCEPTED);
+      }
+
+      const locale = value.locale || negotiateLocale(req);
+      // At the cap: nothing is saved, and only the mailbox is told why
+      if (live.length >= SAVED_SEARCH_MAX_PER_EMAIL) {
+        await sendLimitNotice({ email: value.email, locale, criteria: value.criteria }, SAVED_SEARCH_MAX_PER_EMAIL);
+        return res.status(202).json(SAVED_SEARCH_ACCEPTED);
+      }
+
+      const search = await db.savedSearches.create({
+        email: value.email,
+        locale,
+        criteria: value.criteria,
+        frequency: value.frequency,
+        status: 'pending',
+        confirm_token: newToken(),
+        unsubscribe_token: newToken(),
+      });
+      await sendConfirmation(search);
+
+      return res.status(202).json(SAVED_SEARCH_ACCEPTED);
+    } catch (err) {
+      console.error('Error saving search:', err);
+      return res.status(500).json({ message: 'Error saving search', error: err.message });
+    }
+  }
+);
+
+// GET /saved-searches/confirm?token= — link from the confirmation email
+router.get('/saved-searches/confirm', async (req, res) => {
+  try {
+    const token = queryToken(req);
+    const search = token && (await db.savedSearches.findByConfirmToken(token));
+    if (!search || search.status !== 'pending' || confirmationExpired(search)) {
+      return savedSearchOutcome(req, res, 400, 'invalid', 'This confirmation link is invalid or has expired');
+    }
+
+    await db.savedSearches.update(search.id, {
+      status: 'active',
+      confirmed_at: new Date().toISOString(),
+      confirm_token: null,
+    });
+
+    return savedSearchOutcome(req, res, 200, 'confirmed', 'Alert confirmed');
+  } catch (err) {
+    console.error('Error confirming saved search:', err);
+    return res.status(500).json({ message: 'Error confirming saved search', error: err.message });
+  }
+});
+
+// GET or POST /saved-searches/unsubscribe?token= — link in every alert email; POST is
+// the RFC 8058 one-click request mail clients send from the List-Unsubscribe header.
+// Repeating it is harmless.
+const unsubscribeSavedSearch = async (req, res) => {
+  try {
+    const token = queryToken(req);
+    const search = token && (await db.savedSearches.findByUnsubscribeToken(token));
+    if (!search) return savedSearchOutcome(req, res, 404, 'invalid', 'This unsubscribe link is invalid');
+
+    if (search.status !== 'unsubscribed') {
+      await db.savedSearches.update(search.id, {
+        status: 'unsubscribed',
+        unsubscribed_at: new Date().toISOString(),
+        confirm_token: null,
+      });
+      await db.savedSearchMatches.removePending(search.id);
+    }
+
+    return savedSearchOutcome(req, res, 200, 'unsubscribed', 'You will not receive this alert any more');
+  } catch (err) {
+    console.error('Error unsubscribing saved search:', err);
+    return res.status(500).json({ message: 'Error unsubscribing', error: err.message });
+  }
+};
+
+router.get('/saved-searches/unsubscribe', unsubscribeSavedSearch);
+router.post('/saved-searches/unsubscribe', unsubscribeSavedSearch);
+
+/* --------------------------------- Viewings --------------------------------- */
+const VIEWING_STATUSES = ['booked', 'cancelled'];
+
+// Send booking emails without failing the request; they are queued and retried by the outbox
+const sendViewingNotice = async (viewing, property, kind) => {
+  try {
+    await notifyViewing(viewing, property, kind);
+  } catch (err) {
+    console.error(`Error sending viewing ${kind} email:`, err);
+  }
+};
+
+const slotTaken = (res, err) => res.status(409).json({ message: err.message });
+
+// Admin view of a viewing: the visitor's link secret stays out of admin payloads and the audit log
+const adminViewing = ({ manage_token: _token, ...row }) => row;
+
+// GET /properties/:id/viewing-slots?from=YYYY-MM-DD&to=YYYY-MM-DD (local dates, VIEWING_TIMEZONE)
+router.get('/properties/:id/viewing-slots', async (req, res) => {
+  const { range, errors } = parseSlotRange(req.query);
+  if (errors) return res.status(400).json({ message: 'Invalid query parameters', errors });
+
+  try {
+    const property = await db.properties.findById(req.params.id);
+    if (!isPubliclyVisible(property)) return res.status(404).json({ message: 'Property not found' });
+
+    const slots = await availableSlots(property, range);
+    return res.status(200).json({ timeZone: VIEWING_TIMEZONE, from: range.from, to: range.to, slots });
+  } catch (err) {
+    console.error('Error fetching viewing slots:', err);
+    return res.status(500).json({ message: 'Error fetching viewing slots', error: err.message });
+  }
+});
+
+// Body: { startsAt (one of the offered slots), name, email, phone, notes?, locale?, captchaToken? }
+// plus the honeypot field. Creates a lead (source "viewing") and emails both sides an invite.
+router.post(
+  '/properties/:id/viewings',
+  honeypot(201, { message: 'Viewing booked', viewing: null }),
+  limitBy('VIEWING_IP', clientIp),
+  limitBy('VIEWING_EMAIL', bodyEmail),
+  requireCaptcha,
+  async (req, res) => {
+    const { value, errors } = validate(viewingBookingSchema, req.body);
+    if (errors) return res.status(400).json(validationError(errors));
+
+    try {
+      const property = await db.properties.findById(req.params.id);
+      if (!isPubliclyVisible(property)) return res.status(404).json({ message: 'Property not found' });
+
+      let viewing;
+      try {
+        viewing = await bookViewing(property, {
+          ...value,
+          email: normalizeEmail(value.email),
+          locale: value.locale || negotiateLocale(req),
+        });
+      } catch (err) {
+        if (err.code === 'SLOT_UNAVAILABLE') return slotTaken(res, err);
+        throw err;
+      }
+
+      // The booking stands even if the lead cannot be stored
+      try {
+        const lead = await db.leads.create({
+          name: viewing.name,
+          email: viewing.email,
+          phone: viewing.phone,
+          subject: `Viewing ${viewing.starts_at}`,
+          property_id: property.id,
+          source: 'viewing',
+          status: 'viewing_scheduled',
+          assigned_to: viewing.agent_id,
+        });
+        viewing = (await db.viewings.update(viewing.id, { lead_id: lead.id })) || viewing;
+      } catch (err) {
+        console.error('Error creating viewing lead:', err);
+      }
+
+      trackEvent(req, property.id, 'viewing');
+      await sendViewingNotice(viewing, property, 'booked');
+      return res.status(201).json({ message: 'Viewing booked', viewing: viewingView(viewing, property) });
+    } catch (err) {
+      console.error('Error booking viewing:', err);
+      return res.status(500).json({ message: 'Error booking viewing', error: err.message });
+    }
+  }
+);
+
+// Visitor's own booking, from the token in the reschedule / cancel links
+const loadViewingByToken = async (req, res) => {
+  const token = queryToken(req);
+  const viewing = token && (await db.viewings.findByToken(token));
+  if (!viewing) {
+    res.status(404).json({ message: 'Viewing not found' });
+    return null;
+  }
+  return viewing;
+};
+
+// Only upcoming, booked viewings can be changed
+const viewingLocked = (res, viewing) => {
+  if (viewing.status !== 'booked') return res.status(409).json({ message: 'This viewing was cancelled' });
+  if (new Date(viewing.starts_at) <= new Date()) return res.status(409).json({ message: 'This viewing has already started' });
+  return null;
+};
+
+// GET /viewings/manage?token=
+router.get('/viewings/manage', async (req, res) => {
+  try {
+    const viewing = await loadViewingByToken(req, res);
+    if (!viewing) return undefined;
+    const property = await db.properties.findById(viewing.property_id);
+    return res.status(200).json(viewingView(viewing, property));
+  } catch (err) {
+    console.error('Error fetching viewing:', err);
+    return res.status(500).json({ message: 'Error fetching viewing', error: err.message });
+  }
+});
+
+// POST /viewings/reschedule?token=   body: { startsAt }
+router.post('/viewings/reschedule', async (req, res) => {
+  const { value, errors } = validate(viewingRescheduleSchema, req.body);
+  if (errors) return res.status(400).json(validationError(errors));
+
+  try {
+    const viewing = await loadViewingByToken(req, res);
+    if (!viewing || viewingLocked(res, viewing)) return undefined;
+    const property = await db.properties.findById(viewing.property_id);
+    if (!isPubliclyVisible(property)) return res.status(409).json({ message: 'This listing is no longer available' });
+
+    let updated;
+    try {
+      updated = await rescheduleViewing(viewing, property, value.startsAt);
+    } catch (err) {
+      if (err.code === 'SLOT_UNAVAILABLE') return slotTaken(res, err);
+      throw err;
+    }
+
+    await sendViewingNotice(updated, property, 'rescheduled');
+    return res.status(200).json({ message: 'Viewing rescheduled', viewing: viewingView(updated, property) });
+  } catch (err) {
+    console.error('Error rescheduling viewing:', err);
+    return res.status(500).json({ message: 'Error rescheduling viewing', error: err.message });
+  }
+});
+
+// POST /viewings/cancel?token=
+router.post('/viewings/cancel', async (req, res) => {
+  try {
+    const viewing = await loadViewingByToken(req, res);
+    if (!viewing || viewingLocked(res, viewing)) return undefined;
+
+    const updated = await cancelViewing(viewing, 'visitor');
+    const property = await db.properties.findById(viewing.property_id);
+    await sendViewingNotice(updated, property, 'cancelled');
+    return res.status(200).json({ message: 'Viewing cancelled', viewing: viewingView(updated, property) });
+  } catch (err) {
+    console.error('Error cancelling viewing:', err);
+    return res.status(500).json({ message: 'Error cancelling viewing', error: err.message });
+  }
+});
+
+/* ------------------------------- Admin: Leads ------------------------------- */
+// GET /admin/leads?status=&assignedTo=&propertyId=&source=&q=&from=&to=&page=&pageSize=
+router.get('/admin/leads', verifySupabaseUser, requirePermission('leads:read'), async (req, res) => {
+  const { status, assignedTo, propertyId, source, q, from, to } = req.query;
+  const errors = {};
+  const paging = parsePagination(req.query, errors);
+
+  if (status && !LEAD_STATUSES.includes(status)) errors.status = `Must be one of: ${LEAD_STATUSES.join(', ')}`;
+  if (from && Number.isNaN(Date.parse(from))) errors.from = 'Must be a date';
+  if (to && Number.isNaN(Date.parse(to))) errors.to = 'Must be a date';
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ message: 'Invalid query parameters', errors });
+  }
+
+  try {
+    const { rows, total } = await db.leads.search({
+      status,
+      assignedTo: assignedTo === 'none' ? null : assignedTo,
+      propertyId,
+      source,
+      q,
+      from,
+      to,
+    }, paging);
+
+    return res.status(200).json({ data: rows, pagination: buildPagination(paging, total) });
+  } catch (err) {
+    console.error('Error listing leads:', err);
+    return res.status(500).json({ message: 'Error fetching leads', error: err.message });
+  }
+});
+
+router.get('/admin/leads/:id', verifySupabaseUser, requirePermission('leads:read'), async (req, res) => {
+  try {
+    const data = await db.leads.findById(req.params.id);
+    if (!data) {
+      return res.status(404).json({ message: 'Lead not found' });
+    }
+    return res.status(200).json(data);
+  } catch (err) {
+    console.error('Error fetching lead:', err);
+    return res.status(500).json({ message: 'Error fetching lead', error: err.message });
+  }
+});
+
+// Update status / assignment. Body: { status?, assignedTo? (auth user id or null) }
+router.put('/admin/leads/:id', verifySupabaseUser, requirePermission('leads:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, assignedTo } = req.body;
+
+    if (status === undefined && assignedTo === undefined) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+    if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${LEAD_STATUSES.join(', ')}` });
+    }
+
+    const lead = await db.leads.findById(id);
+    if (!lead) {
+      return res.status(404).json({ message: 'Lead not found' });
+    }
+
+    const now = new Date().toISOString();
+    const changes = { updated_at: now, updated_by: req.user.id };
+    if (status !== undefined && status !== lead.status) {
+      changes.status = status;
+      changes.status_changed_at = now;
+    }
+    if (assignedTo !== undefined) changes.assigned_to = assignedTo || null;
+
+    const data = await db.leads.update(id, changes);
+
+    await recordAudit(req, { action: 'lead.update', entityType: 'lead', entityId: id, before: lead, after: data });
+
+    return res.status(200).json({ message: 'Lead updated successfully', lead: data });
+  } catch (err) {
+    console.error('Error updating lead:', err);
+    return res.status(500).json({ message: 'Error updating lead', error: err.message });
+  }
+});
+
+// Append a note. Body: { note }
+router.post('/admin/leads/:id/notes', verifySupabaseUser, requirePermission('leads:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    if (!note || typeof note !== 'string' || !note.trim()) {
+      return res.status(400).json({ message: 'Note is required' });
+    }
+    if (note.length > MAX_LEAD_NOTE_LENGTH) {
+      return res.status(400).json({ message: `Note must be at most ${MAX_LEAD_NOTE_LENGTH} characters` });
+    }
+
+    const lead = await db.leads.findById(id);
+    if (!lead) {
+      return res.status(404).json({ message: 'Lead not found' });
+    }
+
+    const now = new Date().toISOString();
+    const notes = Array.isArray(lead.notes) ? lead.notes : [];
+    const entry = { note: note.trim(), author: req.user.id, created_at: now };
+
+    const data = await db.leads.update(id, { notes: [...notes, entry], updated_at: now, updated_by: req.user.id });
+
+    await recordAudit(req, { action: 'lead.note', entityType: 'lead', entityId: id, before: lead, after: data });
+
+    return res.status(201).json({ message: 'Note added', lead: data });
+  } catch (err) {
+    console.error('Error adding lead note:', err);
+    return res.status(500).json({ message: 'Error adding note', error: err.message });
+  }
+});
+
+/* ------------------------------ Admin: Viewings ------------------------------ */
+// GET /admin/viewings/availability?propertyId=&agentId=
+router.get('/admin/viewings/availability', verifySupabaseUser, requirePermission('viewings:read'), async (req, res) => {
+  try {
+    const rules = await db.viewingAvailability.list({ propertyId: req.query.propertyId, agentId: req.query.agentId });
+    return res.status(200).json({ timeZone: VIEWING_TIMEZONE, data: rules });
+  } catch (err) {
+    console.error('Error listing viewing availability:', err);
+    return res.status(500).json({ message: 'Error fetching viewing availability', error: err.message });
+  }
+});
+
+// POST /admin/viewings/availability
+// Body: { propertyId? , agentId?, weekday (1 = Mon), startTime, endTime ('HH:MM', VIEWING_TIMEZONE),
+//         slotMinutes? (default 30), validFrom?, validUntil? (YYYY-MM-DD) }
+// A rule with propertyId covers that listing; one with only agentId covers every listing
+// whose agent_id is that agent.
+router.post('/admin/viewings/availability', verifySupabaseUser, requirePermission('viewings:write'), async (req, res) => {
+  const { value, errors } = validate(availabilityRuleSchema, req.body);
+  if (errors) return res.status(400).json(validationError(errors));
+
+  const ruleErrors = {};
+  const slotMinutes = value.slotMinutes || 30;
+  if (!value.propertyId && !value.agentId) ruleErrors.propertyId = 'Provide propertyId and/or agentId';
+  if (timeToMinutes(value.endTime) - timeToMinutes(value.startTime) < slotMinutes) {
+    ruleErrors.endTime = `Must be at least ${slotMinutes} minutes after startTime`;
+  }
+  if (value.validFrom && value.validUntil && value.validUntil < value.validFrom) {
+    ruleErrors.validUntil = 'Must not be before validFrom';
+  }
+  if (Object.keys(ruleErrors).length) return res.status(400).json(validationError(ruleErrors));
+
+  try {
+    if (value.propertyId && !(await propertyExists(value.propertyId))) {
+      return res.status(400).json(validationError({ propertyId: 'Property not found' }));
+    }
+    if (value.agentId && !isActiveAdmin(await db.adminUsers.findByAuthUserId(value.agentId))) {
+      return res.status(400).json(validationError({ agentId: 'Not an active admin user' }));
+    }
+
+    const rule = await db.viewingAvailability.create({
+      property_id: value.propertyId ?? null,
+      agent_id: value.agentId ?? null,
+      weekday: value.weekday,
+      start_time: value.startTime,
+      end_time: value.endTime,
+      slot_minutes: slotMinutes,
+      valid_from: value.validFrom ?? null,
+      valid_until: value.validUntil ?? null,
+      created_by: req.user.id,
+    });
+
+    await recordAudit(req, { action: 'viewing_availability.create', entityType: 'viewing_availability', entityId: rule.id, after: rule });
+
+    return res.status(201).json(rule);
+  } catch (err) {
+    console.error('Error creating viewing availability:', err);
+    return res.status(500).json({ message: 'Error creating viewing availability', error: err.message });
+  }
+});
+
+// DELETE /admin/viewings/availability/:id — viewings already booked are kept
+router.delete('/admin/viewings/availability/:id', verifySupabaseUser, requirePermission('viewings:write'), async (req, res) => {
+  try {
+    const before = await db.viewingAvailability.remove(req.params.id);
+    if (!before) return res.status(404).json({ message: 'Availability rule not found' });
+
+    await recordAudit(req, { action: 'viewing_availability.delete', entityType: 'viewing_availability', entityId: before.id, before });
+
+    return res.status(200).json({ message: 'Availability rule deleted' });
+  } catch (err) {
+    console.error('Error deleting viewing availability:', err);
+    return res.status(500).json({ message: 'Error deleting viewing availability', error: err.message });
+  }
+});
+
+// GET /admin/viewings?propertyId=&agentId=&status=&from=&to=&page=&pageSize=
+router.get('/admin/viewings', verifySupabaseUser, requirePermission('viewings:read'), async (req, res) => {
+  const { propertyId, agentId, status, from, to } = req.query;
+  const errors = {};
+  const paging = parsePagination(req.query, errors);
+
+  if (status && !VIEWING_STATUSES.includes(status)) errors.status = `Must be one of: ${VIEWING_STATUSES.join(', ')}`;
+  if (from && Number.isNaN(Date.parse(from))) errors.from = 'Must be a date';
+  if (to && Number.isNaN(Date.parse(to))) errors.to = 'Must be a date';
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ message: 'Invalid query parameters', errors });
+  }
+
+  try {
+    const { rows, total } = await db.viewings.search({ propertyId, agentId, status, from, to }, paging);
+    return res.status(200).json({ data: rows.map(adminViewing), pagination: buildPagination(paging, total) });
+  } catch (err) {
+    console.error('Error listing viewings:', err);
+    return res.status(500).json({ message: 'Error fetching viewings', error: err.message });
+  }
+});
+
+// Booked viewing by :id for admin changes; answers 404 / 409 itself
+const loadBookedViewing = async (req, res) => {
+  const viewing = await db.viewings.findById(req.params.id);
+  if (!viewing) {
+    res.status(404).json({ message: 'Viewing not found' });
+    return null;
+  }
+  if (viewing.status !== 'booked') {
+    res.status(409).json({ message: 'This viewing was cancelled' });
+    return null;
+  }
+  return viewing;
+};
+
+// POST /admin/viewings/:id/reschedule   body: { startsAt }
+router.post('/admin/viewings/:id/reschedule', verifySupabaseUser, requirePermission('viewings:write'), async (req, res) => {
+  const { value, errors } = validate(viewingRescheduleSchema, req.body);
+  if (errors) return res.status(400).json(validationError(errors));
+
+  try {
+    const viewing = await loadBookedViewing(req, res);
+    if (!viewing) return undefined;
+    const property = await db.properties.findById(viewing.property_id);
+    if (!property) return res.status(409).json({ message: 'This listing no longer exists' });
+
+    let updated;
+    try {
+      updated = await rescheduleViewing(viewing, property, value.startsAt);
+    } catch (err) {
+      if (err.code === 'SLOT_UNAVAILABLE') return slotTaken(res, err);
+      throw err;
+    }
+
+    await recordAudit(req, {
+      action: 'viewing.reschedule', entityType: 'viewing', entityId: viewing.id, before: adminViewing(viewing), after: adminViewing(updated),
+    });
+    await sendViewingNotice(updated, property, 'rescheduled');
+
+    return res.status(200).json({ message: 'Viewing rescheduled', viewing: adminViewing(updated) });
+  } catch (err) {
+    console.error('Error rescheduling viewing:', err);
+    return res.status(500).json({ message: 'Error rescheduling viewing', error: err.message });
+  }
+});
+
+// POST /admin/viewings/:id/cancel
+router.post('/admin/viewings/:id/cancel', verifySupabaseUser, requirePermission('viewings:write'), async (req, res) => {
+  try {
+    const viewing = await loadBookedViewing(req, res);
+    if (!viewing) return undefined;
+
+    const updated = await cancelViewing(viewing, 'admin');
+    await recordAudit(req, {
+      action: 'viewing.cancel', entityType: 'viewing', entityId: viewing.id, before: adminViewing(viewing), after: adminViewing(updated),
+    });
+    await sendViewingNotice(updated, await db.properties.findById(viewing.property_id), 'cancelled');
+
+    return res.status(200).json({ message: 'Viewing cancelled', viewing: adminViewing(updated) });
+  } catch (err) {
+    console.error('Error cancelling viewing:', err);
+    return res.status(500).json({ message: 'Error cancelling viewing', error: err.message });
+  }
+});
+
+/* ------------------------------ Admin: Analytics ----------------------------- */
+// GET /admin/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week&propertyId=&location=&limit=
+// Totals, time series, per-listing and per-location numbers and top performers (see src/analytics)
+router.get('/admin/analytics', verifySupabaseUser, requirePermission('analytics:read'), async (req, res) => {
+  const { spec, errors } = parseAnalyticsQuery(req.query);
+  if (errors) return res.status(400).json({ message: 'Invalid query parameters', errors });
+
+  try {
+    return res.status(200).json(await listingReport(spec));
+  } catch (err) {
+    console.error('Error building analytics report:', err);
+    return res.status(500).json({ message: 'Error fetching analytics', error: err.message });
+  }
+});
+
+/* ----------------------------- Admin: Amenities ----------------------------- */
+// Catalogue entries with every label and alias
+router.get('/admin/amenities', verifySupabaseUser, requirePermission('listings:read'), async (_req, res) => {
+  try {
+    return res.status(200).json(await db.amenities.list());
+  } catch (err) {
+    console.error('Error fetching amenity catalogue:', err);
+    return res.status(500).json({ message: 'Error fetching amenities', error: err.message });
+  }
+});
+
+// Body: { key, category, icon?, labels: { es, en? }, aliases?, position? }
+router.post('/admin/amenities', verifySupabaseUser, requirePermission('amenities:write'), async (req, res) => {
+  const { value, errors } = validate(amenityCreateSchema, req.body);
+  if (errors) return res.status(400).json(validationError(errors));
+  const labels = readLabels(value.labels);
+  if (labels.errors) return res.status(400).json(validationError(labels.errors));
+
+  try {
+    if (await db.amenities.findByKey(value.key)) {
+      return res.status(409).json({ message: `Amenity "${value.key}" already exists` });
+    }
+    const data = await db.amenities.create({ ...value, labels: labels.value });
+    invalidateAmenityCatalogue();
+    await recordAudit(req, { action: 'amenity.create', entityType: 'amenity', entityId: data.key, after: data });
+    return res.status(201).json(data);
+  } catch (err) {
+    console.error('Error creating amenity:', err);
+    return res.status(500).json({ message: 'Error creating amenity', error: err.message });
+  }
+});
+
+// Body: any of { category, icon, labels, aliases, position }; `labels` replaces the whole map
+router.put('/admin/amenities/:key', verifySupabaseUser, requirePermission('amenities:write'), async (req, res) => {
+  const { value: changes, errors } = validate(amenityUpdateSchema, req.body, { partial: true });
+  if (errors) return res.status(400).json(validationError(errors));
+  if (!Object.keys(changes).length) {
+    return res.status(400).json(validationError({ body: 'No updatable fields provided' }));
+  }
+  if (changes.labels) {
+    const labels = readLabels(changes.labels);
+    if (labels.errors) return res.status(400).json(validationError(labels.errors));
+    changes.labels = labels.value;
+  }
+
+  try {
+    const before = await db.amenities.findByKey(req.params.key);
+    if (!before) return res.status(404).json({ message: 'Amenity not found' });
+
+    const data = await db.amenities.update(before.key, changes);
+    invalidateAmenityCatalogue();
+    await recordAudit(req, { action: 'amenity.update', entityType: 'amenity', entityId: before.key, before, after: data });
+    return res.status(200).json(data);
+  } catch (err) {
+    console.error('Error updating amenity:', err);
+    return res.status(500).json({ message: 'Error updating amenity', error: err.message });
+  }
+});
+
+// Only amenities no listing (trashed ones included) carries can be deleted
+router.delete('/admin/amenities/:key', verifySupabaseUser, requirePermission('amenities:write'), async (req, res) => {
+  try {
+    const before = await db.amenities.findByKey(req.params.key);
+    if (!before) return res.status(404).json({ message: 'Amenity not found' });
+
+    const inUse = await db.properties.countWithAmenity(before.key);
+    if (inUse) {
+      return res.status(409).json({ message: `Amenity "${before.key}" is used by ${inUse} listing(s); remove it from them first` });
+    }
+
+    await db.amenities.remove(before.key);
+    invalidateAmenityCatalogue();
+    await recordAudit(req, { action: 'amenity.delete', entityType: 'amenity', entityId: before.key, before });
+    return res.status(200).json({ message: 'Amenity deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting amenity:', err);
+    return res.status(500).json({ message: 'Error deleting amenity', error: err.message });
+  }
+});
+
+// Free-text values the catalogue migration could not map. ?source=property|saved_search&page=&pageSize=
+const UNMATCHED_SOURCES = ['property', 'saved_search'];
+
+router.get('/admin/amenities/unmatched', verifySupabaseUser, requirePermission('listings:read'), async (req, res) => {
+  const errors = {};
+  const paging = parsePagination(req.query, errors);
+  const { source } = req.query;
+  if (source !== undefined && !UNMATCHED_SOURCES.includes(source)) {
+    errors.source = `Must be one of: ${UNMATCHED_SOURCES.join(', ')}`;
+  }
+  if (Object.keys(errors).length) return res.status(400).json({ message: 'Invalid query parameters', errors });
+
+  try {
+    const { rows, total } = await db.amenities.listUnmatched({ source }, paging);
+    return res.status(200).json({ data: rows, pagination: buildPagination(paging, total) });
+  } catch (err) {
+    console.error('Error fetching unmatched amenities:', err);
+    return res.status(500).json({ message: 'Error fetching unmatched amenities', error: err.message });
+  }
+});
+
+// Mark an unmatched value as dealt with (the listing or search was fixed by hand)
+router.delete('/admin/amenities/unmatched/:id', verifySupabaseUser, requirePermission('amenities:write'), async (req, res) => {
+  try {
+    const before = await db.amenities.findUnmatched(req.params.id);
+    if (!before) return res.status(404).json({ message: 'Unmatched value not found' });
+
+    await db.amenities.resolveUnmatched(before.id);
+    await recordAudit(req, { action: 'amenity_unmatched.delete', entityType: 'amenity_migration_unmatched', entityId: before.id, before });
+    return res.status(200).json({ message: 'Unmatched value resolved' });
+  } catch (err) {
+    console.error('Error resolving unmatched amenity:', err);
+    return res.status(500).json({ message: 'Error resolving unmatched amenity', error: err.message });
+  }
+});
+
+/* ------------------------------- Admin: Feeds ------------------------------- */
+// Configured feeds with their URL, field mapping and whether they need a token
+router.get('/admin/feeds', verifySupabaseUser, requirePermission('listings:read'), (_req, res) => res.status(200).json(listFeeds()));
+
+// Which public listings a feed carries and why the others are left out
+router.get('/admin/feeds/:name/report', verifySupabaseUser, requirePermission('listings:read'), async (req, res) => {
+  const feed = getFeed(req.params.name);
+  if (!feed) return res.status(404).json({ message: 'Feed not found' });
+
+  try {
+    return res.status(200).json(await feedReport(feed.name, req.query.lang));
+  } catch (err) {
+    console.error(`Error building ${feed.name} feed report:`, err);
+    return res.status(500).json({ message: 'Error building feed report', error: err.message });
+  }
+});
+
+/* ------------------------------- Reviews CRUD ------------------------------ */
+// Create Review
+router.post('/admin/reviews', verifySupabaseUser, requirePermission('reviews:write'), async (req, res) => {
+  try {
+    const { value, errors } = validate(reviewCreateSchema, req.body);
+    if (errors) return res.status(400).json(validationError(errors));
+
+    const { customerName, ratings, review, image, propertyId, content_locale } = value;
+    if (propertyId && !(await propertyExists(propertyId))) {
+      return res.status(400).json(validationError({ propertyId: 'Property not found' }));
+    }
+
+    // Reviews entered by admins skip the moderation queue
+    const payload = {
       customerName,
       ratings,
+      review,
       image,
-      review: comments, // keep same behavior as before
+      property_id: propertyId || null,
+      content_locale,
+      status: 'approved',
+      created_by: req.user.id,
+    };
+    const data = await db.reviews.create(payload);
+
+    await recordAudit(req, { action: 'review.create', entityType: 'review', entityId: data.id, after: data });
+
+    await refreshPropertyRating(data.property_id);
+
+    return res.status(201).json(data);
+  } catch (error) {
+    console.error('Error adding review:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Review
+router.put('/admin/reviews/:id', verifySupabaseUser, requirePermission('reviews:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(reviewUpdateSchema, req.body, { partial: true });
+    if (errors) return res.status(400).json(validationError(errors));
+    if (!Object.keys(value).length) {
+      return res.status(400).json(validationError({ body: 'No updatable fields provided' }));
+    }
+    const { propertyId, ...fields } = value;
+
+    // Ensure exists
+    const existing = await db.reviews.findById(id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (propertyId && !(await propertyExists(propertyId))) {
+      return res.status(400).json(validationError({ propertyId: 'Property not found' }));
+    }
+
+    const updatePayload = {
+      ...fields,
+      // undefined = unchanged, null = unlink from property
+      property_id: propertyId,
       updated_by: req.user.id,
     };
 
-    const { data, error } = await supabase
-      .from('reviews')
-      .update(updatePayload)
-      .eq('id', id)
-      .select()
-      .single();
+    const data = await db.reviews.update(id, updatePayload);
+
+    await recordAudit(req, { action: 'review.update', entityType: 'review', entityId: id, before: existing, after: data });
 
-    if (error) {
-      console.error('Supabase error (update review):', error);
-      return res.status(500).json({ message: 'Error updating review', error: error.message });
+    await refreshPropertyRating(data.property_id);
+    if (existing.property_id && existing.property_id !== data.property_id) {
+      await refreshPropertyRating(existing.property_id);
     }
 
     return res.status(200).json({ message: 'Review updated successfully', review: data });
@@ -584,30 +2127,21 @@ router.put('/admin/reviews/:id', verifySupabaseUser, requireAdmin, async (req, r
 });
 
 // Delete Review
-router.delete('/admin/reviews/:id', verifySupabaseUser, requireAdmin, async (req, res) => {
+router.delete('/admin/reviews/:id', verifySupabaseUser, requirePermission('reviews:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Ensure exists
-    const { error: getErr } = await supabase
-      .from('reviews')
-      .select('id')
-      .eq('id', id)
-      .single();
-
-    if (getErr && getErr.code === 'PGRST116') {
+    const existing = await db.reviews.findById(id);
+    if (!existing) {
       return res.status(404).json({ message: 'Review not found' });
     }
-    if (getErr) {
-      console.error('Supabase error (check review exists):', getErr);
-      return res.status(500).json({ message: 'Server error', error: getErr.message });
-    }
 
-    const { error } = await supabase.from('reviews').delete().eq('id', id);
-    if (error) {
-      console.error('Supabase error (delete review):', error);
-      return res.status(500).json({ message: 'Server error', error: error.message });
-    }
+    // Soft delete; restore with POST /admin/reviews/:id/restore
+    const data = await db.reviews.update(id, { deleted_at: new Date().toISOString(), deleted_by: req.user.id });
+
+    await recordAudit(req, { action: 'review.delete', entityType: 'review', entityId: id, before: existing, after: data });
+    await refreshPropertyRating(existing.property_id);
 
     return res.status(200).json({ message: 'Review deleted successfully' });
   } catch (error) {
@@ -620,18 +2154,19 @@ router.delete('/admin/reviews/:id', verifySupabaseUser, requireAdmin, async (req
 router.post(
   '/admin/reviews/upload-image',
   verifySupabaseUser,
-  requireAdmin,
+  requirePermission('reviews:write'),
   upload.single('file'),
   async (req, res) => {
     try {
       if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
 
-      const { buffer, mimetype, originalname } = req.file;
-      const { publicUrl } = await uploadToBucket(REVIEW_BUCKET, buffer, originalname, mimetype, 'reviews');
+      const variants = await uploadImageVariants(REVIEW_BUCKET, await processImage(req.file.buffer), 'reviews');
+      await recordAudit(req, { action: 'review.image.upload', entityType: 'review_image', entityId: variants.full, after: variants });
 
       // return URL so the client can put it into the "image" field when creating/updating a review
-      return res.status(200).json({ url: publicUrl });
+      return res.status(200).json({ url: variants.full, variants });
     } catch (err) {
+      if (err.code === 'INVALID_IMAGE') return res.status(400).json({ message: err.message });
       console.error('Review image upload failed:', err);
       return res.status(500).json({ message: 'Upload failed', error: err.message });
     }
@@ -639,19 +2174,407 @@ router.post(
 );
 
 
-// List Reviews (public)
-router.get('/reviews', async (_req, res) => {
+// List Reviews (public) — approved only
+router.get('/reviews', async (req, res) => {
   try {
-    const { data, error } = await supabase.from('reviews').select('*');
-    if (error) {
-      console.error('Supabase error (fetch reviews):', error);
-      return res.status(500).json({ message: 'Server error', error: error.message });
-    }
-    return res.status(200).json(data || []);
+    const data = await db.reviews.list({ status: 'approved' });
+    const locale = servedLocale(req, res);
+    return res.status(200).json(data.map((review) => localize(review, 'review', locale)));
   } catch (error) {
     console.error('Error fetching reviews:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
+/* ---------------------------- Public: Submit Review ------------------------- */
+// POST /reviews  (JSON, or multipart with optional field: file)
+// Body: { customerName, ratings (1-5), review?, email?, propertyId? }
+// Anonymous or signed-in; lands in the moderation queue as `pending`.
+router.post('/reviews', limitBy('REVIEW_IP', clientIp), optionalSupabaseUser, upload.single('file'), async (req, res) => {
+  try {
+    const { value, errors } = validate(reviewSubmissionSchema, req.body);
+    if (errors) return res.status(400).json(validationError(errors));
+
+    const { customerName, ratings, review, email, propertyId, content_locale } = value;
+    if (propertyId && !(await propertyIsPublic(propertyId))) {
+      return res.status(400).json(validationError({ propertyId: 'Property not found' }));
+    }
+
+    let processed = null;
+    if (req.file) {
+      try {
+        processed = await processImage(req.file.buffer);
+      } catch (err) {
+        if (err.code === 'INVALID_IMAGE') return res.status(400).json(validationError({ file: err.message }));
+        throw err;
+      }
+    }
+
+    let imageVariants = null;
+    if (processed) {
+      imageVariants = await uploadImageVariants(REVIEW_BUCKET, processed, 'reviews/submitted');
+    }
+
+    const payload = {
+      customerName,
+      ratings,
+      review: review || '',
+      image: imageVariants?.full || null,
+      image_variants: imageVariants,
+      property_id: propertyId || null,
+      // Written in the language the visitor browses in, unless the form says otherwise
+      content_locale: content_locale || negotiateLocale(req),
+      status: 'pending',
+      submitter_email: email || null,
+      submitted_by: req.user?.id || null,
+    };
+
+    const data = await db.reviews.create(payload);
+
+    sendReviewSubmittedNotice(data);
+
+    return res.status(201).json({ message: 'Review submitted for moderation', id: data.id, status: data.status });
+  } catch (err) {
+    console.error('Error submitting review:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+/* ---------------------------- Admin: Moderation ----------------------------- */
+// GET /admin/reviews?status=pending|approved|rejected
+router.get('/admin/reviews', verifySupabaseUser, requirePermission('reviews:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const data = await db.reviews.list({ status });
+    return res.status(200).json(data);
+  } catch (err) {
+    console.error('Error listing reviews:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Shared handler for approve/reject. Body: { note? }
+const moderateReview = (status) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body || {};
+
+    const existing = await db.reviews.findById(id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const data = await db.reviews.update(id, {
+      status,
+      moderation_note: note || null,
+      moderated_by: req.user.id,
+      moderated_at: new Date().toISOString(),
+    });
+
+    await recordAudit(req, {
+      action: status === 'approved' ? 'review.approve' : 'review.reject',
+      entityType: 'review',
+      entityId: id,
+      before: existing,
+      after: data,
+    });
+
+    await refreshPropertyRating(data.property_id);
+
+    return res.status(200).json({ message: `Review ${status}`, review: data });
+  } catch (err) {
+    console.error('Error moderating review:', err);
+    return res.status(500).json({ message: 'Error moderating review', error: err.message });
+  }
+};
+
+router.post('/admin/reviews/:id/approve', verifySupabaseUser, requirePermission('reviews:write'), moderateReview('approved'));
+router.post('/admin/reviews/:id/reject', verifySupabaseUser, requirePermission('reviews:write'), moderateReview('rejected'));
+
+// Restore a soft-deleted review
+router.post('/admin/reviews/:id/restore', verifySupabaseUser, requirePermission('reviews:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await db.reviews.findById(id, { deleted: true });
+    if (!existing) {
+      return res.status(404).json({ message: 'Deleted review not found' });
+    }
+
+    const data = await db.reviews.update(id, { deleted_at: null, deleted_by: null });
+
+    await recordAudit(req, { action: 'review.restore', entityType: 'review', entityId: id, before: existing, after: data });
+    await refreshPropertyRating(data.property_id);
+
+    return res.status(200).json({ message: 'Review restored successfully', review: data });
+  } catch (err) {
+    console.error('Error restoring review:', err);
+    return res.status(500).json({ message: 'Error restoring review', error: err.message });
+  }
+});
+
+/* ----------------------------- Admin: Translations --------------------------- */
+// Per-locale text for listings (name, description) and reviews (review).
+// The row's own columns hold its content_locale; translations cover the others.
+const TRANSLATION_TARGETS = {
+  properties: { kind: 'property', repo: 'properties', label: 'Property', read: 'listings:read', write: 'listings:write' },
+  reviews: { kind: 'review', repo: 'reviews', label: 'Review', read: 'reviews:read', write: 'reviews:write' },
+};
+
+for (const [segment, target] of Object.entries(TRANSLATION_TARGETS)) {
+  const { kind, repo, label } = target;
+
+  // GET /admin/<properties|reviews>/:id/translations -> texts for every locale
+  router.get(`/admin/${segment}/:id/translations`, verifySupabaseUser, requirePermission(target.read), async (req, res) => {
+    try {
+      const row = await db[repo].findById(req.params.id);
+      if (!row) return res.status(404).json({ message: `${label} not found` });
+      return res.status(200).json({ id: row.id, ...translationView(row, kind) });
+    } catch (err) {
+      console.error(`Error fetching ${kind} translations:`, err);
+      return res.status(500).json({ message: 'Error fetching translations', error: err.message });
+    }
+  });
+
+  // PUT /admin/<properties|reviews>/:id/translations/:locale   body: texts to set (null clears one)
+  // DELETE removes the locale's translation altogether.
+  const editTranslation = (remove) => async (req, res) => {
+    const { id, locale } = req.params;
+    if (!LOCALES.includes(locale)) {
+      return res.status(400).json({ message: `locale must be one of: ${LOCALES.join(', ')}` });
+    }
+
+    try {
+      const before = await db[repo].findById(id);
+      if (!before) return res.status(404).json({ message: `${label} not found` });
+      if (locale === sourceLocale(before)) {
+        return res.status(400).json({ message: `${locale} is this ${kind}'s content locale; edit the ${kind} itself` });
+      }
+
+      let translations;
+      if (remove) {
+        const { [locale]: _removed, ...rest } = before.translations || {};
+        translations = rest;
+      } else {
+        const result = applyTranslationUpdate(before, kind, locale, req.body);
+        if (result.errors) return res.status(400).json(validationError(result.errors));
+        translations = result.translations;
+      }
+
+      const data = await db[repo].update(id, { translations });
+
+      await recordAudit(req, {
+        action: `${kind}.translation.${remove ? 'delete' : 'update'}`,
+        entityType: kind,
+        entityId: id,
+        before,
+        after: data,
+        meta: { locale },
+      });
+
+      return res.status(200).json({ id: data.id, ...translationView(data, kind) });
+    } catch (err) {
+      console.error(`Error updating ${kind} translation:`, err);
+      return res.status(500).json({ message: 'Error updating translation', error: err.message });
+    }
+  };
+
+  router.put(`/admin/${segment}/:id/translations/:locale`, verifySupabaseUser, requirePermission(target.write), editTranslation(false));
+  router.delete(`/admin/${segment}/:id/translations/:locale`, verifySupabaseUser, requirePermission(target.write), editTranslation(true));
+}
+
+/* ------------------------------- Admin: Trash ------------------------------- */
+// GET /admin/trash?type=properties|reviews   (both when omitted)
+router.get('/admin/trash', verifySupabaseUser, requirePermission('trash:read'), async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !TRASH_TABLES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${TRASH_TABLES.join(', ')}` });
+    }
+
+    const result = {};
+    for (const table of type ? [type] : TRASH_TABLES) {
+      result[table] = await db[table].listDeleted();
+    }
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Error fetching trash:', err);
+    return res.status(500).json({ message: 'Error fetching trash', error: err.message });
+  }
+});
+
+/* ------------------------------- Admin: Audit ------------------------------- */
+// GET /admin/audit?entityType=&entityId=&actor=&action=&from=&to=&page=&pageSize=
+// `action` accepts a prefix ending in "." (e.g. "property.") to match a family of actions.
+router.get('/admin/audit', verifySupabaseUser, requirePermission('audit:read'), async (req, res) => {
+  const { entityType, entityId, actor, action, from, to } = req.query;
+  const errors = {};
+  const paging = parsePagination(req.query, errors);
+
+  if (from && Number.isNaN(Date.parse(from))) errors.from = 'Must be a date';
+  if (to && Number.isNaN(Date.parse(to))) errors.to = 'Must be a date';
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ message: 'Invalid query parameters', errors });
+  }
+
+  try {
+    const { rows, total } = await db.auditLog.search({ entityType, entityId, actor, action, from, to }, paging);
+
+    return res.status(200).json({ data: rows, pagination: buildPagination(paging, total) });
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    return res.status(500).json({ message: 'Error fetching audit log', error: err.message });
+  }
+});
+
+/* ------------------------------- Admin: Users ------------------------------- */
+// Roles and what they may do are defined in src/lib/roles.js.
+// Owners can only be granted, changed or revoked by owners, and the last owner cannot be removed.
+
+// Loads the active admin row for :authUserId and checks the caller may manage it.
+// Sends the error response and returns null when not.
+const loadManagedAdmin = async (req, res) => {
+  const { authUserId } = req.params;
+  if (authUserId === req.user.id) {
+    res.status(400).json({ message: 'You cannot change your own access' });
+    return null;
+  }
+
+  const target = await db.adminUsers.findByAuthUserId(authUserId); // uncached: about to write
+  if (!isActiveAdmin(target)) {
+    res.status(404).json({ message: 'Admin user not found' });
+    return null;
+  }
+  if (!canManageRole(req.admin.role, target.role)) {
+    res.status(403).json({ message: `Your role (${req.admin.role}) cannot manage ${target.role} accounts` });
+    return null;
+  }
+  return target;
+};
+
+const isLastOwner = async (row) => row.role === 'owner' && (await db.adminUsers.countActive('owner')) <= 1;
+
+// GET /admin/users?includeRevoked=true
+router.get('/admin/users', verifySupabaseUser, requirePermission('users:read'), async (req, res) => {
+  try {
+    const data = await db.adminUsers.list({ includeRevoked: req.query.includeRevoked === 'true' });
+    return res.status(200).json(data);
+  } catch (err) {
+    console.error('Error listing admin users:', err);
+    return res.status(500).json({ message: 'Error fetching admin users', error: err.message });
+  }
+});
+
+// POST /admin/users/invite   body: { email, role }
+// Sends a Supabase Auth invite (existing accounts are granted access without one).
+router.post('/admin/users/invite', verifySupabaseUser, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { value, errors } = validate(adminInviteSchema, req.body);
+    if (errors) return res.status(400).json(validationError(errors));
+
+    const email = value.email.toLowerCase();
+    if (!canManageRole(req.admin.role, value.role)) {
+      return res.status(403).json({ message: `Your role (${req.admin.role}) cannot grant ${value.role}` });
+    }
+
+    const { user, invited } = await db.auth.inviteUserByEmail(email, {
+      redirectTo: process.env.ADMIN_INVITE_REDIRECT_URL || undefined,
+    });
+
+    const before = await db.adminUsers.findByAuthUserId(user.id);
+    if (isActiveAdmin(before)) {
+      return res.status(409).json({ message: 'This user is already an admin; change their role instead' });
+    }
+
+    const now = new Date().toISOString();
+    const data = await db.adminUsers.upsert({
+      auth_user_id: user.id,
+      email,
+      role: value.role,
+      is_admin: true,
+      invited_by: req.user.id,
+      invited_at: now,
+      revoked_at: null,
+      revoked_by: null,
+      updated_at: now,
+    });
+    adminCache.delete(user.id);
+
+    await recordAudit(req, {
+      action: 'admin_user.invite',
+      entityType: 'admin_user',
+      entityId: user.id,
+      before,
+      after: data,
+      meta: { invited },
+    });
+
+    return res.status(201).json({ message: invited ? 'Invitation sent' : 'Access granted', admin: data, invited });
+  } catch (err) {
+    console.error('Error inviting admin user:', err);
+    return res.status(500).json({ message: 'Error inviting admin user', error: err.message });
+  }
+});
+
+// PUT /admin/users/:authUserId/role   body: { role }
+router.put('/admin/users/:authUserId/role', verifySupabaseUser, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { value, errors } = validate(adminRoleSchema, req.body);
+    if (errors) return res.status(400).json(validationError(errors));
+
+    const before = await loadManagedAdmin(req, res);
+    if (!before) return undefined;
+
+    if (!canManageRole(req.admin.role, value.role)) {
+      return res.status(403).json({ message: `Your role (${req.admin.role}) cannot grant ${value.role}` });
+    }
+    if (value.role !== 'owner' && (await isLastOwner(before))) {
+      return res.status(409).json({ message: 'Cannot demote the last owner' });
+    }
+
+    const data = await db.adminUsers.update(before.auth_user_id, { role: value.role, updated_at: new Date().toISOString() });
+    adminCache.delete(before.auth_user_id);
+
+    await recordAudit(req, { action: 'admin_user.role', entityType: 'admin_user', entityId: before.auth_user_id, before, after: data });
+
+    return res.status(200).json({ message: 'Role updated', admin: data });
+  } catch (err) {
+    console.error('Error changing admin role:', err);
+    return res.status(500).json({ message: 'Error changing role', error: err.message });
+  }
+});
+
+// DELETE /admin/users/:authUserId   (revokes admin access; the auth account itself is kept)
+router.delete('/admin/users/:authUserId', verifySupabaseUser, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const before = await loadManagedAdmin(req, res);
+    if (!before) return undefined;
+
+    if (await isLastOwner(before)) {
+      return res.status(409).json({ message: 'Cannot revoke the last owner' });
+    }
+
+    const now = new Date().toISOString();
+    const data = await db.adminUsers.update(before.auth_user_id, {
+      is_admin: false,
+      revoked_at: now,
+      revoked_by: req.user.id,
+      updated_at: now,
+    });
+    adminCache.delete(before.auth_user_id);
+
+    await recordAudit(req, { action: 'admin_user.revoke', entityType: 'admin_user', entityId: before.auth_user_id, before, after: data });
+
+    return res.status(200).json({ message: 'Admin access revoked' });
+  } catch (err) {
+    console.error('Error revoking admin user:', err);
+    return res.status(500).json({ message: 'Error revoking access', error: err.message });
+  }
+});
+
 module.exports = router;
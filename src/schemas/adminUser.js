@@ -0,0 +1,15 @@
+// src/schemas/adminUser.js
+// Admin user management payloads (see src/lib/schema.js and src/lib/roles.js).
+const { EMAIL_PATTERN } = require('../lib/schema');
+const { ROLES } = require('../lib/roles');
+
+const role = { type: 'string', required: true, enum: ROLES };
+
+const adminInviteSchema = {
+  email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'Must be a valid email' },
+  role,
+};
+
+const adminRoleSchema = { role };
+
+module.exports = { adminInviteSchema, adminRoleSchema };
@@ -0,0 +1,43 @@
+// src/schemas/amenity.js
+// Amenity catalogue entries (admin). `key` is fixed once created; listings refer to it.
+const { LOCALES, FALLBACK_LOCALE } = require('../lib/locales');
+const { AMENITY_KEY_PATTERN } = require('../lib/amenities');
+
+const ICON_PATTERN = /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/;
+
+const editable = {
+  category: { type: 'string', required: true, minLength: 1, maxLength: 60, pattern: AMENITY_KEY_PATTERN, patternMessage: 'Must be snake_case, e.g. "outdoor"' },
+  // Icon name in the website's icon set, e.g. "swimming-pool"
+  icon: { type: 'string', nullable: true, maxLength: 60, pattern: ICON_PATTERN, patternMessage: 'Must be an icon name such as "swimming-pool"' },
+  // { [locale]: label }; see readLabels
+  labels: { type: 'object', required: true },
+  // Other spellings matched when free text is mapped onto the catalogue
+  aliases: { type: 'array', maxLength: 30, items: { type: 'string', minLength: 1, maxLength: 100 } },
+  position: { type: 'integer', min: 0, max: 10000 },
+};
+
+const amenityCreateSchema = {
+  key: { type: 'string', required: true, minLength: 1, maxLength: 60, pattern: AMENITY_KEY_PATTERN, patternMessage: 'Must be snake_case, e.g. "air_conditioning"' },
+  ...editable,
+};
+
+const amenityUpdateSchema = { ...editable };
+
+/**
+ * Check a `labels` map: published locales only, each label 1-100 characters, and one
+ * for FALLBACK_LOCALE. Returns { value (trimmed), errors }.
+ */
+function readLabels(labels) {
+  const unknown = Object.keys(labels).filter((locale) => !LOCALES.includes(locale));
+  if (unknown.length) return { errors: { labels: `Unknown locales: ${unknown.join(', ')} (expected ${LOCALES.join(', ')})` } };
+  const value = {};
+  for (const [locale, label] of Object.entries(labels)) {
+    const text = typeof label === 'string' ? label.trim() : '';
+    if (!text || text.length > 100) return { errors: { labels: `labels.${locale} must be a string of 1-100 characters` } };
+    value[locale] = text;
+  }
+  if (!value[FALLBACK_LOCALE]) return { errors: { labels: `labels.${FALLBACK_LOCALE} is required` } };
+  return { value, errors: null };
+}
+
+module.exports = { amenityCreateSchema, amenityUpdateSchema, readLabels };
@@ -0,0 +1,61 @@
+// src/schemas/property.js
+// Writable property fields for admin create/update (see src/lib/schema.js).
+// Anything not listed here — id, created_by, images, ratings, reviews, ... — is stripped.
+const { STATUSES, INITIAL_STATUSES } = require('../lib/listingStatus');
+const { LOCALES } = require('../lib/locales');
+const { UUID_PATTERN } = require('../lib/schema');
+
+// Override with BHK_TYPES="studio,1,2,3" if the catalogue uses other labels
+const BHK_TYPES = process.env.BHK_TYPES
+  ? process.env.BHK_TYPES.split(',').map((s) => s.trim()).filter(Boolean)
+  : ['studio', '1', '2', '3', '4', '5+'];
+
+const editable = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', nullable: true, maxLength: 5000 },
+  price: { type: 'number', required: true, min: 0 },
+  location: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  owner: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  area: { type: 'number', required: true, min: 1 },
+  exactAddress: { type: 'string', required: true, minLength: 1, maxLength: 300 },
+  bhkType: { type: 'string', required: true, enum: BHK_TYPES },
+  // Amenity catalogue keys (labels and aliases are accepted too, see src/amenities)
+  amenities: { type: 'array', maxLength: 50, items: { type: 'string', minLength: 1, maxLength: 100 } },
+  image: { type: 'string', nullable: true, maxLength: 2000 },
+  // Set both to pin the map location by hand; otherwise they follow the address (src/geocoding)
+  latitude: { type: 'number', nullable: true, min: -90, max: 90 },
+  longitude: { type: 'number', nullable: true, min: -180, max: 180 },
+  // Locale name/description are written in; other locales live in `translations`
+  content_locale: { type: 'string', enum: LOCALES },
+  // Agent (admin_users.auth_user_id) who shows the listing; their viewing hours apply to it
+  agent_id: { type: 'string', nullable: true, pattern: UUID_PATTERN, patternMessage: 'Must be a UUID' },
+};
+
+// latitude and longitude are only written as a pair (both set, or both null)
+function coordinateErrors(value) {
+  if (!('latitude' in value) && !('longitude' in value)) return null;
+  if (!('latitude' in value) || !('longitude' in value) || (value.latitude === null) !== (value.longitude === null)) {
+    return { latitude: 'latitude and longitude go together' };
+  }
+  return null;
+}
+
+const propertyCreateSchema = {
+  ...editable,
+  status: { type: 'string', enum: INITIAL_STATUSES },
+  publish_at: { type: 'date', nullable: true },
+  unpublish_at: { type: 'date', nullable: true },
+};
+
+// Lifecycle, images and aggregates have their own endpoints
+const propertyUpdateSchema = { ...editable };
+
+// One row of a bulk import (src/lib/propertyImport.js). Rows are matched on
+// external_ref; status accepts any lifecycle status and is checked per row.
+const propertyImportSchema = {
+  external_ref: { type: 'string', required: true, minLength: 1, maxLength: 100, aliases: ['externalRef'] },
+  ...propertyCreateSchema,
+  status: { type: 'string', enum: STATUSES },
+};
+
+module.exports = { BHK_TYPES, propertyCreateSchema, propertyUpdateSchema, propertyImportSchema, coordinateErrors };
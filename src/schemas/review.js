@@ -0,0 +1,34 @@
+// src/schemas/review.js
+// Review payloads (see src/lib/schema.js). `propertyId` maps to reviews.property_id.
+const { EMAIL_PATTERN } = require('../lib/schema');
+const { LOCALES } = require('../lib/locales');
+
+const fields = {
+  customerName: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+  ratings: { type: 'integer', required: true, min: 1, max: 5 },
+  review: { type: 'string', nullable: true, maxLength: 2000 },
+  propertyId: { type: 'id', nullable: true },
+  // Language of `review`; public forms may send it as `locale`
+  content_locale: { type: 'string', enum: LOCALES, aliases: ['locale'] },
+};
+
+// Admin create
+const reviewCreateSchema = {
+  ...fields,
+  image: { type: 'string', nullable: true, maxLength: 2000 },
+};
+
+// Admin update (validated in partial mode). `comments` is the field name older
+// admin clients send for the review text; it is accepted as an explicit alias.
+const reviewUpdateSchema = {
+  ...reviewCreateSchema,
+  review: { ...fields.review, aliases: ['comments'] },
+};
+
+// Public submission (JSON or multipart); images arrive as an uploaded file, never a URL
+const reviewSubmissionSchema = {
+  ...fields,
+  email: { type: 'string', nullable: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'Must be a valid email' },
+};
+
+module.exports = { reviewCreateSchema, reviewUpdateSchema, reviewSubmissionSchema };
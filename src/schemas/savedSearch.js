@@ -0,0 +1,22 @@
+// src/schemas/savedSearch.js
+// Public "alert me" form (see src/lib/schema.js). The criteria mirror the
+// GET /properties filters of the same names; bhkType and amenities are lists
+// (amenities are turned into catalogue keys by the route, see src/amenities).
+const { EMAIL_PATTERN } = require('../lib/schema');
+const { LOCALES } = require('../lib/locales');
+const { BHK_TYPES } = require('./property');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+const savedSearchSchema = {
+  email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'Must be a valid email' },
+  frequency: { type: 'string', enum: FREQUENCIES },
+  locale: { type: 'string', enum: LOCALES },
+  location: { type: 'string', nullable: true, maxLength: 200 },
+  minPrice: { type: 'number', nullable: true, min: 0 },
+  maxPrice: { type: 'number', nullable: true, min: 0 },
+  bhkType: { type: 'array', maxLength: BHK_TYPES.length, items: { type: 'string', enum: BHK_TYPES } },
+  amenities: { type: 'array', maxLength: 20, items: { type: 'string', minLength: 1, maxLength: 100 } },
+};
+
+module.exports = { FREQUENCIES, savedSearchSchema };
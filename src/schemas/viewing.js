@@ -0,0 +1,35 @@
+// src/schemas/viewing.js
+// Viewing availability rules (admin) and bookings (public). See src/viewings.
+const { EMAIL_PATTERN, UUID_PATTERN } = require('../lib/schema');
+const { LOCALES } = require('../lib/locales');
+const { TIME_PATTERN } = require('../lib/timezone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Weekly opening hours for viewings of one listing (propertyId) or of every
+// listing an agent shows (agentId only). weekday: 1 = Monday ... 7 = Sunday.
+const availabilityRuleSchema = {
+  propertyId: { type: 'id', nullable: true },
+  agentId: { type: 'string', nullable: true, pattern: UUID_PATTERN, patternMessage: 'Must be a UUID' },
+  weekday: { type: 'integer', required: true, min: 1, max: 7 },
+  startTime: { type: 'string', required: true, pattern: TIME_PATTERN, patternMessage: 'Must be HH:MM' },
+  endTime: { type: 'string', required: true, pattern: TIME_PATTERN, patternMessage: 'Must be HH:MM' },
+  slotMinutes: { type: 'integer', min: 15, max: 240 },
+  validFrom: { type: 'string', nullable: true, pattern: DATE_PATTERN, patternMessage: 'Must be YYYY-MM-DD' },
+  validUntil: { type: 'string', nullable: true, pattern: DATE_PATTERN, patternMessage: 'Must be YYYY-MM-DD' },
+};
+
+const viewingBookingSchema = {
+  startsAt: { type: 'date', required: true },
+  name: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+  email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'Must be a valid email' },
+  phone: { type: 'string', required: true, minLength: 1, maxLength: 40 },
+  notes: { type: 'string', nullable: true, maxLength: 1000 },
+  locale: { type: 'string', enum: LOCALES },
+};
+
+const viewingRescheduleSchema = {
+  startsAt: { type: 'date', required: true },
+};
+
+module.exports = { availabilityRuleSchema, viewingBookingSchema, viewingRescheduleSchema };
@@ -0,0 +1,38 @@
+// src/storage/index.js
+// Storage interface used by the routes. Every adapter implements:
+//   put(bucket, key, buffer, { contentType, upsert }) -> { key, publicUrl }
+//   remove(bucket, keys[])
+//   publicUrl(bucket, key) -> string
+//   list(bucket, prefix?) -> [{ key, size, updatedAt }]
+//   signedUrl(bucket, key, expiresInSeconds?) -> string
+//   keyFromUrl(bucket, publicUrl) -> key | null
+// Adapters that serve files themselves also expose router() and mountPath.
+//
+// STORAGE_DRIVER=supabase | local (default: local when DATA_DRIVER=memory, else supabase)
+//   local: STORAGE_LOCAL_DIR (default ./tmp/storage),
+//          STORAGE_PUBLIC_URL (default http://localhost:$PORT/storage),
+//          STORAGE_SIGNING_SECRET (default: random per process)
+const path = require('path');
+const { createSupabaseStorage } = require('./supabaseStorage');
+const { createLocalStorage } = require('./localStorage');
+
+function createStorage(env = process.env) {
+  const fallback = (env.DATA_DRIVER || '').toLowerCase() === 'memory' ? 'local' : 'supabase';
+  const driver = (env.STORAGE_DRIVER || fallback).toLowerCase();
+  switch (driver) {
+    case 'supabase':
+      return createSupabaseStorage(require('../supabase'));
+    case 'local':
+      return createLocalStorage({
+        rootDir: env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'tmp', 'storage'),
+        publicBaseUrl: env.STORAGE_PUBLIC_URL || `http://localhost:${env.PORT || 5001}/storage`,
+        signingSecret: env.STORAGE_SIGNING_SECRET,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected supabase or local)`);
+  }
+}
+
+const storage = createStorage();
+
+module.exports = { storage, createStorage };
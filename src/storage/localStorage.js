@@ -0,0 +1,133 @@
+// src/storage/localStorage.js
+// Storage adapter that keeps objects on local disk and serves them through Express:
+//   <mountPath>/public/<bucket>/<key>                       public URL
+//   <mountPath>/signed/<bucket>/<key>?expires=..&token=..   signed URL (HMAC, time-limited)
+// Meant for offline development and integration tests.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const SAFE_SEGMENT = /^[A-Za-z0-9._-]+$/;
+
+// Reject anything that could escape the bucket directory
+function assertSafe(bucket, key) {
+  const segments = String(key).split('/');
+  if (!SAFE_SEGMENT.test(bucket) || !segments.length || segments.some((s) => !SAFE_SEGMENT.test(s) || s === '.' || s === '..')) {
+    throw Object.assign(new Error(`Invalid storage key: ${bucket}/${key}`), { code: 'INVALID_KEY' });
+  }
+}
+
+function createLocalStorage({ rootDir, publicBaseUrl, mountPath = '/storage', signingSecret }) {
+  const root = path.resolve(rootDir);
+  const base = publicBaseUrl.replace(/\/+$/, '');
+  const secret = signingSecret || crypto.randomBytes(32).toString('hex');
+
+  const filePath = (bucket, key) => {
+    assertSafe(bucket, key);
+    return path.join(root, bucket, ...key.split('/'));
+  };
+
+  const sign = (bucket, key, expires) => crypto
+    .createHmac('sha256', secret)
+    .update(`${bucket}/${key}:${expires}`)
+    .digest('hex');
+
+  const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+  const publicUrl = (bucket, key) => `${base}/public/${bucket}/${encodeKey(key)}`;
+
+  async function walk(dir, prefix, results) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(path.join(dir, entry.name), key, results);
+      } else {
+        const stat = await fs.stat(path.join(dir, entry.name));
+        results.push({ key, size: stat.size, updatedAt: stat.mtime.toISOString() });
+      }
+    }
+  }
+
+  // Serves stored objects; mount at `mountPath`
+  function router() {
+    const r = express.Router();
+    const send = (bucket, segments, res) => {
+      const key = segments.join('/');
+      let file;
+      try {
+        file = filePath(bucket, key);
+      } catch (err) {
+        return res.status(400).json({ message: 'Invalid key' });
+      }
+      return res.sendFile(file, { maxAge: '1h' }, (err) => {
+        if (err && !res.headersSent) res.status(err.statusCode || 404).json({ message: 'Not found' });
+      });
+    };
+
+    r.get('/public/:bucket/*key', (req, res) => send(req.params.bucket, req.params.key, res));
+
+    r.get('/signed/:bucket/*key', (req, res) => {
+      const { bucket } = req.params;
+      const key = req.params.key.join('/');
+      const expires = Number(req.query.expires);
+      const token = String(req.query.token || '');
+      const expected = sign(bucket, key, expires);
+      const valid = Number.isFinite(expires)
+        && expires * 1000 > Date.now()
+        && token.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+      if (!valid) return res.status(403).json({ message: 'Invalid or expired signature' });
+      return send(bucket, req.params.key, res);
+    });
+
+    return r;
+  }
+
+  return {
+    driver: 'local',
+    mountPath,
+    router,
+
+    async put(bucket, key, body, { upsert = false } = {}) {
+      const file = filePath(bucket, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body, { flag: upsert ? 'w' : 'wx' });
+      return { key, publicUrl: publicUrl(bucket, key) };
+    },
+
+    async remove(bucket, keys) {
+      await Promise.all(keys.map((key) => fs.rm(filePath(bucket, key), { force: true })));
+    },
+
+    publicUrl,
+
+    async list(bucket, prefix = '') {
+      const clean = prefix.replace(/\/+$/, '');
+      if (clean) assertSafe(bucket, clean);
+      const results = [];
+      await walk(path.join(root, bucket, ...(clean ? clean.split('/') : [])), clean, results);
+      return results;
+    },
+
+    async signedUrl(bucket, key, expiresIn = 3600) {
+      assertSafe(bucket, key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${base}/signed/${bucket}/${encodeKey(key)}?expires=${expires}&token=${sign(bucket, key, expires)}`;
+    },
+
+    keyFromUrl(bucket, url) {
+      const prefix = `${base}/public/${bucket}/`;
+      if (!String(url).startsWith(prefix)) return null;
+      return decodeURIComponent(url.slice(prefix.length).split('?')[0]);
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,60 @@
+// src/storage/supabaseStorage.js
+// Storage adapter backed by Supabase Storage buckets.
+
+const LIST_PAGE_SIZE = 1000;
+
+function createSupabaseStorage(client) {
+  const publicUrl = (bucket, key) => client.storage.from(bucket).getPublicUrl(key).data.publicUrl;
+
+  return {
+    driver: 'supabase',
+
+    async put(bucket, key, body, { contentType, upsert = false } = {}) {
+      const { error } = await client.storage.from(bucket).upload(key, body, { contentType, upsert });
+      if (error) throw error;
+      return { key, publicUrl: publicUrl(bucket, key) };
+    },
+
+    async remove(bucket, keys) {
+      if (!keys.length) return;
+      const { error } = await client.storage.from(bucket).remove(keys);
+      if (error) throw error;
+    },
+
+    publicUrl,
+
+    // Supabase lists one folder at a time; walk sub-folders to return every object under prefix
+    async list(bucket, prefix = '') {
+      const results = [];
+      const walk = async (folder) => {
+        for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+          const { data, error } = await client.storage.from(bucket).list(folder, { limit: LIST_PAGE_SIZE, offset });
+          if (error) throw error;
+          for (const entry of data || []) {
+            const key = [folder, entry.name].filter(Boolean).join('/');
+            if (entry.id === null) await walk(key); // folders have no id
+            else results.push({ key, size: entry.metadata?.size ?? null, updatedAt: entry.updated_at || null });
+          }
+          if (!data || data.length < LIST_PAGE_SIZE) break;
+        }
+      };
+      await walk(prefix.replace(/\/+$/, ''));
+      return results;
+    },
+
+    async signedUrl(bucket, key, expiresIn = 3600) {
+      const { data, error } = await client.storage.from(bucket).createSignedUrl(key, expiresIn);
+      if (error) throw error;
+      return data.signedUrl;
+    },
+
+    // https://<proj>.supabase.co/storage/v1/object/public/<bucket>/<path>  ->  <path>
+    keyFromUrl(bucket, url) {
+      const base = `/storage/v1/object/public/${bucket}/`;
+      const idx = String(url).indexOf(base);
+      return idx === -1 ? null : decodeURIComponent(url.slice(idx + base.length).split('?')[0]);
+    },
+  };
+}
+
+module.exports = { createSupabaseStorage };
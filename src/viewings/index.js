@@ -0,0 +1,251 @@
+// src/viewings/index.js
+// Viewing appointments: free slots from availability rules, booking with
+// double-booking protection, reschedule / cancel, and calendar-invite emails.
+//
+//   VIEWING_TIMEZONE           zone the availability hours are in (default Europe/Madrid)
+//   VIEWING_MIN_NOTICE_HOURS   earliest bookable slot from now (default 2)
+//   VIEWING_MAX_DAYS_AHEAD     how far ahead slots are offered (default 60)
+//   VIEWING_MANAGE_URL         website page for the visitor's reschedule / cancel links
+//                              (default $SITE_URL/viewings/manage; ?token= is appended)
+//
+// Bookings are serialized per process and, on Supabase, guarded by exclusion
+// constraints (a listing or agent cannot have overlapping booked viewings), so
+// a slot is never given out twice; the loser gets a SLOT_UNAVAILABLE error.
+const crypto = require('crypto');
+const { db } = require('../data');
+const { enqueueMail, teamAddress, fromAddress } = require('../mail');
+const { addressOf } = require('../geocoding');
+const { siteUrl, propertyUrl } = require('../lib/urls');
+const { isTimeZone, isDate, localDate, addDays, daysBetween } = require('../lib/timezone');
+const { buildSlots, freeSlots } = require('./slots');
+
+const TIMEZONE = isTimeZone(process.env.VIEWING_TIMEZONE || '') ? process.env.VIEWING_TIMEZONE : 'Europe/Madrid';
+const MIN_NOTICE_MS = Number(process.env.VIEWING_MIN_NOTICE_HOURS ?? 2) * 60 * 60 * 1000;
+const MAX_DAYS_AHEAD = Number(process.env.VIEWING_MAX_DAYS_AHEAD) || 60;
+const MAX_RANGE_DAYS = 31;
+const DEFAULT_RANGE_DAYS = 14;
+
+// Secret for the visitor's manage / reschedule / cancel links
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+const slotUnavailable = () => Object.assign(new Error('That slot is no longer available'), { code: 'SLOT_UNAVAILABLE' });
+
+// Postgres exclusion_violation: another booking overlaps (see the viewings migration)
+const isOverlapError = (err) => err?.code === '23P01';
+
+/**
+ * Validate ?from=&to= (local YYYY-MM-DD) for a slot listing.
+ * Defaults to DEFAULT_RANGE_DAYS from today; clamped to VIEWING_MAX_DAYS_AHEAD.
+ * Returns { range: { from, to }, errors }.
+ */
+function parseSlotRange(query = {}, now = new Date()) {
+  const errors = {};
+  const today = localDate(now, TIMEZONE);
+  const last = addDays(today, MAX_DAYS_AHEAD);
+
+  if (query.from !== undefined && !isDate(query.from)) errors.from = 'Must be YYYY-MM-DD';
+  if (query.to !== undefined && !isDate(query.to)) errors.to = 'Must be YYYY-MM-DD';
+  if (Object.keys(errors).length) return { errors };
+
+  const from = query.from && query.from > today ? query.from : today;
+  let to = query.to || addDays(from, DEFAULT_RANGE_DAYS - 1);
+  if (to < from) return { errors: { to: 'Must not be before from' } };
+  if (daysBetween(from, to) >= MAX_RANGE_DAYS) return { errors: { to: `At most ${MAX_RANGE_DAYS} days per request` } };
+  if (from > last) return { errors: { from: `Viewings are offered up to ${MAX_DAYS_AHEAD} days ahead` } };
+  if (to > last) to = last;
+
+  return { range: { from, to }, errors: null };
+}
+
+// Free slots of a listing on local dates from..to; `excludeId` ignores that viewing (reschedule)
+async function findFreeSlots(property, { from, to }, { now = new Date(), excludeId } = {}) {
+  const rules = await db.viewingAvailability.forProperty(property.id, property.agent_id);
+  const slots = buildSlots(rules, { from, to, timeZone: TIMEZONE });
+  if (!slots.length) return [];
+
+  const agentIds = [...new Set(slots.map((s) => s.agentId).filter(Boolean))];
+  const bookings = await db.viewings.listBooked({
+    propertyId: property.id,
+    agentIds,
+    from: slots[0].startsAt,
+    to: slots[slots.length - 1].endsAt,
+  });
+  return freeSlots(slots, bookings.filter((b) => b.id !== excludeId), {
+    propertyId: property.id,
+    notBefore: new Date(now.getTime() + MIN_NOTICE_MS),
+  });
+}
+
+/** Public slot list: [{ startsAt, endsAt }] (ISO strings). */
+async function availableSlots(property, range, options) {
+  const slots = await findFreeSlots(property, range, options);
+  return slots.map((s) => ({ startsAt: s.startsAt.toISOString(), endsAt: s.endsAt.toISOString() }));
+}
+
+// The free slot starting exactly at `startsAt`, or null
+async function slotAt(property, startsAt, options = {}) {
+  const now = options.now || new Date();
+  const date = localDate(startsAt, TIMEZONE);
+  if (date < localDate(now, TIMEZONE) || date > addDays(localDate(now, TIMEZONE), MAX_DAYS_AHEAD)) return null;
+  const slots = await findFreeSlots(property, { from: date, to: date }, options);
+  return slots.find((s) => s.startsAt.getTime() === startsAt.getTime()) || null;
+}
+
+// One booking change at a time in this process (the database guards across instances)
+let queue = Promise.resolve();
+const serialized = (fn) => {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Book the slot at `input.startsAt` for a visitor.
+ * input: { startsAt, name, email, phone, notes?, locale?, leadId? }
+ * Throws SLOT_UNAVAILABLE when the slot is not offered or already taken.
+ */
+function bookViewing(property, input) {
+  return serialized(async () => {
+    const slot = await slotAt(property, new Date(input.startsAt));
+    if (!slot) throw slotUnavailable();
+    try {
+      return await db.viewings.create({
+        property_id: property.id,
+        agent_id: slot.agentId,
+        starts_at: slot.startsAt.toISOString(),
+        ends_at: slot.endsAt.toISOString(),
+        status: 'booked',
+        name: input.name,
+        email: input.email,
+        phone: input.phone,
+        notes: input.notes ?? null,
+        locale: input.locale || null,
+        lead_id: input.leadId || null,
+        manage_token: newToken(),
+        sequence: 0,
+      });
+    } catch (err) {
+      if (isOverlapError(err)) throw slotUnavailable();
+      throw err;
+    }
+  });
+}
+
+/** Move a booked viewing to another free slot of the same listing. */
+function rescheduleViewing(viewing, property, startsAt) {
+  return serialized(async () => {
+    const slot = await slotAt(property, new Date(startsAt), { excludeId: viewing.id });
+    if (!slot) throw slotUnavailable();
+    try {
+      return await db.viewings.update(viewing.id, {
+        starts_at: slot.startsAt.toISOString(),
+        ends_at: slot.endsAt.toISOString(),
+        agent_id: slot.agentId,
+        sequence: (viewing.sequence || 0) + 1,
+        updated_at: new Date().toISOString(),
+      });
+    } catch (err) {
+      if (isOverlapError(err)) throw slotUnavailable();
+      throw err;
+    }
+  });
+}
+
+// cancelledBy: 'visitor' | 'admin'
+function cancelViewing(viewing, cancelledBy) {
+  const now = new Date().toISOString();
+  return db.viewings.update(viewing.id, {
+    status: 'cancelled',
+    cancelled_at: now,
+    cancelled_by: cancelledBy,
+    sequence: (viewing.sequence || 0) + 1,
+    updated_at: now,
+  });
+}
+
+const manageUrl = (viewing, action) => {
+  const url = new URL(process.env.VIEWING_MANAGE_URL || siteUrl('/viewings/manage'));
+  url.searchParams.set('token', viewing.manage_token);
+  if (action) url.searchParams.set('action', action);
+  return url.toString();
+};
+
+// Visitor-facing view of a booking (GET /viewings/manage)
+const viewingView = (viewing, property) => ({
+  id: viewing.id,
+  status: viewing.status,
+  startsAt: viewing.starts_at,
+  endsAt: viewing.ends_at,
+  timeZone: TIMEZONE,
+  name: viewing.name,
+  property: property ? { id: property.id, name: property.name, location: property.location } : null,
+});
+
+// Who shows the viewing: the agent's address, else the team mailbox
+async function agentContact(viewing) {
+  const agent = viewing.agent_id ? await db.adminUsers.findByAuthUserId(viewing.agent_id) : null;
+  return { name: agent?.email || 'Clave de Oro', email: agent?.email || teamAddress() };
+}
+
+/**
+ * Email the visitor and the agent about a booking change, each with an .ics
+ * invite (METHOD:CANCEL for cancellations) so calendars update in place.
+ * kind: 'booked' | 'rescheduled' | 'cancelled'
+ */
+async function notifyViewing(viewing, property, kind) {
+  const agent = await agentContact(viewing);
+  const organizer = { name: 'Clave de Oro', email: fromAddress() };
+  const visitor = { name: viewing.name, email: viewing.email };
+  const base = {
+    kind,
+    propertyName: property?.name || '',
+    address: property ? addressOf(property) : '',
+    propertyUrl: property ? propertyUrl(property) : null,
+    startsAt: viewing.starts_at,
+    endsAt: viewing.ends_at,
+    timeZone: TIMEZONE,
+    visitor: { name: viewing.name, email: viewing.email, phone: viewing.phone, notes: viewing.notes },
+    ics: {
+      uid: `viewing-${viewing.id}@${new URL(siteUrl()).hostname}`,
+      sequence: viewing.sequence || 0,
+      method: kind === 'cancelled' ? 'CANCEL' : 'REQUEST',
+      start: viewing.starts_at,
+      end: viewing.ends_at,
+      location: property ? addressOf(property) : '',
+      organizer,
+      attendees: [visitor, agent],
+    },
+  };
+
+  await enqueueMail({
+    template: 'viewingNotice',
+    locale: viewing.locale,
+    to: viewing.email,
+    replyTo: agent.email,
+    data: {
+      ...base,
+      audience: 'visitor',
+      manageUrl: kind === 'cancelled' ? null : manageUrl(viewing),
+      rescheduleUrl: kind === 'cancelled' ? null : manageUrl(viewing, 'reschedule'),
+      cancelUrl: kind === 'cancelled' ? null : manageUrl(viewing, 'cancel'),
+    },
+  });
+
+  await enqueueMail({
+    template: 'viewingNotice',
+    to: agent.email,
+    replyTo: viewing.email,
+    data: { ...base, audience: 'agent' },
+  });
+}
+
+module.exports = {
+  TIMEZONE,
+  parseSlotRange,
+  availableSlots,
+  bookViewing,
+  rescheduleViewing,
+  cancelViewing,
+  notifyViewing,
+  viewingView,
+};
@@ -0,0 +1,54 @@
+// src/viewings/slots.js
+// Turns weekly availability rules into concrete viewing slots.
+// Rules are local wall-clock hours in the viewing time zone:
+//   { id, property_id, agent_id, weekday (1 = Mon), start_time 'HH:MM', end_time,
+//     slot_minutes, valid_from?, valid_until? }
+const { addDays, daysBetween, isoWeekday, zonedTimeToUtc, timeToMinutes } = require('../lib/timezone');
+
+const DEFAULT_SLOT_MINUTES = 30;
+
+const ruleApplies = (rule, date) => isoWeekday(date) === Number(rule.weekday)
+  && (!rule.valid_from || rule.valid_from <= date)
+  && (!rule.valid_until || date <= rule.valid_until);
+
+/**
+ * Every slot the rules offer on local dates from..to (inclusive), soonest first.
+ * Two rules offering the same start time yield one slot (the first rule wins,
+ * so listing rules take precedence over agent-wide ones).
+ */
+function buildSlots(rules, { from, to, timeZone }) {
+  const byStart = new Map();
+  for (let day = 0; day <= daysBetween(from, to); day += 1) {
+    const date = addDays(from, day);
+    for (const rule of rules) {
+      if (!ruleApplies(rule, date)) continue;
+      const step = Number(rule.slot_minutes) || DEFAULT_SLOT_MINUTES;
+      const end = timeToMinutes(rule.end_time);
+      for (let minute = timeToMinutes(rule.start_time); minute + step <= end; minute += step) {
+        const startsAt = zonedTimeToUtc(date, minute, timeZone);
+        const key = startsAt.getTime();
+        if (byStart.has(key)) continue;
+        byStart.set(key, {
+          startsAt,
+          endsAt: new Date(key + step * 60000),
+          agentId: rule.agent_id || null,
+          ruleId: rule.id,
+        });
+      }
+    }
+  }
+  return [...byStart.values()].sort((a, b) => a.startsAt - b.startsAt);
+}
+
+const overlaps = (slot, booking) => new Date(booking.starts_at) < slot.endsAt && new Date(booking.ends_at) > slot.startsAt;
+
+/**
+ * Slots still bookable: at least `notBefore`, and not overlapping a booked
+ * viewing of the same listing or of the slot's agent.
+ */
+function freeSlots(slots, bookings, { propertyId, notBefore }) {
+  return slots.filter((slot) => slot.startsAt >= notBefore && !bookings.some((booking) => overlaps(slot, booking)
+    && (String(booking.property_id) === String(propertyId) || (slot.agentId && booking.agent_id === slot.agentId))));
+}
+
+module.exports = { DEFAULT_SLOT_MINUTES, buildSlots, freeSlots };
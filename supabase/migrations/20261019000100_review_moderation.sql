@@ -0,0 +1,14 @@
+-- Public review submission + moderation queue
+alter table reviews
+  add column if not exists status text not null default 'pending'
+    check (status in ('pending', 'approved', 'rejected')),
+  add column if not exists submitter_email text,
+  add column if not exists submitted_by uuid,
+  add column if not exists moderation_note text,
+  add column if not exists moderated_by uuid,
+  add column if not exists moderated_at timestamptz;
+
+-- Everything that existed before moderation was entered by admins
+update reviews set status = 'approved' where status = 'pending';
+
+create index if not exists reviews_status_idx on reviews (status);
@@ -0,0 +1,25 @@
+-- Link reviews to properties; property ratings/reviews become derived aggregates.
+-- NOTE: property_id must match the type of properties.id (bigint by default in Supabase).
+alter table reviews
+  add column if not exists property_id bigint references properties (id) on delete set null;
+
+create index if not exists reviews_property_status_idx on reviews (property_id, status);
+
+-- `reviews` on properties used to be free text; it now holds the approved review count.
+alter table properties
+  alter column reviews type integer using 0,
+  alter column reviews set default 0,
+  alter column ratings set default 0;
+
+update properties p set
+  ratings = coalesce(agg.avg_rating, 0),
+  reviews = coalesce(agg.review_count, 0)
+from (
+  select pr.id,
+         round(avg(r.ratings)::numeric, 1) as avg_rating,
+         count(r.id) as review_count
+  from properties pr
+  left join reviews r on r.property_id = pr.id and r.status = 'approved'
+  group by pr.id
+) agg
+where agg.id = p.id;
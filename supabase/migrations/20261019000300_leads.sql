@@ -0,0 +1,23 @@
+-- Contact form submissions stored as leads with a status pipeline
+create table if not exists leads (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  email text not null,
+  phone text not null,
+  country_code text,
+  subject text,
+  property_id bigint references properties (id) on delete set null,
+  source text not null default 'contact_form',
+  status text not null default 'new'
+    check (status in ('new', 'contacted', 'viewing_scheduled', 'closed_won', 'closed_lost')),
+  assigned_to uuid,
+  notes jsonb not null default '[]'::jsonb,
+  status_changed_at timestamptz,
+  updated_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists leads_status_idx on leads (status, created_at desc);
+create index if not exists leads_assigned_to_idx on leads (assigned_to);
+create index if not exists leads_property_id_idx on leads (property_id);
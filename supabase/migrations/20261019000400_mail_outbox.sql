@@ -0,0 +1,19 @@
+-- Persisted outbox for transactional email (see src/mail/outbox.js)
+create table if not exists mail_outbox (
+  id uuid primary key default gen_random_uuid(),
+  template text not null,
+  locale text,
+  recipient text not null,
+  reply_to text,
+  data jsonb not null default '{}'::jsonb,
+  status text not null default 'pending'
+    check (status in ('pending', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  locked_at timestamptz,
+  last_error text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists mail_outbox_due_idx on mail_outbox (status, next_attempt_at);
@@ -0,0 +1,8 @@
+-- Resized WebP variants for uploaded images (see src/lib/images.js).
+-- properties.image_variants: { "<full url>": { thumb, card, full, width, height } }
+alter table properties
+  add column if not exists image_variants jsonb not null default '{}'::jsonb;
+
+-- reviews.image_variants: { thumb, card, full, width, height } for reviews.image
+alter table reviews
+  add column if not exists image_variants jsonb;
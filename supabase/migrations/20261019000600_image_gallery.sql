@@ -0,0 +1,5 @@
+-- Per-image metadata and explicit cover for property galleries (see src/lib/gallery.js)
+-- image_meta: { "<url>": { "alt": { "es": "...", "en": "..." }, "caption": { ... } } }
+alter table properties
+  add column if not exists image_meta jsonb not null default '{}'::jsonb,
+  add column if not exists cover_image text;
@@ -0,0 +1,16 @@
+-- Listing lifecycle states with optional publish/unpublish window (see src/lib/listingStatus.js)
+-- Everything that existed before lifecycle states was public: rows present when the columns are
+-- added get 'published' / now() from the column defaults, which then switch to 'draft' / null.
+-- Re-running skips the adds, so later drafts are never published by this file.
+alter table properties
+  add column if not exists status text not null default 'published'
+    check (status in ('draft', 'published', 'reserved', 'sold', 'rented', 'archived')),
+  add column if not exists status_changed_at timestamptz default now(),
+  add column if not exists publish_at timestamptz,
+  add column if not exists unpublish_at timestamptz;
+
+alter table properties
+  alter column status set default 'draft',
+  alter column status_changed_at drop default;
+
+create index if not exists properties_status_idx on properties (status);
@@ -0,0 +1,44 @@
+-- Soft delete for properties/reviews and an append-only audit log (see src/lib/audit.js)
+alter table properties
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid;
+
+alter table reviews
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid;
+
+create index if not exists properties_deleted_at_idx on properties (deleted_at);
+create index if not exists reviews_deleted_at_idx on reviews (deleted_at);
+
+create table if not exists audit_log (
+  id bigint generated always as identity primary key,
+  actor_id uuid,
+  actor_email text,
+  action text not null,
+  entity_type text not null,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  diff jsonb not null default '{}'::jsonb,
+  meta jsonb,
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_entity_idx on audit_log (entity_type, entity_id, created_at desc);
+create index if not exists audit_log_actor_idx on audit_log (actor_id, created_at desc);
+create index if not exists audit_log_action_idx on audit_log (action);
+
+-- Append-only: reject updates and deletes, even from the service role
+create or replace function audit_log_immutable() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_no_update on audit_log;
+create trigger audit_log_no_update
+  before update or delete on audit_log
+  for each row execute function audit_log_immutable();
@@ -0,0 +1,15 @@
+-- Roles for admin users (see src/lib/roles.js) plus invite/revoke bookkeeping.
+alter table admin_users
+  add column if not exists role text not null default 'viewer'
+    check (role in ('owner', 'admin', 'editor', 'viewer')),
+  add column if not exists email text,
+  add column if not exists invited_by uuid,
+  add column if not exists invited_at timestamptz,
+  add column if not exists revoked_at timestamptz,
+  add column if not exists revoked_by uuid,
+  add column if not exists updated_at timestamptz;
+
+-- Everyone flagged before roles existed had full access: keep it that way
+update admin_users set role = 'owner' where is_admin and role = 'viewer';
+
+create index if not exists admin_users_role_idx on admin_users (role) where is_admin;
@@ -0,0 +1,36 @@
+-- Shared rate-limit counters for RATE_LIMIT_STORE=supabase (see src/rateLimit/supabaseStore.js)
+create table if not exists rate_limits (
+  key text primary key,
+  count integer not null default 0,
+  reset_at timestamptz not null
+);
+
+create index if not exists rate_limits_reset_at_idx on rate_limits (reset_at);
+
+-- Atomically count one hit in a fixed window, starting a new window once the old one has ended.
+-- Expired rows are swept opportunistically so the table stays small.
+create or replace function rate_limit_hit(p_key text, p_window_seconds double precision)
+returns table (count integer, reset_at timestamptz)
+language plpgsql
+as $$
+#variable_conflict use_column
+begin
+  if random() < 0.01 then
+    delete from rate_limits r where r.reset_at < now() - interval '1 hour';
+  end if;
+
+  return query
+  insert into rate_limits as r (key, count, reset_at)
+  values (p_key, 1, now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update set
+    count = case when r.reset_at <= now() then 1 else r.count + 1 end,
+    reset_at = case when r.reset_at <= now()
+      then now() + make_interval(secs => p_window_seconds)
+      else r.reset_at end
+  returning r.count, r.reset_at;
+end;
+$$;
+
+-- Only the service role (the API server) touches the counters
+alter table rate_limits enable row level security;
+revoke execute on function rate_limit_hit(text, double precision) from public, anon, authenticated;
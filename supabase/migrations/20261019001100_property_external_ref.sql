@@ -0,0 +1,7 @@
+-- Stable reference from the agency's own inventory (spreadsheet id, CRM key, ...);
+-- bulk imports upsert on it (see src/lib/propertyImport.js). NULLs do not collide.
+alter table properties
+  add column if not exists external_ref text;
+
+alter table properties
+  add constraint properties_external_ref_key unique (external_ref);
@@ -0,0 +1,13 @@
+-- Map search: coordinates filled by the geocoder (src/geocoding) or pinned by an admin.
+-- geocode_source: provider name (nominatim, google, static) or 'manual'.
+alter table properties
+  add column if not exists latitude double precision
+    check (latitude between -90 and 90),
+  add column if not exists longitude double precision
+    check (longitude between -180 and 180),
+  add column if not exists geocode_source text,
+  add column if not exists geocoded_at timestamptz;
+
+-- Bounding-box prefilter for bbox / radius searches
+create index if not exists properties_lat_lng_idx on properties (latitude, longitude)
+  where latitude is not null and longitude is not null;
@@ -0,0 +1,11 @@
+-- Per-locale listing and review text (see src/lib/translations.js).
+-- content_locale: locale of the row's own columns; translations: { "<locale>": { "<field>": text } }
+alter table properties
+  add column if not exists content_locale text not null default 'es'
+    check (content_locale in ('es', 'en')),
+  add column if not exists translations jsonb not null default '{}'::jsonb;
+
+alter table reviews
+  add column if not exists content_locale text not null default 'es'
+    check (content_locale in ('es', 'en')),
+  add column if not exists translations jsonb not null default '{}'::jsonb;
@@ -0,0 +1,46 @@
+-- Saved searches with double opt-in and new-listing alerts (see src/alerts)
+create table if not exists saved_searches (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  locale text check (locale in ('es', 'en')),
+  criteria jsonb not null default '{}'::jsonb,
+  frequency text not null default 'daily'
+    check (frequency in ('instant', 'daily', 'weekly')),
+  status text not null default 'pending'
+    check (status in ('pending', 'active', 'unsubscribed')),
+  confirm_token text unique,
+  unsubscribe_token text not null unique,
+  confirmed_at timestamptz,
+  unsubscribed_at timestamptz,
+  last_notified_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists saved_searches_email_idx on saved_searches (email, status);
+create index if not exists saved_searches_status_idx on saved_searches (status);
+
+-- One row per (search, listing). notify_after is when it may be mailed (now for
+-- instant alerts, the next digest otherwise); notified_at is set once it went out.
+create table if not exists saved_search_matches (
+  id uuid primary key default gen_random_uuid(),
+  saved_search_id uuid not null references saved_searches (id) on delete cascade,
+  property_id bigint not null references properties (id) on delete cascade,
+  matched_at timestamptz not null default now(),
+  notify_after timestamptz not null default now(),
+  notified_at timestamptz,
+  unique (saved_search_id, property_id)
+);
+
+create index if not exists saved_search_matches_due_idx on saved_search_matches (notified_at, notify_after);
+
+-- When a listing was run through the matcher (null = not yet).
+-- Listings already public before alerts existed are not announced.
+alter table properties
+  add column if not exists alerts_matched_at timestamptz;
+
+update properties set alerts_matched_at = now()
+  where alerts_matched_at is null and status in ('published', 'reserved');
+
+-- Emails and tokens: only the service role (the API server) reads these
+alter table saved_searches enable row level security;
+alter table saved_search_matches enable row level security;
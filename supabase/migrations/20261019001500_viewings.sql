@@ -0,0 +1,63 @@
+-- Viewing appointments (see src/viewings)
+create extension if not exists btree_gist;
+
+-- Agent who shows a listing; their agent-wide viewing hours apply to it
+alter table properties
+  add column if not exists agent_id uuid;
+
+-- Weekly viewing hours, local time in VIEWING_TIMEZONE. weekday: 1 = Monday ... 7 = Sunday.
+-- property_id set: that listing only; otherwise every listing whose agent_id is agent_id.
+create table if not exists viewing_availability (
+  id uuid primary key default gen_random_uuid(),
+  property_id bigint references properties (id) on delete cascade,
+  agent_id uuid,
+  weekday smallint not null check (weekday between 1 and 7),
+  start_time text not null check (start_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'),
+  end_time text not null check (end_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'),
+  slot_minutes integer not null default 30 check (slot_minutes between 15 and 240),
+  valid_from date,
+  valid_until date,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  check (property_id is not null or agent_id is not null),
+  check (end_time > start_time)
+);
+
+create index if not exists viewing_availability_property_idx on viewing_availability (property_id);
+create index if not exists viewing_availability_agent_idx on viewing_availability (agent_id);
+
+create table if not exists viewings (
+  id uuid primary key default gen_random_uuid(),
+  property_id bigint not null references properties (id) on delete cascade,
+  agent_id uuid,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  status text not null default 'booked' check (status in ('booked', 'cancelled')),
+  name text not null,
+  email text not null,
+  phone text not null,
+  notes text,
+  locale text check (locale in ('es', 'en')),
+  lead_id uuid references leads (id) on delete set null,
+  manage_token text not null unique,
+  -- iCalendar SEQUENCE: bumped on every reschedule / cancel so calendars update the invite
+  sequence integer not null default 0,
+  cancelled_at timestamptz,
+  cancelled_by text check (cancelled_by in ('visitor', 'admin')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (ends_at > starts_at),
+  -- No double booking: a listing, or an agent, has at most one booked viewing at a time
+  constraint viewings_property_no_overlap exclude using gist (
+    property_id with =, tstzrange(starts_at, ends_at) with &&
+  ) where (status = 'booked'),
+  constraint viewings_agent_no_overlap exclude using gist (
+    agent_id with =, tstzrange(starts_at, ends_at) with &&
+  ) where (status = 'booked' and agent_id is not null)
+);
+
+create index if not exists viewings_starts_at_idx on viewings (starts_at);
+
+-- Visitor contact details and link secrets: only the service role (the API server) reads these
+alter table viewing_availability enable row level security;
+alter table viewings enable row level security;
@@ -0,0 +1,75 @@
+-- Listing analytics (see src/analytics)
+
+-- Daily totals per listing; `day` is a local date in ANALYTICS_TIMEZONE
+create table if not exists listing_stats_daily (
+  property_id bigint not null references properties (id) on delete cascade,
+  day date not null,
+  views integer not null default 0,
+  gallery_opens integer not null default 0,
+  inquiries integer not null default 0,
+  viewings integer not null default 0,
+  primary key (property_id, day)
+);
+
+create index if not exists listing_stats_daily_day_idx on listing_stats_daily (day);
+
+-- Which visitor sessions were already counted: one row per listing, event type, session and day.
+-- session_hash is a salted hash; no IP address or session id is stored.
+create table if not exists listing_event_sessions (
+  property_id bigint not null references properties (id) on delete cascade,
+  event_type text not null check (event_type in ('view', 'gallery_open', 'inquiry', 'viewing')),
+  session_hash text not null,
+  day date not null,
+  primary key (property_id, event_type, session_hash, day)
+);
+
+create index if not exists listing_event_sessions_day_idx on listing_event_sessions (day);
+
+-- Count one event unless this session already produced it for the listing today.
+-- Returns true when counted. Old dedupe rows are swept opportunistically.
+create or replace function record_listing_event(
+  p_property_id bigint,
+  p_event_type text,
+  p_session_hash text,
+  p_day date
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  inserted integer;
+begin
+  if random() < 0.01 then
+    delete from listing_event_sessions s where s.day < p_day - 2;
+  end if;
+
+  insert into listing_event_sessions (property_id, event_type, session_hash, day)
+  values (p_property_id, p_event_type, p_session_hash, p_day)
+  on conflict do nothing;
+  get diagnostics inserted = row_count;
+  if inserted = 0 then
+    return false;
+  end if;
+
+  insert into listing_stats_daily as d (property_id, day, views, gallery_opens, inquiries, viewings)
+  values (
+    p_property_id,
+    p_day,
+    (p_event_type = 'view')::int,
+    (p_event_type = 'gallery_open')::int,
+    (p_event_type = 'inquiry')::int,
+    (p_event_type = 'viewing')::int
+  )
+  on conflict (property_id, day) do update set
+    views = d.views + excluded.views,
+    gallery_opens = d.gallery_opens + excluded.gallery_opens,
+    inquiries = d.inquiries + excluded.inquiries,
+    viewings = d.viewings + excluded.viewings;
+  return true;
+end;
+$$;
+
+-- Only the service role (the API server) reads or records analytics
+alter table listing_stats_daily enable row level security;
+alter table listing_event_sessions enable row level security;
+revoke execute on function record_listing_event(bigint, text, text, date) from public, anon, authenticated;
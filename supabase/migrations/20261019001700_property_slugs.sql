@@ -0,0 +1,43 @@
+-- Listing slugs, sitemap lastmod and SEO metadata (see src/lib/slugs.js, src/lib/seo.js)
+create extension if not exists unaccent;
+
+alter table properties
+  add column if not exists slug text,
+  -- Last change to the listing (sitemap lastmod); set by the API on every write
+  add column if not exists updated_at timestamptz;
+
+update properties set updated_at = coalesce(status_changed_at, created_at) where updated_at is null;
+
+-- Backfill: same rules as slugify() in src/lib/slugs.js. Listings sharing a slug get "-<id>".
+with base as (
+  select
+    id,
+    coalesce(
+      nullif(trim(both '-' from left(trim(both '-' from regexp_replace(
+        lower(unaccent(coalesce(name, '') || ' ' || coalesce(location, ''))), '[^a-z0-9]+', '-', 'g'
+      )), 80)), ''),
+      'property'
+    ) as slug
+  from properties
+  where slug is null
+),
+numbered as (
+  select id, slug, row_number() over (partition by slug order by id) as n from base
+)
+update properties p
+set slug = case when numbered.n = 1 then numbered.slug else numbered.slug || '-' || p.id end
+from numbered
+where p.id = numbered.id;
+
+create unique index if not exists properties_slug_key on properties (slug);
+
+-- Slugs a listing had before a rename; GET /properties/by-slug/:slug redirects them
+create table if not exists property_slug_redirects (
+  slug text primary key,
+  property_id bigint not null references properties (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists property_slug_redirects_property_idx on property_slug_redirects (property_id);
+
+alter table property_slug_redirects enable row level security;
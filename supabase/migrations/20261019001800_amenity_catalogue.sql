@@ -0,0 +1,158 @@
+-- Managed amenity catalogue (see src/lib/amenities.js, src/amenities). Listings and
+-- saved searches switch from free-text amenities to catalogue keys; values that match
+-- no key are listed in amenity_migration_unmatched (GET /admin/amenities/unmatched).
+create extension if not exists unaccent;
+
+create table if not exists amenities (
+  id bigint generated always as identity primary key,
+  key text not null unique check (key ~ '^[a-z0-9]+(_[a-z0-9]+)*$'),
+  category text not null default 'general',
+  -- Icon name in the website's icon set
+  icon text,
+  -- { "<locale>": "<label>" }
+  labels jsonb not null default '{}'::jsonb,
+  -- Other spellings matched when free text is mapped onto the catalogue
+  aliases text[] not null default '{}',
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table amenities enable row level security;
+
+-- Starter catalogue; edit it through /admin/amenities afterwards
+insert into amenities (key, category, icon, labels, aliases, position) values
+  ('pool', 'outdoor', 'swimming-pool', '{"es": "Piscina", "en": "Swimming pool"}', '{pool, piscina comunitaria, piscina privada, communal pool, private pool}', 10),
+  ('garden', 'outdoor', 'garden', '{"es": "Jardín", "en": "Garden"}', '{jardin privado, jardin comunitario, private garden, communal garden}', 20),
+  ('terrace', 'outdoor', 'terrace', '{"es": "Terraza", "en": "Terrace"}', '{azotea, roof terrace, rooftop}', 30),
+  ('balcony', 'outdoor', 'balcony', '{"es": "Balcón", "en": "Balcony"}', '{}', 40),
+  ('parking', 'outdoor', 'car', '{"es": "Plaza de garaje", "en": "Parking"}', '{garaje, garage, aparcamiento, plaza de parking, parking space, car park}', 50),
+  ('lift', 'building', 'elevator', '{"es": "Ascensor", "en": "Lift"}', '{elevator}', 10),
+  ('storage_room', 'building', 'box', '{"es": "Trastero", "en": "Storage room"}', '{storage}', 20),
+  ('concierge', 'building', 'concierge', '{"es": "Portero", "en": "Concierge"}', '{conserje, porter, doorman}', 30),
+  ('gym', 'building', 'dumbbell', '{"es": "Gimnasio", "en": "Gym"}', '{}', 40),
+  ('security', 'building', 'shield', '{"es": "Seguridad 24 h", "en": "24h security"}', '{seguridad, alarma, alarm, security}', 50),
+  ('air_conditioning', 'comfort', 'snowflake', '{"es": "Aire acondicionado", "en": "Air conditioning"}', '{ac, a c, aircon, climatizacion}', 10),
+  ('heating', 'comfort', 'flame', '{"es": "Calefacción", "en": "Heating"}', '{calefaccion central, central heating, suelo radiante, underfloor heating}', 20),
+  ('fireplace', 'comfort', 'fireplace', '{"es": "Chimenea", "en": "Fireplace"}', '{}', 30),
+  ('furnished', 'comfort', 'sofa', '{"es": "Amueblado", "en": "Furnished"}', '{amueblada}', 40),
+  ('fitted_wardrobes', 'comfort', 'wardrobe', '{"es": "Armarios empotrados", "en": "Fitted wardrobes"}', '{armarios, built in wardrobes}', 50),
+  ('sea_views', 'views', 'waves', '{"es": "Vistas al mar", "en": "Sea views"}', '{sea view}', 10),
+  ('mountain_views', 'views', 'mountain', '{"es": "Vistas a la montaña", "en": "Mountain views"}', '{mountain view}', 20),
+  ('wheelchair_access', 'accessibility', 'wheelchair', '{"es": "Acceso adaptado", "en": "Wheelchair access"}', '{adaptado, accessible, step free access}', 10),
+  ('pets_allowed', 'policies', 'paw', '{"es": "Admite mascotas", "en": "Pets allowed"}', '{mascotas, pet friendly}', 10)
+on conflict (key) do nothing;
+
+-- Same rule as normalizeAmenity() in src/lib/amenities.js
+create or replace function amenity_norm(value text) returns text
+language sql stable as $$
+  select btrim(regexp_replace(lower(unaccent(coalesce(value, ''))), '[^a-z0-9]+', ' ', 'g'))
+$$;
+
+-- Every spelling of an entry (key, labels, aliases). As in createAmenityMatcher(), a key
+-- beats another entry's label or alias, then catalogue order decides.
+create temporary table amenity_spellings as
+select distinct on (spelling) spelling, key
+from (
+  select amenity_norm(a.key) as spelling, a.key, 0 as rank, a.category, a.position from amenities a
+  union all
+  select amenity_norm(l.value), a.key, 1, a.category, a.position from amenities a cross join lateral jsonb_each_text(a.labels) as l
+  union all
+  select amenity_norm(alias), a.key, 1, a.category, a.position from amenities a cross join lateral unnest(a.aliases) as alias
+) s
+where spelling <> ''
+order by spelling, rank, category, position, key;
+
+-- Listings: free-text values from the listing's own column and its translated copies
+create temporary table amenity_tokens as
+select p.id as property_id, btrim(t.value) as value
+from properties p
+cross join lateral regexp_split_to_table(coalesce(p.amenities, ''), '[,;\n]') as t(value)
+where btrim(t.value) <> ''
+union
+select p.id, btrim(t.value)
+from properties p
+cross join lateral jsonb_each(coalesce(p.translations, '{}'::jsonb)) as tr(locale, texts)
+cross join lateral regexp_split_to_table(coalesce(tr.texts ->> 'amenities', ''), '[,;\n]') as t(value)
+where btrim(t.value) <> '';
+
+alter table properties add column if not exists amenity_keys text[] not null default '{}';
+
+update properties p
+set amenity_keys = m.keys
+from (
+  select t.property_id, array_agg(distinct s.key order by s.key) as keys
+  from amenity_tokens t
+  join amenity_spellings s on s.spelling = amenity_norm(t.value)
+  group by t.property_id
+) m
+where p.id = m.property_id;
+
+create table if not exists amenity_migration_unmatched (
+  id bigint generated always as identity primary key,
+  source text not null check (source in ('property', 'saved_search')),
+  -- properties.id or saved_searches.id
+  source_id text not null,
+  value text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table amenity_migration_unmatched enable row level security;
+
+insert into amenity_migration_unmatched (source, source_id, value)
+select distinct 'property', t.property_id::text, t.value
+from amenity_tokens t
+left join amenity_spellings s on s.spelling = amenity_norm(t.value)
+where s.key is null;
+
+-- The free text stays readable as amenities_text; `amenities` now holds keys
+alter table properties rename column amenities to amenities_text;
+alter table properties rename column amenity_keys to amenities;
+comment on column properties.amenities_text is 'Free-text amenities from before the catalogue; no longer written';
+create index if not exists properties_amenities_idx on properties using gin (amenities);
+
+-- Labels come from the catalogue now, so translated amenity text goes
+update properties p
+set translations = coalesce((
+  select jsonb_object_agg(tr.locale, tr.texts - 'amenities')
+  from jsonb_each(p.translations) as tr(locale, texts)
+  where tr.texts - 'amenities' <> '{}'::jsonb
+), '{}'::jsonb)
+where exists (select 1 from jsonb_each(coalesce(p.translations, '{}'::jsonb)) as tr(locale, texts) where tr.texts ? 'amenities');
+
+-- Saved searches: matched terms become keys. Unmatched ones are kept as they are (the search matches
+-- nothing on them) instead of being dropped, which would widen the search.
+create temporary table saved_search_amenity_terms as
+select ss.id, a.value, s.key
+from saved_searches ss
+cross join lateral jsonb_array_elements_text(ss.criteria -> 'amenities') as a(value)
+left join amenity_spellings s on s.spelling = amenity_norm(a.value)
+where jsonb_typeof(ss.criteria -> 'amenities') = 'array';
+
+update saved_searches ss
+set criteria = jsonb_set(ss.criteria, '{amenities}', m.terms)
+from (
+  select id, jsonb_agg(distinct coalesce(key, value)) as terms
+  from saved_search_amenity_terms
+  group by id
+) m
+where ss.id = m.id;
+
+insert into amenity_migration_unmatched (source, source_id, value)
+select distinct 'saved_search', id::text, value
+from saved_search_amenity_terms
+where key is null;
+
+do $$
+declare
+  unmatched_properties integer;
+  unmatched_searches integer;
+begin
+  select count(*) into unmatched_properties from amenity_migration_unmatched where source = 'property';
+  select count(*) into unmatched_searches from amenity_migration_unmatched where source = 'saved_search';
+  raise notice 'Amenity catalogue: % listing value(s) and % saved-search value(s) matched no key; see amenity_migration_unmatched',
+    unmatched_properties, unmatched_searches;
+end $$;
+
+drop table amenity_spellings, amenity_tokens, saved_search_amenity_terms;
+drop function amenity_norm(text);
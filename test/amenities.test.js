@@ -0,0 +1,54 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, db, adminAuth, resetData } = require('./support');
+const { normalizeAmenity, createAmenityMatcher, matchAmenities } = require('../src/lib/amenities');
+
+beforeEach(resetData);
+
+test('resolving an unmatched amenity value is audited with the removed row', async () => {
+  const row = await db.gateway.insert('amenity_migration_unmatched', { source: 'property', source_id: '7', value: 'Jacuzzi' });
+  const auth = await adminAuth('owner');
+
+  await request().delete(`/admin/amenities/unmatched/${row.id}`).set('Authorization', auth).expect(200);
+  await request().delete(`/admin/amenities/unmatched/${row.id}`).set('Authorization', auth).expect(404);
+
+  const [entry, ...rest] = db.gateway.dump('audit_log').filter((e) => e.action === 'amenity_unmatched.delete');
+  assert.equal(rest.length, 0);
+  assert.equal(entry.entity_type, 'amenity_migration_unmatched');
+  assert.equal(entry.entity_id, String(row.id));
+  assert.equal(entry.before.value, 'Jacuzzi');
+});
+
+const catalogue = [
+  { key: 'air_conditioning', labels: { es: 'Aire acondicionado', en: 'Air conditioning' }, aliases: ['A/C'] },
+  { key: 'pool', labels: { es: 'Piscina', en: 'Pool' }, aliases: ['swimming pool'] },
+  // Claims "pool" as an alias, but the pool entry's key wins
+  { key: 'pool_heated', labels: { es: 'Piscina climatizada', en: 'Heated pool' }, aliases: ['pool'] },
+];
+
+test('normalizeAmenity ignores case, accents and punctuation', () => {
+  assert.equal(normalizeAmenity('  Aire-Acondicionado '), 'aire acondicionado');
+  assert.equal(normalizeAmenity('Calefacción'), 'calefaccion');
+  assert.equal(normalizeAmenity('A/C'), 'a c');
+  assert.equal(normalizeAmenity(null), '');
+});
+
+test('the matcher maps keys, labels and aliases whatever their accents or case', () => {
+  const match = createAmenityMatcher(catalogue);
+  assert.equal(match('AIRE ACONDICIONADO'), 'air_conditioning');
+  assert.equal(match('a/c'), 'air_conditioning');
+  assert.equal(match('Piscína Climatizada'), 'pool_heated');
+  assert.equal(match('air_conditioning'), 'air_conditioning');
+});
+
+test('a key wins over another entry\'s alias', () => {
+  assert.equal(createAmenityMatcher(catalogue)('Pool'), 'pool');
+  // Whatever the catalogue order
+  assert.equal(createAmenityMatcher([...catalogue].reverse())('pool'), 'pool');
+});
+
+test('unmatched values are kept as written', () => {
+  const { keys, unmatched } = matchAmenities('Piscina, Jacuzzi privado, pool, Ascensor', catalogue);
+  assert.deepEqual(keys, ['pool']);
+  assert.deepEqual(unmatched, ['Jacuzzi privado', 'Ascensor']);
+});
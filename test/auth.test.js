@@ -0,0 +1,42 @@
+process.env.RATE_LIMIT_LOGOUT_IP = '2/60';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createSupabaseAuth } = require('../src/data/auth');
+const { request } = require('./support');
+
+const SECRET = 'test-jwt-secret';
+
+const tokenFor = (sessionId, { secret = SECRET, expiresIn = 3600 } = {}) => jwt.sign(
+  { sub: 'user-1', session_id: sessionId, email: 'a@example.com' },
+  secret,
+  { audience: 'authenticated', expiresIn },
+);
+
+// Supabase Auth itself is not reached: sign-out is accepted for any token
+const localAuth = () => createSupabaseAuth({ auth: { admin: { signOut: async () => ({ error: null }) } } }, { jwtSecret: SECRET });
+
+test('signing out revokes a locally verified session', async () => {
+  const auth = localAuth();
+  const token = tokenFor('session-1');
+  assert.equal((await auth.getUser(token)).id, 'user-1');
+
+  await auth.signOut(token);
+  assert.equal(await auth.getUser(token), null);
+});
+
+test('forged tokens cannot revoke another session', async () => {
+  const auth = localAuth();
+  const token = tokenFor('session-1');
+
+  await auth.signOut(tokenFor('session-1', { secret: 'not-the-secret' }));
+  await auth.signOut(jwt.sign({ session_id: 'session-1' }, 'x', { algorithm: 'HS256' }));
+  assert.equal((await auth.getUser(token)).id, 'user-1');
+});
+
+test('POST /admin/logout is rate limited', async () => {
+  await request().post('/admin/logout').expect(200);
+  await request().post('/admin/logout').expect(200);
+  await request().post('/admin/logout').expect(429);
+});
@@ -0,0 +1,60 @@
+process.env.FEED_CACHE_TTL_MS = '0';
+process.env.FEED_RSS_TOKEN = 'rss-token';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, adminAuth, insertProperty, resetData } = require('./support');
+
+beforeEach(resetData);
+
+const valid = { name: 'Valid', image: 'https://cdn.example.com/a.jpg', description: 'Bonito piso' };
+
+test('the Kyero feed leaves out listings it cannot carry', async () => {
+  await insertProperty(valid);
+  await insertProperty({ ...valid, name: 'Free', price: 0 });
+  await insertProperty({ ...valid, name: 'No image', image: null });
+  await insertProperty({ ...valid, name: 'Relative image', image: '/uploads/a.jpg' });
+  await insertProperty({ ...valid, name: 'No description', description: null });
+  await insertProperty({ ...valid, name: 'Draft', status: 'draft' });
+
+  const feed = await request().get('/feeds/kyero.xml').expect(200);
+  assert.match(feed.headers['content-type'], /application\/xml/);
+  assert.equal((feed.text.match(/<property>/g) || []).length, 1);
+
+  const report = await request().get('/admin/feeds/kyero/report').set('Authorization', await adminAuth('viewer')).expect(200);
+  assert.equal(report.body.total, 5);
+  assert.equal(report.body.included, 1);
+  const reasons = Object.fromEntries(report.body.excluded.map((e) => [e.name, e.reasons]));
+  assert.deepEqual(Object.keys(reasons).sort(), ['Free', 'No description', 'No image', 'Relative image']);
+  assert.ok(reasons.Free.includes('price must be a positive number'));
+  assert.ok(reasons['No image'].includes('no image with an absolute http(s) URL'));
+  assert.ok(reasons['Relative image'].includes('no image with an absolute http(s) URL'));
+  assert.ok(reasons['No description'].includes('no description in any locale'));
+});
+
+test('feed text is escaped', async () => {
+  await insertProperty({ ...valid, description: 'Vistas <b>& terraza</b>' });
+  const feed = await request().get('/feeds/kyero.xml').expect(200);
+  assert.match(feed.text, /Vistas &lt;b&gt;&amp; terraza&lt;\/b&gt;/);
+});
+
+test('protected feeds need their token', async () => {
+  await insertProperty({ ...valid, status_changed_at: new Date().toISOString() });
+  await request().get('/feeds/rss.xml').expect(401);
+  await request().get('/feeds/rss.xml?token=wrong').expect(401);
+  const feed = await request().get('/feeds/rss.xml?token=rss-token').expect(200);
+  assert.match(feed.text, /<item>/);
+});
+
+test('RSS enclosures carry the image type from its URL and no made-up length', async () => {
+  await insertProperty({ ...valid, image: 'https://cdn.example.com/a.webp?v=2', status_changed_at: new Date().toISOString() });
+  const feed = await request().get('/feeds/rss.xml?token=rss-token').expect(200);
+  const enclosure = feed.text.match(/<enclosure [^>]*\/>/)[0];
+  assert.match(enclosure, /type="image\/webp"/);
+  assert.doesNotMatch(enclosure, /length=/);
+});
+
+test('unknown feeds are a 404', async () => {
+  await request().get('/feeds/constructor.xml').expect(404);
+  await request().get('/admin/feeds/nope/report').set('Authorization', await adminAuth('viewer')).expect(404);
+});
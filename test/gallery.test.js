@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGalleryUpdate } = require('../src/lib/gallery');
+
+const property = { images: ['https://cdn.example.com/a.webp', 'https://cdn.example.com/b.webp'], image_meta: {} };
+const [a, b] = property.images;
+
+test('meta entries that are not objects are rejected like unknown URLs', () => {
+  const { errors } = parseGalleryUpdate({ meta: { [a]: 'Salón', [b]: 3, 'https://cdn.example.com/x.webp': {} } }, property);
+  assert.deepEqual(Object.keys(errors).sort(), [`meta.${a}`, `meta.${b}`, 'meta.https://cdn.example.com/x.webp']);
+  assert.equal(errors[`meta.${a}`], 'Must be an object with alt and/or caption, or null');
+});
+
+test('meta entries merge alt and caption per locale, and null clears them', () => {
+  const withMeta = { ...property, image_meta: { [b]: { alt: { es: 'Cocina' } } } };
+  const { changes, errors } = parseGalleryUpdate({ meta: { [a]: { alt: { en: 'Living room' } }, [b]: null } }, withMeta);
+  assert.equal(errors, null);
+  assert.deepEqual(changes.image_meta, { [a]: { alt: { en: 'Living room' } } });
+});
@@ -0,0 +1,34 @@
+process.env.GEO_SEARCH_MAX_ROWS = '3';
+process.env.GEO_FUZZ_METERS = '0';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, insertProperty, resetData } = require('./support');
+
+beforeEach(resetData);
+
+// Puerta del Sol, then points further east along the same latitude (~0.85 km per 0.01°)
+const at = (name, lng) => insertProperty({ name, latitude: 40.4168, longitude: lng });
+const near = 'lat=40.4168&lng=-3.7038&radiusKm=5&sort=distance';
+
+test('radius searches return full rows, nearest first, with distance_km', async () => {
+  await at('far', -3.6838);
+  await at('here', -3.7038);
+  await at('close', -3.6938);
+
+  const res = await request().get(`/properties?${near}`).expect(200);
+  assert.deepEqual(res.body.map((p) => p.name), ['here', 'close', 'far']);
+  assert.deepEqual(res.body.map((p) => p.distance_km), [0, 0.8, 1.7]);
+  assert.equal(res.body[0].description, 'Luminoso y reformado');
+  assert.equal(res.headers['x-results-truncated'], undefined);
+});
+
+test('searches over more candidates than GEO_SEARCH_MAX_ROWS are flagged', async () => {
+  for (const lng of [-3.70, -3.69, -3.68, -3.67]) await at(`at ${lng}`, lng);
+
+  const res = await request().get(`/properties?${near}`).expect(200);
+  assert.equal(res.headers['x-results-truncated'], 'true');
+
+  const geojson = await request().get(`/properties?${near}&format=geojson`).expect(200);
+  assert.equal(geojson.body.pagination.truncated, true);
+});
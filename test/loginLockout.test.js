@@ -0,0 +1,41 @@
+process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+process.env.LOGIN_LOCKOUT_BASE_SECONDS = '60';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLockout } = require('../src/rateLimit/lockout');
+const { createMemoryRateLimitStore } = require('../src/rateLimit/memoryStore');
+const { request, adminAuth } = require('./support');
+
+const login = (email, password) => request().post('/admin/login').send({ email, password });
+
+test('repeated failed logins lock the account, even for the right password', async () => {
+  await adminAuth('editor'); // editor-1@example.com / secret
+  await login('editor-1@example.com', 'wrong').expect(401);
+  await login('editor-1@example.com', 'wrong').expect(401);
+
+  const locked = await login('Editor-1@Example.com', 'wrong').expect(429);
+  assert.equal(locked.headers['retry-after'], '60');
+  await login('editor-1@example.com', 'secret').expect(429);
+});
+
+test('a successful login resets the failure count', async () => {
+  await adminAuth('viewer'); // viewer-2@example.com / secret
+  await login('viewer-2@example.com', 'wrong').expect(401);
+  await login('viewer-2@example.com', 'wrong').expect(401);
+  await login('viewer-2@example.com', 'secret').expect(200);
+  await login('viewer-2@example.com', 'wrong').expect(401);
+  await login('viewer-2@example.com', 'wrong').expect(401);
+});
+
+test('each further failure doubles the lock, up to the maximum', async () => {
+  const lockout = createLockout(createMemoryRateLimitStore(), { threshold: 2, baseMs: 60000, maxMs: 150000 });
+  assert.equal((await lockout.recordFailure('a@example.com')).locked, false);
+  assert.equal((await lockout.recordFailure('a@example.com')).retryAfter, 60);
+  assert.equal((await lockout.recordFailure('a@example.com')).retryAfter, 120);
+  assert.equal((await lockout.recordFailure('a@example.com')).retryAfter, 150);
+  assert.equal((await lockout.status('b@example.com')).locked, false);
+
+  await lockout.clear('a@example.com');
+  assert.equal((await lockout.status('a@example.com')).locked, false);
+});
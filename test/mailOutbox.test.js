@@ -0,0 +1,98 @@
+process.env.MAIL_MAX_ATTEMPTS = '3';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetData } = require('./support');
+const { transporter } = require('../src/mail/mailer');
+const { backoffMs, processDueMail } = require('../src/mail/outbox');
+
+beforeEach(resetData);
+afterEach(() => mock.restoreAll());
+
+// A due row, as enqueueMail() stores it
+const queue = (to) => db.mailOutbox.create({
+  template: 'contactAcknowledgement',
+  locale: 'es',
+  recipient: to,
+  data: { name: 'Ana' },
+  status: 'pending',
+  attempts: 0,
+  next_attempt_at: new Date().toISOString(),
+});
+
+const rowOf = (id) => db.gateway.dump('mail_outbox').find((row) => row.id === id);
+
+// Stands in for the poller finding the row due later on
+const makeDue = (id) => db.mailOutbox.update(id, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+
+test('a transient transport failure is retried after the backoff', async () => {
+  let calls = 0;
+  mock.method(transporter, 'sendMail', async () => {
+    calls += 1;
+    if (calls === 1) throw new Error('421 try again later');
+    return { messageId: 'ok' };
+  });
+  const { id } = await queue('ana@example.com');
+
+  const before = Date.now();
+  assert.equal(await processDueMail(), 1);
+  let row = rowOf(id);
+  assert.equal(row.status, 'pending');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_error, '421 try again later');
+  const wait = new Date(row.next_attempt_at).getTime() - before;
+  assert.ok(wait >= backoffMs(1) && wait < backoffMs(1) + 5000, `retry in ${wait}ms`);
+
+  // Not due yet
+  assert.equal(await processDueMail(), 0);
+
+  await makeDue(id);
+  assert.equal(await processDueMail(), 1);
+  row = rowOf(id);
+  assert.equal(row.status, 'sent');
+  assert.equal(row.attempts, 2);
+  assert.equal(row.last_error, null);
+  assert.equal(calls, 2);
+});
+
+test('backoff doubles per attempt up to an hour', () => {
+  assert.equal(backoffMs(1), 60 * 1000);
+  assert.equal(backoffMs(2), 2 * 60 * 1000);
+  assert.equal(backoffMs(3), 4 * 60 * 1000);
+  assert.equal(backoffMs(20), 60 * 60 * 1000);
+});
+
+test('delivery gives up after MAIL_MAX_ATTEMPTS', async () => {
+  const send = mock.method(transporter, 'sendMail', async () => {
+    throw new Error('550 mailbox unavailable');
+  });
+  const { id } = await queue('nobody@example.com');
+
+  for (let i = 0; i < 3; i += 1) {
+    await makeDue(id);
+    assert.equal(await processDueMail(), 1);
+  }
+  const row = rowOf(id);
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, 3);
+
+  await makeDue(id);
+  assert.equal(await processDueMail(), 0);
+  assert.equal(send.mock.callCount(), 3);
+});
+
+test('two workers polling at once never send the same row twice', async () => {
+  const sent = [];
+  mock.method(transporter, 'sendMail', async (mail) => {
+    sent.push(mail.to);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return { messageId: mail.to };
+  });
+  const recipients = ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com'];
+  for (const to of recipients) await queue(to);
+
+  const [first, second] = await Promise.all([processDueMail(), processDueMail()]);
+  assert.equal(first + second, 8); // both workers saw every due row...
+  assert.deepEqual([...sent].sort(), recipients); // ...but each was sent once
+  assert.ok(db.gateway.dump('mail_outbox').every((row) => row.status === 'sent' && row.attempts === 1));
+});
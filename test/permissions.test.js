@@ -0,0 +1,55 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, db, adminAuth, insertProperty, resetData } = require('./support');
+
+beforeEach(resetData);
+
+const newListing = { name: 'Ático', price: 400000, area: 120, bhkType: '3', location: 'Madrid', exactAddress: 'Gran Vía 1', owner: 'Lucía' };
+
+test('admin routes need a valid token', async () => {
+  await request().get('/admin/reviews').expect(403);
+  await request().get('/admin/reviews').set('Authorization', 'Bearer nope').expect(401);
+});
+
+test('signed-in users without an admin row are refused', async () => {
+  db.auth.addUser({ email: 'visitor@example.com', password: 'secret' });
+  const { session } = await db.auth.signInWithPassword({ email: 'visitor@example.com', password: 'secret' });
+  await request().get('/admin/reviews').set('Authorization', `Bearer ${session.access_token}`).expect(403);
+});
+
+test('revoked admins are refused', async () => {
+  const auth = await adminAuth('admin');
+  await db.gateway.update('admin_users', [['role', 'eq', 'admin']], { revoked_at: new Date().toISOString() });
+  await request().get('/admin/reviews').set('Authorization', auth).expect(403);
+});
+
+test('viewers read but cannot write', async () => {
+  const auth = await adminAuth('viewer');
+  const property = await insertProperty({ status: 'draft' });
+
+  await request().get('/admin/leads').set('Authorization', auth).expect(200);
+  const res = await request().post('/admin/properties').set('Authorization', auth).send(newListing).expect(403);
+  assert.match(res.body.message, /listings:write/);
+  await request().post(`/admin/properties/${property.id}/status`).set('Authorization', auth)
+    .send({ status: 'published' })
+    .expect(403);
+});
+
+test('editors manage listings but not users, amenities or the audit log', async () => {
+  const auth = await adminAuth('editor');
+
+  const created = await request().post('/admin/properties').set('Authorization', auth).send(newListing).expect(201);
+  assert.equal(created.body.status, 'draft');
+
+  await request().get('/admin/users').set('Authorization', auth).expect(403);
+  await request().get('/admin/audit').set('Authorization', auth).expect(403);
+  await request().post('/admin/amenities').set('Authorization', auth)
+    .send({ key: 'sauna', labels: { es: 'Sauna', en: 'Sauna' } })
+    .expect(403);
+});
+
+test('owners reach every admin route', async () => {
+  const auth = await adminAuth('owner');
+  await request().get('/admin/users').set('Authorization', auth).expect(200);
+  await request().get('/admin/audit').set('Authorization', auth).expect(200);
+});
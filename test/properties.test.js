@@ -0,0 +1,87 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, adminAuth, insertProperty, resetData } = require('./support');
+
+beforeEach(resetData);
+
+const names = (res) => res.body.map((p) => p.name).sort();
+
+test('GET /properties filters, sorts and pages', async () => {
+  await insertProperty({ name: 'A', price: 100000, location: 'Madrid' });
+  await insertProperty({ name: 'B', price: 200000, location: 'Madrid' });
+  await insertProperty({ name: 'C', price: 300000, location: 'Sevilla' });
+
+  const byLocation = await request().get('/properties?location=madrid').expect(200);
+  assert.deepEqual(names(byLocation), ['A', 'B']);
+
+  const byPrice = await request().get('/properties?minPrice=150000&sort=price_desc').expect(200);
+  assert.deepEqual(byPrice.body.map((p) => p.name), ['C', 'B']);
+
+  const page = await request().get('/properties?sort=price_asc&pageSize=2&page=2').expect(200);
+  assert.deepEqual(page.body.map((p) => p.name), ['C']);
+  assert.equal(page.headers['x-total-count'], '3');
+  assert.match(page.headers.link, /rel="prev"/);
+  assert.doesNotMatch(page.headers.link, /rel="next"/);
+});
+
+test('GET /properties returns an empty page past the end', async () => {
+  await insertProperty();
+  const res = await request().get('/properties?page=99').expect(200);
+  assert.deepEqual(res.body, []);
+  assert.equal(res.headers['x-total-count'], '1');
+});
+
+test('GET /properties rejects invalid parameters', async () => {
+  const res = await request().get('/properties?minPrice=-1&sort=cheapest').expect(400);
+  assert.ok(res.body.errors.minPrice);
+  assert.ok(res.body.errors.sort);
+});
+
+test('the public only sees listings inside their publication window', async () => {
+  const hour = 3600 * 1000;
+  await insertProperty({ name: 'live' });
+  await insertProperty({ name: 'reserved', status: 'reserved' });
+  await insertProperty({ name: 'draft', status: 'draft' });
+  await insertProperty({ name: 'sold', status: 'sold' });
+  await insertProperty({ name: 'scheduled', publish_at: new Date(Date.now() + hour).toISOString() });
+  const expired = await insertProperty({ name: 'expired', unpublish_at: new Date(Date.now() - hour).toISOString() });
+
+  const publicList = await request().get('/properties').expect(200);
+  assert.deepEqual(names(publicList), ['live', 'reserved']);
+  await request().get(`/properties/${expired.id}`).expect(404);
+
+  const auth = await adminAuth('viewer');
+  const adminList = await request().get('/properties').set('Authorization', auth).expect(200);
+  assert.equal(adminList.body.length, 6);
+  await request().get(`/properties/${expired.id}`).set('Authorization', auth).expect(200);
+});
+
+test('status changes follow the lifecycle and update public visibility', async () => {
+  const auth = await adminAuth('editor');
+  const draft = await insertProperty({ name: 'draft', status: 'draft' });
+
+  await request().get(`/properties/${draft.id}`).expect(404);
+  await request().post(`/admin/properties/${draft.id}/status`).set('Authorization', auth)
+    .send({ status: 'sold' })
+    .expect(409);
+  await request().post(`/admin/properties/${draft.id}/status`).set('Authorization', auth)
+    .send({ status: 'published' })
+    .expect(200);
+  await request().get(`/properties/${draft.id}`).expect(200);
+});
+
+test('agent_id must be a UUID', async () => {
+  const auth = await adminAuth('editor');
+  const property = await insertProperty();
+
+  const bad = await request().put(`/admin/properties/${property.id}`).set('Authorization', auth)
+    .send({ agent_id: 'not-a-uuid' })
+    .expect(400);
+  assert.equal(bad.body.errors.agent_id, 'Must be a UUID');
+
+  const agentId = '6f1c1f4e-2b7a-4c55-9d3e-0a8b7c6d5e4f';
+  const ok = await request().put(`/admin/properties/${property.id}`).set('Authorization', auth)
+    .send({ agent_id: agentId })
+    .expect(200);
+  assert.equal(ok.body.property.agent_id, agentId);
+});
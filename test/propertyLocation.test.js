@@ -0,0 +1,74 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, db, adminAuth, resetData } = require('./support');
+
+beforeEach(resetData);
+
+const listing = (fields = {}) => db.properties.create({
+  name: 'Piso en el centro',
+  description: 'Luminoso y reformado',
+  price: 250000,
+  area: 90,
+  bhkType: '2',
+  location: 'Madrid',
+  exactAddress: 'Calle Mayor 1',
+  owner: 'Lucía',
+  status: 'published',
+  latitude: 40.4168,
+  longitude: -3.7038,
+  ...fields,
+});
+
+test('public reads never include the street address', async () => {
+  const property = await listing();
+  await listing({ name: 'Otro piso', exactAddress: 'Calle Sol 2' });
+
+  const responses = await Promise.all([
+    request().get('/properties').expect(200),
+    request().get(`/properties/${property.id}`).expect(200),
+    request().get(`/properties/by-slug/${property.slug}`).expect(200),
+    request().get(`/properties/${property.id}/similar`).expect(200),
+  ]);
+  const rows = responses.flatMap((res) => (Array.isArray(res.body) ? res.body : res.body.data || [res.body]));
+  assert.equal(rows.length, 5);
+  for (const row of rows) {
+    assert.equal('exactAddress' in row, false);
+    assert.notEqual(row.latitude, 40.4168);
+  }
+});
+
+test('admins get the address and the exact point', async () => {
+  const property = await listing();
+  const res = await request().get(`/properties/${property.id}`).set('Authorization', await adminAuth('viewer')).expect(200);
+  assert.equal(res.body.exactAddress, 'Calle Mayor 1');
+  assert.equal(res.body.latitude, 40.4168);
+});
+
+test('only admins can search by street address', async () => {
+  await listing();
+
+  const publicSearch = await request().get('/properties?q=calle%20mayor').expect(200);
+  assert.deepEqual(publicSearch.body, []);
+  const byName = await request().get('/properties?q=centro').expect(200);
+  assert.equal(byName.body.length, 1);
+
+  const adminSearch = await request().get('/properties?q=calle%20mayor').set('Authorization', await adminAuth('viewer')).expect(200);
+  assert.equal(adminSearch.body.length, 1);
+});
+
+test('fuzzing needs GEO_FUZZ_SECRET, and the same secret gives the same offset', () => {
+  const { spawnSync } = require('child_process');
+  const pointIn = (env) => spawnSync(process.execPath, ['-e', `
+    const { pointFor } = require('./src/lib/propertyLocation');
+    console.log(JSON.stringify(pointFor({ exact: false })({ id: 7, latitude: 40.4168, longitude: -3.7038 })));
+  `], { cwd: `${__dirname}/..`, env: { PATH: process.env.PATH, ...env }, encoding: 'utf8' });
+
+  const missing = pointIn({});
+  assert.notEqual(missing.status, 0);
+  assert.match(missing.stderr, /GEO_FUZZ_SECRET is required/);
+
+  const first = pointIn({ GEO_FUZZ_SECRET: 's3cret' });
+  const second = pointIn({ GEO_FUZZ_SECRET: 's3cret' });
+  assert.equal(first.status, 0);
+  assert.equal(first.stdout, second.stdout);
+});
@@ -0,0 +1,53 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, db, adminAuth, insertProperty, resetData } = require('./support');
+
+beforeEach(resetData);
+
+const submit = (body) => request().post('/reviews').send({ customerName: 'Ana', ratings: 5, review: 'Great', ...body });
+
+test('submitted reviews wait for moderation', async () => {
+  const res = await submit().expect(201);
+  assert.equal(res.body.status, 'pending');
+
+  const publicList = await request().get('/reviews').expect(200);
+  assert.deepEqual(publicList.body, []);
+
+  const queue = await request().get('/admin/reviews?status=pending').set('Authorization', await adminAuth('viewer')).expect(200);
+  assert.deepEqual(queue.body.map((r) => r.id), [res.body.id]);
+});
+
+test('approving and rejecting reviews updates the public list and the rating', async () => {
+  const auth = await adminAuth('editor');
+  const property = await insertProperty();
+  const good = await submit({ propertyId: property.id, ratings: 4 }).expect(201);
+  const bad = await submit({ propertyId: property.id, ratings: 1 }).expect(201);
+
+  await request().post(`/admin/reviews/${good.body.id}/approve`).set('Authorization', auth).expect(200);
+  await request().post(`/admin/reviews/${bad.body.id}/reject`).set('Authorization', auth)
+    .send({ note: 'spam' })
+    .expect(200);
+
+  const publicList = await request().get('/reviews').expect(200);
+  assert.deepEqual(publicList.body.map((r) => r.id), [good.body.id]);
+
+  const listed = await request().get(`/properties/${property.id}/reviews`).expect(200);
+  assert.equal(listed.body.length, 1);
+
+  const stored = await db.properties.findById(property.id);
+  assert.equal(Number(stored.ratings), 4);
+  assert.equal(Number(stored.reviews), 1);
+});
+
+test('reviews are validated and only attach to public listings', async () => {
+  const res = await submit({ ratings: 9, customerName: '' }).expect(400);
+  assert.ok(res.body.errors.ratings);
+  assert.ok(res.body.errors.customerName);
+
+  const draft = await insertProperty({ status: 'draft' });
+  await submit({ propertyId: draft.id }).expect(400);
+});
+
+test('moderating an unknown review is a 404', async () => {
+  await request().post('/admin/reviews/999/approve').set('Authorization', await adminAuth()).expect(404);
+});
@@ -0,0 +1,79 @@
+process.env.SAVED_SEARCH_MAX_PER_EMAIL = '1';
+process.env.SAVED_SEARCH_POLL_MS = '0';
+process.env.RATE_LIMIT_SAVED_SEARCH_IP = '100/60';
+process.env.RATE_LIMIT_SAVED_SEARCH_EMAIL = '100/60';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, db, insertProperty, resetData } = require('./support');
+const { matchNewListings, sendDueAlerts } = require('../src/alerts');
+
+beforeEach(resetData);
+
+const mailsTo = (email, template) => db.gateway.dump('mail_outbox')
+  .filter((mail) => mail.recipient === email && mail.template === template);
+
+// Saves an instant search for Madrid; returns its stored row
+async function saveSearch(email) {
+  await request().post('/saved-searches').send({ email, frequency: 'instant', location: 'Madrid' }).expect(202);
+  const [search] = await db.savedSearches.listLiveForEmail(email);
+  return search;
+}
+
+const confirm = (search) => request().get(`/saved-searches/confirm?token=${search.confirm_token}`).expect(200);
+
+// What the alert worker does on each run
+const runAlerts = async () => {
+  await matchNewListings();
+  await sendDueAlerts();
+};
+
+const alertedIds = (email) => mailsTo(email, 'savedSearchAlert').map((mail) => mail.data.listings.map((l) => l.id));
+
+test('an unconfirmed search gets no alerts', async () => {
+  await saveSearch('ana@example.com');
+  await insertProperty({ location: 'Madrid' });
+  await runAlerts();
+  assert.deepEqual(alertedIds('ana@example.com'), []);
+});
+
+test('a confirmed search is alerted once per new matching listing', async () => {
+  const email = 'ana@example.com';
+  await confirm(await saveSearch(email));
+
+  const first = await insertProperty({ location: 'Madrid' });
+  await insertProperty({ location: 'Sevilla' });
+  // Two workers at once: the alerts_matched_at claim lets only one match each listing
+  await Promise.all([matchNewListings(), matchNewListings()]);
+  await sendDueAlerts();
+  await runAlerts();
+  assert.deepEqual(alertedIds(email), [[first.id]]);
+
+  const second = await insertProperty({ location: 'Madrid' });
+  await runAlerts();
+  assert.deepEqual(alertedIds(email), [[first.id], [second.id]]);
+});
+
+test('the unsubscribe link stops alerts', async () => {
+  const email = 'ana@example.com';
+  const search = await saveSearch(email);
+  await confirm(search);
+
+  await request().get(`/saved-searches/unsubscribe?token=${search.unsubscribe_token}`).expect(200);
+  await insertProperty({ location: 'Madrid' });
+  await runAlerts();
+  assert.deepEqual(alertedIds(email), []);
+  assert.equal((await db.savedSearches.listLiveForEmail(email)).length, 0);
+});
+
+test('an address at its search cap gets the usual 202 and an email instead of a 409', async () => {
+  const email = 'ana@example.com';
+  await request().post('/saved-searches').send({ email, location: 'Madrid' }).expect(202);
+  const capped = await request().post('/saved-searches').send({ email, location: 'Sevilla' }).expect(202);
+  const fresh = await request().post('/saved-searches').send({ email: 'luis@example.com', location: 'Sevilla' }).expect(202);
+
+  assert.deepEqual(capped.body, fresh.body);
+  assert.equal((await db.savedSearches.listLiveForEmail(email)).length, 1);
+  assert.equal(mailsTo(email, 'savedSearchConfirmation').length, 1);
+  assert.equal(mailsTo(email, 'savedSearchLimit').length, 1);
+});
@@ -0,0 +1,72 @@
+process.env.SITEMAP_CACHE_TTL_MS = '0';
+process.env.SITE_URL = 'https://clavedeoro.example';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, db, adminAuth, resetData } = require('./support');
+
+beforeEach(resetData);
+
+// Through the repository, so the listing gets its slug as on admin create
+const listing = (fields = {}) => db.properties.create({
+  name: 'Ático con terraza',
+  description: 'Luminoso',
+  price: 300000,
+  area: 80,
+  bhkType: '2',
+  location: 'Madrid Centro',
+  exactAddress: 'Calle Mayor 1',
+  owner: 'Lucía',
+  status: 'published',
+  ...fields,
+});
+
+const rename = async (property, name) => {
+  const res = await request().put(`/admin/properties/${property.id}`).set('Authorization', await adminAuth('editor'))
+    .send({ name })
+    .expect(200);
+  return res.body.property;
+};
+
+test('a renamed listing\'s old slug redirects to the new one', async () => {
+  const property = await listing();
+  assert.equal(property.slug, 'atico-con-terraza-madrid-centro');
+
+  const renamed = await rename(property, 'Ático reformado');
+  assert.equal(renamed.slug, 'atico-reformado-madrid-centro');
+
+  const res = await request().get('/properties/by-slug/atico-con-terraza-madrid-centro?lang=en').expect(301);
+  assert.equal(res.headers.location, '/properties/by-slug/atico-reformado-madrid-centro?lang=en');
+  const meta = await request().get('/properties/by-slug/atico-con-terraza-madrid-centro/meta').expect(301);
+  assert.equal(meta.headers.location, '/properties/by-slug/atico-reformado-madrid-centro/meta');
+
+  const current = await request().get('/properties/by-slug/atico-reformado-madrid-centro').expect(200);
+  assert.equal(current.body.id, property.id);
+});
+
+test('a slug kept as a redirect is not given to another listing', async () => {
+  const property = await listing();
+  await rename(property, 'Ático reformado');
+
+  const other = await listing();
+  assert.equal(other.slug, 'atico-con-terraza-madrid-centro-2');
+  await request().get('/properties/by-slug/atico-con-terraza-madrid-centro').expect(301);
+
+  // Renaming back reclaims it
+  const back = await rename(property, 'Ático con terraza');
+  assert.equal(back.slug, 'atico-con-terraza-madrid-centro');
+  await request().get('/properties/by-slug/atico-con-terraza-madrid-centro').expect(200);
+});
+
+test('sitemap.xml lists public listings only', async () => {
+  const published = await listing({ name: 'Publicado' });
+  await listing({ name: 'Borrador', status: 'draft' });
+  const deleted = await listing({ name: 'Borrado' });
+  await request().delete(`/admin/properties/${deleted.id}`).set('Authorization', await adminAuth('editor')).expect(200);
+  assert.ok(db.gateway.dump('properties').find((row) => row.id === deleted.id).deleted_at); // in the trash, not gone
+
+  const res = await request().get('/sitemap.xml').expect(200);
+  assert.match(res.headers['content-type'], /application\/xml/);
+  const urls = [...res.text.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]);
+  assert.deepEqual(urls, [`https://clavedeoro.example/properties/${published.slug}`]);
+});
@@ -0,0 +1,49 @@
+// test/support.js
+// Shared setup for the route tests: the whole API (src/app.js) on the in-memory
+// data driver. node --test runs every file in its own process, so each file starts
+// with an empty store; set extra env vars before requiring this module.
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DRIVER = 'memory';
+process.env.MAIL_TRANSPORT = 'json';
+process.env.ADMIN_CACHE_TTL_MS = '0';
+process.env.STORAGE_LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || path.join(os.tmpdir(), 'clavedeoro-test-storage');
+process.env.GEO_FUZZ_SECRET = process.env.GEO_FUZZ_SECRET || 'test-fuzz-secret';
+
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { db } = require('../src/data');
+
+const app = createApp();
+
+let adminCount = 0;
+
+/** Signs in a new admin with `role`; returns the Authorization header value. */
+async function adminAuth(role = 'owner') {
+  adminCount += 1;
+  const email = `${role}-${adminCount}@example.com`;
+  const user = db.auth.addUser({ email, password: 'secret' });
+  await db.gateway.insert('admin_users', { auth_user_id: user.id, is_admin: true, role, email });
+  const { session } = await db.auth.signInWithPassword({ email, password: 'secret' });
+  return `Bearer ${session.access_token}`;
+}
+
+/** Inserts a listing (published by default) straight into the store. */
+const insertProperty = (fields = {}) => db.gateway.insert('properties', {
+  name: 'Piso en el centro',
+  description: 'Luminoso y reformado',
+  price: 250000,
+  area: 90,
+  bhkType: '2',
+  location: 'Madrid',
+  exactAddress: 'Calle Mayor 1',
+  owner: 'Lucía',
+  status: 'published',
+  ...fields,
+});
+
+/** Empties every table (auth users and sessions are kept). */
+const resetData = () => db.gateway.reset();
+
+module.exports = { app, db, request: () => request(app), adminAuth, insertProperty, resetData };
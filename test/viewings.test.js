@@ -0,0 +1,57 @@
+process.env.VIEWING_MIN_NOTICE_HOURS = '0';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, adminAuth, insertProperty, resetData } = require('./support');
+
+beforeEach(resetData);
+
+// A listing with hourly viewing slots from 09:00 to 18:00 every day
+async function bookableListing() {
+  const auth = await adminAuth('editor');
+  const property = await insertProperty();
+  for (let weekday = 1; weekday <= 7; weekday += 1) {
+    await request().post('/admin/viewings/availability').set('Authorization', auth)
+      .send({ propertyId: property.id, weekday, startTime: '09:00', endTime: '18:00', slotMinutes: 60 })
+      .expect(201);
+  }
+  return property;
+}
+
+const slotsOf = async (property) => (await request().get(`/properties/${property.id}/viewing-slots`).expect(200)).body.slots;
+
+const book = (property, startsAt, email) => request().post(`/properties/${property.id}/viewings`)
+  .send({ startsAt, name: 'Ana', email, phone: '600000000' });
+
+test('a slot can only be booked once, even by simultaneous requests', async () => {
+  const property = await bookableListing();
+  const [slot] = await slotsOf(property);
+
+  const results = await Promise.all([
+    book(property, slot.startsAt, 'ana@example.com'),
+    book(property, slot.startsAt, 'luis@example.com'),
+  ]);
+  assert.deepEqual(results.map((res) => res.status).sort(), [201, 409]);
+
+  const remaining = await slotsOf(property);
+  assert.equal(remaining.some((s) => s.startsAt === slot.startsAt), false);
+  await book(property, slot.startsAt, 'eva@example.com').expect(409);
+});
+
+test('a cancelled booking frees its slot again', async () => {
+  const property = await bookableListing();
+  const [slot] = await slotsOf(property);
+
+  const booked = await book(property, slot.startsAt, 'ana@example.com').expect(201);
+  await request().post(`/admin/viewings/${booked.body.viewing.id}/cancel`).set('Authorization', await adminAuth('editor')).expect(200);
+
+  await book(property, slot.startsAt, 'luis@example.com').expect(201);
+});
+
+test('times that are not offered slots are refused', async () => {
+  const property = await bookableListing();
+  const [slot] = await slotsOf(property);
+  const offSlot = new Date(new Date(slot.startsAt).getTime() + 15 * 60 * 1000).toISOString();
+
+  await book(property, offSlot, 'ana@example.com').expect(409);
+});